@@ -0,0 +1,170 @@
+// ============================================================================
+// __tests__/account-deletion.test.js - Data Export & Account Deletion Tests
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const { User, Course, Enrollment, Transaction, DataExport, AuditLog, sequelize } = require('../models');
+const { buildExport, getExportFile } = require('../services/privacyService');
+
+const tokenFor = user => jwt.sign({ id: user.id, email: user.email, role: user.role, ver: 0 }, process.env.JWT_SECRET);
+
+describe('Personal Data Export & Account Deletion', () => {
+    const receiptPath = path.join(process.cwd(), 'public/uploads/receipts', 'leaving-student-receipt.png');
+    let student;
+    let course;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructor = await User.create({
+            email: 'privacy-instructor@example.com',
+            password_hash: 'Test@123456',
+            name: 'Privacy Instructor',
+            role: 'instructor',
+            email_verified: true,
+        });
+        student = await User.create({
+            email: 'leaving-student@example.com',
+            password_hash: 'Test@123456',
+            name: 'Leaving Student',
+            role: 'student',
+            email_verified: true,
+        });
+        course = await Course.create({
+            instructor_id: instructor.id,
+            title: 'Privacy Test Course',
+            slug: 'privacy-test-course',
+            description: 'A course the deleted student paid for',
+            price: 500,
+            currency: 'EGP',
+            level: 'beginner',
+            is_published: true,
+        });
+
+        // A manual payment: the sender's phone number is also its reference
+        fs.mkdirSync(path.dirname(receiptPath), { recursive: true });
+        fs.writeFileSync(receiptPath, 'receipt');
+        const receiptUrl = '/uploads/receipts/leaving-student-receipt.png';
+        await Transaction.create({
+            user_id: student.id,
+            course_id: course.id,
+            amount: 500,
+            currency: 'EGP',
+            amount_egp: 500,
+            status: 'completed',
+            payment_method: 'vodafone_cash',
+            payment_provider: 'manual',
+            provider_transaction_id: '01012345678',
+            metadata: { receiptUrl, senderReference: '01012345678' },
+        });
+        await Enrollment.create({
+            user_id: student.id,
+            course_id: course.id,
+            price_paid: 500,
+            payment_transaction_id: '01012345678',
+            metadata: { provider: 'manual', senderInfo: '01012345678', receiptUrl },
+        });
+        await AuditLog.create({
+            user_id: student.id,
+            action: 'SUSPICIOUS_LOGIN',
+            entity_type: 'User',
+            entity_id: student.id,
+            new_values: { newDevice: true, newCountry: false, device: 'Chrome on Windows', country: 'EG' },
+            ip_address: '203.0.113.7',
+            user_agent: 'Mozilla/5.0 (Windows NT 10.0)',
+        });
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should build a ZIP export only the owner can download', async () => {
+        const dataExport = await DataExport.create({ user_id: student.id });
+        await buildExport(dataExport.id);
+        await dataExport.reload();
+
+        expect(dataExport.status).toBe('completed');
+        expect(dataExport.file_size).toBeGreaterThan(0);
+
+        const { filePath } = await getExportFile(student.id, dataExport.id);
+        const archive = fs.readFileSync(filePath);
+        expect(archive.readUInt32LE(0)).toBe(0x04034B50);
+        expect(archive.includes(Buffer.from('enrollments.json'))).toBe(true);
+        expect(archive.includes(Buffer.from('password_hash'))).toBe(false);
+
+        const other = await User.create({
+            email: 'curious-student@example.com',
+            password_hash: 'Test@123456',
+            name: 'Curious Student',
+            role: 'student',
+        });
+        await request(app)
+            .get(`/api/v1/auth/data-exports/${dataExport.id}/download`)
+            .set('Authorization', `Bearer ${tokenFor(other)}`)
+            .expect(404);
+    });
+
+    it('should require the password to delete the account', async () => {
+        await request(app)
+            .delete('/api/v1/auth/account')
+            .set('Authorization', `Bearer ${tokenFor(student)}`)
+            .send({ password: 'Wrong@123456' })
+            .expect(401);
+    });
+
+    it('should anonymize the user and keep enrollments and transactions', async () => {
+        const token = tokenFor(student);
+
+        await request(app)
+            .delete('/api/v1/auth/account')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ password: 'Test@123456' })
+            .expect(200);
+
+        const deleted = await User.findByPk(student.id);
+        expect(deleted.email).toBe(`deleted-${student.id}@deleted.invalid`);
+        expect(deleted.name).toBe('Deleted User');
+        expect(deleted.is_active).toBe(false);
+        expect(deleted.deleted_at).not.toBeNull();
+
+        expect(await Enrollment.count({ where: { user_id: student.id } })).toBe(1);
+        expect(await Transaction.count({ where: { user_id: student.id } })).toBe(1);
+        expect(await DataExport.count({ where: { user_id: student.id } })).toBe(0);
+
+        // Sender details and the receipt screenshot of the manual payment are gone
+        const enrollment = await Enrollment.findOne({ where: { user_id: student.id } });
+        expect(enrollment.metadata.senderInfo).toBeUndefined();
+        expect(enrollment.payment_transaction_id).toBeNull();
+        const transaction = await Transaction.findOne({ where: { user_id: student.id } });
+        expect(transaction.metadata.receiptUrl).toBeUndefined();
+        expect(transaction.provider_transaction_id).toBeNull();
+        expect(fs.existsSync(receiptPath)).toBe(false);
+
+        // Audit entries stay, without the addresses and devices they recorded
+        const loginAlert = await AuditLog.findOne({ where: { user_id: student.id, action: 'SUSPICIOUS_LOGIN' } });
+        expect(loginAlert.ip_address).toBeNull();
+        expect(loginAlert.user_agent).toBeNull();
+        expect(loginAlert.new_values).toEqual({ newDevice: true, newCountry: false, device: '[redacted]', country: '[redacted]' });
+
+        // Tokens issued before the deletion stop working
+        await request(app)
+            .get('/api/v1/auth/me')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(403);
+    });
+
+    it('should not let instructors with courses delete their account', async () => {
+        const instructor = await User.findOne({ where: { email: 'privacy-instructor@example.com' } });
+
+        await request(app)
+            .delete('/api/v1/auth/account')
+            .set('Authorization', `Bearer ${tokenFor(instructor)}`)
+            .send({ password: 'Test@123456' })
+            .expect(400);
+    });
+});
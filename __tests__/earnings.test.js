@@ -0,0 +1,144 @@
+// ============================================================================
+// __tests__/earnings.test.js - Instructor Earnings Ledger & Payout Tests
+// ============================================================================
+
+const { recordEarnings, getBalances, createPayoutBatch, buildPayoutCSV } = require('../services/earningsService');
+const { User, Course, Transaction, EarningEntry, Payout, sequelize } = require('../models');
+
+describe('Instructor Earnings', () => {
+    let admin;
+    let student;
+    let instructor;
+    let course;
+    let discountedCourse;
+
+    /**
+     * A completed single-course sale
+     */
+    const createSale = (saleCourse, amount) => Transaction.create({
+        user_id: student.id,
+        course_id: saleCourse.id,
+        amount,
+        currency: 'EGP',
+        status: 'completed',
+        payment_provider: 'fake',
+    });
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        admin = await User.create({
+            email: 'earnings-admin@example.com',
+            password_hash: 'Test@123456',
+            name: 'Earnings Admin',
+            role: 'admin',
+        });
+        student = await User.create({
+            email: 'earnings-student@example.com',
+            password_hash: 'Test@123456',
+            name: 'Earnings Student',
+            role: 'student',
+        });
+        instructor = await User.create({
+            email: 'earnings-instructor@example.com',
+            password_hash: 'Test@123456',
+            name: '=HYPERLINK("http://evil")',
+            role: 'instructor',
+            payout_details: { accountName: 'Earnings Instructor', iban: 'EG380019000500000000263180002' },
+        });
+
+        course = await Course.create({
+            instructor_id: instructor.id,
+            title: 'Earnings Course',
+            slug: 'earnings-course',
+            description: 'A course that earns its instructor the default share',
+            price: 1000,
+            currency: 'EGP',
+            level: 'beginner',
+            is_published: true,
+        });
+        discountedCourse = await Course.create({
+            instructor_id: instructor.id,
+            title: 'Partner Course',
+            slug: 'partner-course',
+            description: 'A course with its own revenue share',
+            price: 400,
+            currency: 'EGP',
+            level: 'beginner',
+            is_published: true,
+            revenue_share_percentage: 50,
+        });
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should record a sale once however often the settlement is replayed', async () => {
+        const sale = await createSale(course, 1000);
+
+        const first = await recordEarnings(sale, 'completed');
+        const replay = await recordEarnings(sale, 'completed');
+
+        expect(first).toHaveLength(1);
+        expect(replay).toHaveLength(0);
+        expect(parseFloat(first[0].share_percentage)).toBe(70);
+        expect(parseFloat(first[0].amount)).toBe(700);
+        expect(await EarningEntry.count({ where: { transaction_id: sale.id } })).toBe(1);
+    });
+
+    it('should reverse a refunded sale once', async () => {
+        const sale = await createSale(course, 1000);
+        await recordEarnings(sale, 'completed');
+
+        expect(await recordEarnings(sale, 'refunded')).toHaveLength(1);
+        expect(await recordEarnings(sale, 'refunded')).toHaveLength(0);
+
+        const refund = await EarningEntry.findOne({ where: { transaction_id: sale.id, entry_type: 'refund' } });
+        expect(parseFloat(refund.amount)).toBe(-700);
+    });
+
+    it('should use the course share over the platform default', async () => {
+        const sale = await createSale(discountedCourse, 400);
+
+        const [entry] = await recordEarnings(sale, 'completed');
+        expect(parseFloat(entry.amount)).toBe(200);
+
+        // 700 (sale) + 700 - 700 (refunded sale) + 200
+        expect(await getBalances(instructor.id)).toEqual({ pending: 900, paid: 0, total: 900 });
+    });
+
+    it('should pay every pending entry out in one batch and only once', async () => {
+        const payout = await createPayoutBatch({ actorId: admin.id, notes: 'Monthly payout' });
+
+        expect(parseFloat(payout.total_amount)).toBe(900);
+        expect(payout.instructor_count).toBe(1);
+        expect(payout.entry_count).toBe(4);
+        expect(await EarningEntry.count({ where: { status: 'pending' } })).toBe(0);
+        expect(await EarningEntry.count({ where: { payout_id: payout.id } })).toBe(4);
+        expect(await getBalances(instructor.id)).toEqual({ pending: 0, paid: 900, total: 900 });
+
+        await expect(createPayoutBatch({ actorId: admin.id })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should hold back instructors whose refunds outweigh their sales', async () => {
+        const paidOut = await EarningEntry.findOne({ where: { course_id: discountedCourse.id, entry_type: 'sale' } });
+        const sale = await Transaction.findByPk(paidOut.transaction_id);
+
+        // Refunding an already paid sale is recovered from the next payout
+        await recordEarnings(sale, 'refunded');
+        expect(await getBalances(instructor.id)).toEqual({ pending: -200, paid: 900, total: 700 });
+
+        await expect(createPayoutBatch({ actorId: admin.id })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should export the batch without spreadsheet formulas', async () => {
+        const payout = await Payout.findOne();
+        const [header, line] = buildPayoutCSV(payout).trim().split('\r\n');
+
+        expect(header).toContain('IBAN');
+        expect(line).toContain(`"'=HYPERLINK(""http://evil"")"`);
+        expect(line).toContain('EG380019000500000000263180002');
+        expect(line).toContain('900.00,EGP,4');
+    });
+});
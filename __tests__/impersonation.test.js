@@ -0,0 +1,130 @@
+// ============================================================================
+// __tests__/impersonation.test.js - Admin "Login as User" Tests
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const { User, AuditLog, sequelize } = require('../models');
+
+/**
+ * Access token for a user without going through login
+ */
+const tokenFor = user => jwt.sign({ id: user.id, email: user.email, role: user.role, ver: 0 }, process.env.JWT_SECRET);
+
+/**
+ * Request audit rows are written after the response is sent; wait for them
+ */
+const waitForAuditRows = async (where, count) => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const rows = await AuditLog.findAll({ where });
+        if (rows.length >= count) return rows;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return AuditLog.findAll({ where });
+};
+
+describe('Admin Impersonation', () => {
+    let admin;
+    let student;
+    let adminToken;
+    let impersonationToken;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        admin = await User.create({
+            email: 'support-admin@example.com',
+            password_hash: 'Test@123456',
+            name: 'Support Admin',
+            role: 'admin',
+            email_verified: true,
+        });
+        student = await User.create({
+            email: 'stuck-student@example.com',
+            password_hash: 'Test@123456',
+            name: 'Stuck Student',
+            role: 'student',
+            email_verified: true,
+        });
+        adminToken = tokenFor(admin);
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should require a reason and refuse to impersonate admins', async () => {
+        await request(app)
+            .post(`/api/v1/admin/users/${student.id}/impersonate`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({})
+            .expect(400);
+
+        const otherAdmin = await User.create({
+            email: 'other-admin@example.com',
+            password_hash: 'Test@123456',
+            name: 'Other Admin',
+            role: 'admin',
+        });
+        await request(app)
+            .post(`/api/v1/admin/users/${otherAdmin.id}/impersonate`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ reason: 'Checking a report' })
+            .expect(403);
+    });
+
+    it('should issue a marked, short-lived token for the user', async () => {
+        const response = await request(app)
+            .post(`/api/v1/admin/users/${student.id}/impersonate`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ reason: 'Ticket 481: lesson will not unlock' })
+            .expect(200);
+
+        impersonationToken = response.body.data.token;
+        const decoded = jwt.decode(impersonationToken);
+        expect(decoded.id).toBe(student.id);
+        expect(decoded.impersonator.id).toBe(admin.id);
+        expect(decoded.exp - decoded.iat).toBeLessThanOrEqual(15 * 60);
+
+        const started = await AuditLog.findOne({ where: { action: 'IMPERSONATION_STARTED', entity_id: student.id } });
+        expect(started.user_id).toBe(admin.id);
+    });
+
+    it('should act as the user and expose the real admin', async () => {
+        const response = await request(app)
+            .get('/api/v1/auth/me')
+            .set('Authorization', `Bearer ${impersonationToken}`)
+            .expect(200);
+
+        expect(response.body.data.user.id).toBe(student.id);
+        expect(response.body.data.impersonatedBy.id).toBe(admin.id);
+
+        const rows = await waitForAuditRows({ action: 'IMPERSONATED_REQUEST', impersonator_id: admin.id }, 1);
+        expect(rows[0].user_id).toBe(student.id);
+        expect(rows[0].new_values.path).toBe('/api/v1/auth/me');
+    });
+
+    it('should block payment and password endpoints while impersonating', async () => {
+        await request(app)
+            .put('/api/v1/auth/change-password')
+            .set('Authorization', `Bearer ${impersonationToken}`)
+            .send({ currentPassword: 'Test@123456', newPassword: 'Hijack@123456' })
+            .expect(403);
+
+        await request(app)
+            .post('/api/v1/payment/stripe/checkout')
+            .set('Authorization', `Bearer ${impersonationToken}`)
+            .send({})
+            .expect(403);
+    });
+
+    it('should end the impersonation when the admin loses the admin role', async () => {
+        await admin.update({ role: 'instructor' });
+
+        await request(app)
+            .get('/api/v1/auth/me')
+            .set('Authorization', `Bearer ${impersonationToken}`)
+            .expect(401);
+    });
+});
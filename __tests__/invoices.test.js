@@ -0,0 +1,105 @@
+// ============================================================================
+// __tests__/invoices.test.js - Gap-Free Invoice Numbering Tests
+// ============================================================================
+
+const { issueInvoice, getInvoicePDF } = require('../services/invoiceService');
+const { User, Course, Transaction, Invoice, sequelize } = require('../models');
+
+describe('Invoices', () => {
+    let student;
+    let course;
+
+    const createPayment = attributes => Transaction.create({
+        user_id: student.id,
+        course_id: course.id,
+        amount: 900,
+        currency: 'EGP',
+        status: 'completed',
+        ...attributes,
+    });
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        student = await User.create({
+            email: 'invoice-student@example.com',
+            password_hash: 'Test@123456',
+            name: 'Invoice Student',
+            role: 'student',
+        });
+        const instructor = await User.create({
+            email: 'invoice-instructor@example.com',
+            password_hash: 'Test@123456',
+            name: 'Invoice Instructor',
+            role: 'instructor',
+        });
+        course = await Course.create({
+            instructor_id: instructor.id,
+            title: 'Invoiced Course',
+            slug: 'invoiced-course',
+            description: 'A course whose purchases get invoices',
+            price: 900,
+            currency: 'EGP',
+            level: 'beginner',
+            is_published: true,
+        });
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should not number free or unpaid transactions', async () => {
+        expect(await issueInvoice(await createPayment({ amount: 0 }))).toBeNull();
+        expect(await issueInvoice(await createPayment({ status: 'pending' }))).toBeNull();
+        expect(await Invoice.count()).toBe(0);
+    });
+
+    it('should number concurrent settlements without gaps or duplicates', async () => {
+        const payments = await Promise.all([1, 2, 3, 4, 5].map(() => createPayment()));
+
+        const invoices = await Promise.all(payments.map(payment => issueInvoice(payment)));
+
+        const sequences = invoices.map(invoice => invoice.sequence_number).sort((a, b) => a - b);
+        expect(sequences).toEqual([1, 2, 3, 4, 5]);
+
+        const year = new Date().getFullYear();
+        const numbers = new Set(invoices.map(invoice => invoice.invoice_number));
+        expect(numbers.size).toBe(5);
+        expect(numbers).toContain(`INV-${year}-000001`);
+        expect(numbers).toContain(`INV-${year}-000005`);
+    });
+
+    it('should issue one invoice per transaction however often settlement runs', async () => {
+        const payment = await createPayment();
+
+        const [first, second] = await Promise.all([issueInvoice(payment), issueInvoice(payment)]);
+        const again = await issueInvoice(payment);
+
+        expect(second.id).toBe(first.id);
+        expect(again.id).toBe(first.id);
+        expect(first.sequence_number).toBe(6);
+        expect(await Invoice.count({ where: { transaction_id: payment.id } })).toBe(1);
+    });
+
+    it('should snapshot the coupon discount and render a refunded PDF', async () => {
+        const payment = await createPayment({
+            amount: 720,
+            metadata: { couponCode: 'SPRING20', originalPrice: 900, discountAmount: 180 },
+        });
+
+        const invoice = await issueInvoice(payment);
+        expect(invoice.sequence_number).toBe(7);
+        expect(invoice.buyer).toEqual({ name: 'Invoice Student', email: 'invoice-student@example.com' });
+        expect(invoice.line_items).toEqual([{
+            description: 'Course: Invoiced Course',
+            unitPrice: 900,
+            discount: 180,
+            total: 720,
+        }]);
+
+        await payment.update({ status: 'refunded' });
+        const { pdf } = await getInvoicePDF(payment);
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+});
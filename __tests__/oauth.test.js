@@ -0,0 +1,260 @@
+// ============================================================================
+// __tests__/oauth.test.js - Social Login Tests (Local Mock OIDC Provider)
+// ============================================================================
+
+process.env.FRONTEND_URL = process.env.FRONTEND_URL || 'http://frontend.test';
+process.env.OIDC_PROVIDER_ID = 'mock';
+process.env.OIDC_PROVIDER_NAME = 'Mock SSO';
+process.env.OIDC_CLIENT_ID = 'itslab-test-client';
+process.env.OIDC_CLIENT_SECRET = 'itslab-test-secret';
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const { User, UserIdentity, sequelize } = require('../models');
+
+/**
+ * Minimal OpenID Connect provider: discovery, JWKS and a token endpoint that checks PKCE.
+ * authorize() stands in for the user signing in at the provider and returns the callback query.
+ */
+const createMockOidcProvider = () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'mock-key', use: 'sig', alg: 'RS256' };
+    const codes = new Map();
+    let issuer;
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, issuer);
+
+        if (pathname === '/.well-known/openid-configuration') {
+            return send(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+            });
+        }
+        if (pathname === '/jwks') {
+            return send(res, 200, { keys: [jwk] });
+        }
+        if (pathname === '/token' && req.method === 'POST') {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const params = new URLSearchParams(body);
+                const grant = codes.get(params.get('code'));
+                codes.delete(params.get('code'));
+
+                const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+                if (!grant || grant.codeChallenge !== challenge || params.get('client_id') !== process.env.OIDC_CLIENT_ID) {
+                    return send(res, 400, { error: 'invalid_grant' });
+                }
+
+                const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+                    algorithm: 'RS256',
+                    keyid: 'mock-key',
+                    issuer,
+                    audience: process.env.OIDC_CLIENT_ID,
+                    expiresIn: '5m',
+                });
+                return send(res, 200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+            });
+            return undefined;
+        }
+        return send(res, 404, { error: 'not_found' });
+    });
+
+    return {
+        start: () => new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', () => {
+                issuer = `http://127.0.0.1:${server.address().port}`;
+                resolve(issuer);
+            });
+        }),
+        stop: () => new Promise(resolve => server.close(resolve)),
+        authorize: (authorizationUrl, claims) => {
+            const { searchParams } = new URL(authorizationUrl);
+            const code = crypto.randomBytes(8).toString('hex');
+            codes.set(code, {
+                claims,
+                nonce: searchParams.get('nonce'),
+                codeChallenge: searchParams.get('code_challenge'),
+            });
+            return { code, state: searchParams.get('state') };
+        },
+    };
+};
+
+describe('Social Login (OIDC)', () => {
+    const provider = createMockOidcProvider();
+
+    /**
+     * Run the browser part of the flow; returns the query the frontend callback page receives
+     */
+    const signInWithProvider = async (claims, { accessToken, tamperState = false } = {}) => {
+        // Connecting starts from an authenticated API call instead of a browser navigation
+        const start = accessToken
+            ? await request(app)
+                .post('/api/v1/auth/oauth/mock/connect')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200)
+            : await request(app)
+                .get('/api/v1/auth/oauth/mock')
+                .expect(302);
+        const authorizationUrl = accessToken ? start.body.data.redirectUrl : start.headers.location;
+
+        const { code, state } = provider.authorize(authorizationUrl, claims);
+
+        const callback = await request(app)
+            .get('/api/v1/auth/oauth/mock/callback')
+            .query({ code, state: tamperState ? 'forged-state' : state })
+            .set('Cookie', start.headers['set-cookie'])
+            .expect(302);
+
+        return new URL(callback.headers.location).searchParams;
+    };
+
+    const completeLogin = token => request(app).post('/api/v1/auth/oauth/complete').send({ token });
+
+    beforeAll(async () => {
+        process.env.OIDC_ISSUER = await provider.start();
+        await sequelize.sync({ force: true });
+    });
+
+    afterAll(async () => {
+        await provider.stop();
+        await sequelize.close();
+    });
+
+    it('should create a student account on first sign-in with a verified email', async () => {
+        const result = await signInWithProvider({
+            sub: 'mock-user-1',
+            email: 'New.Learner@example.com',
+            email_verified: true,
+            name: 'New Learner',
+        });
+        expect(result.get('error')).toBeNull();
+
+        const response = await completeLogin(result.get('token')).expect(200);
+        expect(response.body.data.token).toBeDefined();
+        expect(response.body.data.refreshToken).toBeDefined();
+        expect(response.body.data.user.email).toBe('new.learner@example.com');
+
+        const user = await User.findOne({ where: { email: 'new.learner@example.com' } });
+        expect(user.role).toBe('student');
+        expect(user.email_verified).toBe(true);
+        expect(user.has_password).toBe(false);
+        expect(await UserIdentity.count({ where: { user_id: user.id, provider: 'mock' } })).toBe(1);
+    });
+
+    it('should sign the same identity back in and reject a reused login token', async () => {
+        const result = await signInWithProvider({ sub: 'mock-user-1', email: 'new.learner@example.com', email_verified: true });
+
+        await completeLogin(result.get('token')).expect(200);
+        const reused = await completeLogin(result.get('token')).expect(401);
+        expect(reused.body.success).toBe(false);
+
+        expect(await User.count({ where: { email: 'new.learner@example.com' } })).toBe(1);
+        expect(await UserIdentity.count({ where: { provider_user_id: 'mock-user-1' } })).toBe(1);
+    });
+
+    it('should link an existing account by verified email', async () => {
+        const existing = await User.create({
+            email: 'existing@example.com',
+            password_hash: 'Test@123456',
+            name: 'Existing User',
+            role: 'student',
+        });
+
+        const result = await signInWithProvider({ sub: 'mock-user-2', email: 'existing@example.com', email_verified: true });
+        const response = await completeLogin(result.get('token')).expect(200);
+
+        expect(response.body.data.user.id).toBe(existing.id);
+        const identity = await UserIdentity.findOne({ where: { provider_user_id: 'mock-user-2' } });
+        expect(identity.user_id).toBe(existing.id);
+    });
+
+    it('should not link an existing account when the provider email is unverified', async () => {
+        await User.create({
+            email: 'unverified-target@example.com',
+            password_hash: 'Test@123456',
+            name: 'Target User',
+            role: 'student',
+        });
+
+        const result = await signInWithProvider({ sub: 'mock-attacker', email: 'unverified-target@example.com', email_verified: false });
+
+        expect(result.get('token')).toBeNull();
+        expect(result.get('error')).toMatch(/verified email/);
+        expect(await UserIdentity.count({ where: { provider_user_id: 'mock-attacker' } })).toBe(0);
+    });
+
+    it('should reject a callback whose state does not match', async () => {
+        const result = await signInWithProvider({ sub: 'mock-user-3', email: 'state@example.com', email_verified: true }, { tamperState: true });
+
+        expect(result.get('token')).toBeNull();
+        expect(result.get('error')).toBeDefined();
+        expect(await User.count({ where: { email: 'state@example.com' } })).toBe(0);
+    });
+
+    describe('connect and disconnect', () => {
+        let accessToken;
+
+        beforeAll(async () => {
+            const user = await User.create({
+                email: 'connector@example.com',
+                password_hash: 'Test@123456',
+                name: 'Connector',
+                role: 'student',
+                email_verified: true,
+            });
+            accessToken = jwt.sign({ id: user.id, email: user.email, role: user.role, ver: 0 }, process.env.JWT_SECRET);
+        });
+
+        it('should connect a provider account to the signed-in user and list it', async () => {
+            const result = await signInWithProvider(
+                { sub: 'mock-connector', email: 'someone-else@example.com', email_verified: true },
+                { accessToken },
+            );
+            expect(result.get('connected')).toBe('mock');
+
+            const list = await request(app)
+                .get('/api/v1/auth/identities')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+            expect(list.body.data.identities).toHaveLength(1);
+            expect(list.body.data.identities[0].provider).toBe('mock');
+        });
+
+        it('should disconnect a provider from an account that has a password', async () => {
+            const identity = await UserIdentity.findOne({ where: { provider_user_id: 'mock-connector' } });
+
+            await request(app)
+                .delete(`/api/v1/auth/identities/${identity.id}`)
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+
+            expect(await UserIdentity.count({ where: { id: identity.id } })).toBe(0);
+        });
+
+        it('should keep the last provider of an account without a password', async () => {
+            const user = await User.findOne({ where: { email: 'new.learner@example.com' } });
+            const identity = await UserIdentity.findOne({ where: { user_id: user.id } });
+            const token = jwt.sign({ id: user.id, email: user.email, role: user.role, ver: 0 }, process.env.JWT_SECRET);
+
+            const response = await request(app)
+                .delete(`/api/v1/auth/identities/${identity.id}`)
+                .set('Authorization', `Bearer ${token}`)
+                .expect(400);
+
+            expect(response.body.message).toMatch(/password/);
+        });
+    });
+});
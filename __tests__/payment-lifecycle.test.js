@@ -0,0 +1,172 @@
+// ============================================================================
+// __tests__/payment-lifecycle.test.js - End-to-End Purchase Tests (Fake Provider)
+// ============================================================================
+
+const request = require('supertest');
+const app = require('../server');
+const { signCallback } = require('../services/payments/fakeProvider');
+const { User, Course, Enrollment, Transaction, WebhookEvent, sequelize } = require('../models');
+
+/**
+ * Post a provider-side status change to the fake provider webhook
+ */
+const postCallback = (body, signature) => {
+    const payload = JSON.stringify(body);
+
+    return request(app)
+        .post('/api/v1/payment/webhook/fake')
+        .set('Content-Type', 'application/json')
+        .set('X-Fake-Signature', signature || signCallback(payload))
+        .send(payload);
+};
+
+/**
+ * Log in and return the access token
+ */
+const login = async (email, password) => {
+    const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email, password });
+
+    return response.body.data.token;
+};
+
+describe('Payment Lifecycle (Fake Provider)', () => {
+    let studentToken;
+    let adminToken;
+    let courseId;
+    let transactionId;
+    let enrollmentId;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructor = await User.create({
+            email: 'lifecycle-instructor@example.com',
+            password_hash: 'Test@123456',
+            name: 'Lifecycle Instructor',
+            role: 'instructor',
+            email_verified: true,
+        });
+
+        await User.create({
+            email: 'lifecycle-student@example.com',
+            password_hash: 'Test@123456',
+            name: 'Lifecycle Student',
+            role: 'student',
+            email_verified: true,
+        });
+
+        await User.create({
+            email: 'lifecycle-admin@example.com',
+            password_hash: 'Test@123456',
+            name: 'Lifecycle Admin',
+            role: 'admin',
+            email_verified: true,
+        });
+
+        const course = await Course.create({
+            instructor_id: instructor.id,
+            title: 'Lifecycle Paid Course',
+            slug: 'lifecycle-paid-course',
+            description: 'A course used to test the full purchase lifecycle',
+            price: 900,
+            currency: 'EGP',
+            level: 'beginner',
+            is_published: true,
+        });
+        courseId = course.id;
+
+        studentToken = await login('lifecycle-student@example.com', 'Test@123456');
+        adminToken = await login('lifecycle-admin@example.com', 'Test@123456');
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should reject an unknown provider', async () => {
+        const response = await request(app)
+            .post('/api/v1/payment/checkout')
+            .set('Authorization', `Bearer ${studentToken}`)
+            .send({ courseId, provider: 'carrier-pigeon' })
+            .expect(400);
+
+        expect(response.body.success).toBe(false);
+    });
+
+    it('should create a pending enrollment and transaction on checkout', async () => {
+        const response = await request(app)
+            .post('/api/v1/payment/checkout')
+            .set('Authorization', `Bearer ${studentToken}`)
+            .send({ courseId, provider: 'fake' })
+            .expect(201);
+
+        ({ transactionId, enrollmentId } = response.body.data);
+        expect(response.body.data.provider).toBe('fake');
+
+        const transaction = await Transaction.findByPk(transactionId);
+        const enrollment = await Enrollment.findByPk(enrollmentId);
+        expect(transaction.status).toBe('pending');
+        expect(transaction.payment_provider).toBe('fake');
+        expect(enrollment.payment_status).toBe('pending');
+    });
+
+    it('should not grant curriculum access while the payment is pending', async () => {
+        await request(app)
+            .get(`/api/v1/courses/${courseId}/curriculum`)
+            .set('Authorization', `Bearer ${studentToken}`)
+            .expect(403);
+    });
+
+    it('should reject a callback with an invalid signature', async () => {
+        await postCallback({ eventId: 'evt_fake_1', transactionId, status: 'completed' }, 'deadbeef').expect(400);
+
+        const transaction = await Transaction.findByPk(transactionId);
+        expect(transaction.status).toBe('pending');
+    });
+
+    it('should complete the purchase on a signed callback', async () => {
+        const response = await postCallback({ eventId: 'evt_fake_1', transactionId, status: 'completed' }).expect(200);
+
+        expect(response.body.data.duplicate).toBe(false);
+
+        const transaction = await Transaction.findByPk(transactionId);
+        const enrollment = await Enrollment.findByPk(enrollmentId);
+        expect(transaction.status).toBe('completed');
+        expect(enrollment.payment_status).toBe('completed');
+    });
+
+    it('should ignore a replayed callback', async () => {
+        const response = await postCallback({ eventId: 'evt_fake_1', transactionId, status: 'completed' }).expect(200);
+
+        expect(response.body.data.duplicate).toBe(true);
+        expect(await WebhookEvent.count({ where: { provider: 'fake', event_id: 'evt_fake_1' } })).toBe(1);
+    });
+
+    it('should grant curriculum access once the payment is completed', async () => {
+        const response = await request(app)
+            .get(`/api/v1/courses/${courseId}/curriculum`)
+            .set('Authorization', `Bearer ${studentToken}`)
+            .expect(200);
+
+        expect(response.body.success).toBe(true);
+    });
+
+    it('should let an admin reconcile a transaction with the provider', async () => {
+        const response = await request(app)
+            .post(`/api/v1/payment/admin/transactions/${transactionId}/sync`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(response.body.data.previousStatus).toBe('completed');
+        expect(response.body.data.providerStatus).toBe('completed');
+    });
+
+    it('should not let a student reconcile transactions', async () => {
+        await request(app)
+            .post(`/api/v1/payment/admin/transactions/${transactionId}/sync`)
+            .set('Authorization', `Bearer ${studentToken}`)
+            .expect(403);
+    });
+});
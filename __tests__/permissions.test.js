@@ -0,0 +1,171 @@
+// ============================================================================
+// __tests__/permissions.test.js - Custom Roles & Permission Checks
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const { seedRolesAndPermissions } = require('../services/permissionService');
+const { User, Role, sequelize } = require('../models');
+
+/**
+ * Access token for a user without going through login
+ */
+const tokenFor = user => jwt.sign({ id: user.id, email: user.email, role: user.role, ver: 0 }, process.env.JWT_SECRET);
+
+describe('Roles & Permissions', () => {
+    let adminToken;
+    let reviewer;
+    let reviewerToken;
+    let roleId;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await seedRolesAndPermissions();
+
+        const admin = await User.create({
+            email: 'roles-admin@example.com',
+            password_hash: 'Test@123456',
+            name: 'Roles Admin',
+            role: 'admin',
+            email_verified: true,
+        });
+        reviewer = await User.create({
+            email: 'roles-reviewer@example.com',
+            password_hash: 'Test@123456',
+            name: 'Payments Reviewer',
+            role: 'student',
+            email_verified: true,
+        });
+
+        adminToken = tokenFor(admin);
+        reviewerToken = tokenFor(reviewer);
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should seed the built-in roles as permission sets', async () => {
+        const response = await request(app)
+            .get('/api/v1/admin/roles')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        const bySlug = Object.fromEntries(response.body.data.roles.map(role => [role.slug, role]));
+        expect(bySlug.student.permissions).toEqual(['learning:access']);
+        expect(bySlug.instructor.permissions).toContain('courses:author');
+        expect(bySlug.admin.permissions).toContain('payments:approve');
+        expect(bySlug.admin.isSystem).toBe(true);
+    });
+
+    it('should deny a student the payment review queue', async () => {
+        const response = await request(app)
+            .get('/api/v1/payment/admin/pending')
+            .set('Authorization', `Bearer ${reviewerToken}`)
+            .expect(403);
+
+        expect(response.body.message).toMatch(/payments:review/);
+    });
+
+    it('should let an admin create a custom role and assign it', async () => {
+        const created = await request(app)
+            .post('/api/v1/admin/roles')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Payments reviewer', permissions: ['payments:review', 'payments:approve'] })
+            .expect(201);
+        roleId = created.body.data.role.id;
+        expect(created.body.data.role.slug).toBe('payments-reviewer');
+
+        await request(app)
+            .post(`/api/v1/admin/users/${reviewer.id}/roles`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ roleId })
+            .expect(201);
+
+        const roles = await request(app)
+            .get(`/api/v1/admin/users/${reviewer.id}/roles`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(roles.body.data.permissions).toEqual(['learning:access', 'payments:approve', 'payments:review']);
+    });
+
+    it('should grant the custom role its permissions but nothing else', async () => {
+        await request(app)
+            .get('/api/v1/payment/admin/pending')
+            .set('Authorization', `Bearer ${reviewerToken}`)
+            .expect(200);
+
+        await request(app)
+            .get('/api/v1/admin/users')
+            .set('Authorization', `Bearer ${reviewerToken}`)
+            .expect(403);
+    });
+
+    it('should reject unknown permissions and protect built-in roles', async () => {
+        await request(app)
+            .post('/api/v1/admin/roles')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Typo role', permissions: ['payments:aprove'] })
+            .expect(400);
+
+        const adminRole = await Role.findOne({ where: { slug: 'admin' } });
+        await request(app)
+            .delete(`/api/v1/admin/roles/${adminRole.id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(400);
+    });
+
+    it('should revoke access when the role is removed', async () => {
+        await request(app)
+            .delete(`/api/v1/admin/users/${reviewer.id}/roles/${roleId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        await request(app)
+            .get('/api/v1/payment/admin/pending')
+            .set('Authorization', `Bearer ${reviewerToken}`)
+            .expect(403);
+    });
+
+    it('should stop non-admin role managers from escalating', async () => {
+        const managerRole = await request(app)
+            .post('/api/v1/admin/roles')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'User manager', permissions: ['roles:manage', 'users:manage'] })
+            .expect(201);
+
+        const manager = await User.create({
+            email: 'roles-manager@example.com',
+            password_hash: 'Test@123456',
+            name: 'User Manager',
+            role: 'student',
+            email_verified: true,
+        });
+        await request(app)
+            .post(`/api/v1/admin/users/${manager.id}/roles`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ roleId: managerRole.body.data.role.id })
+            .expect(201);
+        const managerToken = tokenFor(manager);
+
+        await request(app)
+            .post('/api/v1/admin/roles')
+            .set('Authorization', `Bearer ${managerToken}`)
+            .send({ name: 'Self promotion', permissions: ['payments:approve'] })
+            .expect(403);
+
+        await request(app)
+            .post(`/api/v1/admin/users/${manager.id}/roles`)
+            .set('Authorization', `Bearer ${managerToken}`)
+            .send({ roleId })
+            .expect(403);
+
+        const admin = await User.findOne({ where: { email: 'roles-admin@example.com' } });
+        await request(app)
+            .put(`/api/v1/admin/users/${admin.id}`)
+            .set('Authorization', `Bearer ${managerToken}`)
+            .send({ email: 'taken-over@example.com' })
+            .expect(403);
+    });
+});
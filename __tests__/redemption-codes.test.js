@@ -0,0 +1,156 @@
+// ============================================================================
+// __tests__/redemption-codes.test.js - Gift & Enrollment Code Tests
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const { signCallback } = require('../services/payments/fakeProvider');
+const { User, Course, Enrollment, RedemptionCode, sequelize } = require('../models');
+
+/**
+ * Access token for a user without going through login
+ */
+const tokenFor = user => jwt.sign({ id: user.id, email: user.email, role: user.role, ver: 0 }, process.env.JWT_SECRET);
+
+/**
+ * Post a provider-side status change to the fake provider webhook
+ */
+const postCallback = (body) => {
+    const payload = JSON.stringify(body);
+
+    return request(app)
+        .post('/api/v1/payment/webhook/fake')
+        .set('Content-Type', 'application/json')
+        .set('X-Fake-Signature', signCallback(payload))
+        .send(payload);
+};
+
+const redeem = (token, code) => request(app)
+    .post('/api/v1/student/redeem')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code });
+
+const createStudent = email => User.create({
+    email,
+    password_hash: 'Test@123456',
+    name: 'Code Student',
+    role: 'student',
+    email_verified: true,
+});
+
+describe('Gift & Enrollment Codes', () => {
+    let buyerToken;
+    let courseId;
+    let transactionId;
+    let codes;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructor = await User.create({
+            email: 'codes-instructor@example.com',
+            password_hash: 'Test@123456',
+            name: 'Codes Instructor',
+            role: 'instructor',
+            email_verified: true,
+        });
+        const buyer = await createStudent('codes-buyer@example.com');
+        buyerToken = tokenFor(buyer);
+
+        const course = await Course.create({
+            instructor_id: instructor.id,
+            title: 'Team Training Course',
+            slug: 'team-training-course',
+            description: 'A course bought in bulk for a team',
+            price: 900,
+            currency: 'EGP',
+            level: 'beginner',
+            is_published: true,
+        });
+        courseId = course.id;
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should create pending codes for a batch purchase', async () => {
+        const response = await request(app)
+            .post('/api/v1/payment/codes/checkout')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ courseId, quantity: 2, provider: 'fake' })
+            .expect(201);
+
+        ({ transactionId } = response.body.data);
+        expect(response.body.data.amount).toBe(1800);
+
+        codes = await RedemptionCode.findAll({ where: { transaction_id: transactionId }, order: [['code', 'ASC']] });
+        expect(codes).toHaveLength(2);
+        expect(codes.every(code => code.status === 'pending' && code.kind === 'batch')).toBe(true);
+    });
+
+    it('should not redeem a code before its purchase is paid', async () => {
+        const student = await createStudent('codes-early@example.com');
+
+        await redeem(tokenFor(student), codes[0].code).expect(400);
+        expect(await Enrollment.count({ where: { user_id: student.id } })).toBe(0);
+    });
+
+    it('should redeem a paid code once, for a share of the purchase price', async () => {
+        await postCallback({ eventId: 'evt_codes_paid', transactionId, status: 'completed' }).expect(200);
+        await codes[0].reload();
+        expect(codes[0].status).toBe('active');
+
+        const student = await createStudent('codes-first@example.com');
+        // Codes are accepted as typed, in any case and without dashes
+        const typed = codes[0].code.toLowerCase().replace(/-/g, '');
+        const response = await redeem(tokenFor(student), typed).expect(201);
+
+        const enrollment = await Enrollment.findByPk(response.body.data.enrollmentId);
+        expect(enrollment.user_id).toBe(student.id);
+        expect(enrollment.payment_status).toBe('completed');
+        expect(parseFloat(enrollment.price_paid)).toBe(900);
+
+        await codes[0].reload();
+        expect(codes[0].status).toBe('redeemed');
+        expect(codes[0].redeemed_by).toBe(student.id);
+
+        const other = await createStudent('codes-second@example.com');
+        const reuse = await redeem(tokenFor(other), codes[0].code).expect(400);
+        expect(reuse.body.message).toContain('already been used');
+        expect(await Enrollment.count({ where: { user_id: other.id } })).toBe(0);
+    });
+
+    it('should let only one of two concurrent redemptions use a code', async () => {
+        const students = await Promise.all([
+            createStudent('codes-race-a@example.com'),
+            createStudent('codes-race-b@example.com'),
+        ]);
+
+        const responses = await Promise.all(students.map(student => redeem(tokenFor(student), codes[1].code)));
+
+        expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+        expect(await Enrollment.count({ where: { user_id: students.map(student => student.id) } })).toBe(1);
+    });
+
+    it('should revoke unused codes when the purchase is refunded', async () => {
+        const response = await request(app)
+            .post('/api/v1/payment/gifts/checkout')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ courseId, recipientEmail: 'friend@example.com', provider: 'fake' })
+            .expect(201);
+        const giftTransactionId = response.body.data.transactionId;
+
+        await postCallback({ eventId: 'evt_gift_paid', transactionId: giftTransactionId, status: 'completed' }).expect(200);
+        await postCallback({ eventId: 'evt_gift_refunded', transactionId: giftTransactionId, status: 'refunded' }).expect(200);
+
+        const [gift] = await RedemptionCode.findAll({ where: { transaction_id: giftTransactionId } });
+        expect(gift.kind).toBe('gift');
+        expect(gift.recipient_email).toBe('friend@example.com');
+        expect(gift.status).toBe('revoked');
+
+        const friend = await createStudent('friend@example.com');
+        await redeem(tokenFor(friend), gift.code).expect(400);
+    });
+});
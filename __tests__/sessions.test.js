@@ -0,0 +1,118 @@
+// ============================================================================
+// __tests__/sessions.test.js - Device Sessions & Refresh Token Rotation Tests
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const { User, Session, sequelize } = require('../models');
+
+const PASSWORD = 'Session@123456';
+
+/**
+ * Log in from a device; returns the access and refresh tokens
+ */
+const loginFrom = async (userAgent) => {
+    const response = await request(app)
+        .post('/api/v1/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ email: 'sessions@example.com', password: PASSWORD })
+        .expect(200);
+    return response.body.data;
+};
+
+/**
+ * Session row an access token was issued for
+ */
+const sessionOf = token => Session.findByPk(jwt.decode(token).sid);
+
+const refresh = refreshToken => request(app)
+    .post('/api/v1/auth/refresh-token')
+    .send({ refreshToken });
+
+describe('Device Sessions', () => {
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        await User.create({
+            email: 'sessions@example.com',
+            password_hash: PASSWORD,
+            name: 'Session User',
+            role: 'student',
+            email_verified: true,
+        });
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should keep one session per device', async () => {
+        const laptop = await loginFrom('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0');
+        await loginFrom('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1');
+
+        const response = await request(app)
+            .get('/api/v1/auth/sessions')
+            .set('Authorization', `Bearer ${laptop.token}`)
+            .expect(200);
+
+        expect(response.body.data.sessions).toHaveLength(2);
+        expect(response.body.data.sessions.filter(session => session.current)).toHaveLength(1);
+    });
+
+    it('should rotate the refresh token on every use', async () => {
+        const { refreshToken } = await loginFrom('rotation-device');
+
+        const first = await refresh(refreshToken).expect(200);
+        expect(first.body.data.token).toBeDefined();
+        expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+        const second = await refresh(first.body.data.refreshToken).expect(200);
+        expect(second.body.data.refreshToken).not.toBe(first.body.data.refreshToken);
+    });
+
+    it('should revoke the whole session when an old refresh token is reused', async () => {
+        const { token, refreshToken } = await loginFrom('reuse-device');
+        const rotated = await refresh(refreshToken).expect(200);
+
+        // The stolen copy of the first token comes back
+        await refresh(refreshToken).expect(401);
+
+        const session = await sessionOf(token);
+        expect(session.revoked_at).not.toBeNull();
+        expect(session.revoked_reason).toBe('token_reuse');
+
+        // Neither the legitimate rotated token nor the session's access tokens work any more
+        await refresh(rotated.body.data.refreshToken).expect(401);
+        await request(app)
+            .get('/api/v1/auth/me')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(401);
+        await request(app)
+            .get('/api/v1/auth/me')
+            .set('Authorization', `Bearer ${rotated.body.data.token}`)
+            .expect(401);
+    });
+
+    it('should sign out a single device', async () => {
+        const { token } = await loginFrom('keeper-device');
+        const other = await loginFrom('lost-device');
+
+        const otherSession = await sessionOf(other.token);
+
+        await request(app)
+            .delete(`/api/v1/auth/sessions/${otherSession.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        await refresh(other.refreshToken).expect(401);
+        await request(app)
+            .get('/api/v1/auth/me')
+            .set('Authorization', `Bearer ${other.token}`)
+            .expect(401);
+        await request(app)
+            .get('/api/v1/auth/me')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+    });
+});
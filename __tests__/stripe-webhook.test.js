@@ -0,0 +1,147 @@
+// ============================================================================
+// __tests__/stripe-webhook.test.js - Stripe Webhook Tests (Recorded Fixtures)
+// ============================================================================
+
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_itslab';
+
+const Stripe = require('stripe');
+const request = require('supertest');
+const app = require('../server');
+const { User, Course, Enrollment, Transaction, WebhookEvent, sequelize } = require('../models');
+
+const completedEvent = require('./fixtures/stripe/checkout.session.completed.json');
+const expiredEvent = require('./fixtures/stripe/checkout.session.expired.json');
+const refundedEvent = require('./fixtures/stripe/charge.refunded.json');
+
+/**
+ * Send a fixture to the webhook with a valid Stripe-Signature header
+ */
+const postEvent = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+    const payload = JSON.stringify(event);
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+    return request(app)
+        .post('/api/v1/payment/webhook/stripe')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', signature)
+        .send(payload);
+};
+
+/**
+ * Create the pending enrollment + transaction a checkout session would have created
+ */
+const createPendingPurchase = async ({ student, course, session }) => {
+    const enrollment = await Enrollment.create({
+        id: session.metadata.enrollmentId,
+        user_id: student.id,
+        course_id: course.id,
+        price_paid: course.price,
+        payment_status: 'pending',
+        payment_transaction_id: session.id,
+        metadata: { paymentMethod: 'card', provider: 'stripe', checkoutSessionId: session.id },
+    });
+
+    const transaction = await Transaction.create({
+        id: session.metadata.transactionId,
+        user_id: student.id,
+        course_id: course.id,
+        amount: course.price,
+        status: 'pending',
+        payment_method: 'card',
+        payment_provider: 'stripe',
+        transaction_id: session.id,
+        metadata: { enrollmentId: enrollment.id, checkoutSessionId: session.id },
+    });
+
+    return { enrollment, transaction };
+};
+
+describe('Stripe Webhook', () => {
+    let paidPurchase;
+    let expiredPurchase;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructor = await User.create({
+            email: 'stripe-instructor@example.com',
+            password_hash: 'Test@123456',
+            name: 'Stripe Instructor',
+            role: 'instructor',
+            email_verified: true,
+        });
+
+        const student = await User.create({
+            email: 'stripe-student@example.com',
+            password_hash: 'Test@123456',
+            name: 'Stripe Student',
+            role: 'student',
+            email_verified: true,
+        });
+
+        const [paidCourse, expiredCourse] = await Promise.all(['Paid', 'Expired'].map(label => Course.create({
+            instructor_id: instructor.id,
+            title: `Stripe ${label} Course`,
+            slug: `stripe-${label.toLowerCase()}-course`,
+            description: 'A course used to test Stripe webhook settlement',
+            price: 1500,
+            currency: 'EGP',
+            level: 'beginner',
+            is_published: true,
+        })));
+
+        paidPurchase = await createPendingPurchase({ student, course: paidCourse, session: completedEvent.data.object });
+        expiredPurchase = await createPendingPurchase({ student, course: expiredCourse, session: expiredEvent.data.object });
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should reject events with an invalid signature', async () => {
+        const response = await postEvent(completedEvent, 'whsec_wrong_secret').expect(400);
+
+        expect(response.body.success).toBe(false);
+
+        await paidPurchase.transaction.reload();
+        expect(paidPurchase.transaction.status).toBe('pending');
+    });
+
+    it('should complete the enrollment and transaction on checkout.session.completed', async () => {
+        const response = await postEvent(completedEvent).expect(200);
+
+        expect(response.body.data.duplicate).toBe(false);
+
+        await paidPurchase.transaction.reload();
+        await paidPurchase.enrollment.reload();
+        expect(paidPurchase.transaction.status).toBe('completed');
+        expect(paidPurchase.transaction.provider_transaction_id).toBe(completedEvent.data.object.payment_intent);
+        expect(paidPurchase.enrollment.payment_status).toBe('completed');
+    });
+
+    it('should acknowledge a replayed event without applying it twice', async () => {
+        const response = await postEvent(completedEvent).expect(200);
+
+        expect(response.body.data.duplicate).toBe(true);
+        expect(await WebhookEvent.count({ where: { event_id: completedEvent.id } })).toBe(1);
+    });
+
+    it('should fail the pending purchase on checkout.session.expired', async () => {
+        await postEvent(expiredEvent).expect(200);
+
+        await expiredPurchase.transaction.reload();
+        await expiredPurchase.enrollment.reload();
+        expect(expiredPurchase.transaction.status).toBe('failed');
+        expect(expiredPurchase.enrollment.payment_status).toBe('failed');
+    });
+
+    it('should refund the enrollment on charge.refunded', async () => {
+        await postEvent(refundedEvent).expect(200);
+
+        await paidPurchase.transaction.reload();
+        await paidPurchase.enrollment.reload();
+        expect(paidPurchase.transaction.status).toBe('refunded');
+        expect(paidPurchase.transaction.refunded_at).toBeTruthy();
+        expect(paidPurchase.enrollment.payment_status).toBe('refunded');
+    });
+});
@@ -0,0 +1,158 @@
+// ============================================================================
+// __tests__/subscriptions.test.js - Membership Access, Renewal & Expiry Tests
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const {
+    applySubscriptionPayment,
+    cancelSubscription,
+    expireLapsedSubscriptions,
+} = require('../services/subscriptionService');
+const { User, Course, Plan, Subscription, Transaction, Notification, sequelize } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Access token for a user without going through login
+ */
+const tokenFor = user => jwt.sign({ id: user.id, email: user.email, role: user.role, ver: 0 }, process.env.JWT_SECRET);
+
+const daysFromNow = days => new Date(Date.now() + days * DAY_MS);
+
+describe('Memberships', () => {
+    let plan;
+    let courseId;
+
+    const createMember = async (email, attributes) => {
+        const user = await User.create({
+            email,
+            password_hash: 'Test@123456',
+            name: 'Member',
+            role: 'student',
+            email_verified: true,
+        });
+        const subscription = await Subscription.create({ user_id: user.id, plan_id: plan.id, ...attributes });
+        return { user, subscription };
+    };
+
+    const getCurriculum = user => request(app)
+        .get(`/api/v1/courses/${courseId}/curriculum`)
+        .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructor = await User.create({
+            email: 'members-instructor@example.com',
+            password_hash: 'Test@123456',
+            name: 'Members Instructor',
+            role: 'instructor',
+            email_verified: true,
+        });
+        const course = await Course.create({
+            instructor_id: instructor.id,
+            title: 'Members Course',
+            slug: 'members-course',
+            description: 'A paid course members can open without buying it',
+            price: 900,
+            currency: 'EGP',
+            level: 'beginner',
+            is_published: true,
+        });
+        courseId = course.id;
+
+        plan = await Plan.create({
+            name: 'Monthly',
+            slug: 'monthly',
+            interval: 'month',
+            price: 300,
+            currency: 'EGP',
+            grace_period_days: 3,
+        });
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should start a period on payment and extend it on an early renewal', async () => {
+        const { user, subscription } = await createMember('renewing@example.com', { status: 'pending' });
+        const payment = await Transaction.create({ user_id: user.id, amount: 300, currency: 'EGP', status: 'completed' });
+
+        await applySubscriptionPayment(subscription.id, 'completed', payment);
+        await subscription.reload();
+        expect(subscription.status).toBe('active');
+        const firstExpiry = subscription.expires_at;
+        expect(subscription.grace_ends_at.getTime() - firstExpiry.getTime()).toBe(3 * DAY_MS);
+
+        await applySubscriptionPayment(subscription.id, 'completed', payment);
+        await subscription.reload();
+        const expected = new Date(firstExpiry);
+        expected.setMonth(expected.getMonth() + 1);
+        expect(subscription.expires_at.getTime()).toBe(expected.getTime());
+
+        await getCurriculum(user).expect(200);
+    });
+
+    it('should keep access through the grace period and expire afterwards', async () => {
+        const inGrace = await createMember('in-grace@example.com', {
+            status: 'active',
+            expires_at: daysFromNow(-1),
+            grace_ends_at: daysFromNow(2),
+        });
+        const lapsed = await createMember('lapsed@example.com', {
+            status: 'active',
+            expires_at: daysFromNow(-4),
+            grace_ends_at: daysFromNow(-1),
+        });
+
+        await getCurriculum(inGrace.user).expect(200);
+
+        expect(await expireLapsedSubscriptions()).toBe(1);
+
+        await lapsed.subscription.reload();
+        await inGrace.subscription.reload();
+        expect(lapsed.subscription.status).toBe('expired');
+        expect(inGrace.subscription.status).toBe('active');
+        expect(await Notification.count({ where: { user_id: lapsed.user.id, type: 'subscription_expired' } })).toBe(1);
+
+        await getCurriculum(lapsed.user).expect(403);
+
+        // Already expired subscriptions are not processed or notified again
+        expect(await expireLapsedSubscriptions()).toBe(0);
+    });
+
+    it('should keep a cancelled membership until the paid period ends, without grace', async () => {
+        const { user, subscription } = await createMember('cancelling@example.com', {
+            status: 'active',
+            expires_at: daysFromNow(10),
+            grace_ends_at: daysFromNow(13),
+        });
+
+        await cancelSubscription(subscription);
+        await getCurriculum(user).expect(200);
+        expect(await expireLapsedSubscriptions()).toBe(0);
+
+        await subscription.update({ expires_at: daysFromNow(-1) });
+        expect(await expireLapsedSubscriptions()).toBe(1);
+        await subscription.reload();
+        expect(subscription.status).toBe('expired');
+        await getCurriculum(user).expect(403);
+    });
+
+    it('should end access immediately when the membership payment is refunded', async () => {
+        const { user, subscription } = await createMember('refunded-member@example.com', {
+            status: 'active',
+            expires_at: daysFromNow(20),
+            grace_ends_at: daysFromNow(23),
+        });
+        const payment = await Transaction.create({ user_id: user.id, amount: 300, currency: 'EGP', status: 'refunded' });
+
+        await applySubscriptionPayment(subscription.id, 'refunded', payment);
+        await subscription.reload();
+        expect(subscription.status).toBe('expired');
+        await getCurriculum(user).expect(403);
+    });
+});
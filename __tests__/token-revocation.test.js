@@ -0,0 +1,133 @@
+// ============================================================================
+// __tests__/token-revocation.test.js - Token Version Bump Tests
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const { seedRolesAndPermissions } = require('../services/permissionService');
+const { User, sequelize } = require('../models');
+
+const PASSWORD = 'Revoke@123456';
+
+/**
+ * Access token for a user without going through login
+ */
+const tokenFor = user => jwt.sign({ id: user.id, email: user.email, role: user.role, ver: user.token_version }, process.env.JWT_SECRET);
+
+const getProfile = token => request(app)
+    .get('/api/v1/auth/me')
+    .set('Authorization', `Bearer ${token}`);
+
+/**
+ * Create a user and log them in twice, as if from two devices
+ */
+const createSignedInUser = async (email, role = 'student') => {
+    const user = await User.create({ email, password_hash: PASSWORD, name: 'Token User', role, email_verified: true });
+
+    const tokens = [];
+    for (const userAgent of ['laptop', 'phone']) {
+        const response = await request(app)
+            .post('/api/v1/auth/login')
+            .set('User-Agent', userAgent)
+            .send({ email, password: PASSWORD })
+            .expect(200);
+        tokens.push(response.body.data.token);
+    }
+
+    return { user, tokens };
+};
+
+describe('Access Token Revocation', () => {
+    let adminToken;
+
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        await seedRolesAndPermissions();
+
+        const admin = await User.create({
+            email: 'revoke-admin@example.com',
+            password_hash: PASSWORD,
+            name: 'Revoke Admin',
+            role: 'admin',
+            email_verified: true,
+        });
+        adminToken = tokenFor(admin);
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    it('should retire other tokens when the password changes', async () => {
+        const { user, tokens: [laptopToken, phoneToken] } = await createSignedInUser('password-change@example.com');
+
+        const response = await request(app)
+            .put('/api/v1/auth/change-password')
+            .set('Authorization', `Bearer ${laptopToken}`)
+            .send({ currentPassword: PASSWORD, newPassword: 'Changed@123456' })
+            .expect(200);
+
+        await user.reload();
+        expect(user.token_version).toBe(1);
+
+        // The device that changed the password gets a fresh token for its session
+        await getProfile(response.body.data.token).expect(200);
+        await getProfile(laptopToken).expect(401);
+        await getProfile(phoneToken).expect(401);
+    });
+
+    it('should retire every token when an admin changes the role', async () => {
+        const { user, tokens } = await createSignedInUser('role-change@example.com');
+
+        await request(app)
+            .put(`/api/v1/admin/users/${user.id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ role: 'instructor' })
+            .expect(200);
+
+        await user.reload();
+        expect(user.role).toBe('instructor');
+        expect(user.token_version).toBe(1);
+
+        for (const token of tokens) {
+            await getProfile(token).expect(401);
+        }
+    });
+
+    it('should keep tokens from before a deactivation invalid after reactivation', async () => {
+        const { user, tokens: [token] } = await createSignedInUser('deactivated@example.com');
+
+        await request(app)
+            .put(`/api/v1/admin/users/${user.id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ isActive: false })
+            .expect(200);
+
+        await getProfile(token).expect(403);
+
+        await request(app)
+            .put(`/api/v1/admin/users/${user.id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ isActive: true })
+            .expect(200);
+
+        await user.reload();
+        expect(user.token_version).toBe(1);
+        await getProfile(token).expect(401);
+    });
+
+    it('should leave tokens alone for unrelated profile edits', async () => {
+        const { user, tokens: [token] } = await createSignedInUser('rename@example.com');
+
+        await request(app)
+            .put(`/api/v1/admin/users/${user.id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Renamed User' })
+            .expect(200);
+
+        await user.reload();
+        expect(user.token_version).toBe(0);
+        await getProfile(token).expect(200);
+    });
+});
@@ -0,0 +1,146 @@
+// ============================================================================
+// __tests__/two-factor.test.js - TOTP, Replay & Recovery Code Tests
+// ============================================================================
+
+require('dotenv').config();
+const { User, sequelize } = require('../models');
+const {
+    generateHotp,
+    verifyTotp,
+    encryptSecret,
+    generateRecoveryCodes,
+    verifyUserCode,
+} = require('../services/twoFactorService');
+
+// RFC 4226 / RFC 6238 test secret: the ASCII string "12345678901234567890"
+const RFC_SECRET = Buffer.from('12345678901234567890');
+const RFC_SECRET_BASE32 = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const atTime = (seconds) => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+describe('Two-Factor Authentication', () => {
+    beforeAll(async () => {
+        await sequelize.sync({ force: true });
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('generateHotp', () => {
+        it('should match the RFC 4226 Appendix D values', () => {
+            const expected = ['755224', '287082', '359152', '969429', '338314',
+                '254676', '287922', '162583', '399871', '520489'];
+
+            expected.forEach((code, counter) => {
+                expect(generateHotp(RFC_SECRET, counter)).toBe(code);
+            });
+        });
+    });
+
+    describe('verifyTotp', () => {
+        // RFC 6238 Appendix B (SHA-1), truncated to the 6 digits authenticator apps show
+        it.each([
+            [59, 1, '287082'],
+            [1111111109, 37037036, '081804'],
+            [1111111111, 37037037, '050471'],
+            [1234567890, 41152263, '005924'],
+            [2000000000, 66666666, '279037'],
+            [20000000000, 666666666, '353130'],
+        ])('should accept the RFC 6238 code at T=%i', (seconds, step, code) => {
+            atTime(seconds);
+            expect(verifyTotp(RFC_SECRET_BASE32, code)).toBe(step);
+        });
+
+        it('should accept the neighbouring steps for clock drift but not further', () => {
+            atTime(1111111111);
+            expect(verifyTotp(RFC_SECRET_BASE32, generateHotp(RFC_SECRET, 37037036))).toBe(37037036);
+            expect(verifyTotp(RFC_SECRET_BASE32, generateHotp(RFC_SECRET, 37037038))).toBe(37037038);
+            expect(verifyTotp(RFC_SECRET_BASE32, generateHotp(RFC_SECRET, 37037039))).toBeNull();
+        });
+
+        it('should reject a code from an already used step', () => {
+            atTime(1111111111);
+            expect(verifyTotp(RFC_SECRET_BASE32, '050471', 37037037)).toBeNull();
+            expect(verifyTotp(RFC_SECRET_BASE32, '050471', 37037036)).toBe(37037037);
+        });
+
+        it('should reject malformed codes', () => {
+            atTime(59);
+            expect(verifyTotp(RFC_SECRET_BASE32, '28708')).toBeNull();
+            expect(verifyTotp(RFC_SECRET_BASE32, 'abcdef')).toBeNull();
+            expect(verifyTotp(RFC_SECRET_BASE32, '')).toBeNull();
+        });
+    });
+
+    describe('verifyUserCode', () => {
+        let user;
+        let recoveryCodes;
+
+        beforeAll(async () => {
+            const { codes, hashes } = generateRecoveryCodes();
+            recoveryCodes = codes;
+            user = await User.create({
+                email: 'two-factor@example.com',
+                password_hash: 'Test@123456',
+                name: 'Two Factor',
+                role: 'student',
+                two_factor_enabled: true,
+                two_factor_secret: encryptSecret(RFC_SECRET_BASE32),
+                two_factor_recovery_codes: hashes,
+            });
+        });
+
+        it('should accept a TOTP code once and reject its replay', async () => {
+            atTime(1234567890);
+
+            expect(await verifyUserCode(user, { code: '005924' })).toBe('totp');
+            expect(Number(user.two_factor_last_step)).toBe(41152263);
+
+            const fresh = await User.findByPk(user.id);
+            expect(await verifyUserCode(fresh, { code: '005924' })).toBeNull();
+        });
+
+        it('should accept each recovery code only once', async () => {
+            expect(await verifyUserCode(user, { recoveryCode: recoveryCodes[0].toUpperCase() })).toBe('recovery_code');
+            expect(user.two_factor_recovery_codes).toHaveLength(recoveryCodes.length - 1);
+
+            expect(await verifyUserCode(user, { recoveryCode: recoveryCodes[0] })).toBeNull();
+        });
+
+        it('should let only one of two concurrent requests spend a recovery code', async () => {
+            const [first, second] = await Promise.all([
+                User.findByPk(user.id),
+                User.findByPk(user.id),
+            ]);
+
+            const results = await Promise.all([
+                verifyUserCode(first, { recoveryCode: recoveryCodes[1] }),
+                verifyUserCode(second, { recoveryCode: recoveryCodes[1] }),
+            ]);
+
+            expect(results.filter(Boolean)).toEqual(['recovery_code']);
+            const stored = await User.findByPk(user.id);
+            expect(stored.two_factor_recovery_codes).toHaveLength(recoveryCodes.length - 2);
+        });
+
+        it('should let only one of two concurrent requests use a TOTP code', async () => {
+            atTime(2000000000);
+            const [first, second] = await Promise.all([
+                User.findByPk(user.id),
+                User.findByPk(user.id),
+            ]);
+
+            const results = await Promise.all([
+                verifyUserCode(first, { code: '279037' }),
+                verifyUserCode(second, { code: '279037' }),
+            ]);
+
+            expect(results.filter(Boolean)).toEqual(['totp']);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+// ============================================================================
+// __tests__/video-playback.test.js - Signed HLS Playback Token Tests
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { sequelize } = require('../models');
+const { signPlaybackToken, verifyPlaybackToken } = require('../services/playbackTokenService');
+
+const LESSON_ID = '00000000-0000-4000-8000-000000000001';
+const OTHER_LESSON_ID = '00000000-0000-4000-8000-000000000002';
+
+describe('HLS Playback Tokens', () => {
+    const videoFolder = path.join(process.cwd(), 'public/uploads/videos', LESSON_ID);
+    const keyFolder = path.join(process.cwd(), 'private/video-keys', LESSON_ID);
+    const key = Buffer.alloc(16, 7);
+
+    beforeAll(() => {
+        fs.mkdirSync(videoFolder, { recursive: true });
+        fs.mkdirSync(keyFolder, { recursive: true });
+        fs.writeFileSync(path.join(videoFolder, '360p_000.ts'), Buffer.alloc(188, 0x47));
+        fs.writeFileSync(path.join(keyFolder, '0.key'), key);
+    });
+
+    afterAll(async () => {
+        fs.rmSync(videoFolder, { recursive: true, force: true });
+        fs.rmSync(keyFolder, { recursive: true, force: true });
+        await sequelize.close();
+    });
+
+    it('should reject tampered, expired and other-lesson tokens', () => {
+        const token = signPlaybackToken({ lessonId: LESSON_ID, userId: 'u1', expiresInSeconds: 60 });
+        expect(verifyPlaybackToken(token, LESSON_ID)).toMatchObject({ lessonId: LESSON_ID, userId: 'u1' });
+        expect(verifyPlaybackToken(token, OTHER_LESSON_ID)).toBeNull();
+
+        const [payload, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ l: OTHER_LESSON_ID, u: 'u1', e: 9999999999 })).toString('base64url');
+        expect(verifyPlaybackToken(`${forged}.${signature}`, OTHER_LESSON_ID)).toBeNull();
+        expect(verifyPlaybackToken(`${payload}.${signature.slice(1)}`, LESSON_ID)).toBeNull();
+
+        const expired = signPlaybackToken({ lessonId: LESSON_ID, expiresInSeconds: -1 });
+        expect(verifyPlaybackToken(expired, LESSON_ID)).toBeNull();
+    });
+
+    it('should serve keys and segments only with a valid token', async () => {
+        await request(app)
+            .get(`/api/v1/courses/video/key/${LESSON_ID}/0`)
+            .expect(401);
+
+        const otherToken = signPlaybackToken({ lessonId: OTHER_LESSON_ID, expiresInSeconds: 60 });
+        await request(app)
+            .get(`/api/v1/courses/video/segment/${LESSON_ID}/360p_000.ts`)
+            .query({ token: otherToken })
+            .expect(401);
+
+        const token = signPlaybackToken({ lessonId: LESSON_ID, expiresInSeconds: 60 });
+        const keyResponse = await request(app)
+            .get(`/api/v1/courses/video/key/${LESSON_ID}/0`)
+            .query({ token })
+            .expect(200);
+        expect(Buffer.from(keyResponse.body).equals(key)).toBe(true);
+
+        await request(app)
+            .get(`/api/v1/courses/video/segment/${LESSON_ID}/360p_000.ts`)
+            .query({ token })
+            .expect(200);
+
+        await request(app)
+            .get(`/api/v1/courses/video/segment/${LESSON_ID}/..%2F..%2Fsecret.ts`)
+            .query({ token })
+            .expect(400);
+    });
+});
@@ -0,0 +1,146 @@
+// ============================================================================
+// __tests__/video-renditions.test.js - Rendition Ladder & HLS Playlist Tests
+// ============================================================================
+
+const {
+    DEFAULT_VIDEO_RENDITIONS,
+    normalizeRenditions,
+    selectRenditions,
+    buildMasterPlaylist,
+} = require('../services/videoService');
+const { patchHLSPlaylist } = require('../controllers/courseController');
+const { sequelize } = require('../models');
+
+const LESSON_ID = '00000000-0000-4000-8000-000000000001';
+
+describe('Video Renditions', () => {
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    describe('normalizeRenditions', () => {
+        it('should sort valid entries and fill in the default audio bitrate', () => {
+            const renditions = normalizeRenditions([
+                { name: '720p', height: 720, videoBitrate: '2800k' },
+                { name: '360p', height: '360', videoBitrate: '800k', audioBitrate: '96k' },
+            ]);
+
+            expect(renditions).toEqual([
+                { name: '360p', height: 360, videoBitrate: '800k', audioBitrate: '96k' },
+                { name: '720p', height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+            ]);
+        });
+
+        it('should drop malformed and duplicate entries', () => {
+            const renditions = normalizeRenditions([
+                { name: '480p', height: 480, videoBitrate: '1400k' },
+                { name: '480p', height: 540, videoBitrate: '1800k' },
+                { name: '../evil', height: 360, videoBitrate: '800k' },
+                { name: 'odd', height: 361, videoBitrate: '800k' },
+                { name: 'tiny', height: 100, videoBitrate: '200k' },
+                { name: '8k', height: 4320, videoBitrate: '40000k' },
+                { name: 'nobitrate', height: 360 },
+                { name: 'mbps', height: 360, videoBitrate: '1M' },
+                null,
+            ]);
+
+            expect(renditions.map(rendition => rendition.name)).toEqual(['480p']);
+        });
+
+        it('should fall back to the default ladder when nothing usable is configured', () => {
+            expect(normalizeRenditions(null)).toBe(DEFAULT_VIDEO_RENDITIONS);
+            expect(normalizeRenditions('240p,720p')).toBe(DEFAULT_VIDEO_RENDITIONS);
+            expect(normalizeRenditions([{ name: 'bad' }])).toBe(DEFAULT_VIDEO_RENDITIONS);
+        });
+    });
+
+    describe('selectRenditions', () => {
+        it('should never upscale past the source resolution', () => {
+            const selected = selectRenditions(DEFAULT_VIDEO_RENDITIONS, 720);
+            expect(selected.map(rendition => rendition.name)).toEqual(['240p', '360p', '720p']);
+        });
+
+        it('should keep the whole ladder when the source height is unknown', () => {
+            expect(selectRenditions(DEFAULT_VIDEO_RENDITIONS, null)).toBe(DEFAULT_VIDEO_RENDITIONS);
+        });
+
+        it('should encode a small source once at its own (even) height', () => {
+            expect(selectRenditions(DEFAULT_VIDEO_RENDITIONS, 181)).toEqual([
+                { ...DEFAULT_VIDEO_RENDITIONS[0], height: 180 },
+            ]);
+        });
+    });
+
+    describe('buildMasterPlaylist', () => {
+        it('should list every rendition with its bandwidth and scaled resolution', () => {
+            const renditions = selectRenditions(DEFAULT_VIDEO_RENDITIONS, 720);
+
+            expect(buildMasterPlaylist(renditions, { width: 1280, height: 720 })).toBe([
+                '#EXTM3U',
+                '#EXT-X-VERSION:3',
+                '#EXT-X-STREAM-INF:BANDWIDTH=541200,RESOLUTION=426x240',
+                '240p.m3u8',
+                '#EXT-X-STREAM-INF:BANDWIDTH=1047200,RESOLUTION=640x360',
+                '360p.m3u8',
+                '#EXT-X-STREAM-INF:BANDWIDTH=3436400,RESOLUTION=1280x720',
+                '720p.m3u8',
+                '',
+            ].join('\n'));
+        });
+
+        it('should leave out RESOLUTION when the source size is unknown', () => {
+            const playlist = buildMasterPlaylist([DEFAULT_VIDEO_RENDITIONS[0]], { width: null, height: null });
+            expect(playlist).toContain('#EXT-X-STREAM-INF:BANDWIDTH=541200\n240p.m3u8\n');
+        });
+    });
+
+    describe('patchHLSPlaylist', () => {
+        const token = 'payload.sig+/=';
+        const query = `token=${encodeURIComponent(token)}`;
+
+        it('should point master playlist entries at the variant route', () => {
+            const master = '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=541200\n240p.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=1047200\n360p.m3u8\n';
+
+            expect(patchHLSPlaylist(master, LESSON_ID, token).split('\n')).toEqual([
+                '#EXTM3U',
+                '#EXT-X-STREAM-INF:BANDWIDTH=541200',
+                `${LESSON_ID}?rendition=240p&${query}`,
+                '#EXT-X-STREAM-INF:BANDWIDTH=1047200',
+                `${LESSON_ID}?rendition=360p&${query}`,
+                '',
+            ]);
+        });
+
+        it('should rewrite absolute segment and rotating key URIs to the protected routes', () => {
+            const variant = [
+                '#EXTM3U',
+                '#EXT-X-KEY:METHOD=AES-128,URI="https://api.example.com/api/v1/courses/video/key/' + LESSON_ID + '/0",IV=0x0',
+                '#EXTINF:10.0,',
+                `https://api.example.com/api/v1/courses/video/segment/${LESSON_ID}/360p_000.ts`,
+                '#EXT-X-KEY:METHOD=AES-128,URI="https://api.example.com/api/v1/courses/video/key/' + LESSON_ID + '/1",IV=0x1',
+                '#EXTINF:10.0,',
+                '360p_001.ts',
+                '#EXT-X-ENDLIST',
+            ].join('\r\n');
+
+            expect(patchHLSPlaylist(variant, LESSON_ID, token).split('\n')).toEqual([
+                '#EXTM3U',
+                `#EXT-X-KEY:METHOD=AES-128,URI="key/${LESSON_ID}/0?${query}",IV=0x0`,
+                '#EXTINF:10.0,',
+                `segment/${LESSON_ID}/360p_000.ts?${query}`,
+                `#EXT-X-KEY:METHOD=AES-128,URI="key/${LESSON_ID}/1?${query}",IV=0x1`,
+                '#EXTINF:10.0,',
+                `segment/${LESSON_ID}/360p_001.ts?${query}`,
+                '#EXT-X-ENDLIST',
+            ]);
+        });
+
+        it('should keep the single-key URI for videos encoded before key rotation', () => {
+            const legacy = '#EXT-X-KEY:METHOD=AES-128,URI="http://localhost/api/v1/courses/video/key/' + LESSON_ID + '"\n#EXTINF:10.0,\nvideo_000.ts';
+
+            expect(patchHLSPlaylist(legacy, LESSON_ID, token)).toBe(
+                `#EXT-X-KEY:METHOD=AES-128,URI="key/${LESSON_ID}?${query}"\n#EXTINF:10.0,\nsegment/${LESSON_ID}/video_000.ts?${query}`
+            );
+        });
+    });
+});
@@ -16,6 +16,11 @@ const JWT_ACCESS_SECRET = process.env.JWT_SECRET;
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET + '_refresh';
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
 const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
+// Challenge tokens only prove one login step (e.g. the password); they can never be used as access tokens
+const JWT_CHALLENGE_SECRET = process.env.JWT_CHALLENGE_SECRET || process.env.JWT_SECRET + '_2fa_challenge';
+const JWT_CHALLENGE_EXPIRE = process.env.JWT_CHALLENGE_EXPIRE || '5m';
+// Impersonation tokens are access tokens for another user; keep them short and never refreshable
+const JWT_IMPERSONATION_EXPIRE = process.env.JWT_IMPERSONATION_EXPIRE || '15m';
 
 /**
  * Generate JWT access token
@@ -39,6 +44,19 @@ const generateRefreshToken = (payload) => {
   });
 };
 
+/**
+ * Generate a short-lived access token that lets an admin act as another user.
+ * The impersonator claim marks it; no refresh token is ever issued for it.
+ * @param {Object} payload - Access token payload of the impersonated user
+ * @param {Object} impersonator - { id, ver, reason } of the admin
+ * @returns {String} JWT token
+ */
+const generateImpersonationToken = (payload, impersonator) => {
+  return jwt.sign({ ...payload, impersonator }, JWT_ACCESS_SECRET, {
+    expiresIn: JWT_IMPERSONATION_EXPIRE,
+  });
+};
+
 /**
  * Verify JWT access token
  * @param {String} token - JWT token to verify
@@ -54,10 +72,38 @@ const verifyToken = (token, isRefreshToken = false) => {
   }
 };
 
+/**
+ * Generate a short-lived, single-purpose token (two-factor challenges, social login steps)
+ * @param {Object} payload - Data to encode, always including a purpose
+ * @param {String} [expiresIn] - Lifetime (defaults to JWT_CHALLENGE_EXPIRE)
+ * @returns {String} Challenge token
+ */
+const generateChallengeToken = (payload, expiresIn = JWT_CHALLENGE_EXPIRE) => {
+  return jwt.sign(payload, JWT_CHALLENGE_SECRET, {
+    expiresIn,
+  });
+};
+
+/**
+ * Verify a challenge token (callers check its purpose)
+ * @param {String} token - Challenge token
+ * @returns {Object} Decoded payload
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, JWT_CHALLENGE_SECRET);
+  } catch (error) {
+    throw new Error('Invalid or expired challenge token');
+  }
+};
+
 module.exports = {
   generateToken,
   generateRefreshToken,
+  generateImpersonationToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   JWT_ACCESS_SECRET,
   JWT_REFRESH_SECRET,
 };
\ No newline at end of file
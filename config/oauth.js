@@ -0,0 +1,78 @@
+// ============================================================================
+// CONFIG/OAUTH.JS - Social Login / OpenID Connect Providers
+// ============================================================================
+
+/**
+ * Providers enabled through environment variables. Read on each call so a provider
+ * can be switched on without code changes (and tests can point one at a mock server).
+ *
+ * - type 'oidc': endpoints come from {issuer}/.well-known/openid-configuration and the
+ *   identity is taken from the verified ID token
+ * - type 'github': plain OAuth2; the identity comes from the GitHub REST API
+ *
+ * @returns {Object} Provider definitions keyed by provider id
+ */
+const getProviders = () => {
+  const providers = {};
+
+  if (process.env.GOOGLE_CLIENT_ID) {
+    providers.google = {
+      type: 'oidc',
+      name: 'Google',
+      issuer: 'https://accounts.google.com',
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      scope: 'openid email profile',
+    };
+  }
+
+  if (process.env.GITHUB_CLIENT_ID) {
+    providers.github = {
+      type: 'github',
+      name: 'GitHub',
+      authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+      tokenEndpoint: 'https://github.com/login/oauth/access_token',
+      apiBaseUrl: 'https://api.github.com',
+      clientId: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      scope: 'read:user user:email',
+    };
+  }
+
+  // Any other OpenID Connect provider (e.g. a company SSO)
+  if (process.env.OIDC_ISSUER) {
+    providers[process.env.OIDC_PROVIDER_ID || 'oidc'] = {
+      type: 'oidc',
+      name: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+      issuer: process.env.OIDC_ISSUER,
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      scope: process.env.OIDC_SCOPE || 'openid email profile',
+    };
+  }
+
+  return providers;
+};
+
+/**
+ * URL on this API that starts the flow for a provider
+ * @param {string} providerId - Provider id
+ * @returns {string} Start URL
+ */
+const getStartUrl = (providerId) => {
+  const baseUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl}/api/v1/auth/oauth/${providerId}`;
+};
+
+/**
+ * Redirect URI registered with the provider
+ * @param {string} providerId - Provider id
+ * @returns {string} Callback URL on this API
+ */
+const getCallbackUrl = providerId => `${getStartUrl(providerId)}/callback`;
+
+module.exports = {
+  getProviders,
+  getStartUrl,
+  getCallbackUrl,
+};
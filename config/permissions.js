@@ -0,0 +1,56 @@
+// ============================================================================
+// CONFIG/PERMISSIONS.JS - Permission Catalogue & Built-in Role Permission Sets
+// ============================================================================
+
+/**
+ * Every permission the API checks, keyed as "area:action". Seeded into the
+ * permissions table on startup; custom roles may only use keys listed here.
+ */
+const PERMISSIONS = {
+  'learning:access': 'Enroll in courses, track progress, take quizzes and redeem codes',
+  'courses:author': 'Create and manage own courses, lessons, quizzes and coupons',
+  'courses:manage_all': 'View and edit every course on the platform',
+  'quiz_results:view': 'View quiz results for lessons',
+  'coupons:manage': 'Manage sitewide and per-course coupons',
+  'catalog:manage': 'Manage bundles, membership plans and subscriptions',
+  'payments:view': 'View transactions, invoices and redemption codes',
+  'payments:review': 'View pending manual payments and their receipts',
+  'payments:approve': 'Approve or reject manual payments and sync gateway transactions',
+  'refunds:manage': 'Review, approve and deny refund requests',
+  'payouts:manage': 'Manage instructor revenue share and payouts',
+  'users:view': 'View users and their sessions',
+  'users:manage': 'Update users, end their sessions and unlock accounts',
+  'instructors:review': 'Review instructor applications and approve new instructors',
+  'roles:manage': 'Create custom roles and assign them to users',
+  'organizations:manage': 'Manage organizations',
+  'analytics:view': 'View the admin dashboard, statistics and analytics',
+  'audit:view': 'View the audit log',
+  'settings:manage': 'Change platform settings',
+};
+
+/**
+ * Permission sets of the built-in roles, one per User.role value. Student and
+ * instructor are seeded once and can then be edited; admin always holds every permission.
+ */
+const SYSTEM_ROLES = {
+  student: {
+    name: 'Student',
+    description: 'Learners enrolled in courses',
+    permissions: ['learning:access'],
+  },
+  instructor: {
+    name: 'Instructor',
+    description: 'Course authors',
+    permissions: ['courses:author', 'quiz_results:view', 'payments:review'],
+  },
+  admin: {
+    name: 'Admin',
+    description: 'Platform administrators',
+    permissions: Object.keys(PERMISSIONS),
+  },
+};
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+};
@@ -6,6 +6,10 @@ const { User, Course, Enrollment, AuditLog, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { successResponse, errorResponse, paginationMeta } = require('../utils/responseFormatter');
 const { sanitizeContent } = require('../utils/sanitization');
+const { getActiveSessions, invalidateUserTokens } = require('../services/sessionService');
+const { isLocked, unlockAccount } = require('../services/loginSecurityService');
+const { logAction } = require('../services/auditService');
+const { generateImpersonationToken, verifyToken } = require('../config/jwt');
 const logger = require('../utils/logger');
 
 /**
@@ -97,7 +101,7 @@ exports.getAllUsers = async (req, res, next) => {
 
     const { count, rows: users } = await User.findAndCountAll({
       where: whereClause,
-      attributes: { exclude: ['password_hash', 'refresh_token'] },
+      attributes: { exclude: ['password_hash', 'two_factor_secret', 'two_factor_recovery_codes'] },
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['created_at', 'DESC']],
@@ -128,6 +132,14 @@ exports.updateUser = async (req, res, next) => {
     if (!targetUser) {
       return errorResponse(res, 404, 'User not found');
     }
+    if (targetUser.deleted_at) {
+      return errorResponse(res, 400, 'Deleted accounts cannot be edited');
+    }
+
+    // A users:manage holder who could change an admin's email could take the account over with a password reset
+    if (targetUser.role === 'admin' && req.user.role !== 'admin') {
+      return errorResponse(res, 403, 'Only admins can edit admin accounts');
+    }
 
     if (isActive === false) {
       if (userId === req.user.id) {
@@ -142,6 +154,11 @@ exports.updateUser = async (req, res, next) => {
       return errorResponse(res, 400, 'Admin roles cannot be changed');
     }
 
+    // Users may hold users:manage through a custom role; only admins can create more admins
+    if (role === 'admin' && targetUser.role !== 'admin' && req.user.role !== 'admin') {
+      return errorResponse(res, 403, 'Only admins can grant the admin role');
+    }
+
     const updates = {};
     if (isActive !== undefined) updates.is_active = isActive;
     if (role && ['student', 'instructor', 'admin'].includes(role)) {
@@ -160,6 +177,13 @@ exports.updateUser = async (req, res, next) => {
 
     await targetUser.update(updates);
 
+    // Tokens carry the role and are only issued to active users, so either change retires them
+    const deactivated = oldValues.isActive && updates.is_active === false;
+    const roleChanged = updates.role !== undefined && updates.role !== oldValues.role;
+    if (deactivated || roleChanged) {
+      await invalidateUserTokens(targetUser, 'admin_revoked');
+    }
+
     // Audit Log
     const { logAction } = require('../services/auditService');
     await logAction({
@@ -180,6 +204,175 @@ exports.updateUser = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/v1/admin/users/:userId/sessions
+ * @desc    Devices a user is currently signed in on
+ * @access  Private (Admin)
+ */
+exports.getUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.userId, { attributes: ['id', 'name', 'email'] });
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    const sessions = await getActiveSessions(user.id);
+
+    return successResponse(res, 200, 'Sessions retrieved successfully', { user, sessions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/force-logout
+ * @desc    Revoke every session and token of a user, signing them out on all devices
+ * @access  Private (Admin)
+ */
+exports.forceLogoutUser = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.userId, { attributes: ['id', 'email', 'token_version'] });
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    const revoked = await invalidateUserTokens(user, 'admin_revoked');
+
+    const { logAction } = require('../services/auditService');
+    await logAction({
+      userId: req.user.id,
+      action: 'USER_FORCE_LOGOUT',
+      entityType: 'User',
+      entityId: user.id,
+      newValues: { revoked },
+      req
+    });
+
+    logger.info(`User ${user.id} force-logged out by admin ${req.user.id} (${revoked} sessions)`);
+
+    return successResponse(res, 200, 'User signed out of all devices', { revoked });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/locked-accounts
+ * @desc    Accounts that are locked (or, with ?status=all, that have recent failed logins)
+ * @access  Private (Admin)
+ */
+exports.getLockedAccounts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const where = req.query.status === 'all'
+      ? { [Op.or]: [{ locked_until: { [Op.gt]: new Date() } }, { failed_login_attempts: { [Op.gt]: 0 } }] }
+      : { locked_until: { [Op.gt]: new Date() } };
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      attributes: ['id', 'name', 'email', 'role', 'failed_login_attempts', 'last_failed_login_at', 'locked_until', 'lockout_count'],
+      order: [['last_failed_login_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return successResponse(res, 200, 'Locked accounts retrieved successfully', {
+      accounts: rows.map(user => ({ ...user.toJSON(), locked: isLocked(user) })),
+      pagination: paginationMeta(page, limit, count),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/unlock
+ * @desc    Clear a user's lockout and failed login counters
+ * @access  Private (Admin)
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    if (!isLocked(user) && !user.failed_login_attempts && !user.lockout_count) {
+      return errorResponse(res, 400, 'This account is not locked');
+    }
+
+    await unlockAccount(user, { actorId: req.user.id, reason: 'admin', req });
+
+    logger.info(`User ${user.id} unlocked by admin ${req.user.id}`);
+
+    return successResponse(res, 200, 'Account unlocked successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/impersonate
+ * @desc    Issue a short-lived token to see the platform as the user. Every request made with it
+ *          is audit-logged; payment, password and account security endpoints refuse it.
+ * @access  Private (Admin)
+ */
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length < 5) {
+      return errorResponse(res, 400, 'Please give a reason for impersonating this user');
+    }
+
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    if (user.id === req.user.id) {
+      return errorResponse(res, 400, 'You cannot impersonate yourself');
+    }
+    if (user.role === 'admin') {
+      return errorResponse(res, 403, 'Admin accounts cannot be impersonated');
+    }
+    if (!user.is_active) {
+      return errorResponse(res, 400, 'Deactivated accounts cannot be impersonated');
+    }
+
+    // Tied to the admin's own session: logging out ends the impersonation too
+    const token = generateImpersonationToken(
+      { id: user.id, email: user.email, role: user.role, ver: user.token_version, sid: req.sessionId || undefined },
+      { id: req.user.id, ver: req.user.token_version, reason: reason.slice(0, 500) }
+    );
+    const { exp } = verifyToken(token);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'IMPERSONATION_STARTED',
+      entityType: 'User',
+      entityId: user.id,
+      newValues: { reason, expiresAt: new Date(exp * 1000) },
+      req,
+    });
+
+    logger.warn(`Admin ${req.user.id} started impersonating user ${user.id}`);
+
+    return successResponse(res, 200, 'Impersonation started', {
+      token,
+      expiresAt: new Date(exp * 1000),
+      impersonating: true,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/v1/admin/stats
  * @desc    Get aggregate stats for dashboard
@@ -232,12 +425,13 @@ exports.getAnalytics = async (req, res, next) => {
  */
 exports.getAuditLogs = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, action, entityType } = req.query;
+    const { page = 1, limit = 20, action, entityType, impersonatorId } = req.query;
     const offset = (page - 1) * limit;
 
     const whereClause = {};
     if (action) whereClause.action = action;
     if (entityType) whereClause.entity_type = entityType;
+    if (impersonatorId) whereClause.impersonator_id = impersonatorId;
 
     const { count, rows: logs } = await AuditLog.findAndCountAll({
       where: whereClause,
@@ -247,6 +441,11 @@ exports.getAuditLogs = async (req, res, next) => {
           as: 'user',
           attributes: ['name', 'email'],
         },
+        {
+          model: User,
+          as: 'impersonator',
+          attributes: ['name', 'email'],
+        },
       ],
       limit: parseInt(limit),
       offset: parseInt(offset),
@@ -2,13 +2,132 @@
 // CONTROLLERS/AUTH_CONTROLLER.JS - Authentication Controller
 // ============================================================================
 
-const { User } = require('../models');
-const { generateToken, generateRefreshToken, verifyToken } = require('../config/jwt');
+const { User, Session, UserIdentity } = require('../models');
+const {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+} = require('../config/jwt');
 const { hashPassword, comparePassword, generateToken: generateRandomToken } = require('../utils/helpers');
 const { successResponse, errorResponse } = require('../utils/responseFormatter');
 const { sendEmail } = require('../services/emailService');
+const { getExchangeRates, normalizeCurrency } = require('../services/currencyService');
+const { logAction } = require('../services/auditService');
+const {
+  generateSecret,
+  buildProvisioningUri,
+  encryptSecret,
+  generateRecoveryCodes,
+  verifyUserCode,
+  isTwoFactorRequired,
+} = require('../services/twoFactorService');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  invalidateUserTokens,
+  getActiveSessions,
+} = require('../services/sessionService');
+const {
+  getProvider,
+  listProviders,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  fetchProfile,
+  resolveLoginUser,
+  connectIdentity,
+  disconnectIdentity,
+} = require('../services/oauthService');
+const {
+  isLocked,
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  checkNewLoginLocation,
+} = require('../services/loginSecurityService');
+const { getUserPermissions } = require('../services/permissionService');
 const logger = require('../utils/logger');
 
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Sign an access token carrying the user's token version and (when there is one) session
+ * @param {Object} user - User instance
+ * @param {string} [sessionId] - Session the token belongs to
+ */
+const signAccessToken = (user, sessionId) => generateToken({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+  ver: user.token_version || 0,
+  ...(sessionId && { sid: sessionId }),
+});
+
+/**
+ * Start a device session and issue tokens once every login factor has been checked
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user
+ * @param {Object} [extra] - Additional response data
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Update last login
+  await user.update({ last_login: new Date() });
+  await recordSuccessfulLogin(user);
+
+  // One session per device; the access token names it so it can be revoked
+  const { session, refreshToken } = await createSession(user, req);
+  const token = signAccessToken(user, session.id);
+
+  await checkNewLoginLocation(user, session, req);
+
+  logger.info(`User logged in: ${user.email}`);
+
+  return successResponse(res, 200, 'Login successful', {
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.email_verified,
+      profilePicture: user.profile_picture,
+      bio: user.bio,
+      twoFactorEnabled: user.two_factor_enabled,
+    },
+    token,
+    refreshToken,
+    ...extra,
+  });
+};
+
+/**
+ * First factor passed (password or social login): finish the login, or ask for the second factor
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User who passed the first factor
+ */
+const continueLogin = async (req, res, user) => {
+  // Second step: the first factor alone only earns a short-lived challenge token
+  if (user.two_factor_enabled) {
+    return successResponse(res, 200, 'Two-factor verification required', {
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken({ id: user.id, purpose: 'verify' }),
+    });
+  }
+
+  if (await isTwoFactorRequired(user.role)) {
+    return successResponse(res, 200, 'Two-factor authentication must be set up before you can log in', {
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken({ id: user.id, purpose: 'setup' }),
+    });
+  }
+
+  return completeLogin(req, res, user);
+};
+
 /**
  * @route   POST /api/v1/auth/register
  * @desc    Register new user
@@ -59,7 +178,7 @@ exports.register = async (req, res, next) => {
     }
 
     // Generate JWT token
-    const token = generateToken({ id: user.id, email: user.email, role: user.role });
+    const token = signAccessToken(user);
 
     logger.info(`New user registered: ${email}`);
 
@@ -98,37 +217,19 @@ exports.login = async (req, res, next) => {
       return errorResponse(res, 403, 'Your account has been deactivated. Please contact support.');
     }
 
+    // Per-account lockout also stops guessing spread across many IPs
+    assertNotLocked(user);
+
     // Verify password
     const isPasswordValid = await comparePassword(password, user.password_hash);
     if (!isPasswordValid) {
+      if (await recordFailedLogin(user, req, 'password')) {
+        assertNotLocked(user);
+      }
       return errorResponse(res, 401, 'Invalid email or password');
     }
 
-    // Update last login
-    await user.update({ last_login: new Date() });
-
-    // Generate tokens
-    const token = generateToken({ id: user.id, email: user.email, role: user.role });
-    const refreshToken = generateRefreshToken({ id: user.id });
-
-    // Save refresh token
-    await user.update({ refresh_token: refreshToken });
-
-    logger.info(`User logged in: ${email}`);
-
-    return successResponse(res, 200, 'Login successful', {
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        emailVerified: user.email_verified,
-        profilePicture: user.profile_picture,
-        bio: user.bio,
-      },
-      token,
-      refreshToken,
-    });
+    return continueLogin(req, res, user);
   } catch (error) {
     next(error);
   }
@@ -297,8 +398,17 @@ exports.resetPassword = async (req, res, next) => {
       password_hash,
       password_reset_token: null,
       password_reset_expires: null,
+      has_password: true,
     });
 
+    // Whoever knew the old password is signed out everywhere
+    await invalidateUserTokens(user, 'password_reset');
+
+    // Proving control of the mailbox also clears a lockout
+    if (isLocked(user) || user.failed_login_attempts > 0) {
+      await unlockAccount(user, { actorId: user.id, reason: 'password_reset', req });
+    }
+
     logger.info(`Password reset for user: ${user.email}`);
 
     return successResponse(res, 200, 'Password reset successful. You can now login with your new password.');
@@ -320,27 +430,18 @@ exports.refreshToken = async (req, res, next) => {
       return errorResponse(res, 400, 'Refresh token is required');
     }
 
-    // Verify refresh token
-    const decoded = verifyToken(refreshToken, true);
-
-    // Find user
-    const user = await User.findByPk(decoded.id);
-    if (!user || user.refresh_token !== refreshToken) {
-      return errorResponse(res, 401, 'Invalid refresh token');
-    }
-
-    // Generate new tokens
-    const newToken = generateToken({ id: user.id, email: user.email, role: user.role });
-    const newRefreshToken = generateRefreshToken({ id: user.id });
-
-    await user.update({ refresh_token: newRefreshToken });
+    const { user, session, refreshToken: newRefreshToken } = await rotateSession(refreshToken, req);
+    const newToken = signAccessToken(user, session.id);
 
     return successResponse(res, 200, 'Token refreshed successfully', {
       token: newToken,
       refreshToken: newRefreshToken,
     });
   } catch (error) {
-    return errorResponse(res, 401, 'Invalid or expired refresh token');
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
   }
 };
 
@@ -352,7 +453,7 @@ exports.refreshToken = async (req, res, next) => {
 exports.getProfile = async (req, res, next) => {
   try {
     const user = await User.findByPk(req.user.id, {
-      attributes: { exclude: ['password_hash', 'refresh_token'] },
+      attributes: { exclude: ['password_hash', 'two_factor_secret', 'two_factor_recovery_codes'] },
     });
 
     return successResponse(res, 200, 'Profile retrieved successfully', {
@@ -364,7 +465,14 @@ exports.getProfile = async (req, res, next) => {
         emailVerified: user.email_verified,
         profilePicture: user.profile_picture,
         bio: user.bio,
-      }
+        twoFactorEnabled: user.two_factor_enabled,
+        hasPassword: user.has_password,
+        permissions: [...await getUserPermissions(user)].sort(),
+      },
+      // Lets the app show a banner while an admin is acting as this user
+      impersonatedBy: req.impersonation
+        ? { id: req.realUser.id, name: req.realUser.name, email: req.realUser.email }
+        : null,
     });
   } catch (error) {
     next(error);
@@ -378,11 +486,19 @@ exports.getProfile = async (req, res, next) => {
  */
 exports.updateProfile = async (req, res, next) => {
   try {
-    const { name, bio } = req.body;
+    const { name, bio, preferredCurrency } = req.body;
     let profile_picture = req.body.profile_picture;
 
     const user = await User.findByPk(req.user.id);
 
+    let preferred_currency = user.preferred_currency;
+    if (preferredCurrency !== undefined) {
+      preferred_currency = preferredCurrency ? normalizeCurrency(preferredCurrency) : null;
+      if (preferredCurrency && !(await getExchangeRates())[preferred_currency]) {
+        return errorResponse(res, 400, 'Unsupported currency');
+      }
+    }
+
     // Handle file upload if present
     const { uploadToLocal, deleteFromLocal } = require('../services/videoService');
     if (req.file) {
@@ -397,6 +513,7 @@ exports.updateProfile = async (req, res, next) => {
       name: name || user.name,
       bio: bio !== undefined ? bio : user.bio,
       profile_picture: profile_picture !== undefined ? profile_picture : user.profile_picture,
+      preferred_currency,
     });
 
     return successResponse(res, 200, 'Profile updated successfully', {
@@ -406,6 +523,7 @@ exports.updateProfile = async (req, res, next) => {
         email: user.email,
         bio: user.bio,
         profile_picture: user.profile_picture,
+        preferred_currency: user.preferred_currency,
       },
     });
   } catch (error) {
@@ -435,9 +553,14 @@ exports.changePassword = async (req, res, next) => {
 
     await user.update({ password_hash });
 
+    // Sign out every other device; this one keeps its session with a fresh access token
+    await invalidateUserTokens(user, 'password_changed', { exceptSessionId: req.sessionId });
+
     logger.info(`Password changed for user: ${user.email}`);
 
-    return successResponse(res, 200, 'Password changed successfully');
+    return successResponse(res, 200, 'Password changed successfully', {
+      token: signAccessToken(user, req.sessionId),
+    });
   } catch (error) {
     next(error);
   }
@@ -445,18 +568,556 @@ exports.changePassword = async (req, res, next) => {
 
 /**
  * @route   POST /api/v1/auth/logout
- * @desc    Logout user (invalidate refresh token)
+ * @desc    Logout user (revoke the current session)
  * @access  Private
  */
 exports.logout = async (req, res, next) => {
   try {
-    const user = await User.findByPk(req.user.id);
-    await user.update({ refresh_token: null });
+    if (req.sessionId) {
+      const session = await Session.findOne({ where: { id: req.sessionId, user_id: req.user.id } });
+      if (session) {
+        await revokeSession(session, 'logout');
+      }
+    }
 
-    logger.info(`User logged out: ${user.email}`);
+    logger.info(`User logged out: ${req.user.email}`);
 
     return successResponse(res, 200, 'Logged out successfully');
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List the devices currently signed in to the account
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    return successResponse(res, 200, 'Sessions retrieved successfully', {
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @desc    Sign out one device
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ where: { id: req.params.sessionId, user_id: req.user.id } });
+    if (!session || !session.isActive()) {
+      return errorResponse(res, 404, 'Session not found');
+    }
+
+    await revokeSession(session, 'user_revoked');
+
+    await logAction({
+      userId: req.user.id,
+      action: 'SESSION_REVOKED',
+      entityType: 'Session',
+      entityId: session.id,
+      req,
+    });
+
+    return successResponse(res, 200, 'Session revoked successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/auth/sessions
+ * @desc    Sign out every other device, keeping the current session
+ * @access  Private
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'user_revoked', { exceptSessionId: req.sessionId });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'SESSIONS_REVOKED',
+      entityType: 'User',
+      entityId: req.user.id,
+      newValues: { revoked, keptSessionId: req.sessionId || null },
+      req,
+    });
+
+    return successResponse(res, 200, 'Other sessions revoked successfully', { revoked });
+  } catch (error) {
+    next(error);
+  }
+};
+/**
+ * @route   POST /api/v1/auth/2fa/verify
+ * @desc    Complete a login with the challenge token and a TOTP or recovery code
+ * @access  Public
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return errorResponse(res, 401, 'Your login session has expired. Please login again.');
+    }
+    if (decoded.purpose !== 'verify') {
+      return errorResponse(res, 401, 'Invalid challenge token');
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || !user.two_factor_enabled) {
+      return errorResponse(res, 401, 'Invalid challenge token');
+    }
+    if (!user.is_active) {
+      return errorResponse(res, 403, 'Your account has been deactivated. Please contact support.');
+    }
+
+    assertNotLocked(user);
+
+    const method = await verifyUserCode(user, { code, recoveryCode });
+    if (!method) {
+      if (await recordFailedLogin(user, req, 'two_factor')) {
+        assertNotLocked(user);
+      }
+      return errorResponse(res, 401, 'Invalid verification code');
+    }
+
+    await logAction({
+      userId: user.id,
+      action: 'TWO_FACTOR_LOGIN',
+      entityType: 'User',
+      entityId: user.id,
+      newValues: { method },
+      req,
+    });
+
+    return completeLogin(req, res, user, method === 'recovery_code'
+      ? { recoveryCodesRemaining: user.two_factor_recovery_codes.length }
+      : {});
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start enrollment: create a secret and return its QR provisioning URI
+ * @access  Private (or setup challenge token when the role requires 2FA)
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (user.two_factor_enabled) {
+      return errorResponse(res, 409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    await user.update({
+      two_factor_secret: encryptSecret(secret),
+      two_factor_last_step: null,
+    });
+
+    return successResponse(res, 200, 'Scan the QR code with your authenticator app, then confirm with a code', {
+      secret,
+      otpauthUrl: buildProvisioningUri(user.email, secret),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm enrollment with a code; returns the recovery codes once.
+ *          When called with a setup challenge token, also completes the login.
+ * @access  Private (or setup challenge token when the role requires 2FA)
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (user.two_factor_enabled) {
+      return errorResponse(res, 409, 'Two-factor authentication is already enabled');
+    }
+    if (!user.two_factor_secret) {
+      return errorResponse(res, 400, 'Start two-factor setup first');
+    }
+
+    if (!(await verifyUserCode(user, { code: req.body.code }))) {
+      return errorResponse(res, 400, 'Invalid verification code');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({
+      two_factor_enabled: true,
+      two_factor_enabled_at: new Date(),
+      two_factor_recovery_codes: hashes,
+    });
+
+    await logAction({
+      userId: user.id,
+      action: 'TWO_FACTOR_ENABLED',
+      entityType: 'User',
+      entityId: user.id,
+      req,
+    });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    if (req.twoFactorChallenge) {
+      return completeLogin(req, res, user, { recoveryCodes: codes });
+    }
+
+    return successResponse(res, 200, 'Two-factor authentication enabled. Store your recovery codes somewhere safe.', {
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn off two-factor authentication (password and a current code required)
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+    if (!user.two_factor_enabled) {
+      return errorResponse(res, 400, 'Two-factor authentication is not enabled');
+    }
+    if (await isTwoFactorRequired(user.role)) {
+      return errorResponse(res, 403, 'Two-factor authentication is required for your role');
+    }
+
+    const isPasswordValid = await comparePassword(password || '', user.password_hash);
+    if (!isPasswordValid) {
+      return errorResponse(res, 401, 'Password is incorrect');
+    }
+    if (!(await verifyUserCode(user, { code, recoveryCode }))) {
+      return errorResponse(res, 401, 'Invalid verification code');
+    }
+
+    await user.update({
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_recovery_codes: [],
+      two_factor_last_step: null,
+      two_factor_enabled_at: null,
+    });
+
+    await logAction({
+      userId: user.id,
+      action: 'TWO_FACTOR_DISABLED',
+      entityType: 'User',
+      entityId: user.id,
+      req,
+    });
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+
+    return successResponse(res, 200, 'Two-factor authentication disabled');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes (requires a current TOTP code)
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user.two_factor_enabled) {
+      return errorResponse(res, 400, 'Two-factor authentication is not enabled');
+    }
+    if (!(await verifyUserCode(user, { code: req.body.code }))) {
+      return errorResponse(res, 401, 'Invalid verification code');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({ two_factor_recovery_codes: hashes });
+
+    await logAction({
+      userId: user.id,
+      action: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+      entityType: 'User',
+      entityId: user.id,
+      req,
+    });
+
+    return successResponse(res, 200, 'New recovery codes generated. Your old codes no longer work.', {
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send the browser back to the frontend after a social login step
+ * @param {Object} res - Express response
+ * @param {Object} params - Query parameters for the frontend callback page
+ */
+const redirectToFrontend = (res, params) => {
+  return res.redirect(`${process.env.FRONTEND_URL}/oauth/callback?${new URLSearchParams(params).toString()}`);
+};
+
+/**
+ * @route   GET /api/v1/auth/oauth/providers
+ * @desc    Social login providers that are enabled
+ * @access  Public
+ */
+exports.getOAuthProviders = async (req, res, next) => {
+  try {
+    return successResponse(res, 200, 'Providers retrieved successfully', { providers: listProviders() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Keep state, nonce and PKCE verifier server-signed in an httpOnly cookie until the callback
+ * @param {Object} res - Express response
+ * @param {Object} provider - Provider config
+ * @param {string|null} userId - User to connect the provider account to, or null to sign in
+ * @returns {Promise<string>} Provider authorization URL
+ */
+const startAuthorization = async (res, provider, userId) => {
+  const params = createAuthorizationParams();
+  const stateToken = generateChallengeToken({
+    purpose: 'oauth_state',
+    provider: provider.id,
+    userId,
+    ...params,
+  }, `${OAUTH_STATE_TTL_MS / 1000}s`);
+
+  res.cookie(OAUTH_STATE_COOKIE, stateToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: OAUTH_STATE_TTL_MS,
+    path: '/api/v1/auth/oauth',
+  });
+
+  return buildAuthorizationUrl(provider, params);
+};
+
+/**
+ * @route   GET /api/v1/auth/oauth/:provider
+ * @desc    Start a social login (browser navigation)
+ * @access  Public
+ */
+exports.startOAuth = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    return res.redirect(await startAuthorization(res, provider, null));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/auth/oauth/:provider/callback
+ * @desc    Provider redirect target: verifies the identity, then signs in (or connects) and
+ *          redirects to the frontend with a one-time login token
+ * @access  Public
+ */
+exports.oauthCallback = async (req, res, next) => {
+  const stateToken = req.cookies && req.cookies[OAUTH_STATE_COOKIE];
+  res.clearCookie(OAUTH_STATE_COOKIE, { path: '/api/v1/auth/oauth' });
+
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (req.query.error) {
+      return redirectToFrontend(res, { error: `${provider.name} sign-in was cancelled` });
+    }
+
+    let state;
+    try {
+      state = verifyChallengeToken(stateToken);
+    } catch (error) {
+      return redirectToFrontend(res, { error: 'Your sign-in request has expired. Please try again.' });
+    }
+    if (state.purpose !== 'oauth_state' || state.provider !== provider.id || state.state !== req.query.state) {
+      return redirectToFrontend(res, { error: 'Invalid sign-in request. Please try again.' });
+    }
+
+    const profile = await fetchProfile(provider, req.query.code, state);
+
+    if (state.userId) {
+      const user = await User.findByPk(state.userId);
+      if (!user || !user.is_active) {
+        return redirectToFrontend(res, { error: 'Your account is not available' });
+      }
+
+      const identity = await connectIdentity(user, provider, profile);
+
+      await logAction({
+        userId: user.id,
+        action: 'OAUTH_CONNECTED',
+        entityType: 'UserIdentity',
+        entityId: identity.id,
+        newValues: { provider: provider.id, email: profile.email },
+        req,
+      });
+
+      return redirectToFrontend(res, { connected: provider.id });
+    }
+
+    const { user, created, linked } = await resolveLoginUser(provider, profile);
+    if (!user.is_active) {
+      return redirectToFrontend(res, { error: 'Your account has been deactivated. Please contact support.' });
+    }
+
+    await logAction({
+      userId: user.id,
+      action: 'OAUTH_LOGIN',
+      entityType: 'User',
+      entityId: user.id,
+      newValues: { provider: provider.id, created, linked },
+      req,
+    });
+
+    logger.info(`Social login via ${provider.id} for user: ${user.email}${created ? ' (new account)' : ''}`);
+
+    return redirectToFrontend(res, {
+      token: generateChallengeToken({
+        id: user.id,
+        purpose: 'oauth_login',
+        provider: provider.id,
+        lastLogin: user.last_login ? new Date(user.last_login).getTime() : null,
+      }),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return redirectToFrontend(res, { error: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/auth/oauth/complete
+ * @desc    Exchange the one-time token from the social login redirect for a session
+ *          (or a two-factor challenge)
+ * @access  Public
+ */
+exports.completeOAuthLogin = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(req.body.token);
+    } catch (error) {
+      return errorResponse(res, 401, 'Your sign-in has expired. Please try again.');
+    }
+    if (decoded.purpose !== 'oauth_login') {
+      return errorResponse(res, 401, 'Invalid sign-in token');
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || !user.is_active) {
+      return errorResponse(res, 401, 'Invalid sign-in token');
+    }
+
+    // One-time use: completing a login changes last_login, so the token no longer matches
+    const lastLogin = user.last_login ? new Date(user.last_login).getTime() : null;
+    if (lastLogin !== decoded.lastLogin) {
+      return errorResponse(res, 401, 'This sign-in link has already been used');
+    }
+
+    return continueLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/auth/oauth/:provider/connect
+ * @desc    Get the provider URL that connects a provider account to the current user.
+ *          The account to connect travels only in the state cookie set on this (credentialed)
+ *          request, so a link crafted by someone else can never connect to their account.
+ * @access  Private
+ */
+exports.connectOAuthProvider = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    return successResponse(res, 200, `Continue to ${provider.name} to connect your account`, {
+      redirectUrl: await startAuthorization(res, provider, req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/auth/identities
+ * @desc    Provider accounts connected to the current user
+ * @access  Private
+ */
+exports.getIdentities = async (req, res, next) => {
+  try {
+    const identities = await UserIdentity.findAll({
+      where: { user_id: req.user.id },
+      attributes: ['id', 'provider', 'email', 'name', 'last_login_at', 'created_at'],
+      order: [['created_at', 'ASC']],
+    });
+
+    return successResponse(res, 200, 'Connected accounts retrieved successfully', {
+      identities,
+      hasPassword: req.user.has_password,
+      providers: listProviders(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/auth/identities/:identityId
+ * @desc    Disconnect a provider account (the last one stays until a password is set)
+ * @access  Private
+ */
+exports.disconnectIdentity = async (req, res, next) => {
+  try {
+    const identity = await disconnectIdentity(req.user, req.params.identityId);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'OAUTH_DISCONNECTED',
+      entityType: 'UserIdentity',
+      entityId: identity.id,
+      oldValues: { provider: identity.provider, email: identity.email },
+      req,
+    });
+
+    return successResponse(res, 200, 'Account disconnected successfully');
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,354 @@
+// ============================================================================
+// CONTROLLERS/BUNDLE_CONTROLLER.JS - Course Bundles / Learning Tracks
+// ============================================================================
+
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+const { Bundle, BundleCourse, BundleEnrollment, Course, User } = require('../models');
+const { generateUniqueSlug } = require('../utils/helpers');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { logAction } = require('../services/auditService');
+const { getBundleCourses, getBundleProgress, completeBundleIfFinished } = require('../services/bundleService');
+
+/**
+ * Sum of the list prices of a bundle's courses, for showing the saving
+ */
+const sumCoursePrices = courses => courses.reduce((sum, course) => sum + parseFloat(course.price), 0);
+
+/**
+ * Shape a bundle and its ordered courses for API responses
+ */
+const formatBundle = (bundle, courses) => ({
+  ...bundle.toJSON(),
+  courses: courses.map(course => ({
+    id: course.id,
+    title: course.title,
+    slug: course.slug,
+    thumbnail_url: course.thumbnail_url,
+    price: course.price,
+    order_index: course.order_index,
+  })),
+  totalCoursePrice: sumCoursePrices(courses),
+});
+
+/**
+ * Validate a list of course IDs and replace the bundle's courses in that order
+ * @returns {Promise<string|null>} Error message, or null on success
+ */
+const setBundleCourses = async (bundle, courseIds, transaction) => {
+  if (!Array.isArray(courseIds) || courseIds.length === 0) {
+    return 'A bundle needs at least one course';
+  }
+  if (new Set(courseIds).size !== courseIds.length) {
+    return 'A course can only appear once in a bundle';
+  }
+
+  const courses = await Course.findAll({ where: { id: courseIds }, attributes: ['id', 'currency'], transaction });
+  if (courses.length !== courseIds.length) {
+    return 'One or more courses were not found';
+  }
+  // The bundle price is split across courses by their list prices, which only compare in one currency
+  if (new Set(courses.map(course => course.currency)).size > 1) {
+    return 'All courses in a bundle must be priced in the same currency';
+  }
+
+  await BundleCourse.destroy({ where: { bundle_id: bundle.id }, transaction });
+  await BundleCourse.bulkCreate(
+    courseIds.map((courseId, index) => ({ bundle_id: bundle.id, course_id: courseId, order_index: index })),
+    { transaction }
+  );
+  return null;
+};
+
+/**
+ * @route   GET /api/v1/bundles
+ * @desc    List published bundles
+ * @access  Public
+ */
+exports.getBundles = async (req, res, next) => {
+  try {
+    const bundles = await Bundle.findAll({
+      where: { is_published: true },
+      order: [['created_at', 'DESC']],
+    });
+
+    const result = await Promise.all(bundles.map(async bundle => formatBundle(bundle, await getBundleCourses(bundle.id))));
+
+    return successResponse(res, 200, 'Bundles retrieved successfully', { bundles: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/bundles/:slug
+ * @desc    Get a published bundle with its ordered courses
+ * @access  Public
+ */
+exports.getBundleBySlug = async (req, res, next) => {
+  try {
+    const bundle = await Bundle.findOne({ where: { slug: req.params.slug, is_published: true } });
+    if (!bundle) {
+      return errorResponse(res, 404, 'Bundle not found');
+    }
+
+    let isEnrolled = false;
+    if (req.user) {
+      isEnrolled = Boolean(await BundleEnrollment.findOne({
+        where: { user_id: req.user.id, bundle_id: bundle.id, payment_status: 'completed' },
+      }));
+    }
+
+    return successResponse(res, 200, 'Bundle retrieved successfully', {
+      bundle: formatBundle(bundle, await getBundleCourses(bundle.id)),
+      isEnrolled,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/bundles
+ * @desc    List all bundles, including drafts
+ * @access  Private (Admin)
+ */
+exports.getAllBundles = async (req, res, next) => {
+  try {
+    const bundles = await Bundle.findAll({
+      include: [{ model: User, as: 'creator', attributes: ['name'] }],
+      order: [['created_at', 'DESC']],
+    });
+
+    const result = await Promise.all(bundles.map(async bundle => {
+      const [courses, enrollmentCount] = await Promise.all([
+        getBundleCourses(bundle.id),
+        BundleEnrollment.count({ where: { bundle_id: bundle.id, payment_status: 'completed' } }),
+      ]);
+      return { ...formatBundle(bundle, courses), enrollmentCount };
+    }));
+
+    return successResponse(res, 200, 'Bundles retrieved successfully', { bundles: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/bundles
+ * @desc    Create a bundle from an ordered list of course IDs
+ * @access  Private (Admin)
+ */
+exports.createBundle = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const { title, description, thumbnailUrl, price, currency, courseIds, isPublished } = req.body;
+
+    if (!title || price === undefined || !(parseFloat(price) >= 0)) {
+      await transaction.rollback();
+      return errorResponse(res, 400, 'Title and a valid price are required');
+    }
+
+    const bundle = await Bundle.create({
+      title,
+      slug: await generateUniqueSlug(title, Bundle),
+      description,
+      thumbnail_url: thumbnailUrl,
+      price,
+      currency: currency || 'EGP',
+      is_published: isPublished === true,
+      created_by: req.user.id,
+    }, { transaction });
+
+    const courseError = await setBundleCourses(bundle, courseIds, transaction);
+    if (courseError) {
+      await transaction.rollback();
+      return errorResponse(res, 400, courseError);
+    }
+
+    await transaction.commit();
+
+    await logAction({
+      userId: req.user.id,
+      action: 'BUNDLE_CREATED',
+      entityType: 'Bundle',
+      entityId: bundle.id,
+      newValues: { title, price, courseIds },
+      req,
+    });
+
+    logger.info(`Bundle created: ${bundle.slug} by ${req.user.id}`);
+
+    return successResponse(res, 201, 'Bundle created successfully', {
+      bundle: formatBundle(bundle, await getBundleCourses(bundle.id)),
+    });
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/admin/bundles/:bundleId
+ * @desc    Update a bundle; sending courseIds replaces the course list and order
+ * @access  Private (Admin)
+ */
+exports.updateBundle = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const bundle = await Bundle.findByPk(req.params.bundleId, { transaction });
+    if (!bundle) {
+      await transaction.rollback();
+      return errorResponse(res, 404, 'Bundle not found');
+    }
+
+    const { title, description, thumbnailUrl, price, currency, courseIds, isPublished } = req.body;
+    const updates = {};
+    if (title !== undefined) updates.title = title;
+    if (description !== undefined) updates.description = description;
+    if (thumbnailUrl !== undefined) updates.thumbnail_url = thumbnailUrl;
+    if (currency !== undefined) updates.currency = currency;
+    if (isPublished !== undefined) updates.is_published = isPublished === true;
+    if (price !== undefined) {
+      if (!(parseFloat(price) >= 0)) {
+        await transaction.rollback();
+        return errorResponse(res, 400, 'Price must be a non-negative number');
+      }
+      updates.price = price;
+    }
+
+    const oldValues = bundle.toJSON();
+    await bundle.update(updates, { transaction });
+
+    if (courseIds !== undefined) {
+      const courseError = await setBundleCourses(bundle, courseIds, transaction);
+      if (courseError) {
+        await transaction.rollback();
+        return errorResponse(res, 400, courseError);
+      }
+    }
+
+    await transaction.commit();
+
+    await logAction({
+      userId: req.user.id,
+      action: 'BUNDLE_UPDATED',
+      entityType: 'Bundle',
+      entityId: bundle.id,
+      oldValues,
+      newValues: { ...updates, courseIds },
+      req,
+    });
+
+    return successResponse(res, 200, 'Bundle updated successfully', {
+      bundle: formatBundle(bundle, await getBundleCourses(bundle.id)),
+    });
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/admin/bundles/:bundleId
+ * @desc    Delete a bundle. Bundles that were already sold are unpublished instead.
+ * @access  Private (Admin)
+ */
+exports.deleteBundle = async (req, res, next) => {
+  try {
+    const bundle = await Bundle.findByPk(req.params.bundleId);
+    if (!bundle) {
+      return errorResponse(res, 404, 'Bundle not found');
+    }
+
+    const sold = await BundleEnrollment.count({ where: { bundle_id: bundle.id } }) > 0;
+    if (sold) {
+      await bundle.update({ is_published: false });
+    } else {
+      await bundle.destroy();
+    }
+
+    await logAction({
+      userId: req.user.id,
+      action: sold ? 'BUNDLE_UNPUBLISHED' : 'BUNDLE_DELETED',
+      entityType: 'Bundle',
+      entityId: bundle.id,
+      oldValues: { title: bundle.title },
+      req,
+    });
+
+    return successResponse(res, 200, sold ? 'Bundle has been sold and was unpublished instead' : 'Bundle deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/student/bundles
+ * @desc    List the student's bundles with aggregated progress
+ * @access  Private (Student)
+ */
+exports.getMyBundles = async (req, res, next) => {
+  try {
+    const bundleEnrollments = await BundleEnrollment.findAll({
+      where: { user_id: req.user.id, payment_status: 'completed' },
+      include: [{ model: Bundle, as: 'bundle', attributes: ['id', 'title', 'slug', 'thumbnail_url'] }],
+      order: [['purchase_date', 'DESC']],
+    });
+
+    const bundles = await Promise.all(bundleEnrollments.map(async bundleEnrollment => {
+      const progress = await getBundleProgress(bundleEnrollment);
+      return {
+        bundle: bundleEnrollment.bundle,
+        overallProgress: progress.overallProgress,
+        completedCourses: progress.completedCourses,
+        totalCourses: progress.totalCourses,
+        completed: bundleEnrollment.completed,
+        certificateUrl: bundleEnrollment.certificate_url,
+      };
+    }));
+
+    return successResponse(res, 200, 'Bundles retrieved successfully', { bundles });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/student/bundles/:bundleId/progress
+ * @desc    Per-course and overall progress for a purchased bundle
+ * @access  Private (Student)
+ */
+exports.getBundleProgress = async (req, res, next) => {
+  try {
+    const bundleEnrollment = await BundleEnrollment.findOne({
+      where: { user_id: req.user.id, bundle_id: req.params.bundleId, payment_status: 'completed' },
+      include: [{ model: Bundle, as: 'bundle', attributes: ['id', 'title', 'slug'] }],
+    });
+
+    if (!bundleEnrollment) {
+      return errorResponse(res, 404, 'Bundle enrollment not found');
+    }
+
+    const progress = await getBundleProgress(bundleEnrollment);
+
+    // Catch up on tracks finished before the certificate could be issued (e.g. a failed PDF write)
+    if (progress.completed && !bundleEnrollment.certificate_url) {
+      try {
+        await completeBundleIfFinished(bundleEnrollment);
+        await bundleEnrollment.reload();
+      } catch (certError) {
+        logger.error('Track certificate generation failed:', certError);
+      }
+    }
+
+    return successResponse(res, 200, 'Bundle progress retrieved successfully', {
+      bundle: bundleEnrollment.bundle,
+      ...progress,
+      certificateId: bundleEnrollment.certificate_id,
+      certificateUrl: bundleEnrollment.certificate_url,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,291 @@
+// ============================================================================
+// CONTROLLERS/COUPON_CONTROLLER.JS - Coupon Management (Admin & Instructor)
+// ============================================================================
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { Coupon, Course } = require('../models');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { logAction } = require('../services/auditService');
+const { applyCoupon, countUses, normalizeCode } = require('../services/couponService');
+const { resolveCurrency, getCoursePrice } = require('../services/currencyService');
+const { hasPermission } = require('../middleware/roleCheck');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+/**
+ * Map request body fields to coupon attributes and validate them.
+ * Only fields present in the body are returned, so this also serves partial updates.
+ * @returns {Promise<Object>} { error: [status, message] } or { attributes }
+ */
+const buildCouponAttributes = async (body, req, existing = null) => {
+  const manageAll = hasPermission(req, 'coupons:manage');
+  const attributes = {};
+
+  if (body.code !== undefined) {
+    attributes.code = normalizeCode(body.code);
+    if (!CODE_PATTERN.test(attributes.code)) {
+      return { error: [400, 'Code must be 3-50 letters, digits, dashes or underscores'] };
+    }
+  }
+  if (body.description !== undefined) attributes.description = body.description;
+
+  if (body.discountType !== undefined) {
+    if (!['percentage', 'fixed'].includes(body.discountType)) {
+      return { error: [400, 'Discount type must be percentage or fixed'] };
+    }
+    attributes.discount_type = body.discountType;
+  }
+  if (body.discountValue !== undefined) {
+    attributes.discount_value = parseFloat(body.discountValue);
+    if (!(attributes.discount_value > 0)) {
+      return { error: [400, 'Discount value must be a positive number'] };
+    }
+  }
+  const discountType = attributes.discount_type || existing?.discount_type;
+  const discountValue = attributes.discount_value ?? parseFloat(existing?.discount_value);
+  if (discountType === 'percentage' && discountValue > 100) {
+    return { error: [400, 'A percentage discount cannot exceed 100'] };
+  }
+
+  if (body.courseId !== undefined) {
+    attributes.course_id = body.courseId || null;
+  }
+  const courseId = attributes.course_id !== undefined ? attributes.course_id : existing?.course_id;
+  if (!courseId && !manageAll) {
+    return { error: [403, 'Only coupon managers can create sitewide coupons'] };
+  }
+  if (attributes.course_id) {
+    const where = manageAll
+      ? { id: attributes.course_id }
+      : { id: attributes.course_id, instructor_id: req.user.id };
+    if (!await Course.findOne({ where })) {
+      return { error: [404, 'Course not found or access denied'] };
+    }
+  }
+
+  for (const [field, column] of [['startsAt', 'starts_at'], ['expiresAt', 'expires_at']]) {
+    if (body[field] !== undefined) {
+      attributes[column] = body[field] ? new Date(body[field]) : null;
+      if (attributes[column] && isNaN(attributes[column].getTime())) {
+        return { error: [400, `${field} must be a valid date`] };
+      }
+    }
+  }
+  const startsAt = attributes.starts_at !== undefined ? attributes.starts_at : existing?.starts_at;
+  const expiresAt = attributes.expires_at !== undefined ? attributes.expires_at : existing?.expires_at;
+  if (startsAt && expiresAt && expiresAt <= startsAt) {
+    return { error: [400, 'Expiry date must be after the start date'] };
+  }
+
+  for (const [field, column] of [['maxUses', 'max_uses'], ['maxUsesPerUser', 'max_uses_per_user']]) {
+    if (body[field] !== undefined) {
+      attributes[column] = body[field] === null || body[field] === '' ? null : parseInt(body[field]);
+      if (attributes[column] !== null && !(attributes[column] >= 1)) {
+        return { error: [400, `${field} must be a positive integer`] };
+      }
+    }
+  }
+
+  if (body.isActive !== undefined) attributes.is_active = body.isActive === true || body.isActive === 'true';
+
+  return { attributes };
+};
+
+/**
+ * Find a coupon the user may manage (coupon managers: any; instructors: coupons on their own courses)
+ */
+const findCouponForManagement = async (couponId, req) => {
+  const include = [{
+    model: Course,
+    as: 'course',
+    attributes: ['id', 'title', 'instructor_id'],
+    ...(hasPermission(req, 'coupons:manage') ? { required: false } : { where: { instructor_id: req.user.id } }),
+  }];
+  return await Coupon.findOne({ where: { id: couponId }, include });
+};
+
+/**
+ * @route   GET /api/v1/instructor/coupons (also /api/v1/admin/coupons)
+ * @desc    List coupons the user manages, with usage counts
+ * @access  Private (Instructor/Admin)
+ */
+exports.getCoupons = async (req, res, next) => {
+  try {
+    const { courseId } = req.query;
+    const where = {};
+    if (courseId) where.course_id = courseId;
+
+    const coupons = await Coupon.findAll({
+      where,
+      include: [{
+        model: Course,
+        as: 'course',
+        attributes: ['id', 'title'],
+        ...(hasPermission(req, 'coupons:manage') ? { required: false } : { where: { instructor_id: req.user.id } }),
+      }],
+      order: [['created_at', 'DESC']],
+    });
+
+    const withUsage = await Promise.all(coupons.map(async coupon => ({
+      ...coupon.toJSON(),
+      timesUsed: await countUses(coupon),
+    })));
+
+    return successResponse(res, 200, 'Coupons retrieved successfully', { coupons: withUsage });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/instructor/coupons (also /api/v1/admin/coupons)
+ * @desc    Create a coupon. Instructors must scope it to one of their courses.
+ * @access  Private (Instructor/Admin)
+ */
+exports.createCoupon = async (req, res, next) => {
+  try {
+    if (!req.body.code || !req.body.discountType || req.body.discountValue === undefined) {
+      return errorResponse(res, 400, 'Code, discount type and discount value are required');
+    }
+
+    const built = await buildCouponAttributes(req.body, req);
+    if (built.error) {
+      return errorResponse(res, ...built.error);
+    }
+
+    const existing = await Coupon.findOne({ where: { code: built.attributes.code } });
+    if (existing) {
+      return errorResponse(res, 409, 'A coupon with this code already exists');
+    }
+
+    const coupon = await Coupon.create({ ...built.attributes, created_by: req.user.id });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'COUPON_CREATED',
+      entityType: 'Coupon',
+      entityId: coupon.id,
+      newValues: built.attributes,
+      req,
+    });
+
+    logger.info(`Coupon ${coupon.code} created by ${req.user.id}`);
+
+    return successResponse(res, 201, 'Coupon created successfully', { coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/instructor/coupons/:couponId (also /api/v1/admin/coupons/:couponId)
+ * @desc    Update a coupon
+ * @access  Private (Instructor/Admin)
+ */
+exports.updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await findCouponForManagement(req.params.couponId, req);
+    if (!coupon) {
+      return errorResponse(res, 404, 'Coupon not found or access denied');
+    }
+
+    const built = await buildCouponAttributes(req.body, req, coupon);
+    if (built.error) {
+      return errorResponse(res, ...built.error);
+    }
+
+    if (built.attributes.code && built.attributes.code !== coupon.code) {
+      const duplicate = await Coupon.findOne({ where: { code: built.attributes.code, id: { [Op.ne]: coupon.id } } });
+      if (duplicate) {
+        return errorResponse(res, 409, 'A coupon with this code already exists');
+      }
+    }
+
+    const oldValues = coupon.toJSON();
+    await coupon.update(built.attributes);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'COUPON_UPDATED',
+      entityType: 'Coupon',
+      entityId: coupon.id,
+      oldValues,
+      newValues: built.attributes,
+      req,
+    });
+
+    return successResponse(res, 200, 'Coupon updated successfully', { coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/instructor/coupons/:couponId (also /api/v1/admin/coupons/:couponId)
+ * @desc    Delete a coupon. Coupons that were already used are deactivated instead.
+ * @access  Private (Instructor/Admin)
+ */
+exports.deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await findCouponForManagement(req.params.couponId, req);
+    if (!coupon) {
+      return errorResponse(res, 404, 'Coupon not found or access denied');
+    }
+
+    const used = await countUses(coupon) > 0;
+    if (used) {
+      await coupon.update({ is_active: false });
+    } else {
+      await coupon.destroy();
+    }
+
+    await logAction({
+      userId: req.user.id,
+      action: used ? 'COUPON_DEACTIVATED' : 'COUPON_DELETED',
+      entityType: 'Coupon',
+      entityId: coupon.id,
+      oldValues: { code: coupon.code },
+      req,
+    });
+
+    return successResponse(res, 200, used ? 'Coupon has been used and was deactivated instead' : 'Coupon deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/payment/coupons/preview
+ * @desc    Show the discounted price for a course before checking out
+ * @access  Private
+ */
+exports.previewCoupon = async (req, res, next) => {
+  try {
+    const { code, courseId, currency: requestedCurrency } = req.body;
+    if (!code || !courseId) {
+      return errorResponse(res, 400, 'Coupon code and course ID are required');
+    }
+
+    const course = await Course.findOne({ where: { id: courseId, is_published: true } });
+    if (!course) {
+      return errorResponse(res, 404, 'Course not found');
+    }
+
+    // Priced exactly as checkout will charge it (body.currency, the user's preference or their country)
+    const { price, currency } = await getCoursePrice(course, await resolveCurrency(req, requestedCurrency));
+    const { coupon, originalPrice, discountAmount, finalPrice } = await applyCoupon({ code, course, user: req.user, price, currency });
+
+    return successResponse(res, 200, 'Coupon applied', {
+      code: coupon.code,
+      discountType: coupon.discount_type,
+      discountValue: parseFloat(coupon.discount_value),
+      originalPrice,
+      discountAmount,
+      finalPrice,
+      currency,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
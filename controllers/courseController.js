@@ -8,11 +8,18 @@ const { Course, Section, Lesson, Resource, Review, User, Enrollment } = require(
 const { Op } = require('sequelize');
 const { generateUniqueSlug } = require('../utils/helpers');
 const { successResponse, errorResponse, paginationMeta } = require('../utils/responseFormatter');
+const { findCourseAccess } = require('../services/accessService');
+const { resolveCurrency, getPriceLists, localizeCourse } = require('../services/currencyService');
+const { getNumberSetting } = require('../services/settingsService');
+const { getLessonKey } = require('../services/videoService');
+const { signPlaybackToken, verifyPlaybackToken } = require('../services/playbackTokenService');
 const logger = require('../utils/logger');
 
 /**
  * @route   GET /api/v1/courses
- * @desc    Get all published courses (with filters)
+ * @desc    Get all published courses (with filters). Prices are shown in ?currency=,
+ *          the user's preferred currency or the visitor's local one when the course lists it;
+ *          minPrice/maxPrice filter on the base price.
  * @access  Public
  */
 exports.getAllCourses = async (req, res, next) => {
@@ -65,6 +72,10 @@ exports.getAllCourses = async (req, res, next) => {
       offset: parseInt(offset),
     });
 
+    const currency = await resolveCurrency(req, req.query.currency);
+    const priceLists = await getPriceLists(courses.map(c => c.id));
+    courses = courses.map(course => localizeCourse(course.toJSON(), priceLists.get(course.id), currency));
+
     // If user is logged in, attach enrollment status
     if (req.user) {
       const userId = req.user.id;
@@ -84,9 +95,8 @@ exports.getAllCourses = async (req, res, next) => {
         return acc;
       }, {});
 
-      courses = courses.map(course => {
-        const courseJson = course.toJSON();
-        const enrollment = enrollmentMap[course.id];
+      courses = courses.map(courseJson => {
+        const enrollment = enrollmentMap[courseJson.id];
         courseJson.is_enrolled = enrollment ? enrollment.payment_status === 'completed' : false;
         courseJson.enrollment = enrollment;
         courseJson.progress_percentage = enrollment ? parseFloat(enrollment.progress_percentage) : 0;
@@ -106,7 +116,7 @@ exports.getAllCourses = async (req, res, next) => {
 
 /**
  * @route   GET /api/v1/courses/:courseId
- * @desc    Get single course details
+ * @desc    Get single course details, priced like getAllCourses, with the full price list
  * @access  Public
  */
 exports.getCourseById = async (req, res, next) => {
@@ -177,8 +187,15 @@ exports.getCourseById = async (req, res, next) => {
       ],
     });
 
-    // Prepare response data
-    const courseData = course.toJSON();
+    // Prepare response data, priced in the selected currency
+    const priceList = (await getPriceLists([course.id])).get(course.id);
+    const courseData = localizeCourse(course.toJSON(), priceList, await resolveCurrency(req, req.query.currency));
+    courseData.prices = [
+      { currency: courseData.base_currency, amount: parseFloat(courseData.base_price) },
+      ...Object.entries(priceList)
+        .filter(([currency]) => currency !== courseData.base_currency)
+        .map(([currency, amount]) => ({ currency, amount })),
+    ];
     courseData.sections = sections;
     courseData.is_enrolled = isEnrolled;
     courseData.enrollment = enrollment;
@@ -266,15 +283,84 @@ exports.getCourseBySlug = async (req, res, next) => {
   }
 };
 
+/**
+ * Rewrite a lesson's HLS playlist so every URI goes through our protected routes
+ * (relative to /api/v1/courses/video/) carrying the playback token. Master playlists
+ * point at variant playlists served by streamLessonVideo; variant and single-rendition
+ * playlists point at streamHLSSegment for segments and getLessonVideoKey for the keys.
+ * @param {string} content - Playlist as stored on disk
+ * @param {string} lessonId - Lesson ID
+ * @param {string} token - Signed playback token
+ * @returns {string} Patched playlist
+ */
+function patchHLSPlaylist(content, lessonId, token) {
+  const isMaster = content.includes('#EXT-X-STREAM-INF');
+  const query = `token=${encodeURIComponent(token)}`;
+
+  // 1. Patch encryption key URIs
+  // Keeps only our relative proxy route part and the rotating key number, if any
+  const patched = content.replace(/^(#EXT-X-KEY:.*)URI="([^"]*)"/gm, (match, prefix, uri) => {
+    const keyIndex = uri.match(/\/key\/[^/]+\/(\d+)$/);
+    return `${prefix}URI="key/${lessonId}${keyIndex ? `/${keyIndex[1]}` : ''}?${query}"`;
+  });
+
+  // 2. Patch variant playlists or segments
+  // We look for lines that don't start with # (URIs); FFmpeg may have written absolute URLs
+  const lines = patched.split(/\r?\n/);
+  return lines.map(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return line;
+    }
+
+    const filename = trimmed.split('/').pop().trim();
+    if (isMaster) {
+      return `${lessonId}?rendition=${encodeURIComponent(filename.replace(/\.m3u8$/, ''))}&${query}`;
+    }
+    return `segment/${lessonId}/${filename}?${query}`;
+  }).join('\n');
+}
+
+exports.patchHLSPlaylist = patchHLSPlaylist;
+
+/**
+ * Playback token from the query string, or null when it is missing, forged or expired
+ */
+function getPlayback(req, lessonId) {
+  return verifyPlaybackToken(req.query.token, lessonId);
+}
+
 /**
  * @route   GET /api/v1/courses/video/:lessonId
- * @desc    Stream protected lesson video (HLS or MP4)
+ * @desc    Stream protected lesson video (HLS or MP4). HLS playlists are issued with a signed,
+ *          expiring playback token in every URI. Variant playlists (?rendition=<name>&token=)
+ *          are authorized by that token alone.
  * @access  Private
  */
 exports.streamLessonVideo = async (req, res, next) => {
   try {
     const { lessonId } = req.params;
 
+    // Variant playlist requested by the player with the token issued for the master playlist
+    if (req.query.rendition) {
+      if (!getPlayback(req, lessonId)) {
+        return errorResponse(res, 401, 'Playback token is missing or has expired');
+      }
+      if (!/^[a-z0-9]+$/i.test(req.query.rendition)) {
+        return errorResponse(res, 400, 'Invalid rendition');
+      }
+
+      const variantPath = path.join(process.cwd(), 'public/uploads/videos', lessonId, `${req.query.rendition}.m3u8`);
+      if (!fs.existsSync(variantPath)) {
+        return errorResponse(res, 404, 'Rendition not found');
+      }
+
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.setHeader('Cache-Control', 'no-store');
+      return res.send(patchHLSPlaylist(fs.readFileSync(variantPath, 'utf8'), lessonId, req.query.token));
+    }
+
     // 1. Find lesson
     const lesson = await Lesson.findOne({
       where: { id: lessonId },
@@ -296,11 +382,9 @@ exports.streamLessonVideo = async (req, res, next) => {
         return errorResponse(res, 401, 'Authentication required for non-preview content');
       }
 
-      const enrollment = await Enrollment.findOne({
-        where: { user_id: req.user.id, course_id: courseId, payment_status: 'completed' },
-      });
+      const access = await findCourseAccess(req.user.id, courseId);
 
-      if (!enrollment) {
+      if (!access) {
         logger.warn(`Unauthorized streaming attempt: User ${req.user.id} not enrolled in course ${courseId}`);
         return errorResponse(res, 403, 'Unauthorized: Enrollment required');
       }
@@ -326,6 +410,14 @@ exports.streamLessonVideo = async (req, res, next) => {
 
     // 4. Handle HLS Playlist Detection & Patching
     if (videoUrl.endsWith('.m3u8')) {
+      // One token per playback, long enough to watch the whole lesson; keys and segments only check it
+      const tokenMinutes = await getNumberSetting('video_playback_token_minutes', 30) + (lesson.video_duration_minutes || 0);
+      const token = signPlaybackToken({
+        lessonId,
+        userId: req.user?.id || null,
+        expiresInSeconds: Math.round(tokenMinutes * 60),
+      });
+
       res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
       res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
       res.setHeader('Cache-Control', 'no-store');
@@ -333,26 +425,8 @@ exports.streamLessonVideo = async (req, res, next) => {
       // Read the playlist and patch it for our routing structure
       // We need to ensure segments and keys point to the correct prefixed routes
       try {
-        let content = fs.readFileSync(absolutePath, 'utf8');
-
-        // 1. Patch encryption key URI
-        // Pattern matches URI="any_content" and keeps only our relative proxy route part
-        content = content.replace(/URI="([^"]*)"/g, `URI="key/${lessonId}"`);
-
-        // 2. Patch segments
-        // We look for lines that don't start with # and likely contain the segment filename
-        const lines = content.split(/\r?\n/);
-        const patchedLines = lines.map(line => {
-          const trimmed = line.trim();
-          if (trimmed && !trimmed.startsWith('#')) {
-            // Extract just the filename if it's an absolute URL and trim trailing spaces
-            const filename = trimmed.split('/').pop().trim();
-            return `segment/${lessonId}/${filename}`;
-          }
-          return line;
-        });
-
-        return res.send(patchedLines.join('\n'));
+        const content = fs.readFileSync(absolutePath, 'utf8');
+        return res.send(patchHLSPlaylist(content, lessonId, token));
       } catch (err) {
         logger.error(`Error patching M3U8 for lesson ${lessonId}:`, err);
         // Fallback to direct stream if reading fails
@@ -408,37 +482,23 @@ exports.streamLessonVideo = async (req, res, next) => {
 };
 
 /**
- * @route   GET /api/v1/courses/video/key/:lessonId
- * @desc    Get AES-128 key for lesson
- * @access  Private (Session Bound)
+ * @route   GET /api/v1/courses/video/key/:lessonId/:keyIndex?
+ * @desc    Get an AES-128 key for lesson (keyIndex for rotating keys; none for older single-key videos)
+ * @access  Playback token (?token=)
  */
 exports.getLessonVideoKey = async (req, res, next) => {
   try {
-    const { lessonId } = req.params;
-    // Note: req.user may be undefined with optionalAuth
-
-    // Verification logic (same as stream)
-    const lesson = await Lesson.findOne({
-      where: { id: lessonId },
-      include: [{ model: Section, as: 'section', attributes: ['course_id'] }]
-    });
+    const { lessonId, keyIndex } = req.params;
 
-    if (!lesson) return errorResponse(res, 404, 'Lesson not found');
-
-    const isGuest = !req.user;
-    const isAdmin = req.user?.role === 'admin';
-
-    if (!isAdmin && !lesson.is_preview) {
-      if (isGuest) return errorResponse(res, 401, 'Authentication required');
-
-      const enrolled = await Enrollment.count({
-        where: { user_id: req.user.id, course_id: lesson.section.course_id, payment_status: 'completed' }
-      });
-      if (!enrolled) return errorResponse(res, 403, 'Enrollment required');
+    // The token was issued after the enrollment check in streamLessonVideo
+    if (!getPlayback(req, lessonId)) {
+      return errorResponse(res, 401, 'Playback token is missing or has expired');
+    }
+    if (keyIndex !== undefined && !/^\d+$/.test(keyIndex)) {
+      return errorResponse(res, 400, 'Invalid key');
     }
 
-    const { getLessonKey } = require('../services/videoService');
-    const key = getLessonKey(lessonId);
+    const key = getLessonKey(lessonId, keyIndex === undefined ? undefined : parseInt(keyIndex, 10));
 
     if (!key) return errorResponse(res, 404, 'Encryption key not found');
 
@@ -457,30 +517,18 @@ exports.getLessonVideoKey = async (req, res, next) => {
 /**
  * @route   GET /api/v1/courses/video/segment/:lessonId/:segmentName
  * @desc    Stream HLS Segment
- * @access  Private
+ * @access  Playback token (?token=)
  */
 exports.streamHLSSegment = async (req, res, next) => {
   try {
     const { lessonId, segmentName } = req.params;
 
-    // 1. Verify access (must check if it's preview or user is enrolled)
-    const lesson = await Lesson.findOne({
-      where: { id: lessonId },
-      include: [{ model: Section, as: 'section', attributes: ['course_id'] }]
-    });
-
-    if (!lesson) return errorResponse(res, 404, 'Lesson not found');
-
-    const isGuest = !req.user;
-    const isAdmin = req.user?.role === 'admin';
-
-    if (!isAdmin && !lesson.is_preview) {
-      if (isGuest) return errorResponse(res, 401, 'Authentication required');
-
-      const enrolled = await Enrollment.count({
-        where: { user_id: req.user.id, course_id: lesson.section.course_id, payment_status: 'completed' }
-      });
-      if (!enrolled) return errorResponse(res, 403, 'Enrollment required');
+    // 1. Verify the playback token (no database lookups per segment)
+    if (!getPlayback(req, lessonId)) {
+      return errorResponse(res, 401, 'Playback token is missing or has expired');
+    }
+    if (!/^[\w-]+\.ts$/.test(segmentName)) {
+      return errorResponse(res, 400, 'Invalid segment');
     }
 
     // 2. Stream segment
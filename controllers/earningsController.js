@@ -0,0 +1,289 @@
+// ============================================================================
+// CONTROLLERS/EARNINGS_CONTROLLER.JS - Instructor Earnings, Revenue Share & Payouts
+// ============================================================================
+
+const { EarningEntry, Payout, Course, User } = require('../models');
+const { sequelize } = require('../config/database');
+const { successResponse, errorResponse, paginationMeta } = require('../utils/responseFormatter');
+const { logAction } = require('../services/auditService');
+const { getNumberSetting } = require('../services/settingsService');
+const {
+  getBalances,
+  getPendingBalances,
+  createPayoutBatch,
+  buildPayoutCSV,
+} = require('../services/earningsService');
+
+const PAYOUT_DETAIL_FIELDS = ['accountName', 'bankName', 'iban', 'swift'];
+
+/**
+ * Parse a revenue share from a request body; null clears the override
+ * @returns {Object} { value } or { error }
+ */
+const parseSharePercentage = (input) => {
+  if (input === null) return { value: null };
+  const value = parseFloat(input);
+  if (!Number.isFinite(value) || value < 0 || value > 100) {
+    return { error: 'Revenue share must be a percentage between 0 and 100, or null to use the default' };
+  }
+  return { value };
+};
+
+/**
+ * @route   GET /api/v1/instructor/earnings
+ * @desc    Pending and paid balances, per-course totals and the latest ledger rows
+ * @access  Private (Instructor)
+ */
+exports.getMyEarnings = async (req, res, next) => {
+  try {
+    const instructorId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [balances, byCourse, { count, rows: entries }, defaultShare, instructor] = await Promise.all([
+      getBalances(instructorId),
+      EarningEntry.findAll({
+        where: { instructor_id: instructorId },
+        attributes: [
+          'course_id',
+          [sequelize.fn('SUM', sequelize.col('amount')), 'earned'],
+          [sequelize.fn('SUM', sequelize.col('gross_amount')), 'gross'],
+        ],
+        group: ['course_id'],
+        raw: true,
+      }),
+      EarningEntry.findAndCountAll({
+        where: { instructor_id: instructorId },
+        include: [{ model: Course, as: 'course', attributes: ['id', 'title'] }],
+        order: [['created_at', 'DESC']],
+        limit,
+        offset: (page - 1) * limit,
+      }),
+      getNumberSetting('instructor_revenue_share_percentage', 70),
+      User.findByPk(instructorId, { attributes: ['revenue_share_percentage', 'payout_details'] }),
+    ]);
+
+    const courses = await Course.findAll({
+      where: { id: byCourse.map(row => row.course_id) },
+      attributes: ['id', 'title', 'revenue_share_percentage'],
+    });
+    const courseById = new Map(courses.map(course => [course.id, course]));
+
+    return successResponse(res, 200, 'Earnings retrieved successfully', {
+      currency: 'EGP',
+      balances,
+      revenueSharePercentage: parseFloat(instructor.revenue_share_percentage ?? defaultShare),
+      payoutDetails: instructor.payout_details,
+      courses: byCourse.map(row => ({
+        course: courseById.get(row.course_id) || { id: row.course_id },
+        gross: parseFloat(row.gross),
+        earned: parseFloat(row.earned),
+      })),
+      entries,
+      pagination: paginationMeta(page, limit, count),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/instructor/earnings/payout-details
+ * @desc    Save the bank details used for payouts
+ * @access  Private (Instructor)
+ */
+exports.updatePayoutDetails = async (req, res, next) => {
+  try {
+    const payoutDetails = {};
+    PAYOUT_DETAIL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) payoutDetails[field] = String(req.body[field]).trim().slice(0, 100);
+    });
+
+    if (!payoutDetails.accountName || !payoutDetails.iban) {
+      return errorResponse(res, 400, 'Account name and IBAN are required');
+    }
+
+    const user = await User.findByPk(req.user.id);
+    await user.update({ payout_details: payoutDetails });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'PAYOUT_DETAILS_UPDATED',
+      entityType: 'User',
+      entityId: user.id,
+      req,
+    });
+
+    return successResponse(res, 200, 'Payout details updated successfully', { payoutDetails });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/admin/users/:userId/revenue-share
+ * @desc    Set an instructor's revenue share (null returns them to the platform default)
+ * @access  Private (Admin)
+ */
+exports.setInstructorRevenueShare = async (req, res, next) => {
+  try {
+    const { value, error } = parseSharePercentage(req.body.percentage);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const instructor = await User.findOne({ where: { id: req.params.userId, role: 'instructor' } });
+    if (!instructor) {
+      return errorResponse(res, 404, 'Instructor not found');
+    }
+
+    const oldValue = instructor.revenue_share_percentage;
+    await instructor.update({ revenue_share_percentage: value });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'REVENUE_SHARE_UPDATED',
+      entityType: 'User',
+      entityId: instructor.id,
+      oldValues: { revenueSharePercentage: oldValue },
+      newValues: { revenueSharePercentage: value },
+      req,
+    });
+
+    return successResponse(res, 200, 'Revenue share updated successfully', {
+      instructorId: instructor.id,
+      revenueSharePercentage: value,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/admin/courses/:courseId/revenue-share
+ * @desc    Override the revenue share for one course (null falls back to the instructor's)
+ * @access  Private (Admin)
+ */
+exports.setCourseRevenueShare = async (req, res, next) => {
+  try {
+    const { value, error } = parseSharePercentage(req.body.percentage);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const course = await Course.findByPk(req.params.courseId);
+    if (!course) {
+      return errorResponse(res, 404, 'Course not found');
+    }
+
+    const oldValue = course.revenue_share_percentage;
+    await course.update({ revenue_share_percentage: value });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'REVENUE_SHARE_UPDATED',
+      entityType: 'Course',
+      entityId: course.id,
+      oldValues: { revenueSharePercentage: oldValue },
+      newValues: { revenueSharePercentage: value },
+      req,
+    });
+
+    return successResponse(res, 200, 'Revenue share updated successfully', {
+      courseId: course.id,
+      revenueSharePercentage: value,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/payouts/pending
+ * @desc    Pending balance per instructor
+ * @access  Private (Admin)
+ */
+exports.getPendingPayouts = async (req, res, next) => {
+  try {
+    const balances = await getPendingBalances();
+
+    return successResponse(res, 200, 'Pending balances retrieved successfully', {
+      currency: 'EGP',
+      balances: balances.map(({ instructor, amount, entryIds }) => ({
+        instructor,
+        amount,
+        entryCount: entryIds.length,
+        // Negative balances (refunds after a payout) carry over until sales cover them
+        payable: amount > 0,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/payouts
+ * @desc    Create a payout batch for all (or body.instructorIds) positive pending balances
+ * @access  Private (Admin)
+ */
+exports.createPayout = async (req, res, next) => {
+  try {
+    const { instructorIds, notes } = req.body;
+    if (instructorIds !== undefined && !Array.isArray(instructorIds)) {
+      return errorResponse(res, 400, 'instructorIds must be a list');
+    }
+
+    const payout = await createPayoutBatch({ actorId: req.user.id, instructorIds, notes, req });
+
+    return successResponse(res, 201, 'Payout batch created successfully', { payout });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/payouts
+ * @desc    List payout batches
+ * @access  Private (Admin)
+ */
+exports.getPayouts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { count, rows } = await Payout.findAndCountAll({
+      include: [{ model: User, as: 'creator', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return successResponse(res, 200, 'Payouts retrieved successfully', {
+      payouts: rows,
+      pagination: paginationMeta(page, limit, count),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/payouts/:payoutId/export
+ * @desc    Download a payout batch as a CSV for bank transfer
+ * @access  Private (Admin)
+ */
+exports.exportPayout = async (req, res, next) => {
+  try {
+    const payout = await Payout.findByPk(req.params.payoutId);
+    if (!payout) {
+      return errorResponse(res, 404, 'Payout not found');
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${payout.reference}.csv"`);
+    return res.send(buildPayoutCSV(payout));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,146 @@
+// ============================================================================
+// CONTROLLERS/INSTRUCTOR_APPLICATION_CONTROLLER.JS - Instructor Onboarding
+// ============================================================================
+
+const { successResponse, errorResponse, paginationMeta } = require('../utils/responseFormatter');
+const applicationService = require('../services/instructorApplicationService');
+
+/**
+ * @route   POST /api/v1/student/instructor-application
+ * @desc    Apply to become an instructor (multipart: bio, expertise, sampleVideo, idDocument)
+ * @access  Private (Student)
+ */
+exports.submitApplication = async (req, res, next) => {
+  try {
+    const application = await applicationService.submitApplication(req.user, req.body, req.files, req);
+
+    return successResponse(res, 201, 'Application submitted. We will email you once it has been reviewed.', {
+      application: {
+        id: application.id,
+        status: application.status,
+        expertise: application.expertise,
+        createdAt: application.created_at,
+      },
+    });
+  } catch (error) {
+    applicationService.removeUploadedFiles(req.files);
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/student/instructor-application
+ * @desc    Status of the user's latest instructor application
+ * @access  Private (Student)
+ */
+exports.getMyApplication = async (req, res, next) => {
+  try {
+    const application = await applicationService.getLatestApplication(req.user.id);
+    return successResponse(res, 200, 'Application retrieved successfully', { application });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/instructor-applications
+ * @desc    Review queue (?status=pending|approved|rejected|all), oldest first
+ * @access  Private (instructors:review)
+ */
+exports.getApplications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { count, rows } = await applicationService.listApplications({
+      status: req.query.status || 'pending',
+      page,
+      limit,
+    });
+
+    return successResponse(res, 200, 'Applications retrieved successfully', {
+      applications: rows,
+      pagination: paginationMeta(page, limit, count),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/instructor-applications/:applicationId
+ * @desc    One application with its applicant
+ * @access  Private (instructors:review)
+ */
+exports.getApplication = async (req, res, next) => {
+  try {
+    const application = await applicationService.findApplication(req.params.applicationId);
+    return successResponse(res, 200, 'Application retrieved successfully', { application });
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/instructor-applications/:applicationId/files/:file
+ * @desc    Stream the sample video or ID document (file: sample-video | id-document)
+ * @access  Private (instructors:review)
+ */
+exports.getApplicationFile = async (req, res, next) => {
+  try {
+    const application = await applicationService.findApplication(req.params.applicationId);
+    const filePath = applicationService.getApplicationFile(application, req.params.file);
+
+    // ID documents must not linger in shared caches
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.sendFile(filePath);
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/instructor-applications/:applicationId/approve
+ * @desc    Approve an application and promote the applicant to instructor
+ * @access  Private (instructors:review)
+ */
+exports.approveApplication = async (req, res, next) => {
+  try {
+    const application = await applicationService.approveApplication(req.params.applicationId, req.user, req);
+    return successResponse(res, 200, 'Application approved. The user is now an instructor.', { application });
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/instructor-applications/:applicationId/reject
+ * @desc    Reject an application with a reason sent to the applicant
+ * @access  Private (instructors:review)
+ */
+exports.rejectApplication = async (req, res, next) => {
+  try {
+    const application = await applicationService.rejectApplication(req.params.applicationId, req.user, req.body.reason, req);
+    return successResponse(res, 200, 'Application rejected', { application });
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
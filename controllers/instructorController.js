@@ -5,7 +5,7 @@
 const path = require('path');
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
-const { Course, Enrollment, User, Section, Lesson } = require('../models');
+const { Course, Enrollment, User, Section, Lesson, CoursePrice, EarningEntry } = require('../models');
 const { Op } = require('sequelize');
 const { generateUniqueSlug } = require('../utils/helpers');
 const { uploadToLocal, processToHLS, deleteFromLocal } = require('../services/videoService');
@@ -13,12 +13,16 @@ const { successResponse, errorResponse, paginationMeta } = require('../utils/res
 const { sanitizeContent } = require('../utils/sanitization');
 const analyticsService = require('../services/analyticsService');
 const { addVideoJob } = require('../services/queueService');
+const { getExchangeRates, normalizeCurrency } = require('../services/currencyService');
+const { logAction } = require('../services/auditService');
+const { getSharePercentage } = require('../services/earningsService');
+const { hasPermission } = require('../middleware/roleCheck');
 
 /**
- * Helper to find course ensuring ownership or admin role
+ * Helper to find course ensuring ownership or the courses:manage_all permission
  */
-const findCourseForManagement = async (courseId, user) => {
-  const where = user.role === 'admin' ? { id: courseId } : { id: courseId, instructor_id: user.id };
+const findCourseForManagement = async (courseId, req) => {
+  const where = hasPermission(req, 'courses:manage_all') ? { id: courseId } : { id: courseId, instructor_id: req.user.id };
   return await Course.findOne({ where });
 };
 
@@ -256,7 +260,7 @@ exports.updateCourse = async (req, res, next) => {
     const { courseId } = req.params;
     logger.info('Update Course Multipart Body:', req.body);
     logger.info('Update Course Multipart Files:', req.files);
-    const course = await findCourseForManagement(courseId, req.user);
+    const course = await findCourseForManagement(courseId, req);
 
     if (!course) {
       return errorResponse(res, 404, 'Course not found or unauthorized');
@@ -355,7 +359,7 @@ exports.addSection = async (req, res, next) => {
     const { title, description, orderIndex } = req.body;
 
     // Verify course access
-    const course = await findCourseForManagement(courseId, req.user);
+    const course = await findCourseForManagement(courseId, req);
 
     if (!course) {
       return errorResponse(res, 404, 'Course not found or unauthorized');
@@ -418,7 +422,7 @@ exports.addLesson = async (req, res, next) => {
         {
           model: Course,
           as: 'course',
-          where: req.user.role === 'admin' ? {} : { instructor_id: req.user.id },
+          where: hasPermission(req, 'courses:manage_all') ? {} : { instructor_id: req.user.id },
           attributes: ['id'],
         },
       ],
@@ -507,7 +511,7 @@ exports.togglePublish = async (req, res, next) => {
     const { courseId } = req.params;
     const { isPublished } = req.body;
 
-    const course = await findCourseForManagement(courseId, req.user);
+    const course = await findCourseForManagement(courseId, req);
 
     if (!course) {
       return errorResponse(res, 404, 'Course not found or unauthorized');
@@ -526,6 +530,101 @@ exports.togglePublish = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/v1/instructor/courses/:courseId/prices
+ * @desc    Get a course's base price and its per-currency price list
+ * @access  Private (Instructor/Admin)
+ */
+exports.getCoursePrices = async (req, res, next) => {
+  try {
+    const course = await findCourseForManagement(req.params.courseId, req);
+
+    if (!course) {
+      return errorResponse(res, 404, 'Course not found or unauthorized');
+    }
+
+    const prices = await CoursePrice.findAll({
+      where: { course_id: course.id },
+      attributes: ['currency', 'amount'],
+      order: [['currency', 'ASC']],
+    });
+
+    return successResponse(res, 200, 'Course prices retrieved successfully', {
+      basePrice: parseFloat(course.price),
+      baseCurrency: course.currency,
+      prices,
+      supportedCurrencies: Object.keys(await getExchangeRates()),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/instructor/courses/:courseId/prices
+ * @desc    Replace a course's price list ({ prices: [{ currency, amount }] }).
+ *          The base price is still edited through the course itself.
+ * @access  Private (Instructor/Admin)
+ */
+exports.setCoursePrices = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const course = await findCourseForManagement(req.params.courseId, req);
+
+    if (!course) {
+      await transaction.rollback();
+      return errorResponse(res, 404, 'Course not found or unauthorized');
+    }
+
+    const rates = await getExchangeRates();
+    const prices = req.body.prices.map(price => ({
+      currency: normalizeCurrency(price.currency),
+      amount: parseFloat(price.amount),
+    }));
+
+    const seen = new Set();
+    for (const price of prices) {
+      if (!price.currency || !rates[price.currency]) {
+        await transaction.rollback();
+        return errorResponse(res, 400, `Unsupported currency: ${price.currency || 'invalid code'}`);
+      }
+      if (price.currency === course.currency) {
+        await transaction.rollback();
+        return errorResponse(res, 400, `${course.currency} is the base currency; change the course price instead`);
+      }
+      if (seen.has(price.currency)) {
+        await transaction.rollback();
+        return errorResponse(res, 400, `Duplicate price for ${price.currency}`);
+      }
+      seen.add(price.currency);
+    }
+
+    const oldPrices = await CoursePrice.findAll({ where: { course_id: course.id }, transaction });
+    await CoursePrice.destroy({ where: { course_id: course.id }, transaction });
+    await CoursePrice.bulkCreate(
+      prices.map(price => ({ course_id: course.id, ...price })),
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await logAction({
+      userId: req.user.id,
+      action: 'COURSE_PRICES_UPDATED',
+      entityType: 'Course',
+      entityId: course.id,
+      oldValues: { prices: oldPrices.map(price => ({ currency: price.currency, amount: parseFloat(price.amount) })) },
+      newValues: { prices },
+      req,
+    });
+
+    return successResponse(res, 200, 'Course prices updated successfully', { prices });
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/v1/instructor/courses/:courseId/students
  * @desc    Get students enrolled in course
@@ -538,7 +637,7 @@ exports.getCourseStudents = async (req, res, next) => {
     const offset = (page - 1) * limit;
 
     // Verify course access
-    const course = await findCourseForManagement(courseId, req.user);
+    const course = await findCourseForManagement(courseId, req);
 
     if (!course) {
       return errorResponse(res, 404, 'Course not found or unauthorized');
@@ -641,7 +740,7 @@ exports.updateSection = async (req, res, next) => {
       include: [{
         model: Course,
         as: 'course',
-        where: req.user.role === 'admin' ? {} : { instructor_id: req.user.id }
+        where: hasPermission(req, 'courses:manage_all') ? {} : { instructor_id: req.user.id }
       }],
     });
 
@@ -665,7 +764,7 @@ exports.deleteSection = async (req, res, next) => {
         {
           model: Course,
           as: 'course',
-          where: req.user.role === 'admin' ? {} : { instructor_id: req.user.id }
+          where: hasPermission(req, 'courses:manage_all') ? {} : { instructor_id: req.user.id }
         },
         {
           model: Lesson,
@@ -712,7 +811,7 @@ exports.updateLesson = async (req, res, next) => {
           include: [{
             model: Course,
             as: 'course',
-            where: req.user.role === 'admin' ? {} : { instructor_id: req.user.id }
+            where: hasPermission(req, 'courses:manage_all') ? {} : { instructor_id: req.user.id }
           }],
         },
       ],
@@ -788,7 +887,7 @@ exports.deleteLesson = async (req, res, next) => {
           include: [{
             model: Course,
             as: 'course',
-            where: req.user.role === 'admin' ? {} : { instructor_id: req.user.id }
+            where: hasPermission(req, 'courses:manage_all') ? {} : { instructor_id: req.user.id }
           }],
         },
       ],
@@ -824,7 +923,7 @@ exports.deleteCourse = async (req, res, next) => {
 
     // 1. Find the course with security check
     const course = await Course.findOne({
-      where: req.user.role === 'admin' ? { id: courseId } : { id: courseId, instructor_id: instructorId },
+      where: hasPermission(req, 'courses:manage_all') ? { id: courseId } : { id: courseId, instructor_id: instructorId },
       include: [
         {
           model: Section,
@@ -886,7 +985,7 @@ exports.reorderSections = async (req, res, next) => {
     const { courseId } = req.params;
     const { sectionIds } = req.body;
 
-    const course = await findCourseForManagement(courseId, req.user);
+    const course = await findCourseForManagement(courseId, req);
 
     if (!course) {
       await transaction.rollback();
@@ -923,7 +1022,7 @@ exports.reorderLessons = async (req, res, next) => {
       include: [{
         model: Course,
         as: 'course',
-        where: req.user.role === 'admin' ? {} : { instructor_id: req.user.id }
+        where: hasPermission(req, 'courses:manage_all') ? {} : { instructor_id: req.user.id }
       }],
     });
 
@@ -957,7 +1056,7 @@ exports.getCourseAnalytics = async (req, res, next) => {
     const instructorId = req.user.id;
 
     // Verify course ownership
-    const course = await findCourseForManagement(courseId, req.user);
+    const course = await findCourseForManagement(courseId, req);
 
     if (!course) {
       return errorResponse(res, 404, 'Course not found or unauthorized');
@@ -989,11 +1088,16 @@ exports.getCourseAnalytics = async (req, res, next) => {
       where: { course_id: courseId, payment_status: 'completed' },
     });
 
+    // Net of refunds, from the earnings ledger
+    const instructorEarnings = await EarningEntry.sum('amount', { where: { course_id: courseId } });
+
     return successResponse(res, 200, 'Analytics retrieved successfully', {
       enrollmentTrend,
       completionRate: parseFloat(completionRate.toFixed(2)),
       averageProgressPerStudent: parseFloat((avgProgress?.avgProgress || 0).toFixed(2)),
       totalRevenue: parseFloat(totalRevenue || 0),
+      instructorEarnings: parseFloat(instructorEarnings || 0),
+      revenueSharePercentage: await getSharePercentage(course, await User.findByPk(course.instructor_id)),
       averageRating: parseFloat(course.average_rating),
       popularLessons,
     });
@@ -0,0 +1,37 @@
+// ============================================================================
+// CONTROLLERS/INVOICE_CONTROLLER.JS - Invoice Downloads (Student & Admin)
+// ============================================================================
+
+const { Transaction } = require('../models');
+const { errorResponse } = require('../utils/responseFormatter');
+const { getInvoicePDF } = require('../services/invoiceService');
+const { hasPermission } = require('../middleware/roleCheck');
+
+/**
+ * @route   GET /api/v1/student/transactions/:transactionId/invoice (also /api/v1/admin/transactions/:transactionId/invoice)
+ * @desc    Download the PDF invoice for a paid transaction. Students can only download their own.
+ * @access  Private (Student/Admin)
+ */
+exports.downloadInvoice = async (req, res, next) => {
+  try {
+    const where = { id: req.params.transactionId };
+    if (!hasPermission(req, 'payments:view')) where.user_id = req.user.id;
+
+    const transaction = await Transaction.findOne({ where });
+    if (!transaction) {
+      return errorResponse(res, 404, 'Transaction not found');
+    }
+
+    const result = await getInvoicePDF(transaction);
+    if (!result) {
+      return errorResponse(res, 400, 'Invoices are only available for completed paid transactions');
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.invoice.invoice_number}.pdf"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.send(result.pdf);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,342 @@
+// ============================================================================
+// CONTROLLERS/ORGANIZATION_CONTROLLER.JS - Organizations (B2B), Members, Seats & Reports
+// ============================================================================
+
+const logger = require('../utils/logger');
+const { Organization, OrganizationMember, User } = require('../models');
+const { generateUniqueSlug } = require('../utils/helpers');
+const { successResponse, errorResponse, paginationMeta } = require('../utils/responseFormatter');
+const { logAction } = require('../services/auditService');
+const { sendEnrollmentConfirmation } = require('../services/paymentService');
+const {
+  getSeatPools,
+  assignSeat,
+  inviteMember,
+  acceptInvite,
+  getProgressReport,
+} = require('../services/organizationService');
+
+const ORG_ROLES = ['admin', 'member'];
+
+/**
+ * Shape a member for API responses (never exposes the invite token)
+ */
+const formatMember = member => ({
+  id: member.id,
+  email: member.email,
+  role: member.role,
+  status: member.status,
+  user: member.user || null,
+  joinedAt: member.joined_at,
+  inviteExpiresAt: member.invite_expires_at,
+  pendingCourseIds: member.pending_course_ids,
+});
+
+/**
+ * @route   GET /api/v1/organizations/mine
+ * @desc    Organizations the current user belongs to
+ * @access  Private
+ */
+exports.getMyOrganizations = async (req, res, next) => {
+  try {
+    const memberships = await OrganizationMember.findAll({
+      where: { user_id: req.user.id, status: 'active' },
+      include: [{ model: Organization, as: 'organization', where: { is_active: true }, attributes: ['id', 'name', 'slug'] }],
+    });
+
+    return successResponse(res, 200, 'Organizations retrieved successfully', {
+      organizations: memberships.map(membership => ({
+        ...membership.organization.toJSON(),
+        role: membership.role,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/organizations/invites/accept
+ * @desc    Accept an organization invite; seats chosen at invite time are assigned
+ * @access  Private
+ */
+exports.acceptInvite = async (req, res, next) => {
+  try {
+    if (!req.body.token) {
+      return errorResponse(res, 400, 'Invitation token is required');
+    }
+
+    const { member, organization, enrollments, skipped } = await acceptInvite(req.user, req.body.token, req);
+
+    for (const enrollment of enrollments) {
+      await sendEnrollmentConfirmation(enrollment);
+    }
+
+    return successResponse(res, 200, `You have joined ${organization.name}`, {
+      organization: { id: organization.id, name: organization.name, slug: organization.slug },
+      role: member.role,
+      enrollmentIds: enrollments.map(enrollment => enrollment.id),
+      skipped,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/organizations/:orgId
+ * @desc    Organization details with seat pools and members
+ * @access  Private (Org Admin)
+ */
+exports.getOrganization = async (req, res, next) => {
+  try {
+    const organization = req.organization;
+
+    const [seatPools, members] = await Promise.all([
+      getSeatPools(organization.id),
+      OrganizationMember.findAll({
+        where: { organization_id: organization.id },
+        include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }],
+        order: [['created_at', 'ASC']],
+      }),
+    ]);
+
+    return successResponse(res, 200, 'Organization retrieved successfully', {
+      organization,
+      seatPools,
+      members: members.map(formatMember),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/organizations/:orgId/invites
+ * @desc    Invite a user by email, optionally with seats to assign when they join
+ * @access  Private (Org Admin)
+ */
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const { email, role = 'member', courseIds = [] } = req.body;
+
+    if (!ORG_ROLES.includes(role)) {
+      return errorResponse(res, 400, `Role must be one of: ${ORG_ROLES.join(', ')}`);
+    }
+    if (!Array.isArray(courseIds)) {
+      return errorResponse(res, 400, 'courseIds must be a list');
+    }
+
+    const member = await inviteMember({
+      organization: req.organization,
+      email,
+      role,
+      courseIds,
+      inviter: req.user,
+    });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ORG_MEMBER_INVITED',
+      entityType: 'Organization',
+      entityId: req.organization.id,
+      newValues: { memberId: member.id, email: member.email, role, courseIds },
+      req,
+    });
+
+    return successResponse(res, 201, 'Invitation sent successfully', { member: formatMember(member) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/organizations/:orgId/members/:memberId
+ * @desc    Remove a member or cancel an invite. Seats already assigned stay with the learner.
+ * @access  Private (Org Admin)
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const member = await OrganizationMember.findOne({
+      where: { id: req.params.memberId, organization_id: req.organization.id },
+    });
+    if (!member || member.status === 'removed') {
+      return errorResponse(res, 404, 'Member not found');
+    }
+    if (member.user_id === req.user.id) {
+      return errorResponse(res, 400, 'You cannot remove yourself from the organization');
+    }
+
+    await member.update({ status: 'removed', invite_token: null, invite_expires_at: null, pending_course_ids: [] });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ORG_MEMBER_REMOVED',
+      entityType: 'Organization',
+      entityId: req.organization.id,
+      oldValues: { memberId: member.id, email: member.email, role: member.role },
+      req,
+    });
+
+    return successResponse(res, 200, 'Member removed successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/organizations/:orgId/seats/assign
+ * @desc    Assign a seat in a course to a member, enrolling them
+ * @access  Private (Org Admin)
+ */
+exports.assignSeat = async (req, res, next) => {
+  try {
+    const { memberId, courseId } = req.body;
+
+    const member = await OrganizationMember.findOne({
+      where: { id: memberId, organization_id: req.organization.id },
+    });
+    if (!member || member.status === 'removed') {
+      return errorResponse(res, 404, 'Member not found');
+    }
+
+    const enrollment = await assignSeat({
+      organization: req.organization,
+      member,
+      courseId,
+      actorId: req.user.id,
+      req,
+    });
+
+    await sendEnrollmentConfirmation(enrollment);
+
+    return successResponse(res, 201, 'Seat assigned successfully', {
+      enrollmentId: enrollment.id,
+      seatPools: await getSeatPools(req.organization.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/organizations/:orgId/report
+ * @desc    Progress and certificates of every learner on an organization seat
+ * @access  Private (Org Admin)
+ */
+exports.getProgressReport = async (req, res, next) => {
+  try {
+    const report = await getProgressReport(req.organization);
+
+    return successResponse(res, 200, 'Progress report retrieved successfully', {
+      organization: { id: req.organization.id, name: req.organization.name },
+      generatedAt: new Date(),
+      ...report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/organizations
+ * @desc    List organizations
+ * @access  Private (Admin)
+ */
+exports.getOrganizations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { count, rows } = await Organization.findAndCountAll({
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return successResponse(res, 200, 'Organizations retrieved successfully', {
+      organizations: rows,
+      pagination: paginationMeta(page, limit, count),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/organizations
+ * @desc    Create an organization and invite its first admin (body.adminEmail)
+ * @access  Private (Admin)
+ */
+exports.createOrganization = async (req, res, next) => {
+  try {
+    const { name, contactEmail, adminEmail } = req.body;
+    if (!name || !adminEmail) {
+      return errorResponse(res, 400, 'Name and admin email are required');
+    }
+
+    const organization = await Organization.create({
+      name,
+      slug: await generateUniqueSlug(name, Organization),
+      contact_email: contactEmail || adminEmail,
+      created_by: req.user.id,
+    });
+
+    const member = await inviteMember({ organization, email: adminEmail, role: 'admin', inviter: req.user });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ORGANIZATION_CREATED',
+      entityType: 'Organization',
+      entityId: organization.id,
+      newValues: { name, adminEmail },
+      req,
+    });
+
+    logger.info(`Organization created: ${organization.slug} by ${req.user.id}`);
+
+    return successResponse(res, 201, 'Organization created successfully', {
+      organization,
+      admin: formatMember(member),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/admin/organizations/:orgId
+ * @desc    Rename or (de)activate an organization
+ * @access  Private (Admin)
+ */
+exports.updateOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findByPk(req.params.orgId);
+    if (!organization) {
+      return errorResponse(res, 404, 'Organization not found');
+    }
+
+    const { name, contactEmail, isActive } = req.body;
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (contactEmail !== undefined) updates.contact_email = contactEmail;
+    if (isActive !== undefined) updates.is_active = isActive === true;
+
+    const oldValues = organization.toJSON();
+    await organization.update(updates);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ORGANIZATION_UPDATED',
+      entityType: 'Organization',
+      entityId: organization.id,
+      oldValues,
+      newValues: updates,
+      req,
+    });
+
+    return successResponse(res, 200, 'Organization updated successfully', { organization });
+  } catch (error) {
+    next(error);
+  }
+};
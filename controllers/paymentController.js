@@ -2,89 +2,878 @@
 // CONTROLLERS/PAYMENT_CONTROLLER.JS - Payment Management
 // ============================================================================
 
-const { Transaction, Enrollment, Course, User } = require('../models');
-const { successResponse, errorResponse } = require('../utils/responseFormatter');
-const { sendEmail } = require('../services/emailService');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+    Transaction,
+    Enrollment,
+    Course,
+    User,
+    WebhookEvent,
+    RefundRequest,
+    Bundle,
+    BundleEnrollment,
+    Plan,
+    Subscription,
+} = require('../models');
+const { successResponse, errorResponse, paginationMeta } = require('../utils/responseFormatter');
 const { logAction } = require('../services/auditService');
+const { sendEmail } = require('../services/emailService');
+const {
+    applySettlement,
+    notifySettlement,
+    checkRefundEligibility,
+    refundTransaction,
+} = require('../services/paymentService');
+const { resolvePrice } = require('../services/couponService');
+const { getBundleCourses, allocateBundlePrice } = require('../services/bundleService');
+const { getActiveSubscription } = require('../services/subscriptionService');
+const { flagMatchedPayments } = require('../services/receiptService');
+const { createCodes } = require('../services/redemptionService');
+const { resolveCurrency, getCoursePrice, normalizeToEGP } = require('../services/currencyService');
+const { getProvider } = require('../services/payments');
 const logger = require('../utils/logger');
 
 /**
- * Initiate manual payment request
+ * Checks on the buyer shared by course and bundle purchases
+ * @returns {Array|null} [statusCode, message] or null if the user may buy
  */
-exports.initiateManualPayment = async (req, res, next) => {
+const validatePurchaser = (user) => {
+    // Restriction: Admins and Instructors cannot enroll
+    if (user.role !== 'student') {
+        return [403, 'Instructors and Admins cannot enroll in courses.'];
+    }
+
+    // Check if email is verified
+    if (!user.email_verified && !user.emailVerified) { // Check both potential property names
+        return [403, 'Please verify your email before purchasing courses'];
+    }
+
+    return null;
+};
+
+/**
+ * Shared eligibility checks for every purchase flow
+ * @returns {Promise<Object>} { course, existingEnrollment } or { error: [statusCode, message] }
+ */
+const validatePurchase = async (user, courseId) => {
+    const purchaserError = validatePurchaser(user);
+    if (purchaserError) {
+        return { error: purchaserError };
+    }
+
+    const course = await Course.findByPk(courseId);
+    if (!course || !course.is_published) {
+        return { error: [404, 'Course not found'] };
+    }
+
+    // Check if already enrolled or has pending request
+    const existingEnrollment = await Enrollment.findOne({
+        where: { user_id: user.id, course_id: courseId },
+    });
+
+    if (existingEnrollment) {
+        if (existingEnrollment.payment_status === 'completed') {
+            return { error: [400, 'Already enrolled in this course'] };
+        }
+        if (existingEnrollment.payment_status === 'pending') {
+            return { error: [400, 'You already have a pending payment request for this course'] };
+        }
+    }
+
+    return { course, existingEnrollment };
+};
+
+/**
+ * Create the enrollment for a new purchase, reusing a previously failed or refunded one
+ * (enrollments are unique per user and course)
+ */
+const savePendingEnrollment = async (existingEnrollment, attributes, dbTransaction) => {
+    if (existingEnrollment) {
+        const { id, ...updates } = attributes;
+        return await existingEnrollment.update(updates, { transaction: dbTransaction });
+    }
+    return await Enrollment.create(attributes, { transaction: dbTransaction });
+};
+
+/**
+ * Check a provider can charge in a currency (providers without a `currencies` list take any)
+ * @returns {string|null} Error message, or null if supported
+ */
+const checkProviderCurrency = (provider, currency) => {
+    if (provider.currencies && !provider.currencies.includes(currency)) {
+        return `${provider.name} payments are only available in ${provider.currencies.join(', ')}`;
+    }
+    return null;
+};
+
+/**
+ * Start a purchase through a payment provider adapter.
+ * The price comes from the course's price list for the selected currency (body.currency,
+ * the user's preference or their country), falling back to the base price.
+ * Free courses (including ones fully covered by a coupon) always go through the 'free' provider.
+ */
+const startPurchase = async (req, res, providerName) => {
+    const { courseId, couponCode } = req.body;
+    const userId = req.user.id;
+
+    const check = await validatePurchase(req.user, courseId);
+    if (check.error) {
+        return errorResponse(res, ...check.error);
+    }
+    const { course, existingEnrollment } = check;
+
+    const { price, currency } = await getCoursePrice(course, await resolveCurrency(req, req.body.currency));
+
+    // IDs are generated up front so providers can echo them back in their callbacks
+    const transactionId = uuidv4();
+    const enrollmentId = existingEnrollment ? existingEnrollment.id : uuidv4();
+
+    // 1. Check the coupon with its row locked and reserve the use with a pending transaction, so
+    // concurrent checkouts cannot exceed its caps. The provider is only called once this commits.
+    const dbTransaction = await sequelize.transaction();
+    let pricing;
+    let provider;
+    let couponMetadata;
+    let normalized;
     try {
-        const { courseId, paymentMethod, senderInfo } = req.body;
-        const userId = req.user.id;
+        pricing = await resolvePrice({ course, user: req.user, couponCode, price, currency, dbTransaction });
+        couponMetadata = pricing.coupon ? {
+            couponId: pricing.coupon.id,
+            couponCode: pricing.coupon.code,
+            originalPrice: pricing.originalPrice,
+            discountAmount: pricing.discountAmount,
+        } : {};
 
-        // Restriction: Admins and Instructors cannot enroll
-        if (req.user.role !== 'student') {
-            return errorResponse(res, 403, 'Instructors and Admins cannot enroll in courses.');
+        const isFree = pricing.amount === 0;
+        if (!isFree && providerName === 'free') {
+            await dbTransaction.rollback();
+            return errorResponse(res, 400, 'This course is not free');
         }
 
-        // Check if email is verified
-        if (!req.user.email_verified && !req.user.emailVerified) { // Check both potential property names
-            return errorResponse(res, 403, 'Please verify your email before purchasing courses');
+        provider = getProvider(isFree ? 'free' : providerName);
+        if (!provider) {
+            await dbTransaction.rollback();
+            return errorResponse(res, 400, `Unsupported payment provider: ${providerName}`);
         }
+        const currencyError = checkProviderCurrency(provider, currency);
+        if (currencyError) {
+            await dbTransaction.rollback();
+            return errorResponse(res, 400, currencyError);
+        }
+
+        normalized = await normalizeToEGP(pricing.amount, currency);
+
+        await Transaction.create({
+            id: transactionId,
+            user_id: userId,
+            course_id: courseId,
+            amount: pricing.amount,
+            currency,
+            ...normalized,
+            status: 'pending',
+            payment_provider: provider.name,
+            metadata: { enrollmentId, ...couponMetadata }
+        }, { transaction: dbTransaction });
+
+        await dbTransaction.commit();
+    } catch (error) {
+        if (!dbTransaction.finished) await dbTransaction.rollback();
+        throw error;
+    }
+
+    let result;
+    try {
+        // 2. Start the payment with the provider
+        result = await provider.initiate({
+            course,
+            user: req.user,
+            transactionId,
+            enrollmentId,
+            amount: pricing.amount,
+            currency,
+            input: req.body,
+            file: req.file,
+        });
+
+        const now = new Date();
+        const isCompleted = result.status === 'completed';
+
+        // 3. Create the enrollment (price_paid in EGP; the charged amount is on the transaction)
+        // and record the provider's references on the reserved transaction
+        await sequelize.transaction(async (t) => {
+            await savePendingEnrollment(existingEnrollment, {
+                id: enrollmentId,
+                user_id: userId,
+                course_id: courseId,
+                price_paid: normalized.amount_egp ?? pricing.amount,
+                payment_status: result.status,
+                payment_transaction_id: result.reference,
+                purchase_date: now,
+                metadata: {
+                    paymentMethod: result.paymentMethod,
+                    provider: provider.name,
+                    ...result.enrollmentMetadata,
+                    ...couponMetadata,
+                    chargedAmount: pricing.amount,
+                    chargedCurrency: currency,
+                    requestedAt: now,
+                    activatedAt: isCompleted ? now : null
+                }
+            }, t);
+
+            await Transaction.update({
+                status: result.status,
+                payment_method: result.paymentMethod,
+                transaction_id: result.transactionRef,
+                provider_transaction_id: result.providerTransactionId,
+                metadata: { enrollmentId, ...result.transactionMetadata, ...couponMetadata }
+            }, { where: { id: transactionId }, transaction: t });
+
+            if (result.matchedPayments) {
+                await flagMatchedPayments(result.matchedPayments, t);
+            }
+        });
+    } catch (error) {
+        // Give the reserved coupon use back
+        await Transaction.update({ status: 'failed' }, { where: { id: transactionId, status: 'pending' } })
+            .catch(err => logger.error(`Failed to release reserved transaction ${transactionId}:`, err));
+        throw error;
+    }
+
+    logger.info(`Payment initiated: User ${userId} requested course ${courseId} via ${provider.name} (${result.paymentMethod})`);
+
+    return successResponse(res, 201, result.message, {
+        enrollmentId,
+        transactionId,
+        provider: provider.name,
+        amount: pricing.amount,
+        currency,
+        discountAmount: pricing.discountAmount,
+        ...result.response,
+    });
+};
+
+/**
+ * Start a bundle purchase: one transaction for the bundle price and one enrollment
+ * per course the student does not already own
+ */
+const startBundlePurchase = async (req, res, providerName) => {
+    const { bundleId } = req.body;
+    const userId = req.user.id;
+
+    const purchaserError = validatePurchaser(req.user);
+    if (purchaserError) {
+        return errorResponse(res, ...purchaserError);
+    }
+
+    const bundle = await Bundle.findOne({ where: { id: bundleId, is_published: true } });
+    if (!bundle) {
+        return errorResponse(res, 404, 'Bundle not found');
+    }
+
+    const existingBundleEnrollment = await BundleEnrollment.findOne({
+        where: { user_id: userId, bundle_id: bundle.id }
+    });
+    if (existingBundleEnrollment && existingBundleEnrollment.payment_status === 'completed') {
+        return errorResponse(res, 400, 'Already enrolled in this bundle');
+    }
+    if (existingBundleEnrollment && existingBundleEnrollment.payment_status === 'pending') {
+        return errorResponse(res, 400, 'You already have a pending payment request for this bundle');
+    }
+
+    // Unpublished courses stay in the bundle for its earlier buyers but are not sold
+    const courses = (await getBundleCourses(bundle.id)).filter(course => course.is_published);
+    if (courses.length === 0) {
+        return errorResponse(res, 400, 'This bundle has no courses available');
+    }
+
+    const existingEnrollments = await Enrollment.findAll({
+        where: { user_id: userId, course_id: courses.map(course => course.id) }
+    });
+    const existingByCourse = new Map(existingEnrollments.map(enrollment => [enrollment.course_id, enrollment]));
+
+    const pendingCourse = courses.find(course => existingByCourse.get(course.id)?.payment_status === 'pending');
+    if (pendingCourse) {
+        return errorResponse(res, 400, `You already have a pending payment request for ${pendingCourse.title}`);
+    }
+
+    // Courses the student already owns keep their existing enrollment
+    const coursesToGrant = courses.filter(course => existingByCourse.get(course.id)?.payment_status !== 'completed');
+    if (coursesToGrant.length === 0) {
+        return errorResponse(res, 400, 'You are already enrolled in every course in this bundle');
+    }
+
+    const amount = parseFloat(bundle.price);
+    const isFree = amount === 0;
+    if (!isFree && providerName === 'free') {
+        return errorResponse(res, 400, 'This bundle is not free');
+    }
+
+    const provider = getProvider(isFree ? 'free' : providerName);
+    if (!provider) {
+        return errorResponse(res, 400, `Unsupported payment provider: ${providerName}`);
+    }
+    const currencyError = checkProviderCurrency(provider, bundle.currency);
+    if (currencyError) {
+        return errorResponse(res, 400, currencyError);
+    }
+
+    const normalized = await normalizeToEGP(amount, bundle.currency);
+
+    const transactionId = uuidv4();
+    const bundleEnrollmentId = existingBundleEnrollment ? existingBundleEnrollment.id : uuidv4();
+
+    const result = await provider.initiate({
+        course: bundle,
+        user: req.user,
+        transactionId,
+        enrollmentId: bundleEnrollmentId,
+        amount,
+        returnPath: `/bundles/${bundle.slug}`,
+        input: req.body,
+        file: req.file,
+    });
+
+    const now = new Date();
+    const isCompleted = result.status === 'completed';
+    // Per-course prices are stored in EGP, like every enrollment
+    const allocation = allocateBundlePrice(coursesToGrant, normalized.amount_egp ?? amount);
+
+    const dbTransaction = await sequelize.transaction();
+    const enrollmentIds = [];
+    try {
+        for (const course of coursesToGrant) {
+            const existingEnrollment = existingByCourse.get(course.id);
+            const enrollment = await savePendingEnrollment(existingEnrollment, {
+                id: existingEnrollment ? existingEnrollment.id : uuidv4(),
+                user_id: userId,
+                course_id: course.id,
+                bundle_id: bundle.id,
+                price_paid: allocation[course.id],
+                payment_status: result.status,
+                payment_transaction_id: result.reference,
+                purchase_date: now,
+                metadata: {
+                    paymentMethod: result.paymentMethod,
+                    provider: provider.name,
+                    bundleId: bundle.id,
+                    ...result.enrollmentMetadata,
+                    requestedAt: now,
+                    activatedAt: isCompleted ? now : null
+                }
+            }, dbTransaction);
+            enrollmentIds.push(enrollment.id);
+        }
+
+        await Transaction.create({
+            id: transactionId,
+            user_id: userId,
+            course_id: null,
+            bundle_id: bundle.id,
+            amount,
+            currency: bundle.currency,
+            ...normalized,
+            status: result.status,
+            payment_method: result.paymentMethod,
+            payment_provider: provider.name,
+            transaction_id: result.transactionRef,
+            provider_transaction_id: result.providerTransactionId,
+            metadata: { enrollmentIds, bundleEnrollmentId, ...result.transactionMetadata }
+        }, { transaction: dbTransaction });
+
+        const bundleEnrollmentAttributes = {
+            user_id: userId,
+            bundle_id: bundle.id,
+            transaction_id: transactionId,
+            price_paid: amount,
+            payment_status: result.status,
+            purchase_date: now,
+            // The course list at purchase time defines the track this student has to complete
+            metadata: {
+                paymentMethod: result.paymentMethod,
+                provider: provider.name,
+                enrollmentIds,
+                courseIds: courses.map(course => course.id)
+            }
+        };
+        if (existingBundleEnrollment) {
+            await existingBundleEnrollment.update(bundleEnrollmentAttributes, { transaction: dbTransaction });
+        } else {
+            await BundleEnrollment.create({ id: bundleEnrollmentId, ...bundleEnrollmentAttributes }, { transaction: dbTransaction });
+        }
+
+        if (result.matchedPayments) {
+            await flagMatchedPayments(result.matchedPayments, dbTransaction);
+        }
+
+        await dbTransaction.commit();
+    } catch (error) {
+        if (!dbTransaction.finished) await dbTransaction.rollback();
+        throw error;
+    }
+
+    logger.info(`Bundle payment initiated: User ${userId} requested bundle ${bundle.id} via ${provider.name} (${result.paymentMethod})`);
+
+    return successResponse(res, 201, result.message, {
+        bundleEnrollmentId,
+        enrollmentIds,
+        transactionId,
+        provider: provider.name,
+        amount,
+        ...result.response,
+    });
+};
+
+/**
+ * Initiate a bundle purchase with any registered provider (body.provider)
+ */
+exports.initiateBundlePayment = async (req, res, next) => {
+    try {
+        return await startBundlePurchase(req, res, req.body.provider || 'manual');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start (or renew) a membership. Paying while a subscription is running extends it.
+ */
+const startSubscriptionPurchase = async (req, res, providerName) => {
+    const { planId } = req.body;
+    const userId = req.user.id;
+
+    const purchaserError = validatePurchaser(req.user);
+    if (purchaserError) {
+        return errorResponse(res, ...purchaserError);
+    }
+
+    const plan = await Plan.findOne({ where: { id: planId, is_active: true } });
+    if (!plan) {
+        return errorResponse(res, 404, 'Plan not found');
+    }
+
+    const running = await getActiveSubscription(userId);
+    if (running && running.plan_id !== plan.id) {
+        return errorResponse(res, 400, `You already have an active ${running.plan.name} membership`);
+    }
+
+    const pendingPayment = await Transaction.findOne({
+        where: { user_id: userId, status: 'pending', metadata: { planId: plan.id } }
+    });
+    if (pendingPayment) {
+        return errorResponse(res, 400, 'You already have a pending payment for this membership');
+    }
+
+    // Manual receipts are reviewed per enrollment, and a membership has none
+    const provider = getProvider(providerName);
+    if (!provider || ['free', 'manual'].includes(provider.name)) {
+        return errorResponse(res, 400, `Unsupported payment provider for memberships: ${providerName}`);
+    }
+    const currencyError = checkProviderCurrency(provider, plan.currency);
+    if (currencyError) {
+        return errorResponse(res, 400, currencyError);
+    }
+
+    const subscription = running || await Subscription.create({
+        user_id: userId,
+        plan_id: plan.id,
+        status: 'pending',
+    });
+
+    const transactionId = uuidv4();
+    const amount = parseFloat(plan.price);
+
+    const result = await provider.initiate({
+        course: { id: plan.id, title: `${plan.name} Membership`, price: plan.price, currency: plan.currency, slug: plan.slug },
+        user: req.user,
+        transactionId,
+        enrollmentId: subscription.id,
+        amount,
+        returnPath: '/account/membership',
+        input: req.body,
+        file: req.file,
+    });
+
+    await Transaction.create({
+        id: transactionId,
+        user_id: userId,
+        course_id: null,
+        amount,
+        currency: plan.currency,
+        ...(await normalizeToEGP(amount, plan.currency)),
+        status: 'pending',
+        payment_method: result.paymentMethod,
+        payment_provider: provider.name,
+        transaction_id: result.transactionRef,
+        provider_transaction_id: result.providerTransactionId,
+        metadata: {
+            subscriptionId: subscription.id,
+            planId: plan.id,
+            renewal: Boolean(running),
+            ...result.transactionMetadata
+        }
+    });
+
+    logger.info(`Subscription payment initiated: User ${userId} plan ${plan.id} via ${provider.name} (${result.paymentMethod})`);
+
+    return successResponse(res, 201, result.message, {
+        subscriptionId: subscription.id,
+        transactionId,
+        provider: provider.name,
+        amount,
+        ...result.response,
+    });
+};
+
+/**
+ * Initiate a membership purchase or renewal with an online provider (body.provider, defaults to stripe)
+ */
+exports.initiateSubscriptionPayment = async (req, res, next) => {
+    try {
+        return await startSubscriptionPurchase(req, res, req.body.provider || 'stripe');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Buy a course for someone else: one gift code emailed to body.recipientEmail, or a batch of
+ * body.quantity codes for the purchaser to hand out. One transaction covers the whole purchase;
+ * the codes become redeemable once it completes.
+ */
+const startCodePurchase = async (req, res, kind) => {
+    const { courseId, recipientEmail, message } = req.body;
+    const providerName = req.body.provider || 'stripe';
+    const quantity = kind === 'gift' ? 1 : parseInt(req.body.quantity, 10);
+    const userId = req.user.id;
+
+    if (!req.user.email_verified && !req.user.emailVerified) {
+        return errorResponse(res, 403, 'Please verify your email before purchasing courses');
+    }
+
+    const course = await Course.findByPk(courseId);
+    if (!course || !course.is_published) {
+        return errorResponse(res, 404, 'Course not found');
+    }
+
+    const { price, currency } = await getCoursePrice(course, await resolveCurrency(req, req.body.currency));
+    if (!(price > 0)) {
+        return errorResponse(res, 400, 'Free courses cannot be bought as gifts or codes');
+    }
+
+    // Manual receipts are reviewed per enrollment, and there is none until a code is redeemed
+    const provider = getProvider(providerName);
+    if (!provider || ['free', 'manual'].includes(provider.name)) {
+        return errorResponse(res, 400, `Unsupported payment provider for gifts and codes: ${providerName}`);
+    }
+    const currencyError = checkProviderCurrency(provider, currency);
+    if (currencyError) {
+        return errorResponse(res, 400, currencyError);
+    }
+
+    const amount = Math.round(price * quantity * 100) / 100;
+    const transactionId = uuidv4();
+
+    const result = await provider.initiate({
+        course,
+        user: req.user,
+        transactionId,
+        enrollmentId: transactionId,
+        amount,
+        currency,
+        returnPath: '/account/gifts',
+        input: req.body,
+        file: req.file,
+    });
+
+    const dbTransaction = await sequelize.transaction();
+    let codes;
+    try {
+        await Transaction.create({
+            id: transactionId,
+            user_id: userId,
+            course_id: course.id,
+            amount,
+            currency,
+            ...(await normalizeToEGP(amount, currency)),
+            status: 'pending',
+            payment_method: result.paymentMethod,
+            payment_provider: provider.name,
+            transaction_id: result.transactionRef,
+            provider_transaction_id: result.providerTransactionId,
+            metadata: {
+                codePurchase: kind,
+                quantity,
+                unitPrice: price,
+                recipientEmail: kind === 'gift' ? recipientEmail : undefined,
+                ...result.transactionMetadata
+            }
+        }, { transaction: dbTransaction });
+
+        codes = await createCodes({
+            courseId: course.id,
+            transactionId,
+            purchaserId: userId,
+            kind,
+            quantity,
+            recipientEmail: kind === 'gift' ? recipientEmail : null,
+            message: kind === 'gift' ? message : null,
+            dbTransaction,
+        });
+
+        await dbTransaction.commit();
+    } catch (error) {
+        if (!dbTransaction.finished) await dbTransaction.rollback();
+        throw error;
+    }
+
+    logger.info(`Code purchase initiated: User ${userId} bought ${quantity} ${kind} code(s) for course ${course.id} via ${provider.name}`);
+
+    return successResponse(res, 201, result.message, {
+        transactionId,
+        provider: provider.name,
+        quantity,
+        amount,
+        currency,
+        codeIds: codes.map(code => code.id),
+        ...result.response,
+    });
+};
+
+/**
+ * Buy a course as a gift for an email address (body.provider, defaults to stripe)
+ */
+exports.initiateGiftPayment = async (req, res, next) => {
+    try {
+        return await startCodePurchase(req, res, 'gift');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Buy a batch of single-use enrollment codes for a course (body.provider, defaults to stripe)
+ */
+exports.initiateCodeBatchPayment = async (req, res, next) => {
+    try {
+        return await startCodePurchase(req, res, 'batch');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Org admin: buy body.quantity seats in a course for the organization loaded by checkOrgRole.
+ * The seats are added to the organization's pool once the payment completes.
+ */
+exports.initiateSeatPayment = async (req, res, next) => {
+    try {
+        const { courseId } = req.body;
+        const providerName = req.body.provider || 'stripe';
+        const quantity = parseInt(req.body.quantity, 10);
+        const organization = req.organization;
 
         const course = await Course.findByPk(courseId);
         if (!course || !course.is_published) {
             return errorResponse(res, 404, 'Course not found');
         }
 
-        const isFree = parseFloat(course.price) === 0;
+        const { price, currency } = await getCoursePrice(course, await resolveCurrency(req, req.body.currency));
+        if (!(price > 0)) {
+            return errorResponse(res, 400, 'Free courses do not need seats');
+        }
 
-        if (!isFree && !req.file) {
-            return errorResponse(res, 400, 'Payment receipt screenshot is required');
+        // As with gifts, there is no enrollment for a manual receipt to be reviewed against
+        const provider = getProvider(providerName);
+        if (!provider || ['free', 'manual'].includes(provider.name)) {
+            return errorResponse(res, 400, `Unsupported payment provider for seat purchases: ${providerName}`);
+        }
+        const currencyError = checkProviderCurrency(provider, currency);
+        if (currencyError) {
+            return errorResponse(res, 400, currencyError);
         }
 
-        // Check if already enrolled or has pending request
-        const existingEnrollment = await Enrollment.findOne({
-            where: { user_id: userId, course_id: courseId },
+        const amount = Math.round(price * quantity * 100) / 100;
+        const transactionId = uuidv4();
+
+        const result = await provider.initiate({
+            course,
+            user: req.user,
+            transactionId,
+            enrollmentId: transactionId,
+            amount,
+            currency,
+            returnPath: `/organizations/${organization.id}`,
+            input: req.body,
+            file: req.file,
         });
 
-        if (existingEnrollment) {
-            if (existingEnrollment.payment_status === 'completed') {
-                return errorResponse(res, 400, 'Already enrolled in this course');
+        await Transaction.create({
+            id: transactionId,
+            user_id: req.user.id,
+            course_id: course.id,
+            amount,
+            currency,
+            ...(await normalizeToEGP(amount, currency)),
+            status: 'pending',
+            payment_method: result.paymentMethod,
+            payment_provider: provider.name,
+            transaction_id: result.transactionRef,
+            provider_transaction_id: result.providerTransactionId,
+            metadata: {
+                seatPurchase: { organizationId: organization.id, quantity },
+                quantity,
+                unitPrice: price,
+                ...result.transactionMetadata
             }
-            if (existingEnrollment.payment_status === 'pending') {
-                return errorResponse(res, 400, 'You already have a pending payment request for this course');
+        });
+
+        logger.info(`Seat purchase initiated: Organization ${organization.id} bought ${quantity} seat(s) in course ${course.id} via ${provider.name}`);
+
+        return successResponse(res, 201, result.message, {
+            transactionId,
+            organizationId: organization.id,
+            provider: provider.name,
+            quantity,
+            amount,
+            currency,
+            ...result.response,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Initiate a purchase with any registered provider (body.provider)
+ */
+exports.initiatePayment = async (req, res, next) => {
+    try {
+        return await startPurchase(req, res, req.body.provider);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Initiate manual payment request
+ */
+exports.initiateManualPayment = async (req, res, next) => {
+    try {
+        return await startPurchase(req, res, 'manual');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Maximum number of enrollments approved or rejected in one bulk request
+const BULK_VERIFY_LIMIT = 100;
+
+/**
+ * Admin: Get pending enrollments, filtered by payment method, course, date range, amount
+ * and whether the receipt was flagged as suspicious
+ */
+exports.getPendingEnrollments = async (req, res, next) => {
+    try {
+        const { paymentMethod, courseId, from, to, minAmount, maxAmount, flagged } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const where = { payment_status: 'pending' };
+
+        const metadataFilter = {};
+        if (paymentMethod) metadataFilter.paymentMethod = paymentMethod;
+        if (flagged === 'true') metadataFilter.flagged = true;
+        if (Object.keys(metadataFilter).length > 0) {
+            where.metadata = metadataFilter;
+        }
+        if (courseId) {
+            if (!isUuid(courseId)) {
+                return errorResponse(res, 400, 'Invalid course ID');
             }
+            where.course_id = courseId;
         }
 
-        const receiptUrl = req.file ? `/uploads/receipts/${req.file.filename}` : null;
+        if (from || to) {
+            where.purchase_date = {};
+            for (const [value, operator, label] of [[from, Op.gte, 'from'], [to, Op.lte, 'to']]) {
+                if (!value) continue;
+                const date = new Date(value);
+                if (isNaN(date.getTime())) {
+                    return errorResponse(res, 400, `${label} must be a valid date`);
+                }
+                where.purchase_date[operator] = date;
+            }
+        }
 
-        // Create enrollment
-        const enrollment = await Enrollment.create({
-            user_id: userId,
-            course_id: courseId,
-            price_paid: course.price,
-            payment_status: isFree ? 'completed' : 'pending',
-            payment_transaction_id: isFree ? 'FREE_ACCESS' : senderInfo,
-            purchase_date: new Date(),
-            metadata: {
-                paymentMethod: isFree ? 'free' : paymentMethod,
-                senderInfo: isFree ? 'N/A' : senderInfo,
-                receiptUrl,
-                requestedAt: new Date(),
-                activatedAt: isFree ? new Date() : null
+        if (minAmount !== undefined || maxAmount !== undefined) {
+            where.price_paid = {};
+            for (const [value, operator, label] of [[minAmount, Op.gte, 'minAmount'], [maxAmount, Op.lte, 'maxAmount']]) {
+                if (value === undefined || value === '') continue;
+                const amount = parseFloat(value);
+                if (!Number.isFinite(amount)) {
+                    return errorResponse(res, 400, `${label} must be a number`);
+                }
+                where.price_paid[operator] = amount;
             }
+        }
+
+        const { count, rows: pending } = await Enrollment.findAndCountAll({
+            where,
+            include: [
+                { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+                { model: Course, as: 'course', attributes: ['id', 'title', 'price'] }
+            ],
+            order: [['purchase_date', 'DESC']],
+            limit,
+            offset: (page - 1) * limit,
         });
 
-        // Create transaction record
-        await Transaction.create({
-            user_id: userId,
-            course_id: courseId,
-            amount: course.price,
-            status: isFree ? 'completed' : 'pending',
-            payment_method: isFree ? 'free' : paymentMethod,
-            provider_transaction_id: isFree ? 'FREE_ACCESS' : senderInfo,
-            metadata: { enrollmentId: enrollment.id, receiptUrl, isFree }
+        return successResponse(res, 200, 'Pending enrollments retrieved', {
+            pending,
+            pagination: paginationMeta(page, limit, count),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Admin: Preview the receipt a student uploaded for a manual payment
+ */
+exports.getReceiptPreview = async (req, res, next) => {
+    try {
+        const enrollment = await Enrollment.findByPk(req.params.enrollmentId, {
+            include: [
+                { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+                { model: Course, as: 'course', attributes: ['id', 'title', 'price', 'currency'] }
+            ]
         });
 
-        logger.info(`Manual payment initiated: User ${userId} requested course ${courseId} via ${paymentMethod}`);
+        if (!enrollment) {
+            return errorResponse(res, 404, 'Enrollment not found');
+        }
+
+        const metadata = enrollment.metadata || {};
+        if (!metadata.receiptUrl) {
+            return errorResponse(res, 404, 'No receipt was uploaded for this enrollment');
+        }
 
-        return successResponse(res, 201, 'Payment request submitted successfully', {
+        return successResponse(res, 200, 'Receipt retrieved', {
             enrollmentId: enrollment.id,
+            status: enrollment.payment_status,
+            paymentMethod: metadata.paymentMethod,
+            senderInfo: metadata.senderInfo,
+            receiptUrl: metadata.receiptUrl,
+            receiptHash: metadata.receiptHash || null,
+            flagged: Boolean(metadata.flagged),
+            receiptFlags: metadata.receiptFlags || [],
+            amount: parseFloat(enrollment.price_paid),
+            requestedAt: metadata.requestedAt || enrollment.purchase_date,
+            user: enrollment.user,
+            course: enrollment.course,
         });
     } catch (error) {
         next(error);
@@ -92,21 +881,158 @@ exports.initiateManualPayment = async (req, res, next) => {
 };
 
 /**
- * Admin: Get all pending enrollments
+ * Admin: List every other enrollment paid with the same receipt image or sender reference
  */
-exports.getPendingEnrollments = async (req, res, next) => {
+exports.getRelatedEnrollments = async (req, res, next) => {
     try {
-        const pending = await Enrollment.findAll({
-            where: { payment_status: 'pending' },
+        const enrollment = await Enrollment.findByPk(req.params.enrollmentId);
+        if (!enrollment) {
+            return errorResponse(res, 404, 'Enrollment not found');
+        }
+
+        const { receiptHash, senderReference } = enrollment.metadata || {};
+        if (!receiptHash && !senderReference) {
+            return errorResponse(res, 404, 'This enrollment has no receipt fingerprint');
+        }
+
+        const findRelated = (metadata) => Enrollment.findAll({
+            where: { metadata, id: { [Op.ne]: enrollment.id } },
             include: [
-                { model: User, as: 'user', attributes: ['name', 'email'] },
-                { model: Course, as: 'course', attributes: ['title', 'price'] }
+                { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+                { model: Course, as: 'course', attributes: ['id', 'title'] }
             ],
-            order: [['purchase_date', 'DESC']]
+            attributes: ['id', 'payment_status', 'price_paid', 'purchase_date', 'bundle_id', 'metadata'],
+            order: [['purchase_date', 'ASC']]
+        });
+
+        const [byReceipt, bySender] = await Promise.all([
+            receiptHash ? findRelated({ receiptHash }) : [],
+            senderReference ? findRelated({ senderReference }) : [],
+        ]);
+
+        return successResponse(res, 200, 'Related enrollments retrieved', {
+            enrollmentId: enrollment.id,
+            receiptHash: receiptHash || null,
+            senderReference: senderReference || null,
+            byReceipt,
+            bySender,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Find the pending transaction that pays for an enrollment (bundles share one transaction)
+ */
+const findPendingTransaction = async (enrollment, dbTransaction) => {
+    // Gift, batch and seat purchases of the same course are not this enrollment's payment
+    const where = enrollment.bundle_id
+        ? { user_id: enrollment.user_id, bundle_id: enrollment.bundle_id, status: 'pending' }
+        : {
+            user_id: enrollment.user_id,
+            course_id: enrollment.course_id,
+            status: 'pending',
+            metadata: { codePurchase: null, seatPurchase: null },
+        };
+
+    return await Transaction.findOne({ where, transaction: dbTransaction, lock: dbTransaction.LOCK.UPDATE });
+};
+
+/**
+ * Admin: Approve or reject many pending enrollments at once.
+ * All status changes commit together; confirmation emails go out after the response.
+ */
+exports.bulkVerifyEnrollments = async (req, res, next) => {
+    const { enrollmentIds, status, notes } = req.body;
+
+    if (!Array.isArray(enrollmentIds) || enrollmentIds.length === 0) {
+        return errorResponse(res, 400, 'enrollmentIds must be a non-empty array');
+    }
+    if (enrollmentIds.length > BULK_VERIFY_LIMIT) {
+        return errorResponse(res, 400, `At most ${BULK_VERIFY_LIMIT} enrollments can be processed at once`);
+    }
+    if (!enrollmentIds.every(id => isUuid(String(id)))) {
+        return errorResponse(res, 400, 'Every enrollment ID must be a valid UUID');
+    }
+    if (!['completed', 'failed'].includes(status)) {
+        return errorResponse(res, 400, 'Status must be completed or failed');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+        const ids = [...new Set(enrollmentIds)];
+        const enrollments = await Enrollment.findAll({
+            where: { id: ids },
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE,
+        });
+        const byId = new Map(enrollments.map(enrollment => [enrollment.id, enrollment]));
+
+        const processed = [];
+        const skipped = [];
+        const settlements = [];
+        // Approving one course of a bundle settles its siblings too
+        const settledEnrollmentIds = new Set();
+
+        for (const id of ids) {
+            const enrollment = byId.get(id);
+            if (!enrollment) {
+                skipped.push({ enrollmentId: id, reason: 'Enrollment not found' });
+                continue;
+            }
+
+            if (!settledEnrollmentIds.has(id)) {
+                if (enrollment.payment_status !== 'pending') {
+                    skipped.push({ enrollmentId: id, reason: `Enrollment is already ${enrollment.payment_status}` });
+                    continue;
+                }
+
+                const paymentTransaction = await findPendingTransaction(enrollment, dbTransaction);
+                if (!paymentTransaction) {
+                    skipped.push({ enrollmentId: id, reason: 'No pending transaction found for this enrollment' });
+                    continue;
+                }
+
+                const settlement = await applySettlement(paymentTransaction, status, {
+                    notes,
+                    actorId: req.user.id,
+                    req,
+                    metadata: { adminNotes: notes },
+                    dbTransaction,
+                });
+                settlement.enrollments.forEach(item => settledEnrollmentIds.add(item.id));
+                settlements.push(settlement);
+            }
+
+            await logAction({
+                userId: req.user.id,
+                action: status === 'completed' ? 'PAYMENT_APPROVED' : 'PAYMENT_REJECTED',
+                entityType: 'Enrollment',
+                entityId: id,
+                oldValues: { status: 'pending' },
+                newValues: { status, notes, bulk: true },
+                req,
+                transaction: dbTransaction,
+            });
+            processed.push(id);
+        }
+
+        await dbTransaction.commit();
+
+        logger.info(`Bulk ${status}: ${processed.length} enrollment(s) by ${req.user.id}, ${skipped.length} skipped`);
+
+        // Invoices and confirmation emails are slow; don't hold the admin's request for them
+        setImmediate(async () => {
+            for (const settlement of settlements) {
+                await notifySettlement(settlement)
+                    .catch(err => logger.error(`Failed to notify settlement of transaction ${settlement.transaction.id}:`, err));
+            }
         });
 
-        return successResponse(res, 200, 'Pending enrollments retrieved', { pending });
+        return successResponse(res, 200, `${processed.length} enrollment(s) ${status}`, { processed, skipped });
     } catch (error) {
+        if (!dbTransaction.finished) await dbTransaction.rollback();
         next(error);
     }
 };
@@ -115,67 +1041,526 @@ exports.getPendingEnrollments = async (req, res, next) => {
  * Admin: Approve/Reject enrollment
  */
 exports.verifyEnrollment = async (req, res, next) => {
-    try {
-        const { enrollmentId } = req.params;
-        const { status, notes } = req.body; // status: 'completed' or 'failed'
+    const { enrollmentId } = req.params;
+    const { status, notes } = req.body; // status: 'completed' or 'failed'
+
+    if (!['completed', 'failed'].includes(status)) {
+        return errorResponse(res, 400, 'Status must be completed or failed');
+    }
 
+    const dbTransaction = await sequelize.transaction();
+    try {
         const enrollment = await Enrollment.findByPk(enrollmentId, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE,
+        });
+
+        if (!enrollment) {
+            await dbTransaction.rollback();
+            return errorResponse(res, 404, 'Enrollment not found');
+        }
+        if (enrollment.payment_status !== 'pending') {
+            await dbTransaction.rollback();
+            return errorResponse(res, 400, `Enrollment is already ${enrollment.payment_status}`);
+        }
+
+        // A bundle is paid for once, so approving any of its enrollments settles all of them
+        const paymentTransaction = await findPendingTransaction(enrollment, dbTransaction);
+        if (!paymentTransaction) {
+            await dbTransaction.rollback();
+            return errorResponse(res, 400, 'No pending transaction found for this enrollment');
+        }
+
+        const settlement = await applySettlement(paymentTransaction, status, {
+            notes,
+            actorId: req.user.id,
+            req,
+            metadata: { adminNotes: notes },
+            dbTransaction,
+        });
+
+        await logAction({
+            userId: req.user.id,
+            action: status === 'completed' ? 'PAYMENT_APPROVED' : 'PAYMENT_REJECTED',
+            entityType: 'Enrollment',
+            entityId: enrollment.id,
+            oldValues: { status: 'pending' },
+            newValues: { status, notes },
+            req,
+            transaction: dbTransaction,
+        });
+
+        await dbTransaction.commit();
+
+        // Invoice and confirmation email, only once the approval is committed
+        await notifySettlement(settlement);
+
+        await enrollment.reload({
             include: [
                 { model: User, as: 'user' },
                 { model: Course, as: 'course' }
             ]
         });
 
+        return successResponse(res, 200, `Enrollment ${status}`, { enrollment });
+    } catch (error) {
+        if (!dbTransaction.finished) await dbTransaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Create a Stripe Checkout session for a course
+ */
+exports.createStripeCheckout = async (req, res, next) => {
+    try {
+        return await startPurchase(req, res, 'stripe');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start a Paymob card (iframe) or mobile wallet payment for a course
+ */
+exports.createPaymobPayment = async (req, res, next) => {
+    try {
+        return await startPurchase(req, res, 'paymob');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Find the transaction a provider event refers to, locked for the settlement
+ * @param {string} providerName - Provider the event came from
+ * @param {Object} match - { transactionId, where } hints from the adapter
+ * @param {Object} dbTransaction - Sequelize transaction the settlement runs in
+ */
+const findProviderTransaction = async (providerName, match = {}, dbTransaction) => {
+    const options = { transaction: dbTransaction, lock: dbTransaction.LOCK.UPDATE };
+    let transaction = null;
+
+    if (match.transactionId && isUuid(match.transactionId)) {
+        transaction = await Transaction.findByPk(match.transactionId, options);
+    }
+    if (!transaction && match.where) {
+        transaction = await Transaction.findOne({ where: match.where, ...options });
+    }
+
+    return transaction && transaction.payment_provider === providerName ? transaction : null;
+};
+
+/**
+ * Provider webhook: verify authenticity, then apply each event exactly once.
+ * Recording the event and settling it commit together, so a concurrent retry of the
+ * same event waits on the unique key and is then reported as a duplicate.
+ */
+exports.handleWebhook = async (req, res, next) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+        return errorResponse(res, 404, 'Unknown payment provider');
+    }
+
+    let event;
+    try {
+        event = await provider.verifyCallback(req);
+    } catch (error) {
+        logger.warn(`${provider.name} webhook rejected: ${error.message}`);
+        return errorResponse(res, 400, 'Invalid webhook signature');
+    }
+
+    if (!event) {
+        return successResponse(res, 200, 'Event ignored', { duplicate: false });
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+        let webhookEvent;
+        try {
+            webhookEvent = await WebhookEvent.create({
+                provider: provider.name,
+                event_id: event.eventId,
+                event_type: event.eventType,
+                payload: req.body,
+            }, { transaction: dbTransaction });
+        } catch (error) {
+            if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+            await dbTransaction.rollback();
+            return successResponse(res, 200, 'Event already processed', { duplicate: true });
+        }
+
+        let settlement = null;
+        if (event.status) {
+            const transaction = await findProviderTransaction(provider.name, event.match, dbTransaction);
+
+            if (transaction) {
+                settlement = await applySettlement(transaction, event.status, {
+                    providerTransactionId: event.providerTransactionId,
+                    refundReason: event.refundReason,
+                    metadata: event.metadata,
+                    dbTransaction,
+                });
+                await webhookEvent.update({ transaction_id: transaction.id }, { transaction: dbTransaction });
+            } else {
+                logger.warn(`${provider.name} event ${event.eventId} (${event.eventType}) does not match any transaction`);
+            }
+        }
+
+        await dbTransaction.commit();
+
+        if (settlement) {
+            await notifySettlement(settlement);
+        }
+
+        return successResponse(res, 200, 'Event processed', { duplicate: false });
+    } catch (error) {
+        if (!dbTransaction.finished) await dbTransaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Admin: Ask the provider for a transaction's status and reconcile it
+ */
+exports.syncTransactionStatus = async (req, res, next) => {
+    try {
+        const found = await Transaction.findByPk(req.params.transactionId);
+        if (!found) {
+            return errorResponse(res, 404, 'Transaction not found');
+        }
+
+        const provider = getProvider(found.payment_provider || 'manual');
+        if (!provider) {
+            return errorResponse(res, 400, `Unsupported payment provider: ${found.payment_provider}`);
+        }
+
+        // Ask the provider first so the row lock is not held across its API call
+        const providerStatus = await provider.fetchStatus(found);
+
+        const dbTransaction = await sequelize.transaction();
+        let transaction;
+        let previousStatus;
+        let settlement = null;
+        try {
+            // Locked like the webhook path, which may be settling the same transaction
+            transaction = await Transaction.findByPk(found.id, { transaction: dbTransaction, lock: dbTransaction.LOCK.UPDATE });
+            previousStatus = transaction.status;
+
+            if (providerStatus !== previousStatus && providerStatus !== 'pending') {
+                settlement = await applySettlement(transaction, providerStatus, {
+                    actorId: req.user.id,
+                    req,
+                    metadata: { lastSyncedAt: new Date() },
+                    dbTransaction,
+                });
+            }
+
+            await dbTransaction.commit();
+        } catch (error) {
+            if (!dbTransaction.finished) await dbTransaction.rollback();
+            throw error;
+        }
+
+        if (settlement) {
+            await notifySettlement(settlement);
+        }
+        const changed = Boolean(settlement && settlement.changed);
+
+        return successResponse(res, 200, changed ? 'Transaction reconciled' : 'Transaction already in sync', {
+            previousStatus,
+            providerStatus,
+            transaction,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Student: Request a refund for a paid enrollment
+ */
+exports.requestRefund = async (req, res, next) => {
+    try {
+        const { enrollmentId, reason } = req.body;
+
+        const enrollment = await Enrollment.findOne({
+            where: { id: enrollmentId, user_id: req.user.id }
+        });
         if (!enrollment) {
             return errorResponse(res, 404, 'Enrollment not found');
         }
+        if (enrollment.bundle_id) {
+            return errorResponse(res, 400, 'Courses bought as part of a bundle cannot be refunded individually');
+        }
+        if (enrollment.metadata?.redemptionCodeId) {
+            return errorResponse(res, 400, 'Courses redeemed with a gift or enrollment code cannot be refunded');
+        }
 
-        const oldStatus = enrollment.payment_status;
-
-        await enrollment.update({
-            payment_status: status,
-            payment_notes: notes
+        const openRequest = await RefundRequest.findOne({
+            where: { enrollment_id: enrollment.id, status: 'pending' }
         });
+        if (openRequest) {
+            return errorResponse(res, 409, 'A refund request for this enrollment is already under review');
+        }
+
+        const eligibility = await checkRefundEligibility(enrollment);
+        if (!eligibility.eligible) {
+            return errorResponse(res, 400, eligibility.reason);
+        }
 
-        // Update corresponding transaction
         const transaction = await Transaction.findOne({
-            where: { user_id: enrollment.user_id, course_id: enrollment.course_id, status: 'pending' }
+            where: {
+                user_id: enrollment.user_id,
+                course_id: enrollment.course_id,
+                status: 'completed',
+                metadata: { codePurchase: null, seatPurchase: null }
+            },
+            order: [['created_at', 'DESC']]
         });
-
-        if (transaction) {
-            await transaction.update({
-                status,
-                metadata: { ...transaction.metadata, adminNotes: notes }
-            });
+        if (!transaction) {
+            return errorResponse(res, 400, 'No completed payment was found for this enrollment');
         }
 
-        // Audit Log
+        const refundRequest = await RefundRequest.create({
+            user_id: req.user.id,
+            enrollment_id: enrollment.id,
+            transaction_id: transaction.id,
+            reason,
+            progress_at_request: enrollment.progress_percentage
+        });
+
         await logAction({
             userId: req.user.id,
-            action: status === 'completed' ? 'PAYMENT_APPROVED' : 'PAYMENT_REJECTED',
-            entityType: 'Enrollment',
-            entityId: enrollment.id,
-            oldValues: { status: oldStatus },
-            newValues: { status, notes },
+            action: 'REFUND_REQUESTED',
+            entityType: 'RefundRequest',
+            entityId: refundRequest.id,
+            newValues: { enrollmentId: enrollment.id, transactionId: transaction.id, reason },
             req
         });
 
-        if (status === 'completed') {
-            // Send confirmation email
-            await sendEmail({
-                to: enrollment.user.email,
-                subject: 'Enrollment Confirmed - ITSLab',
-                template: 'enrollment-confirmation',
-                data: {
-                    studentName: enrollment.user.name,
-                    courseName: enrollment.course.title,
-                    courseUrl: `${process.env.FRONTEND_URL}/courses/${enrollment.course.slug}`,
-                },
-            }).catch(err => logger.error('Failed to send confirmation email:', err));
+        logger.info(`Refund requested: User ${req.user.id} enrollment ${enrollment.id}`);
+
+        return successResponse(res, 201, 'Refund request submitted', { refundRequest });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Student: List own refund requests
+ */
+exports.getMyRefundRequests = async (req, res, next) => {
+    try {
+        const refundRequests = await RefundRequest.findAll({
+            where: { user_id: req.user.id },
+            include: [{
+                model: Enrollment,
+                as: 'enrollment',
+                attributes: ['id', 'course_id', 'payment_status'],
+                include: [{ model: Course, as: 'course', attributes: ['title', 'slug'] }]
+            }],
+            order: [['created_at', 'DESC']]
+        });
+
+        return successResponse(res, 200, 'Refund requests retrieved', { refundRequests });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Admin: List refund requests (defaults to pending)
+ */
+exports.getRefundRequests = async (req, res, next) => {
+    try {
+        const { status = 'pending' } = req.query;
+
+        if (!['pending', 'approved', 'denied', 'all'].includes(status)) {
+            return errorResponse(res, 400, 'Invalid status filter');
+        }
+
+        const refundRequests = await RefundRequest.findAll({
+            where: status === 'all' ? {} : { status },
+            include: [
+                { model: User, as: 'user', attributes: ['name', 'email'] },
+                { model: Transaction, as: 'transaction', attributes: ['id', 'amount', 'currency', 'payment_method', 'payment_provider'] },
+                {
+                    model: Enrollment,
+                    as: 'enrollment',
+                    attributes: ['id', 'progress_percentage', 'purchase_date'],
+                    include: [{ model: Course, as: 'course', attributes: ['title', 'price'] }]
+                }
+            ],
+            order: [['created_at', 'ASC']]
+        });
+
+        return successResponse(res, 200, 'Refund requests retrieved', { refundRequests });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Claim a pending refund request for review, locking it until the caller's DB transaction ends
+ */
+const findPendingRefundRequest = async (refundId, dbTransaction) => {
+    const refundRequest = await RefundRequest.findByPk(refundId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+    });
+
+    if (!refundRequest) {
+        return { error: [404, 'Refund request not found'] };
+    }
+    if (refundRequest.status !== 'pending') {
+        return { error: [409, `Refund request already ${refundRequest.status}`] };
+    }
+
+    const [user, enrollment] = await Promise.all([
+        User.findByPk(refundRequest.user_id, { transaction: dbTransaction }),
+        Enrollment.findByPk(refundRequest.enrollment_id, {
+            include: [{ model: Course, as: 'course' }],
+            transaction: dbTransaction,
+        }),
+    ]);
+    return { refundRequest, user, enrollment };
+};
+
+/**
+ * Admin: Approve a refund - refunds through the provider and revokes course access
+ */
+exports.approveRefund = async (req, res, next) => {
+    const { notes } = req.body;
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+        const check = await findPendingRefundRequest(req.params.refundId, dbTransaction);
+        if (check.error) {
+            await dbTransaction.rollback();
+            return errorResponse(res, ...check.error);
         }
+        const { refundRequest, enrollment, user } = check;
 
-        return successResponse(res, 200, `Enrollment ${status}`, { enrollment });
+        // Checked under the row lock: another approval or a refund webhook may have got there first
+        const transaction = await Transaction.findByPk(refundRequest.transaction_id, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE,
+        });
+        if (!transaction || transaction.status !== 'completed') {
+            await dbTransaction.rollback();
+            return errorResponse(res, 409, `Transaction is ${transaction ? transaction.status : 'missing'} and cannot be refunded`);
+        }
+
+        const refund = await refundTransaction(transaction, {
+            reason: refundRequest.reason,
+            actorId: req.user.id,
+            req,
+            dbTransaction
+        });
+
+        await refundRequest.update({
+            status: 'approved',
+            admin_notes: notes,
+            reviewed_by: req.user.id,
+            reviewed_at: new Date(),
+            provider_refund_id: refund.providerRefundId
+        }, { transaction: dbTransaction });
+
+        await logAction({
+            userId: req.user.id,
+            action: 'REFUND_APPROVED',
+            entityType: 'RefundRequest',
+            entityId: refundRequest.id,
+            oldValues: { status: 'pending' },
+            newValues: {
+                status: 'approved',
+                notes,
+                transactionId: transaction.id,
+                providerRefundId: refund.providerRefundId,
+                providerStatus: refund.providerStatus
+            },
+            req,
+            transaction: dbTransaction
+        });
+
+        await dbTransaction.commit();
+
+        await notifySettlement(refund.settlement);
+
+        await sendEmail({
+            to: user.email,
+            subject: 'Refund Approved - ITSLab',
+            template: 'refund-approved',
+            data: {
+                studentName: user.name,
+                courseName: enrollment.course.title,
+                amount: transaction.amount,
+                currency: transaction.currency,
+                notes,
+            },
+        }).catch(err => logger.error('Failed to send refund approval email:', err));
+
+        return successResponse(res, 200, 'Refund approved', {
+            refundRequest,
+            providerStatus: refund.providerStatus
+        });
+    } catch (error) {
+        if (!dbTransaction.finished) await dbTransaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Admin: Deny a refund - the student keeps access
+ */
+exports.denyRefund = async (req, res, next) => {
+    const { notes } = req.body;
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+        const check = await findPendingRefundRequest(req.params.refundId, dbTransaction);
+        if (check.error) {
+            await dbTransaction.rollback();
+            return errorResponse(res, ...check.error);
+        }
+        const { refundRequest, enrollment, user } = check;
+
+        await refundRequest.update({
+            status: 'denied',
+            admin_notes: notes,
+            reviewed_by: req.user.id,
+            reviewed_at: new Date()
+        }, { transaction: dbTransaction });
+
+        await logAction({
+            userId: req.user.id,
+            action: 'REFUND_DENIED',
+            entityType: 'RefundRequest',
+            entityId: refundRequest.id,
+            oldValues: { status: 'pending' },
+            newValues: { status: 'denied', notes },
+            req,
+            transaction: dbTransaction
+        });
+
+        await dbTransaction.commit();
+
+        await sendEmail({
+            to: user.email,
+            subject: 'Refund Request Update - ITSLab',
+            template: 'refund-denied',
+            data: {
+                studentName: user.name,
+                courseName: enrollment.course.title,
+                courseUrl: `${process.env.FRONTEND_URL}/courses/${enrollment.course.slug}`,
+                notes,
+            },
+        }).catch(err => logger.error('Failed to send refund denial email:', err));
+
+        return successResponse(res, 200, 'Refund denied', { refundRequest });
     } catch (error) {
+        if (!dbTransaction.finished) await dbTransaction.rollback();
         next(error);
     }
 };
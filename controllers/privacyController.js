@@ -0,0 +1,104 @@
+// ============================================================================
+// CONTROLLERS/PRIVACY_CONTROLLER.JS - Data Export & Account Deletion
+// ============================================================================
+
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const privacyService = require('../services/privacyService');
+
+/**
+ * @route   POST /api/v1/auth/data-exports
+ * @desc    Request a ZIP of all personal data; emailed when ready
+ * @access  Private
+ */
+exports.requestDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await privacyService.requestExport(req.user, req);
+
+    return successResponse(res, 202, 'Your export is being prepared. We will email you when it is ready.', {
+      export: {
+        id: dataExport.id,
+        status: dataExport.status,
+        createdAt: dataExport.created_at,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/auth/data-exports
+ * @desc    Recent export requests and their status
+ * @access  Private
+ */
+exports.getDataExports = async (req, res, next) => {
+  try {
+    const dataExports = await privacyService.listExports(req.user.id);
+    return successResponse(res, 200, 'Exports retrieved successfully', { exports: dataExports });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/auth/data-exports/:exportId/download
+ * @desc    Download a completed export archive
+ * @access  Private (owner)
+ */
+exports.downloadDataExport = async (req, res, next) => {
+  try {
+    const { filePath, downloadName } = await privacyService.getExportFile(req.user.id, req.params.exportId);
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.download(filePath, downloadName);
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/auth/account
+ * @desc    Delete own account (password, or confirm: "DELETE" for social-only accounts; 2FA code if enabled)
+ * @access  Private
+ */
+exports.deleteAccount = async (req, res, next) => {
+  try {
+    await privacyService.deleteOwnAccount(req.user, req.body, req);
+    return successResponse(res, 200, 'Your account has been deleted');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId
+ * @desc    Delete (anonymize) a user account, e.g. for an erasure request received by email
+ * @access  Private (users:manage)
+ */
+exports.deleteUser = async (req, res, next) => {
+  try {
+    const user = await privacyService.anonymizeUser(req.params.userId, {
+      actor: req.user,
+      req,
+      reason: req.body.reason,
+    });
+
+    return successResponse(res, 200, 'User deleted and anonymized', {
+      user: { id: user.id, deletedAt: user.deleted_at },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    next(error);
+  }
+};
@@ -2,8 +2,9 @@
 // CONTROLLERS/QUIZ_CONTROLLER.JS - Quiz Management
 // ============================================================================
 
-const { Quiz, QuizQuestion, QuizOption, QuizAttempt, Lesson, Progress, Enrollment, User } = require('../models');
+const { Quiz, QuizQuestion, QuizOption, QuizAttempt, Lesson, Progress, User } = require('../models');
 const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { findCourseAccess } = require('../services/accessService');
 const logger = require('../utils/logger');
 
 /**
@@ -84,13 +85,13 @@ exports.submitQuiz = async (req, res, next) => {
 
         if (!lesson) return errorResponse(res, 404, 'Lesson not found');
 
-        const enrollment = await Enrollment.findOne({
-            where: { user_id: userId, course_id: lesson.section.course_id, payment_status: 'completed' }
-        });
+        // An active membership counts as access; progress is only tracked on an enrollment
+        const access = await findCourseAccess(userId, lesson.section.course_id);
 
-        if (!enrollment) {
+        if (!access) {
             return errorResponse(res, 403, 'You must be enrolled in this course to submit this quiz');
         }
+        const { enrollment } = access;
 
         let totalPoints = 0;
         let earnedPoints = 0;
@@ -118,7 +119,7 @@ exports.submitQuiz = async (req, res, next) => {
         });
 
         // Update progress if passed (reuse enrollment from earlier validation)
-        if (passed) {
+        if (passed && enrollment) {
             // enrollment already verified above
             const [progress, created] = await Progress.findOrCreate({
                 where: {
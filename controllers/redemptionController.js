@@ -0,0 +1,135 @@
+// ============================================================================
+// CONTROLLERS/REDEMPTION_CONTROLLER.JS - Gift & Enrollment Code Redemption and Tracking
+// ============================================================================
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { RedemptionCode, Transaction, Course, User } = require('../models');
+const { successResponse, errorResponse, paginationMeta } = require('../utils/responseFormatter');
+const { redeemCode } = require('../services/redemptionService');
+const { sendEnrollmentConfirmation } = require('../services/paymentService');
+
+const STATUSES = ['pending', 'active', 'redeemed', 'revoked'];
+
+/**
+ * Count a purchase's codes by status
+ */
+const summarizeCodes = codes => STATUSES.reduce((summary, status) => {
+  summary[status] = codes.filter(code => code.status === status).length;
+  return summary;
+}, { total: codes.length });
+
+/**
+ * @route   POST /api/v1/student/redeem
+ * @desc    Redeem a gift or enrollment code; enrolls the student in the code's course
+ * @access  Private (Student)
+ */
+exports.redeem = async (req, res, next) => {
+  try {
+    if (!req.user.email_verified) {
+      return errorResponse(res, 403, 'Please verify your email before redeeming a code');
+    }
+
+    const { code, enrollment } = await redeemCode(req.user, req.body.code, req);
+
+    await sendEnrollmentConfirmation(enrollment);
+    logger.info(`Enrollment ${enrollment.id} created from a redeemed code`);
+
+    return successResponse(res, 201, 'Code redeemed successfully', {
+      enrollmentId: enrollment.id,
+      course: {
+        id: enrollment.course.id,
+        title: enrollment.course.title,
+        slug: enrollment.course.slug,
+      },
+      redeemedAt: code.redeemed_at,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/payment/codes
+ * @desc    The user's gift and code purchases, with who redeemed each code and when
+ * @access  Private
+ */
+exports.getMyCodePurchases = async (req, res, next) => {
+  try {
+    const purchases = await Transaction.findAll({
+      where: { user_id: req.user.id, metadata: { codePurchase: { [Op.ne]: null } } },
+      include: [
+        { model: Course, as: 'course', attributes: ['id', 'title', 'slug'] },
+        { model: RedemptionCode, as: 'redemptionCodes', include: [{ model: User, as: 'redeemer', attributes: ['id', 'name', 'email'] }] },
+      ],
+      order: [['created_at', 'DESC'], [{ model: RedemptionCode, as: 'redemptionCodes' }, 'code', 'ASC']],
+    });
+
+    return successResponse(res, 200, 'Purchases retrieved successfully', {
+      purchases: purchases.map(purchase => ({
+        transactionId: purchase.id,
+        kind: purchase.metadata.codePurchase,
+        course: purchase.course,
+        amount: parseFloat(purchase.amount),
+        currency: purchase.currency,
+        status: purchase.status,
+        createdAt: purchase.created_at,
+        summary: summarizeCodes(purchase.redemptionCodes),
+        // Codes are only revealed once the payment has gone through
+        codes: purchase.redemptionCodes.map(code => ({
+          id: code.id,
+          code: ['active', 'redeemed'].includes(code.status) ? code.code : null,
+          status: code.status,
+          recipientEmail: code.recipient_email,
+          redeemedBy: code.redeemer,
+          redeemedAt: code.redeemed_at,
+        })),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/redemption-codes
+ * @desc    List codes, filterable by status, course, purchase transaction or purchaser
+ * @access  Private (Admin)
+ */
+exports.getRedemptionCodes = async (req, res, next) => {
+  try {
+    const { status, courseId, transactionId, purchaserId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const where = {};
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return errorResponse(res, 400, `Status must be one of: ${STATUSES.join(', ')}`);
+      }
+      where.status = status;
+    }
+    if (courseId) where.course_id = courseId;
+    if (transactionId) where.transaction_id = transactionId;
+    if (purchaserId) where.purchaser_id = purchaserId;
+
+    const { count, rows } = await RedemptionCode.findAndCountAll({
+      where,
+      include: [
+        { model: Course, as: 'course', attributes: ['id', 'title', 'slug'] },
+        { model: User, as: 'redeemer', attributes: ['id', 'name', 'email'] },
+        { model: User, as: 'purchaser', attributes: ['id', 'name', 'email'] },
+      ],
+      order: [['created_at', 'DESC'], ['code', 'ASC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return successResponse(res, 200, 'Codes retrieved successfully', {
+      codes: rows,
+      pagination: paginationMeta(page, limit, count),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
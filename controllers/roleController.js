@@ -0,0 +1,205 @@
+// ============================================================================
+// CONTROLLERS/ROLE_CONTROLLER.JS - Custom Roles & Permissions (Admin)
+// ============================================================================
+
+const { User } = require('../models');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const permissionService = require('../services/permissionService');
+const { logAction } = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * @route   GET /api/v1/admin/permissions
+ * @desc    Permission catalogue
+ * @access  Private (roles:manage)
+ */
+exports.getPermissions = async (req, res, next) => {
+  try {
+    const permissions = await permissionService.listPermissions();
+    return successResponse(res, 200, 'Permissions retrieved successfully', { permissions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/roles
+ * @desc    Built-in and custom roles with their permissions
+ * @access  Private (roles:manage)
+ */
+exports.getRoles = async (req, res, next) => {
+  try {
+    const roles = await permissionService.listRoles();
+    return successResponse(res, 200, 'Roles retrieved successfully', { roles });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/roles
+ * @desc    Create a custom role, e.g. { name: 'Payments reviewer', permissions: ['payments:review', 'payments:approve'] }
+ * @access  Private (roles:manage)
+ */
+exports.createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const role = await permissionService.createRole({ name, description, permissions }, req.user);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ROLE_CREATED',
+      entityType: 'Role',
+      entityId: role.id,
+      newValues: { name: role.name, description: role.description, permissions: permissions || [] },
+      req,
+    });
+
+    logger.info(`Role ${role.slug} created by ${req.user.id}`);
+
+    return successResponse(res, 201, 'Role created successfully', { role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/admin/roles/:roleId
+ * @desc    Rename a custom role or change the permissions of any role except admin
+ * @access  Private (roles:manage)
+ */
+exports.updateRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const { role, oldValues } = await permissionService.updateRole(req.params.roleId, { name, description, permissions }, req.user);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ROLE_UPDATED',
+      entityType: 'Role',
+      entityId: role.id,
+      oldValues,
+      newValues: { name, description, permissions },
+      req,
+    });
+
+    return successResponse(res, 200, 'Role updated successfully', { role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/admin/roles/:roleId
+ * @desc    Delete a custom role and remove it from its users
+ * @access  Private (roles:manage)
+ */
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await permissionService.deleteRole(req.params.roleId);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ROLE_DELETED',
+      entityType: 'Role',
+      entityId: role.id,
+      oldValues: { name: role.name, slug: role.slug },
+      req,
+    });
+
+    return successResponse(res, 200, 'Role deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/roles
+ * @desc    A user's base role, custom roles and effective permissions
+ * @access  Private (roles:manage)
+ */
+exports.getUserRoles = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.userId, { attributes: ['id', 'name', 'email', 'role'] });
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    const [roles, permissions] = await Promise.all([
+      permissionService.getUserRoles(user.id),
+      permissionService.getUserPermissions(user),
+    ]);
+
+    return successResponse(res, 200, 'User roles retrieved successfully', {
+      user,
+      baseRole: user.role,
+      roles,
+      permissions: [...permissions].sort(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/roles
+ * @desc    Assign a custom role to a user
+ * @access  Private (roles:manage)
+ */
+exports.assignRole = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    if (!req.body.roleId) {
+      return errorResponse(res, 400, 'roleId is required');
+    }
+
+    const role = await permissionService.assignRole(user, req.body.roleId, req.user);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ROLE_ASSIGNED',
+      entityType: 'User',
+      entityId: user.id,
+      newValues: { roleId: role.id, role: role.slug },
+      req,
+    });
+
+    logger.info(`Role ${role.slug} assigned to user ${user.id} by ${req.user.id}`);
+
+    return successResponse(res, 201, 'Role assigned successfully', { role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId/roles/:roleId
+ * @desc    Remove a custom role from a user
+ * @access  Private (roles:manage)
+ */
+exports.unassignRole = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    const role = await permissionService.unassignRole(user, req.params.roleId);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'ROLE_UNASSIGNED',
+      entityType: 'User',
+      entityId: user.id,
+      oldValues: { roleId: role.id, role: role.slug },
+      req,
+    });
+
+    return successResponse(res, 200, 'Role removed successfully');
+  } catch (error) {
+    next(error);
+  }
+};
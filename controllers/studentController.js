@@ -12,10 +12,12 @@ const {
   Review,
   Certificate,
   Transaction,
+  Invoice,
 } = require('../models');
 const { Op } = require('sequelize');
 const { successResponse, errorResponse } = require('../utils/responseFormatter');
 const { generateCertificate } = require('../services/certificateService');
+const { checkBundleCompletion } = require('../services/bundleService');
 const logger = require('../utils/logger');
 
 /**
@@ -283,6 +285,12 @@ exports.markLessonComplete = async (req, res, next) => {
       }
     }
 
+    // Finishing a course may finish a learning track the student bought
+    if (enrollment.completed) {
+      await checkBundleCompletion(userId, enrollment.course_id)
+        .catch(err => logger.error('Bundle completion check failed:', err));
+    }
+
     return successResponse(res, 200, 'Lesson marked as complete', {
       courseProgress: parseFloat(enrollment.progress_percentage),
       certificateGenerated,
@@ -440,6 +448,11 @@ exports.getTransactions = async (req, res, next) => {
           as: 'course',
           attributes: ['id', 'title', 'slug', 'thumbnail_url'],
         },
+        {
+          model: Invoice,
+          as: 'invoice',
+          attributes: ['id', 'invoice_number', 'issued_at'],
+        },
       ],
       order: [['created_at', 'DESC']],
     });
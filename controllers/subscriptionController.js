@@ -0,0 +1,284 @@
+// ============================================================================
+// CONTROLLERS/SUBSCRIPTION_CONTROLLER.JS - Membership Plans & Subscriptions
+// ============================================================================
+
+const logger = require('../utils/logger');
+const { Plan, Subscription, User } = require('../models');
+const { generateUniqueSlug } = require('../utils/helpers');
+const { successResponse, errorResponse, paginationMeta } = require('../utils/responseFormatter');
+const { logAction } = require('../services/auditService');
+const { getActiveSubscription, cancelSubscription } = require('../services/subscriptionService');
+
+const INTERVALS = ['month', 'year'];
+const STATUSES = ['pending', 'active', 'cancelled', 'expired', 'failed'];
+
+/**
+ * Map request body fields to plan attributes and validate them (partial for updates)
+ * @returns {Object} { error: message } or { attributes }
+ */
+const buildPlanAttributes = body => {
+  const attributes = {};
+
+  if (body.name !== undefined) {
+    if (!String(body.name).trim()) return { error: 'Plan name cannot be empty' };
+    attributes.name = String(body.name).trim();
+  }
+  if (body.description !== undefined) attributes.description = body.description;
+  if (body.interval !== undefined) {
+    if (!INTERVALS.includes(body.interval)) return { error: 'Interval must be month or year' };
+    attributes.interval = body.interval;
+  }
+  if (body.price !== undefined) {
+    if (!(parseFloat(body.price) > 0)) return { error: 'Price must be a positive number' };
+    attributes.price = body.price;
+  }
+  if (body.currency !== undefined) attributes.currency = body.currency;
+  if (body.gracePeriodDays !== undefined) {
+    const days = parseInt(body.gracePeriodDays);
+    if (!(days >= 0)) return { error: 'Grace period must be zero or more days' };
+    attributes.grace_period_days = days;
+  }
+  if (body.isActive !== undefined) attributes.is_active = body.isActive === true || body.isActive === 'true';
+
+  return { attributes };
+};
+
+/**
+ * @route   GET /api/v1/subscriptions/plans
+ * @desc    List membership plans on sale
+ * @access  Public
+ */
+exports.getPlans = async (req, res, next) => {
+  try {
+    const plans = await Plan.findAll({
+      where: { is_active: true },
+      order: [['price', 'ASC']],
+    });
+
+    return successResponse(res, 200, 'Plans retrieved successfully', { plans });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/subscriptions/me
+ * @desc    Get the user's current membership, if any
+ * @access  Private
+ */
+exports.getMySubscription = async (req, res, next) => {
+  try {
+    const subscription = await getActiveSubscription(req.user.id);
+
+    return successResponse(res, 200, 'Subscription retrieved successfully', {
+      subscription,
+      hasAccess: Boolean(subscription),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/subscriptions/me/cancel
+ * @desc    Cancel the membership; access continues until the paid period ends
+ * @access  Private
+ */
+exports.cancelMySubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findOne({
+      where: { user_id: req.user.id, status: 'active' },
+      include: [{ model: Plan, as: 'plan' }],
+    });
+
+    if (!subscription) {
+      return errorResponse(res, 404, 'No active subscription to cancel');
+    }
+
+    await cancelSubscription(subscription);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'SUBSCRIPTION_CANCELLED',
+      entityType: 'Subscription',
+      entityId: subscription.id,
+      oldValues: { status: 'active' },
+      newValues: { status: 'cancelled' },
+      req,
+    });
+
+    return successResponse(res, 200, 'Subscription cancelled. You keep access until the end of the paid period.', {
+      subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/plans
+ * @desc    List all plans with active subscriber counts
+ * @access  Private (Admin)
+ */
+exports.getAllPlans = async (req, res, next) => {
+  try {
+    const plans = await Plan.findAll({ order: [['created_at', 'DESC']] });
+
+    const result = await Promise.all(plans.map(async plan => ({
+      ...plan.toJSON(),
+      activeSubscribers: await Subscription.count({ where: { plan_id: plan.id, status: ['active', 'cancelled'] } }),
+    })));
+
+    return successResponse(res, 200, 'Plans retrieved successfully', { plans: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/admin/plans
+ * @desc    Create a membership plan
+ * @access  Private (Admin)
+ */
+exports.createPlan = async (req, res, next) => {
+  try {
+    if (!req.body.name || !req.body.interval || req.body.price === undefined) {
+      return errorResponse(res, 400, 'Name, interval and price are required');
+    }
+
+    const built = buildPlanAttributes(req.body);
+    if (built.error) {
+      return errorResponse(res, 400, built.error);
+    }
+
+    const plan = await Plan.create({
+      ...built.attributes,
+      slug: await generateUniqueSlug(built.attributes.name, Plan),
+    });
+
+    await logAction({
+      userId: req.user.id,
+      action: 'PLAN_CREATED',
+      entityType: 'Plan',
+      entityId: plan.id,
+      newValues: built.attributes,
+      req,
+    });
+
+    logger.info(`Plan created: ${plan.slug} by ${req.user.id}`);
+
+    return successResponse(res, 201, 'Plan created successfully', { plan });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/admin/plans/:planId
+ * @desc    Update a plan. Price changes apply to the next payment only.
+ * @access  Private (Admin)
+ */
+exports.updatePlan = async (req, res, next) => {
+  try {
+    const plan = await Plan.findByPk(req.params.planId);
+    if (!plan) {
+      return errorResponse(res, 404, 'Plan not found');
+    }
+
+    const built = buildPlanAttributes(req.body);
+    if (built.error) {
+      return errorResponse(res, 400, built.error);
+    }
+
+    const oldValues = plan.toJSON();
+    await plan.update(built.attributes);
+
+    await logAction({
+      userId: req.user.id,
+      action: 'PLAN_UPDATED',
+      entityType: 'Plan',
+      entityId: plan.id,
+      oldValues,
+      newValues: built.attributes,
+      req,
+    });
+
+    return successResponse(res, 200, 'Plan updated successfully', { plan });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/admin/plans/:planId
+ * @desc    Delete a plan. Plans with subscriptions are deactivated instead.
+ * @access  Private (Admin)
+ */
+exports.deletePlan = async (req, res, next) => {
+  try {
+    const plan = await Plan.findByPk(req.params.planId);
+    if (!plan) {
+      return errorResponse(res, 404, 'Plan not found');
+    }
+
+    const used = await Subscription.count({ where: { plan_id: plan.id } }) > 0;
+    if (used) {
+      await plan.update({ is_active: false });
+    } else {
+      await plan.destroy();
+    }
+
+    await logAction({
+      userId: req.user.id,
+      action: used ? 'PLAN_DEACTIVATED' : 'PLAN_DELETED',
+      entityType: 'Plan',
+      entityId: plan.id,
+      oldValues: { name: plan.name },
+      req,
+    });
+
+    return successResponse(res, 200, used ? 'Plan has subscribers and was deactivated instead' : 'Plan deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/admin/subscriptions
+ * @desc    List subscriptions, optionally filtered by status or plan
+ * @access  Private (Admin)
+ */
+exports.getSubscriptions = async (req, res, next) => {
+  try {
+    const { status, planId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const where = {};
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return errorResponse(res, 400, `Status must be one of: ${STATUSES.join(', ')}`);
+      }
+      where.status = status;
+    }
+    if (planId) where.plan_id = planId;
+
+    const { count, rows } = await Subscription.findAndCountAll({
+      where,
+      include: [
+        { model: Plan, as: 'plan', attributes: ['id', 'name', 'interval'] },
+        { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return successResponse(res, 200, 'Subscriptions retrieved successfully', {
+      subscriptions: rows,
+      pagination: paginationMeta(page, limit, count),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
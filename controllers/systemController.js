@@ -1,5 +1,7 @@
 const { SystemSetting } = require('../models');
 const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { DEFAULT_EXCHANGE_RATES } = require('../services/currencyService');
+const { DEFAULT_VIDEO_RENDITIONS } = require('../services/videoService');
 
 /**
  * System Settings Controller
@@ -70,10 +72,26 @@ exports.initializeDefaultSettings = async () => {
         const defaults = [
             { key: 'maintenance_mode', value: false, description: 'Block all users except admins' },
             { key: 'maintenance_message', value: 'We are currently performing maintenance. Please check back later.', description: 'Message shown during maintenance' },
-            { key: 'instructor_registration_enabled', value: true, description: 'Allow new instructors to register' },
+            { key: 'instructor_registration_enabled', value: true, description: 'Accept new instructor applications' },
             { key: 'site_name', value: 'ITSLab', description: 'Platform display name' },
             { key: 'site_description', value: 'Expert-led technology courses', description: 'Meta description for SEO' },
-            { key: 'allow_manual_payment', value: true, description: 'Enable Vodafone Cash & InstaPay' }
+            { key: 'allow_manual_payment', value: true, description: 'Enable Vodafone Cash & InstaPay' },
+            { key: 'refund_window_days', value: 14, description: 'Days after purchase during which a student may request a refund' },
+            { key: 'refund_max_progress_percentage', value: 20, description: 'Maximum course progress (%) at which a refund can still be requested' },
+            { key: 'invoice_seller_name', value: 'ITSLab', description: 'Legal name printed on invoices' },
+            { key: 'invoice_seller_address', value: '', description: 'Address printed on invoices' },
+            { key: 'invoice_seller_tax_id', value: '', description: 'Tax registration number printed on invoices' },
+            { key: 'invoice_seller_email', value: '', description: 'Billing contact email printed on invoices' },
+            { key: 'invoice_number_prefix', value: 'INV', description: 'Prefix for invoice numbers (e.g. INV-2026-000001)' },
+            { key: 'exchange_rates_to_egp', value: DEFAULT_EXCHANGE_RATES, description: 'EGP per unit of each supported currency; used for price lists and revenue reporting' },
+            { key: 'instructor_revenue_share_percentage', value: 70, description: 'Default share (%) of each sale paid to the course instructor' },
+            { key: 'two_factor_required_roles', value: [], description: 'Roles that must use two-factor authentication to log in (e.g. ["admin", "instructor"])' },
+            { key: 'login_max_failed_attempts', value: 5, description: 'Failed logins in a row before an account is locked' },
+            { key: 'login_lockout_minutes', value: 15, description: 'First lockout duration in minutes; doubles with each further lock (max 24 hours)' },
+            { key: 'login_alerts_enabled', value: true, description: 'Email users when they sign in from a new device or country' },
+            { key: 'video_renditions', value: DEFAULT_VIDEO_RENDITIONS, description: 'HLS bitrate ladder for lesson videos ([{ name, height, videoBitrate, audioBitrate }]); renditions above the source height are skipped' },
+            { key: 'video_key_rotation_segments', value: 6, description: 'Lesson videos switch to a new encryption key every N HLS segments (applies to newly processed videos)' },
+            { key: 'video_playback_token_minutes', value: 30, description: 'Lifetime of signed HLS playback tokens in minutes, added to the lesson duration' }
         ];
 
         for (const item of defaults) {
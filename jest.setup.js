@@ -0,0 +1,6 @@
+// ============================================================================
+// JEST.SETUP.JS - Test Environment Defaults
+// ============================================================================
+
+// Tests settle purchases through the fake payment provider, which refuses to load without its secret
+process.env.FAKE_PAYMENT_SECRET = process.env.FAKE_PAYMENT_SECRET || 'itslab-test-fake-provider-secret';
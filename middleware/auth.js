@@ -2,13 +2,55 @@
 // MIDDLEWARE/AUTH.JS - JWT Authentication Middleware
 // ============================================================================
 
-const { verifyToken } = require('../config/jwt');
-const { User } = require('../models');
+const { verifyToken, verifyChallengeToken } = require('../config/jwt');
+const { User, Session } = require('../models');
 const { errorResponse } = require('../utils/responseFormatter');
+const { logAction } = require('../services/auditService');
 const logger = require('../utils/logger');
 
 /**
- * Middleware to verify JWT token and attach user to request
+ * Whether a login session still exists and has not been revoked
+ */
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findByPk(sessionId, { attributes: ['id', 'revoked_at'] });
+  return Boolean(session && !session.revoked_at);
+};
+
+const USER_ATTRIBUTES = { exclude: ['password_hash', 'two_factor_secret', 'two_factor_recovery_codes'] };
+
+/**
+ * For an impersonation token, load the admin behind it. Impersonation ends as soon as the admin
+ * is no longer an active admin or their own tokens are invalidated.
+ * @returns {Promise<Object|null>} Admin user, or null when the impersonation is no longer valid
+ */
+const loadImpersonator = async (decoded) => {
+  const admin = await User.findByPk(decoded.impersonator.id, { attributes: USER_ATTRIBUTES });
+  if (!admin || !admin.is_active || admin.role !== 'admin' || (decoded.impersonator.ver || 0) !== admin.token_version) {
+    return null;
+  }
+  return admin;
+};
+
+/**
+ * Tag every request made under impersonation in the audit log once the response is sent
+ */
+const auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    logAction({
+      userId: req.user.id,
+      action: 'IMPERSONATED_REQUEST',
+      entityType: 'User',
+      entityId: req.user.id,
+      newValues: { method: req.method, path: req.originalUrl, statusCode: res.statusCode },
+      req,
+    });
+  });
+};
+
+/**
+ * Middleware to verify JWT token and attach user to request.
+ * req.user is the effective user; req.realUser is who is actually signed in, which differs
+ * only while an admin impersonates someone (req.impersonation is then set).
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -30,9 +72,7 @@ const authenticate = async (req, res, next) => {
     const decoded = verifyToken(token);
 
     // Find user
-    const user = await User.findByPk(decoded.id, {
-      attributes: { exclude: ['password_hash', 'refresh_token'] },
-    });
+    const user = await User.findByPk(decoded.id, { attributes: USER_ATTRIBUTES });
 
     if (!user) {
       return errorResponse(res, 401, 'User not found. Token is invalid.');
@@ -42,8 +82,33 @@ const authenticate = async (req, res, next) => {
       return errorResponse(res, 403, 'Account has been deactivated. Please contact support.');
     }
 
+    // Password, role and status changes bump the version, retiring every older token
+    if ((decoded.ver || 0) !== user.token_version) {
+      return errorResponse(res, 401, 'Your session has ended. Please login again.');
+    }
+
+    // Tokens issued at login name their session; a revoked session ends the access token too
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return errorResponse(res, 401, 'Your session has ended. Please login again.');
+    }
+
+    let realUser = user;
+    if (decoded.impersonator) {
+      realUser = await loadImpersonator(decoded);
+      if (!realUser) {
+        return errorResponse(res, 401, 'This impersonation session has ended.');
+      }
+    }
+
     // Attach user to request
     req.user = user;
+    req.realUser = realUser;
+    req.impersonation = decoded.impersonator ? { adminId: realUser.id, reason: decoded.impersonator.reason } : null;
+    req.sessionId = decoded.sid || null;
+
+    if (req.impersonation) {
+      auditImpersonatedRequest(req, res);
+    }
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -67,12 +132,21 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      const user = await User.findByPk(decoded.id, {
-        attributes: { exclude: ['password_hash', 'refresh_token'] },
-      });
+      const user = await User.findByPk(decoded.id, { attributes: USER_ATTRIBUTES });
+
+      const isCurrent = user && user.is_active && (decoded.ver || 0) === user.token_version;
+      if (isCurrent && (!decoded.sid || await isSessionActive(decoded.sid))) {
+        const realUser = decoded.impersonator ? await loadImpersonator(decoded) : user;
+        if (realUser) {
+          req.user = user;
+          req.realUser = realUser;
+          req.impersonation = decoded.impersonator ? { adminId: realUser.id, reason: decoded.impersonator.reason } : null;
+          req.sessionId = decoded.sid || null;
 
-      if (user && user.is_active) {
-        req.user = user;
+          if (req.impersonation) {
+            auditImpersonatedRequest(req, res);
+          }
+        }
       }
     }
 
@@ -83,8 +157,49 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Two-factor enrollment accepts either a normal access token or, for users whose
+ * role requires 2FA and who have not enrolled yet, the setup challenge token from login
+ */
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken);
+    if (decoded.purpose !== 'setup') {
+      return errorResponse(res, 401, 'Invalid challenge token');
+    }
+
+    const user = await User.findByPk(decoded.id, { attributes: USER_ATTRIBUTES });
+    if (!user || !user.is_active) {
+      return errorResponse(res, 401, 'Invalid challenge token');
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = decoded;
+    next();
+  } catch (error) {
+    return errorResponse(res, 401, 'Your login session has expired. Please login again.');
+  }
+};
+
+/**
+ * Block an endpoint while an admin is impersonating the user (payments, passwords and other
+ * account security settings). Use after authenticate.
+ */
+const denyWhileImpersonating = (req, res, next) => {
+  if (req.impersonation) {
+    return errorResponse(res, 403, 'This action is not available while impersonating a user');
+  }
+  next();
+};
+
 module.exports = {
   authenticate,
+  denyWhileImpersonating,
+  authenticateTwoFactorSetup,
   protect: authenticate, // Alias for convenience
   optionalAuth,
 };
\ No newline at end of file
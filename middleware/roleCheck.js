@@ -2,7 +2,9 @@
 // MIDDLEWARE/ROLE_CHECK.JS - Role-Based Access Control
 // ============================================================================
 
+const { Organization, OrganizationMember } = require('../models');
 const { errorResponse } = require('../utils/responseFormatter');
+const { getUserPermissions } = require('../services/permissionService');
 
 /**
  * Middleware to check if user has required role
@@ -26,6 +28,45 @@ const checkRole = (...roles) => {
   };
 };
 
+/**
+ * Middleware to check that the user holds at least one of the given permissions, through their
+ * base role or an assigned custom role. Loads the permissions once per request into req.permissions.
+ * @param {...String} permissions - Permission key(s), e.g. 'payments:approve'
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return errorResponse(res, 401, 'Authentication required');
+      }
+
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+      }
+
+      if (!permissions.some(permission => req.permissions.has(permission))) {
+        return errorResponse(
+          res,
+          403,
+          `Access denied. Required permission: ${permissions.join(' or ')}`
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Whether the request's user holds a permission. Only valid after requirePermission has run.
+ * @param {Object} req - Express request
+ * @param {String} permission - Permission key
+ * @returns {Boolean}
+ */
+const hasPermission = (req, permission) => Boolean(req.permissions && req.permissions.has(permission));
+
 /**
  * Middleware to check if user is student
  */
@@ -46,8 +87,62 @@ const isAdmin = checkRole('admin');
  */
 const isInstructorOrAdmin = checkRole('instructor', 'admin');
 
+/**
+ * Middleware to check the user's role inside the organization in req.params.orgId.
+ * Holders of organizations:manage always pass. Attaches req.organization (and req.orgMembership for members).
+ * @param {String|Array} roles - Required organization role(s): 'admin' and/or 'member'
+ */
+const checkOrgRole = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return errorResponse(res, 401, 'Authentication required');
+      }
+
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+      }
+      const managesOrganizations = hasPermission(req, 'organizations:manage');
+
+      const organization = await Organization.findByPk(req.params.orgId);
+      if (!organization || (!organization.is_active && !managesOrganizations)) {
+        return errorResponse(res, 404, 'Organization not found');
+      }
+
+      if (!managesOrganizations) {
+        const membership = await OrganizationMember.findOne({
+          where: { organization_id: organization.id, user_id: req.user.id, status: 'active' },
+        });
+
+        if (!membership || !roles.includes(membership.role)) {
+          return errorResponse(
+            res,
+            403,
+            `Access denied. Required organization role: ${roles.join(' or ')}`
+          );
+        }
+        req.orgMembership = membership;
+      }
+
+      req.organization = organization;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware to check if user administers the organization
+ */
+const isOrgAdmin = checkOrgRole('admin');
+
 module.exports = {
   checkRole,
+  requirePermission,
+  hasPermission,
+  checkOrgRole,
+  isOrgAdmin,
   isStudent,
   isInstructor,
   isAdmin,
@@ -148,6 +148,82 @@ const reviewValidation = [
   validate,
 ];
 
+const refundRequestValidation = [
+  body('enrollmentId')
+    .isUUID()
+    .withMessage('A valid enrollment ID is required'),
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Reason must be between 10 and 2000 characters'),
+  validate,
+];
+
+const coursePriceValidation = [
+  body('prices')
+    .isArray({ max: 20 })
+    .withMessage('Prices must be a list of at most 20 entries'),
+  body('prices.*.currency')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Each price needs a 3-letter currency code'),
+  body('prices.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Each price amount must be zero or more'),
+  validate,
+];
+
+const giftPurchaseValidation = [
+  body('courseId')
+    .isUUID()
+    .withMessage('A valid course ID is required'),
+  body('recipientEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('A valid recipient email is required'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message must not exceed 1000 characters'),
+  validate,
+];
+
+const codeBatchValidation = [
+  body('courseId')
+    .isUUID()
+    .withMessage('A valid course ID is required'),
+  body('quantity')
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Quantity must be between 1 and 500'),
+  validate,
+];
+
+const redeemCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .isLength({ min: 12, max: 32 })
+    .withMessage('A valid code is required'),
+  validate,
+];
+
+const organizationInviteValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('A valid email is required'),
+  body('courseIds')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('courseIds must be a list of at most 50 courses'),
+  body('courseIds.*')
+    .isUUID()
+    .withMessage('Each course ID must be valid'),
+  validate,
+];
+
 const paginationValidation = [
   query('page')
     .optional()
@@ -168,5 +244,11 @@ module.exports = {
   sectionValidation,
   lessonValidation,
   reviewValidation,
+  refundRequestValidation,
+  coursePriceValidation,
+  giftPurchaseValidation,
+  codeBatchValidation,
+  redeemCodeValidation,
+  organizationInviteValidation,
   paginationValidation,
 };
@@ -0,0 +1,18 @@
+-- Migration: Add webhook_events table for payment provider callbacks
+-- Date: 2026-10-19
+-- Description: Records every processed payment webhook event so that provider retries are acknowledged without being applied twice
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100),
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    payload JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_transaction_id ON webhook_events(transaction_id);
+
+COMMENT ON TABLE webhook_events IS 'Processed payment webhook events, keyed by provider event id for idempotency';
@@ -0,0 +1,31 @@
+-- Migration: Add refund_requests table
+-- Date: 2026-10-20
+-- Description: Students request refunds for completed enrollments; admins approve (revoking access and refunding through the payment provider) or deny them
+
+DO $$ BEGIN
+    CREATE TYPE enum_refund_requests_status AS ENUM ('pending', 'approved', 'denied');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS refund_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    enrollment_id UUID NOT NULL REFERENCES enrollments(id) ON DELETE CASCADE,
+    transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE RESTRICT,
+    reason TEXT NOT NULL,
+    status enum_refund_requests_status DEFAULT 'pending',
+    progress_at_request DECIMAL(5, 2) DEFAULT 0,
+    admin_notes TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    provider_refund_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refund_requests_user_id ON refund_requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_refund_requests_enrollment_id ON refund_requests(enrollment_id);
+CREATE INDEX IF NOT EXISTS idx_refund_requests_status ON refund_requests(status);
+
+COMMENT ON TABLE refund_requests IS 'Student refund requests and their admin review outcome';
@@ -0,0 +1,49 @@
+-- Migration: Add coupons table
+-- Date: 2026-10-21
+-- Description: Percentage or fixed discount codes, scoped to one course or sitewide, with expiry and usage limits.
+-- Usage is counted from transactions whose metadata references the coupon, so failed payments free their use.
+
+DO $$ BEGIN
+    CREATE TYPE enum_coupons_discount_type AS ENUM ('percentage', 'fixed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    discount_type enum_coupons_discount_type NOT NULL,
+    discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+    course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    max_uses INTEGER,
+    max_uses_per_user INTEGER DEFAULT 1,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Databases created from schema.sql already have the unused Phase 2 coupons table; bring it up to date
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS description VARCHAR(255);
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS course_id UUID REFERENCES courses(id) ON DELETE CASCADE;
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP;
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS max_uses_per_user INTEGER DEFAULT 1;
+
+DO $$ BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'coupons' AND column_name = 'valid_from') THEN
+        UPDATE coupons SET starts_at = valid_from WHERE starts_at IS NULL;
+        UPDATE coupons SET expires_at = valid_until WHERE expires_at IS NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_coupons_course_id ON coupons(course_id);
+CREATE INDEX IF NOT EXISTS idx_coupons_created_by ON coupons(created_by);
+
+-- Speeds up usage counting
+CREATE INDEX IF NOT EXISTS idx_transactions_coupon_id ON transactions((metadata->>'couponId'));
+
+COMMENT ON TABLE coupons IS 'Discount codes applied at checkout; course_id NULL means sitewide';
@@ -0,0 +1,67 @@
+-- Migration: Add course bundles (learning tracks)
+-- Date: 2026-10-22
+-- Description: Bundles group ordered courses under one price. A bundle purchase is a single transaction
+-- (course_id NULL, bundle_id set) that grants one enrollment per course, tracked by a bundle_enrollments row.
+
+CREATE TABLE IF NOT EXISTS bundles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(500) NOT NULL,
+    slug VARCHAR(500) NOT NULL UNIQUE,
+    description TEXT,
+    thumbnail_url VARCHAR(500),
+    price DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    currency VARCHAR(3) DEFAULT 'EGP',
+    is_published BOOLEAN DEFAULT false,
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_bundles_is_published ON bundles(is_published);
+
+CREATE TABLE IF NOT EXISTS bundle_courses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bundle_id UUID NOT NULL REFERENCES bundles(id) ON DELETE CASCADE,
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE RESTRICT,
+    order_index INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(bundle_id, course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bundle_courses_course_id ON bundle_courses(course_id);
+
+DO $$ BEGIN
+    CREATE TYPE enum_bundle_enrollments_payment_status AS ENUM ('pending', 'completed', 'refunded', 'failed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE transactions ALTER COLUMN course_id DROP NOT NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES bundles(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_transactions_bundle_id ON transactions(bundle_id);
+
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES bundles(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS bundle_enrollments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    bundle_id UUID NOT NULL REFERENCES bundles(id) ON DELETE RESTRICT,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    price_paid DECIMAL(10, 2) NOT NULL,
+    payment_status enum_bundle_enrollments_payment_status DEFAULT 'pending',
+    purchase_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed BOOLEAN DEFAULT false,
+    completion_date TIMESTAMP,
+    certificate_id VARCHAR(100),
+    certificate_url VARCHAR(500),
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, bundle_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bundle_enrollments_bundle_id ON bundle_enrollments(bundle_id);
+CREATE INDEX IF NOT EXISTS idx_bundle_enrollments_payment_status ON bundle_enrollments(payment_status);
+
+COMMENT ON TABLE bundles IS 'Course bundles / learning tracks sold as one product';
+COMMENT ON COLUMN enrollments.bundle_id IS 'Bundle whose purchase granted this enrollment';
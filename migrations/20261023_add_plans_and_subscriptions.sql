@@ -0,0 +1,55 @@
+-- Migration: Add membership plans and subscriptions
+-- Date: 2026-10-23
+-- Description: Monthly/yearly all-access memberships. An active subscription (or one still inside its grace period)
+-- grants access to every course in place of a completed enrollment. Payments go through transactions with
+-- course_id NULL and metadata.subscriptionId set.
+
+DO $$ BEGIN
+    CREATE TYPE enum_plans_interval AS ENUM ('month', 'year');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE enum_subscriptions_status AS ENUM ('pending', 'active', 'cancelled', 'expired', 'failed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    interval enum_plans_interval NOT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'EGP',
+    grace_period_days INTEGER DEFAULT 3,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_plans_is_active ON plans(is_active);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    plan_id UUID NOT NULL REFERENCES plans(id) ON DELETE RESTRICT,
+    status enum_subscriptions_status DEFAULT 'pending',
+    started_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    grace_ends_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_plan_id ON subscriptions(plan_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_grace_ends_at ON subscriptions(grace_ends_at);
+
+COMMENT ON COLUMN subscriptions.grace_ends_at IS 'Access continues until this time after expires_at; the expiry job marks the subscription expired afterwards';
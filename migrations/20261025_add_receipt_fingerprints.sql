@@ -0,0 +1,10 @@
+-- Migration: Index manual receipt fingerprints
+-- Date: 2026-10-25
+-- Description: Manual payments now store metadata.receiptHash (SHA-256 of the uploaded receipt) and
+-- metadata.senderReference (normalized sender number) on both the transaction and its enrollment(s).
+-- New submissions are matched against earlier ones and flagged (metadata.flagged / metadata.receiptFlags).
+
+CREATE INDEX IF NOT EXISTS idx_transactions_receipt_hash ON transactions((metadata->>'receiptHash'));
+CREATE INDEX IF NOT EXISTS idx_transactions_sender_reference ON transactions((metadata->>'senderReference'));
+CREATE INDEX IF NOT EXISTS idx_enrollments_receipt_hash ON enrollments((metadata->>'receiptHash'));
+CREATE INDEX IF NOT EXISTS idx_enrollments_sender_reference ON enrollments((metadata->>'senderReference'));
@@ -0,0 +1,24 @@
+-- Migration: Multi-currency pricing
+-- Date: 2026-10-26
+-- Description: Per-course price lists for other currencies (courses.price/currency remain the base price),
+-- a preferred catalogue currency per user, and the EGP-normalized amount plus exchange rate on every transaction.
+-- enrollments.price_paid is always stored in EGP.
+
+CREATE TABLE IF NOT EXISTS course_prices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (course_id, currency)
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_currency VARCHAR(3);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS amount_egp DECIMAL(10, 2);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(12, 6);
+
+-- Every transaction so far was charged in EGP
+UPDATE transactions SET amount_egp = amount, exchange_rate = 1
+WHERE amount_egp IS NULL AND (currency = 'EGP' OR currency IS NULL);
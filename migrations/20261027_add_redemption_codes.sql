@@ -0,0 +1,39 @@
+-- Migration: Gift purchases and redemption codes
+-- Date: 2026-10-27
+-- Description: A course bought as a gift, or a batch of seats, is paid by one transaction (course_id set,
+-- metadata.codePurchase = 'gift' | 'batch') and produces single-use codes. Redeeming a code creates a
+-- completed enrollment for the redeemer; the code records who used it and when.
+
+DO $$ BEGIN
+    CREATE TYPE enum_redemption_codes_kind AS ENUM ('gift', 'batch');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE enum_redemption_codes_status AS ENUM ('pending', 'active', 'redeemed', 'revoked');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS redemption_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(32) NOT NULL UNIQUE,
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE RESTRICT,
+    transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE RESTRICT,
+    purchaser_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    kind enum_redemption_codes_kind NOT NULL,
+    recipient_email VARCHAR(255),
+    message TEXT,
+    status enum_redemption_codes_status DEFAULT 'pending',
+    redeemed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    redeemed_at TIMESTAMP,
+    enrollment_id UUID REFERENCES enrollments(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_redemption_codes_transaction_id ON redemption_codes(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_redemption_codes_purchaser_id ON redemption_codes(purchaser_id);
+CREATE INDEX IF NOT EXISTS idx_redemption_codes_course_id ON redemption_codes(course_id);
+CREATE INDEX IF NOT EXISTS idx_redemption_codes_status ON redemption_codes(status);
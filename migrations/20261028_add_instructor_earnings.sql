@@ -0,0 +1,61 @@
+-- Migration: Instructor revenue share and payout ledger
+-- Date: 2026-10-28
+-- Description: Revenue share percentage per instructor and per course (NULL falls back to the
+-- instructor_revenue_share_percentage setting), a ledger row per course whenever a transaction completes
+-- or is refunded, and payout batches that mark ledger rows as paid. All ledger amounts are in EGP.
+-- Transactions settled before this migration have no ledger rows.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS revenue_share_percentage DECIMAL(5, 2)
+    CHECK (revenue_share_percentage BETWEEN 0 AND 100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS payout_details JSONB;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS revenue_share_percentage DECIMAL(5, 2)
+    CHECK (revenue_share_percentage BETWEEN 0 AND 100);
+
+DO $$ BEGIN
+    CREATE TYPE enum_earning_entries_entry_type AS ENUM ('sale', 'refund');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE enum_earning_entries_status AS ENUM ('pending', 'paid');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reference VARCHAR(50) NOT NULL UNIQUE,
+    total_amount DECIMAL(12, 2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'EGP',
+    instructor_count INTEGER NOT NULL,
+    entry_count INTEGER NOT NULL,
+    lines JSONB NOT NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payouts_created_at ON payouts(created_at);
+
+CREATE TABLE IF NOT EXISTS earning_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    instructor_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE RESTRICT,
+    transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE RESTRICT,
+    entry_type enum_earning_entries_entry_type NOT NULL,
+    gross_amount DECIMAL(10, 2) NOT NULL,
+    share_percentage DECIMAL(5, 2) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    status enum_earning_entries_status DEFAULT 'pending',
+    payout_id UUID REFERENCES payouts(id) ON DELETE RESTRICT,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transaction_id, course_id, entry_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_earning_entries_instructor_status ON earning_entries(instructor_id, status);
+CREATE INDEX IF NOT EXISTS idx_earning_entries_course_id ON earning_entries(course_id);
+CREATE INDEX IF NOT EXISTS idx_earning_entries_payout_id ON earning_entries(payout_id);
@@ -0,0 +1,10 @@
+-- Migration: TOTP two-factor authentication
+-- Date: 2026-10-30
+-- Description: Per-user TOTP secret (encrypted), hashed recovery codes and the last accepted time step.
+-- Roles that must use 2FA are configured with the two_factor_required_roles system setting.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_recovery_codes JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
@@ -0,0 +1,24 @@
+-- Migration: Server-side login sessions
+-- Date: 2026-10-31
+-- Description: One row per signed-in device. Refresh tokens rotate on every use and only the hash of the
+-- current one is stored, so presenting an older token (reuse) revokes the session. Replaces the single
+-- users.refresh_token column; existing refresh tokens stop working and users sign in again.
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL,
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+
+ALTER TABLE users DROP COLUMN IF EXISTS refresh_token;
@@ -0,0 +1,7 @@
+-- Migration: Access token versioning
+-- Date: 2026-11-01
+-- Description: users.token_version is embedded in access tokens and checked by the auth middleware.
+-- Password changes/resets, role changes, deactivation and admin force-logout bump it, so tokens that
+-- were already issued stop working immediately.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,24 @@
+-- Migration: Social / OpenID Connect login identities
+-- Date: 2026-11-02
+-- Description: Provider accounts (Google, GitHub, generic OIDC) linked to users, one per provider per user.
+-- users.has_password is false for accounts created through social login until a password is set
+-- (via password reset), so the last linked provider cannot be disconnected from such accounts.
+
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    email_verified BOOLEAN DEFAULT false,
+    name VARCHAR(255),
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, provider_user_id),
+    UNIQUE (user_id, provider)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS has_password BOOLEAN DEFAULT true;
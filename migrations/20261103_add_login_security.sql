@@ -0,0 +1,15 @@
+-- Migration: Account lockout and suspicious-login detection
+-- Date: 2026-11-03
+-- Description: Per-account failed login counters with progressive lockout (each lock since the last
+-- successful login doubles the next one), and the device / country of each session so logins from
+-- a new device or country can trigger an alert email.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS lockout_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_users_locked_until ON users(locked_until);
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS device VARCHAR(100);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS country VARCHAR(2);
@@ -0,0 +1,8 @@
+-- Migration: Admin impersonation audit trail
+-- Date: 2026-11-05
+-- Description: Audit log rows written while an admin impersonates a user keep the impersonated user
+-- in user_id and the admin in impersonator_id, including one IMPERSONATED_REQUEST row per request.
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_impersonator_id ON audit_log(impersonator_id);
@@ -0,0 +1,29 @@
+-- Migration: Instructor applications
+-- Date: 2026-11-06
+-- Description: Students apply to teach with a bio, areas of expertise, a sample video and an ID
+-- document (both stored outside the public upload directory). Reviewers approve or reject each
+-- application; approval changes users.role to instructor.
+
+DO $$ BEGIN
+    CREATE TYPE enum_instructor_applications_status AS ENUM ('pending', 'approved', 'rejected');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS instructor_applications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    bio TEXT NOT NULL,
+    expertise JSONB NOT NULL DEFAULT '[]',
+    sample_video_file VARCHAR(255) NOT NULL,
+    id_document_file VARCHAR(255) NOT NULL,
+    status enum_instructor_applications_status DEFAULT 'pending',
+    review_notes TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_instructor_applications_user_id ON instructor_applications(user_id);
+CREATE INDEX IF NOT EXISTS idx_instructor_applications_status ON instructor_applications(status);
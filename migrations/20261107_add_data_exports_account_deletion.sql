@@ -0,0 +1,29 @@
+-- Migration: Personal data exports and account deletion
+-- Date: 2026-11-07
+-- Description: Users request a ZIP of their personal data, built by a background job and kept for a
+-- limited time. Deleting an account anonymizes the users row instead of removing it, because
+-- enrollments, transactions and invoices reference it with ON DELETE RESTRICT.
+
+DO $$ BEGIN
+    CREATE TYPE enum_data_exports_status AS ENUM ('pending', 'processing', 'completed', 'failed');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS data_exports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status enum_data_exports_status DEFAULT 'pending',
+    file_name VARCHAR(255),
+    file_size INTEGER,
+    error TEXT,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_exports_user_id ON data_exports(user_id);
+CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports(status);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
@@ -12,6 +12,10 @@ module.exports = (sequelize, DataTypes) => {
     user_id: {
       type: DataTypes.UUID,
     },
+    // Admin who performed the action while impersonating user_id
+    impersonator_id: {
+      type: DataTypes.UUID,
+    },
     action: {
       type: DataTypes.STRING(100),
       allowNull: false,
@@ -39,6 +43,7 @@ module.exports = (sequelize, DataTypes) => {
     updatedAt: false,
     indexes: [
       { fields: ['user_id'] },
+      { fields: ['impersonator_id'] },
       { fields: ['action'] },
       { fields: ['entity_type'] },
     ],
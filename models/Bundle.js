@@ -0,0 +1,53 @@
+// ============================================================================
+// MODELS/BUNDLE.JS - Course Bundles / Learning Tracks
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Bundle = sequelize.define('Bundle', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    title: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+    },
+    slug: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      unique: true,
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    thumbnail_url: {
+      type: DataTypes.STRING(500),
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'EGP',
+    },
+    is_published: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+  }, {
+    tableName: 'bundles',
+    indexes: [
+      { fields: ['slug'], unique: true },
+      { fields: ['is_published'] },
+    ],
+  });
+
+  return Bundle;
+};
@@ -0,0 +1,35 @@
+// ============================================================================
+// MODELS/BUNDLE_COURSE.JS - Ordered Courses Inside a Bundle
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const BundleCourse = sequelize.define('BundleCourse', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bundle_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    course_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    order_index: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  }, {
+    tableName: 'bundle_courses',
+    updatedAt: false,
+    indexes: [
+      { fields: ['bundle_id', 'course_id'], unique: true },
+      { fields: ['course_id'] },
+    ],
+  });
+
+  return BundleCourse;
+};
@@ -0,0 +1,62 @@
+// ============================================================================
+// MODELS/BUNDLE_ENROLLMENT.JS - A Student's Purchase of a Bundle
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const BundleEnrollment = sequelize.define('BundleEnrollment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    bundle_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    transaction_id: {
+      type: DataTypes.UUID,
+    },
+    price_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    payment_status: {
+      type: DataTypes.ENUM('pending', 'completed', 'refunded', 'failed'),
+      defaultValue: 'pending',
+    },
+    purchase_date: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    completed: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    completion_date: {
+      type: DataTypes.DATE,
+    },
+    // Track certificate, issued once every course in the bundle is completed
+    certificate_id: {
+      type: DataTypes.STRING(100),
+    },
+    certificate_url: {
+      type: DataTypes.STRING(500),
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+    },
+  }, {
+    tableName: 'bundle_enrollments',
+    indexes: [
+      { fields: ['user_id', 'bundle_id'], unique: true },
+      { fields: ['bundle_id'] },
+      { fields: ['payment_status'] },
+    ],
+  });
+
+  return BundleEnrollment;
+};
@@ -0,0 +1,67 @@
+// ============================================================================
+// MODELS/COUPON.JS - Discount Coupons
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Coupon = sequelize.define('Coupon', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      set(value) {
+        this.setDataValue('code', String(value).trim().toUpperCase());
+      },
+    },
+    description: {
+      type: DataTypes.STRING(255),
+    },
+    discount_type: {
+      type: DataTypes.ENUM('percentage', 'fixed'),
+      allowNull: false,
+    },
+    discount_value: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    // NULL = sitewide
+    course_id: {
+      type: DataTypes.UUID,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+    },
+    // NULL = unlimited
+    max_uses: {
+      type: DataTypes.INTEGER,
+    },
+    max_uses_per_user: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+  }, {
+    tableName: 'coupons',
+    indexes: [
+      { fields: ['code'], unique: true },
+      { fields: ['course_id'] },
+      { fields: ['created_by'] },
+    ],
+  });
+
+  return Coupon;
+};
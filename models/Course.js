@@ -82,6 +82,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       defaultValue: 0,
     },
+    // Overrides the instructor's revenue share for this course (%)
+    revenue_share_percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      validate: { min: 0, max: 100 },
+    },
   }, {
     tableName: 'courses',
     indexes: [
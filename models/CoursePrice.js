@@ -0,0 +1,36 @@
+// ============================================================================
+// MODELS/COURSE_PRICE.JS - Per-Currency Course Price List
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  // Course.price/currency stay the base price; rows here override it for other currencies
+  const CoursePrice = sequelize.define('CoursePrice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    course_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      set(value) {
+        this.setDataValue('currency', String(value).toUpperCase());
+      },
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+  }, {
+    tableName: 'course_prices',
+    indexes: [
+      { fields: ['course_id', 'currency'], unique: true },
+    ],
+  });
+
+  return CoursePrice;
+};
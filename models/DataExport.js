@@ -0,0 +1,46 @@
+// ============================================================================
+// MODELS/DATA_EXPORT.JS - Personal Data Export Requests
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const DataExport = sequelize.define('DataExport', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+      defaultValue: 'pending',
+    },
+    // ZIP file name inside the private export directory
+    file_name: {
+      type: DataTypes.STRING(255),
+    },
+    file_size: {
+      type: DataTypes.INTEGER,
+    },
+    error: {
+      type: DataTypes.TEXT,
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+    },
+    // The archive is deleted and can no longer be downloaded after this
+    expires_at: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    tableName: 'data_exports',
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['status'] },
+    ],
+  });
+
+  return DataExport;
+};
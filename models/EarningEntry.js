@@ -0,0 +1,65 @@
+// ============================================================================
+// MODELS/EARNING_ENTRY.JS - Instructor Revenue Share Ledger
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const EarningEntry = sequelize.define('EarningEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    instructor_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    course_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    transaction_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // sale: written when the transaction completes, refund: the reversal when it is refunded
+    entry_type: {
+      type: DataTypes.ENUM('sale', 'refund'),
+      allowNull: false,
+    },
+    // What the course brought in, in EGP (negative for refunds)
+    gross_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    share_percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+    },
+    // Instructor's share, in EGP (negative for refunds)
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    // pending: owed to the instructor, paid: included in a payout batch
+    status: {
+      type: DataTypes.ENUM('pending', 'paid'),
+      defaultValue: 'pending',
+    },
+    payout_id: {
+      type: DataTypes.UUID,
+    },
+    paid_at: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    tableName: 'earning_entries',
+    indexes: [
+      { fields: ['instructor_id', 'status'] },
+      { fields: ['course_id'] },
+      { fields: ['payout_id'] },
+      { fields: ['transaction_id', 'course_id', 'entry_type'], unique: true },
+    ],
+  });
+
+  return EarningEntry;
+};
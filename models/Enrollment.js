@@ -21,6 +21,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
     },
+    // Always in EGP so revenue sums work; the charged currency and amount are on the transaction
     price_paid: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false,
@@ -58,6 +59,14 @@ module.exports = (sequelize, DataTypes) => {
     metadata: {
       type: DataTypes.JSONB,
     },
+    // Set when access came from a bundle purchase
+    bundle_id: {
+      type: DataTypes.UUID,
+    },
+    // Set when the enrollment uses one of an organization's seats
+    organization_id: {
+      type: DataTypes.UUID,
+    },
   }, {
     tableName: 'enrollments',
     indexes: [
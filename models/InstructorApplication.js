@@ -0,0 +1,58 @@
+// ============================================================================
+// MODELS/INSTRUCTOR_APPLICATION.JS - Applications to Become an Instructor
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const InstructorApplication = sequelize.define('InstructorApplication', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    bio: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    // Subjects the applicant wants to teach, e.g. ["Networking", "Linux"]
+    expertise: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    // File names inside the private application upload directory (never served publicly)
+    sample_video_file: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    id_document_file: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      defaultValue: 'pending',
+    },
+    // Shown to the applicant when the application is rejected
+    review_notes: {
+      type: DataTypes.TEXT,
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    tableName: 'instructor_applications',
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['status'] },
+    ],
+  });
+
+  return InstructorApplication;
+};
@@ -0,0 +1,67 @@
+// ============================================================================
+// MODELS/INVOICE.JS - Tax Invoices for Completed Transactions
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Invoice = sequelize.define('Invoice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // Gap-free running number; invoice_number is its formatted form (e.g. INV-2026-000042)
+    sequence_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+    },
+    invoice_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+    },
+    transaction_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'EGP',
+    },
+    // Snapshots, so later changes to settings, users or courses never alter an issued invoice
+    seller: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    buyer: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    line_items: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'invoices',
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['transaction_id'], unique: true },
+      { fields: ['invoice_number'], unique: true },
+    ],
+  });
+
+  return Invoice;
+};
@@ -0,0 +1,39 @@
+// ============================================================================
+// MODELS/ORGANIZATION.JS - Corporate (B2B) Accounts
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Organization = sequelize.define('Organization', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    slug: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+    },
+    contact_email: {
+      type: DataTypes.STRING(255),
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+    },
+  }, {
+    tableName: 'organizations',
+    indexes: [
+      { fields: ['slug'] },
+    ],
+  });
+
+  return Organization;
+};
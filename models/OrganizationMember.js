@@ -0,0 +1,63 @@
+// ============================================================================
+// MODELS/ORGANIZATION_MEMBER.JS - Organization Admins, Learners & Invites
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const OrganizationMember = sequelize.define('OrganizationMember', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // NULL until the invite is accepted
+    user_id: {
+      type: DataTypes.UUID,
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      set(value) {
+        this.setDataValue('email', String(value || '').trim().toLowerCase());
+      },
+    },
+    // admin: manages members, seats and reports; member: learner
+    role: {
+      type: DataTypes.ENUM('admin', 'member'),
+      defaultValue: 'member',
+    },
+    status: {
+      type: DataTypes.ENUM('invited', 'active', 'removed'),
+      defaultValue: 'invited',
+    },
+    invite_token: {
+      type: DataTypes.STRING(255),
+    },
+    invite_expires_at: {
+      type: DataTypes.DATE,
+    },
+    invited_by: {
+      type: DataTypes.UUID,
+    },
+    joined_at: {
+      type: DataTypes.DATE,
+    },
+    // Courses to assign a seat in once the invite is accepted
+    pending_course_ids: {
+      type: DataTypes.ARRAY(DataTypes.UUID),
+      defaultValue: [],
+    },
+  }, {
+    tableName: 'organization_members',
+    indexes: [
+      { fields: ['organization_id', 'email'], unique: true },
+      { fields: ['user_id'] },
+      { fields: ['invite_token'] },
+    ],
+  });
+
+  return OrganizationMember;
+};
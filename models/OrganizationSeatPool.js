@@ -0,0 +1,38 @@
+// ============================================================================
+// MODELS/ORGANIZATION_SEAT_POOL.JS - Purchased Seats per Organization & Course
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const OrganizationSeatPool = sequelize.define('OrganizationSeatPool', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    course_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // Seats paid for across all completed seat purchases (assigned seats are counted from enrollments)
+    total_seats: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    // What those seats cost in EGP, so each assigned enrollment carries its share
+    amount_paid_egp: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0,
+    },
+  }, {
+    tableName: 'organization_seat_pools',
+    indexes: [
+      { fields: ['organization_id', 'course_id'], unique: true },
+    ],
+  });
+
+  return OrganizationSeatPool;
+};
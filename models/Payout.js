@@ -0,0 +1,52 @@
+// ============================================================================
+// MODELS/PAYOUT.JS - Instructor Payout Batches
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Payout = sequelize.define('Payout', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    reference: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'EGP',
+    },
+    instructor_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    entry_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // Per-instructor totals with the bank details used for the transfer
+    lines: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+    created_by: {
+      type: DataTypes.UUID,
+    },
+  }, {
+    tableName: 'payouts',
+    indexes: [
+      { fields: ['created_at'] },
+    ],
+  });
+
+  return Payout;
+};
@@ -0,0 +1,26 @@
+// ============================================================================
+// MODELS/PERMISSION.JS - Permission Catalogue (seeded from config/permissions)
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Permission = sequelize.define('Permission', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // "area:action", e.g. payments:approve
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+    },
+    description: {
+      type: DataTypes.STRING(500),
+    },
+  }, {
+    tableName: 'permissions',
+  });
+
+  return Permission;
+};
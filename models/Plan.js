@@ -0,0 +1,54 @@
+// ============================================================================
+// MODELS/PLAN.JS - Membership Plans (All-Access)
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Plan = sequelize.define('Plan', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    slug: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    interval: {
+      type: DataTypes.ENUM('month', 'year'),
+      allowNull: false,
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'EGP',
+    },
+    // Days of continued access after a period ends without renewal
+    grace_period_days: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+  }, {
+    tableName: 'plans',
+    indexes: [
+      { fields: ['slug'], unique: true },
+      { fields: ['is_active'] },
+    ],
+  });
+
+  return Plan;
+};
@@ -0,0 +1,70 @@
+// ============================================================================
+// MODELS/REDEMPTION_CODE.JS - Gift & Bulk Enrollment Codes
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const RedemptionCode = sequelize.define('RedemptionCode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    code: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+    },
+    course_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // The purchase that paid for this code (one transaction per gift or batch)
+    transaction_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    purchaser_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // gift: bought for one recipient and emailed to them, batch: handed out by the purchaser
+    kind: {
+      type: DataTypes.ENUM('gift', 'batch'),
+      allowNull: false,
+    },
+    recipient_email: {
+      type: DataTypes.STRING(255),
+      set(value) {
+        this.setDataValue('recipient_email', value ? String(value).trim().toLowerCase() : null);
+      },
+    },
+    message: {
+      type: DataTypes.TEXT,
+    },
+    // pending: awaiting payment, active: redeemable, redeemed: used, revoked: payment failed or refunded
+    status: {
+      type: DataTypes.ENUM('pending', 'active', 'redeemed', 'revoked'),
+      defaultValue: 'pending',
+    },
+    redeemed_by: {
+      type: DataTypes.UUID,
+    },
+    redeemed_at: {
+      type: DataTypes.DATE,
+    },
+    enrollment_id: {
+      type: DataTypes.UUID,
+    },
+  }, {
+    tableName: 'redemption_codes',
+    indexes: [
+      { fields: ['code'], unique: true },
+      { fields: ['transaction_id'] },
+      { fields: ['purchaser_id'] },
+      { fields: ['course_id'] },
+      { fields: ['status'] },
+    ],
+  });
+
+  return RedemptionCode;
+};
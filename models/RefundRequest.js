@@ -0,0 +1,59 @@
+// ============================================================================
+// MODELS/REFUND_REQUEST.JS - Student Refund Requests
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const RefundRequest = sequelize.define('RefundRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    enrollment_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    transaction_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'denied'),
+      defaultValue: 'pending',
+    },
+    // Snapshot of the enrollment when the request was made
+    progress_at_request: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0,
+    },
+    admin_notes: {
+      type: DataTypes.TEXT,
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+    },
+    provider_refund_id: {
+      type: DataTypes.STRING(255),
+    },
+  }, {
+    tableName: 'refund_requests',
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['enrollment_id'] },
+      { fields: ['status'] },
+    ],
+  });
+
+  return RefundRequest;
+};
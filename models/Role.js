@@ -0,0 +1,35 @@
+// ============================================================================
+// MODELS/ROLE.JS - Permission Sets (built-in user roles and custom roles)
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Role = sequelize.define('Role', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // Built-in roles use the User.role value (student, instructor, admin)
+    slug: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING(500),
+    },
+    // Built-in roles follow User.role and cannot be renamed, assigned or deleted
+    is_system: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+  }, {
+    tableName: 'roles',
+  });
+
+  return Role;
+};
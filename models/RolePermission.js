@@ -0,0 +1,29 @@
+// ============================================================================
+// MODELS/ROLE_PERMISSION.JS - Permissions Granted by a Role
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const RolePermission = sequelize.define('RolePermission', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    role_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    permission_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+  }, {
+    tableName: 'role_permissions',
+    updatedAt: false,
+    indexes: [
+      { fields: ['role_id', 'permission_id'], unique: true },
+    ],
+  });
+
+  return RolePermission;
+};
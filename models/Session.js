@@ -0,0 +1,66 @@
+// ============================================================================
+// MODELS/SESSION.JS - Login Sessions (one row per signed-in device)
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // SHA-256 of the only refresh token currently valid for this session; it changes on every refresh
+    refresh_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+    },
+    // Browser and OS family (e.g. "Chrome on Windows"), used to spot logins from new devices
+    device: {
+      type: DataTypes.STRING(100),
+    },
+    // ISO country code from the CDN, used to spot logins from new countries
+    country: {
+      type: DataTypes.STRING(2),
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+    },
+    // logout, user_revoked, admin_revoked, token_reuse, password_changed, password_reset
+    revoked_reason: {
+      type: DataTypes.STRING(50),
+    },
+  }, {
+    tableName: 'sessions',
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['expires_at'] },
+    ],
+  });
+
+  /**
+   * Whether the session can still be used
+   */
+  Session.prototype.isActive = function () {
+    return !this.revoked_at && new Date(this.expires_at) > new Date();
+  };
+
+  return Session;
+};
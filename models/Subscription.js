@@ -0,0 +1,55 @@
+// ============================================================================
+// MODELS/SUBSCRIPTION.JS - User Membership Subscriptions
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const Subscription = sequelize.define('Subscription', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    plan_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // pending: awaiting payment, active: paid (or in grace), cancelled: runs until expires_at, expired/failed: no access
+    status: {
+      type: DataTypes.ENUM('pending', 'active', 'cancelled', 'expired', 'failed'),
+      defaultValue: 'pending',
+    },
+    started_at: {
+      type: DataTypes.DATE,
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+    },
+    grace_ends_at: {
+      type: DataTypes.DATE,
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+    },
+    // Latest payment for this subscription
+    transaction_id: {
+      type: DataTypes.UUID,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+    },
+  }, {
+    tableName: 'subscriptions',
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['plan_id'] },
+      { fields: ['status'] },
+      { fields: ['grace_ends_at'] },
+    ],
+  });
+
+  return Subscription;
+};
@@ -13,9 +13,12 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.UUID,
       allowNull: false,
     },
+    // NULL for bundle purchases, which cover several courses
     course_id: {
       type: DataTypes.UUID,
-      allowNull: false,
+    },
+    bundle_id: {
+      type: DataTypes.UUID,
     },
     amount: {
       type: DataTypes.DECIMAL(10, 2),
@@ -25,6 +28,13 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(3),
       defaultValue: 'EGP',
     },
+    // `amount` converted to EGP at the exchange rate used at checkout, for revenue reporting
+    amount_egp: {
+      type: DataTypes.DECIMAL(10, 2),
+    },
+    exchange_rate: {
+      type: DataTypes.DECIMAL(12, 6),
+    },
     status: {
       type: DataTypes.ENUM('pending', 'completed', 'failed', 'refunded'),
       defaultValue: 'pending',
@@ -56,6 +66,7 @@ module.exports = (sequelize, DataTypes) => {
     indexes: [
       { fields: ['user_id'] },
       { fields: ['course_id'] },
+      { fields: ['bundle_id'] },
       { fields: ['status'] },
       { fields: ['transaction_id'] },
     ],
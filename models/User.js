@@ -23,6 +23,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(255),
       allowNull: false,
     },
+    // False for accounts created through social login until the user sets a password
+    has_password: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
     name: {
       type: DataTypes.STRING(255),
       allowNull: false,
@@ -54,9 +59,6 @@ module.exports = (sequelize, DataTypes) => {
     password_reset_expires: {
       type: DataTypes.DATE,
     },
-    refresh_token: {
-      type: DataTypes.TEXT,
-    },
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
@@ -64,6 +66,67 @@ module.exports = (sequelize, DataTypes) => {
     last_login: {
       type: DataTypes.DATE,
     },
+    // Currency the catalogue is shown in; overrides geo detection
+    preferred_currency: {
+      type: DataTypes.STRING(3),
+    },
+    // Instructor's share of their course sales (%); NULL uses the platform default
+    revenue_share_percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      validate: { min: 0, max: 100 },
+    },
+    // Bank details for instructor payouts { accountName, bankName, iban, swift }
+    payout_details: {
+      type: DataTypes.JSONB,
+    },
+    // Consecutive failed logins since the last success or lock
+    failed_login_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    last_failed_login_at: {
+      type: DataTypes.DATE,
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+    },
+    // Locks since the last successful login; each one doubles the next lock's duration
+    lockout_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Embedded in access tokens; bumping it invalidates every token issued before
+    token_version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    two_factor_enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    // Encrypted base32 TOTP secret; set during setup, used once two_factor_enabled is true
+    two_factor_secret: {
+      type: DataTypes.TEXT,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    two_factor_recovery_codes: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+    },
+    // Time step of the last accepted TOTP code, so a code cannot be replayed
+    two_factor_last_step: {
+      type: DataTypes.BIGINT,
+    },
+    two_factor_enabled_at: {
+      type: DataTypes.DATE,
+    },
+    // Set when the account was deleted; the row stays (anonymized) so financial records keep their owner
+    deleted_at: {
+      type: DataTypes.DATE,
+    },
   }, {
     tableName: 'users',
     indexes: [
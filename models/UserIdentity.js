@@ -0,0 +1,49 @@
+// ============================================================================
+// MODELS/USER_IDENTITY.JS - Linked Social / OpenID Connect Login Identities
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const UserIdentity = sequelize.define('UserIdentity', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // Provider id from config/oauth (google, github, ...)
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    // Stable account id at the provider (OIDC "sub", GitHub user id)
+    provider_user_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    // Email the provider reported at the last login (may differ from the user's email)
+    email: {
+      type: DataTypes.STRING(255),
+    },
+    email_verified: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    name: {
+      type: DataTypes.STRING(255),
+    },
+    last_login_at: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    tableName: 'user_identities',
+    indexes: [
+      { fields: ['provider', 'provider_user_id'], unique: true },
+      { fields: ['user_id', 'provider'], unique: true },
+    ],
+  });
+
+  return UserIdentity;
+};
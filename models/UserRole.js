@@ -0,0 +1,33 @@
+// ============================================================================
+// MODELS/USER_ROLE.JS - Custom Roles Assigned to Users (on top of User.role)
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const UserRole = sequelize.define('UserRole', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    role_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    assigned_by: {
+      type: DataTypes.UUID,
+    },
+  }, {
+    tableName: 'user_roles',
+    updatedAt: false,
+    indexes: [
+      { fields: ['user_id', 'role_id'], unique: true },
+      { fields: ['role_id'] },
+    ],
+  });
+
+  return UserRole;
+};
@@ -0,0 +1,39 @@
+// ============================================================================
+// MODELS/WEBHOOK_EVENT.JS - Processed Payment Webhook Events (Idempotency)
+// ============================================================================
+
+module.exports = (sequelize, DataTypes) => {
+  const WebhookEvent = sequelize.define('WebhookEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    event_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    event_type: {
+      type: DataTypes.STRING(100),
+    },
+    transaction_id: {
+      type: DataTypes.UUID,
+    },
+    payload: {
+      type: DataTypes.JSONB,
+    },
+  }, {
+    tableName: 'webhook_events',
+    updatedAt: false,
+    indexes: [
+      { fields: ['provider', 'event_id'], unique: true },
+      { fields: ['transaction_id'] },
+    ],
+  });
+
+  return WebhookEvent;
+};
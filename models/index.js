@@ -23,6 +23,30 @@ const Quiz = require('./Quiz')(sequelize, DataTypes);
 const QuizQuestion = require('./QuizQuestion')(sequelize, DataTypes);
 const QuizOption = require('./QuizOption')(sequelize, DataTypes);
 const QuizAttempt = require('./QuizAttempt')(sequelize, DataTypes);
+const WebhookEvent = require('./WebhookEvent')(sequelize, DataTypes);
+const RefundRequest = require('./RefundRequest')(sequelize, DataTypes);
+const Coupon = require('./Coupon')(sequelize, DataTypes);
+const Bundle = require('./Bundle')(sequelize, DataTypes);
+const BundleCourse = require('./BundleCourse')(sequelize, DataTypes);
+const BundleEnrollment = require('./BundleEnrollment')(sequelize, DataTypes);
+const Plan = require('./Plan')(sequelize, DataTypes);
+const Subscription = require('./Subscription')(sequelize, DataTypes);
+const Invoice = require('./Invoice')(sequelize, DataTypes);
+const CoursePrice = require('./CoursePrice')(sequelize, DataTypes);
+const RedemptionCode = require('./RedemptionCode')(sequelize, DataTypes);
+const EarningEntry = require('./EarningEntry')(sequelize, DataTypes);
+const Payout = require('./Payout')(sequelize, DataTypes);
+const Organization = require('./Organization')(sequelize, DataTypes);
+const OrganizationMember = require('./OrganizationMember')(sequelize, DataTypes);
+const OrganizationSeatPool = require('./OrganizationSeatPool')(sequelize, DataTypes);
+const Session = require('./Session')(sequelize, DataTypes);
+const UserIdentity = require('./UserIdentity')(sequelize, DataTypes);
+const Role = require('./Role')(sequelize, DataTypes);
+const Permission = require('./Permission')(sequelize, DataTypes);
+const RolePermission = require('./RolePermission')(sequelize, DataTypes);
+const UserRole = require('./UserRole')(sequelize, DataTypes);
+const InstructorApplication = require('./InstructorApplication')(sequelize, DataTypes);
+const DataExport = require('./DataExport')(sequelize, DataTypes);
 
 // ============================================================================
 // DEFINE ASSOCIATIONS
@@ -39,6 +63,7 @@ User.hasMany(AuditLog, { foreignKey: 'user_id', as: 'auditLogs' });
 
 // AuditLog associations
 AuditLog.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+AuditLog.belongsTo(User, { foreignKey: 'impersonator_id', as: 'impersonator' });
 
 
 // Course associations
@@ -61,6 +86,104 @@ Review.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
 // Transaction associations
 Transaction.belongsTo(User, { foreignKey: 'user_id', as: 'user', onDelete: 'RESTRICT' });
 Transaction.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
+Transaction.hasMany(WebhookEvent, { foreignKey: 'transaction_id', as: 'webhookEvents' });
+
+// WebhookEvent associations
+WebhookEvent.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+
+// RefundRequest associations
+RefundRequest.belongsTo(User, { foreignKey: 'user_id', as: 'user', onDelete: 'RESTRICT' });
+RefundRequest.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+RefundRequest.belongsTo(Enrollment, { foreignKey: 'enrollment_id', as: 'enrollment' });
+RefundRequest.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+Enrollment.hasMany(RefundRequest, { foreignKey: 'enrollment_id', as: 'refundRequests' });
+
+// Coupon associations
+Coupon.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
+Coupon.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+Course.hasMany(Coupon, { foreignKey: 'course_id', as: 'coupons' });
+
+// Bundle associations
+Bundle.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+Bundle.belongsToMany(Course, { through: BundleCourse, foreignKey: 'bundle_id', otherKey: 'course_id', as: 'courses' });
+Course.belongsToMany(Bundle, { through: BundleCourse, foreignKey: 'course_id', otherKey: 'bundle_id', as: 'bundles' });
+Bundle.hasMany(BundleCourse, { foreignKey: 'bundle_id', as: 'bundleCourses' });
+BundleCourse.belongsTo(Bundle, { foreignKey: 'bundle_id', as: 'bundle' });
+BundleCourse.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
+Bundle.hasMany(BundleEnrollment, { foreignKey: 'bundle_id', as: 'enrollments' });
+BundleEnrollment.belongsTo(Bundle, { foreignKey: 'bundle_id', as: 'bundle' });
+BundleEnrollment.belongsTo(User, { foreignKey: 'user_id', as: 'user', onDelete: 'RESTRICT' });
+BundleEnrollment.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+User.hasMany(BundleEnrollment, { foreignKey: 'user_id', as: 'bundleEnrollments', onDelete: 'RESTRICT' });
+Transaction.belongsTo(Bundle, { foreignKey: 'bundle_id', as: 'bundle' });
+Enrollment.belongsTo(Bundle, { foreignKey: 'bundle_id', as: 'bundle' });
+
+// Plan & Subscription associations
+Plan.hasMany(Subscription, { foreignKey: 'plan_id', as: 'subscriptions' });
+Subscription.belongsTo(Plan, { foreignKey: 'plan_id', as: 'plan' });
+Subscription.belongsTo(User, { foreignKey: 'user_id', as: 'user', onDelete: 'RESTRICT' });
+Subscription.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+User.hasMany(Subscription, { foreignKey: 'user_id', as: 'subscriptions', onDelete: 'RESTRICT' });
+
+// Invoice associations
+Transaction.hasOne(Invoice, { foreignKey: 'transaction_id', as: 'invoice' });
+Invoice.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction', onDelete: 'RESTRICT' });
+Invoice.belongsTo(User, { foreignKey: 'user_id', as: 'user', onDelete: 'RESTRICT' });
+
+// Course price list associations
+Course.hasMany(CoursePrice, { foreignKey: 'course_id', as: 'prices', onDelete: 'CASCADE' });
+CoursePrice.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
+
+// Gift & redemption code associations
+Transaction.hasMany(RedemptionCode, { foreignKey: 'transaction_id', as: 'redemptionCodes' });
+RedemptionCode.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction', onDelete: 'RESTRICT' });
+RedemptionCode.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
+RedemptionCode.belongsTo(User, { foreignKey: 'purchaser_id', as: 'purchaser', onDelete: 'RESTRICT' });
+RedemptionCode.belongsTo(User, { foreignKey: 'redeemed_by', as: 'redeemer' });
+RedemptionCode.belongsTo(Enrollment, { foreignKey: 'enrollment_id', as: 'enrollment' });
+
+// Instructor earnings & payout associations
+EarningEntry.belongsTo(User, { foreignKey: 'instructor_id', as: 'instructor', onDelete: 'RESTRICT' });
+EarningEntry.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
+EarningEntry.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction', onDelete: 'RESTRICT' });
+EarningEntry.belongsTo(Payout, { foreignKey: 'payout_id', as: 'payout' });
+Payout.hasMany(EarningEntry, { foreignKey: 'payout_id', as: 'entries' });
+Payout.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+User.hasMany(EarningEntry, { foreignKey: 'instructor_id', as: 'earnings' });
+
+// Organization associations
+Organization.hasMany(OrganizationMember, { foreignKey: 'organization_id', as: 'members', onDelete: 'CASCADE' });
+OrganizationMember.belongsTo(Organization, { foreignKey: 'organization_id', as: 'organization' });
+OrganizationMember.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(OrganizationMember, { foreignKey: 'user_id', as: 'organizationMemberships' });
+Organization.hasMany(OrganizationSeatPool, { foreignKey: 'organization_id', as: 'seatPools', onDelete: 'CASCADE' });
+OrganizationSeatPool.belongsTo(Organization, { foreignKey: 'organization_id', as: 'organization' });
+OrganizationSeatPool.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
+Organization.hasMany(Enrollment, { foreignKey: 'organization_id', as: 'enrollments' });
+Enrollment.belongsTo(Organization, { foreignKey: 'organization_id', as: 'organization' });
+
+// Session associations
+User.hasMany(Session, { foreignKey: 'user_id', as: 'sessions', onDelete: 'CASCADE' });
+Session.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// UserIdentity associations
+User.hasMany(UserIdentity, { foreignKey: 'user_id', as: 'identities', onDelete: 'CASCADE' });
+UserIdentity.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Role & permission associations
+Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id', as: 'permissions' });
+Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id', as: 'roles' });
+User.belongsToMany(Role, { through: UserRole, foreignKey: 'user_id', otherKey: 'role_id', as: 'customRoles' });
+Role.belongsToMany(User, { through: UserRole, foreignKey: 'role_id', otherKey: 'user_id', as: 'users' });
+
+// InstructorApplication associations
+User.hasMany(InstructorApplication, { foreignKey: 'user_id', as: 'instructorApplications', onDelete: 'CASCADE' });
+InstructorApplication.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+InstructorApplication.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+
+// DataExport associations
+User.hasMany(DataExport, { foreignKey: 'user_id', as: 'dataExports', onDelete: 'CASCADE' });
+DataExport.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
 // Certificate associations
 Certificate.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -124,4 +247,28 @@ module.exports = {
   QuizQuestion,
   QuizOption,
   QuizAttempt,
+  WebhookEvent,
+  RefundRequest,
+  Coupon,
+  Bundle,
+  BundleCourse,
+  BundleEnrollment,
+  Plan,
+  Subscription,
+  Invoice,
+  CoursePrice,
+  RedemptionCode,
+  EarningEntry,
+  Payout,
+  Organization,
+  OrganizationMember,
+  OrganizationSeatPool,
+  Session,
+  UserIdentity,
+  Role,
+  Permission,
+  RolePermission,
+  UserRole,
+  InstructorApplication,
+  DataExport,
 };
\ No newline at end of file
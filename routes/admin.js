@@ -5,39 +5,111 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const couponController = require('../controllers/couponController');
+const bundleController = require('../controllers/bundleController');
+const subscriptionController = require('../controllers/subscriptionController');
+const invoiceController = require('../controllers/invoiceController');
+const redemptionController = require('../controllers/redemptionController');
+const earningsController = require('../controllers/earningsController');
+const organizationController = require('../controllers/organizationController');
+const roleController = require('../controllers/roleController');
+const instructorApplicationController = require('../controllers/instructorApplicationController');
+const privacyController = require('../controllers/privacyController');
+const quizController = require('../controllers/quizController');
+const systemController = require('../controllers/systemController');
 const { authenticate } = require('../middleware/auth');
-const { checkRole } = require('../middleware/roleCheck');
+const { checkRole, requirePermission } = require('../middleware/roleCheck');
 const { User, Course, Enrollment, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { successResponse, paginationMeta } = require('../utils/responseFormatter');
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication; each area requires its own permission
 router.use(authenticate);
-router.use(checkRole('admin'));
 
 // Dashboard & Analytics
-router.get('/dashboard', adminController.getDashboard);
-router.get('/stats', adminController.getStats);
-router.get('/analytics', adminController.getAnalytics);
-router.get('/audit-logs', adminController.getAuditLogs);
+router.get('/dashboard', requirePermission('analytics:view'), adminController.getDashboard);
+router.get('/stats', requirePermission('analytics:view'), adminController.getStats);
+router.get('/analytics', requirePermission('analytics:view'), adminController.getAnalytics);
+router.get('/audit-logs', requirePermission('audit:view'), adminController.getAuditLogs);
 
 // User management
-router.get('/users', adminController.getAllUsers);
-router.put('/users/:userId', adminController.updateUser);
+router.get('/users', requirePermission('users:view', 'users:manage'), adminController.getAllUsers);
+router.put('/users/:userId', requirePermission('users:manage'), adminController.updateUser);
+router.get('/users/:userId/sessions', requirePermission('users:view', 'users:manage'), adminController.getUserSessions);
+router.post('/users/:userId/force-logout', requirePermission('users:manage'), adminController.forceLogoutUser);
+router.post('/users/:userId/unlock', requirePermission('users:manage'), adminController.unlockUser);
+router.get('/locked-accounts', requirePermission('users:view', 'users:manage'), adminController.getLockedAccounts);
+router.post('/users/:userId/impersonate', checkRole('admin'), adminController.impersonateUser);
+
+// Account deletion (anonymizes the user, keeps financial records)
+router.delete('/users/:userId', requirePermission('users:manage'), privacyController.deleteUser);
+
+// Instructor applications
+router.get('/instructor-applications', requirePermission('instructors:review'), instructorApplicationController.getApplications);
+router.get('/instructor-applications/:applicationId', requirePermission('instructors:review'), instructorApplicationController.getApplication);
+router.get('/instructor-applications/:applicationId/files/:file', requirePermission('instructors:review'), instructorApplicationController.getApplicationFile);
+router.post('/instructor-applications/:applicationId/approve', requirePermission('instructors:review'), instructorApplicationController.approveApplication);
+router.post('/instructor-applications/:applicationId/reject', requirePermission('instructors:review'), instructorApplicationController.rejectApplication);
 
 // Course management (admin can view/edit all courses)
-router.get('/courses', adminController.getAllCourses);
+router.get('/courses', requirePermission('courses:manage_all'), adminController.getAllCourses);
 
 // Quiz results (admin can view all quiz results)
-const quizController = require('../controllers/quizController');
-router.get('/lesson/:lessonId/quiz/results', quizController.getQuizResults);
+router.get('/lesson/:lessonId/quiz/results', requirePermission('quiz_results:view'), quizController.getQuizResults);
 
 // Transactions
-router.get('/transactions', adminController.getAllTransactions);
+router.get('/transactions', requirePermission('payments:view'), adminController.getAllTransactions);
+
+// Invoices
+router.get('/transactions/:transactionId/invoice', requirePermission('payments:view'), invoiceController.downloadInvoice);
+
+// Coupons (sitewide and per-course)
+router.get('/coupons', requirePermission('coupons:manage'), couponController.getCoupons);
+router.post('/coupons', requirePermission('coupons:manage'), couponController.createCoupon);
+router.put('/coupons/:couponId', requirePermission('coupons:manage'), couponController.updateCoupon);
+router.delete('/coupons/:couponId', requirePermission('coupons:manage'), couponController.deleteCoupon);
+
+// Bundles / learning tracks
+router.get('/bundles', requirePermission('catalog:manage'), bundleController.getAllBundles);
+router.post('/bundles', requirePermission('catalog:manage'), bundleController.createBundle);
+router.put('/bundles/:bundleId', requirePermission('catalog:manage'), bundleController.updateBundle);
+router.delete('/bundles/:bundleId', requirePermission('catalog:manage'), bundleController.deleteBundle);
+
+// Membership plans & subscriptions
+router.get('/plans', requirePermission('catalog:manage'), subscriptionController.getAllPlans);
+router.post('/plans', requirePermission('catalog:manage'), subscriptionController.createPlan);
+router.put('/plans/:planId', requirePermission('catalog:manage'), subscriptionController.updatePlan);
+router.delete('/plans/:planId', requirePermission('catalog:manage'), subscriptionController.deletePlan);
+router.get('/subscriptions', requirePermission('catalog:manage'), subscriptionController.getSubscriptions);
+
+// Gift & enrollment codes
+router.get('/redemption-codes', requirePermission('payments:view'), redemptionController.getRedemptionCodes);
+
+// Instructor revenue share & payouts
+router.put('/users/:userId/revenue-share', requirePermission('payouts:manage'), earningsController.setInstructorRevenueShare);
+router.put('/courses/:courseId/revenue-share', requirePermission('payouts:manage'), earningsController.setCourseRevenueShare);
+router.get('/payouts/pending', requirePermission('payouts:manage'), earningsController.getPendingPayouts);
+router.get('/payouts', requirePermission('payouts:manage'), earningsController.getPayouts);
+router.post('/payouts', requirePermission('payouts:manage'), earningsController.createPayout);
+router.get('/payouts/:payoutId/export', requirePermission('payouts:manage'), earningsController.exportPayout);
+
+// Organizations (B2B accounts)
+router.get('/organizations', requirePermission('organizations:manage'), organizationController.getOrganizations);
+router.post('/organizations', requirePermission('organizations:manage'), organizationController.createOrganization);
+router.put('/organizations/:orgId', requirePermission('organizations:manage'), organizationController.updateOrganization);
+
+// Roles & permissions
+router.get('/permissions', requirePermission('roles:manage'), roleController.getPermissions);
+router.get('/roles', requirePermission('roles:manage'), roleController.getRoles);
+router.post('/roles', requirePermission('roles:manage'), roleController.createRole);
+router.put('/roles/:roleId', requirePermission('roles:manage'), roleController.updateRole);
+router.delete('/roles/:roleId', requirePermission('roles:manage'), roleController.deleteRole);
+router.get('/users/:userId/roles', requirePermission('roles:manage'), roleController.getUserRoles);
+router.post('/users/:userId/roles', requirePermission('roles:manage'), roleController.assignRole);
+router.delete('/users/:userId/roles/:roleId', requirePermission('roles:manage'), roleController.unassignRole);
 
 // Platform settings
-const systemController = require('../controllers/systemController');
-router.get('/settings', systemController.getAllSettings);
-router.put('/settings', systemController.updateSettings);
+router.get('/settings', requirePermission('settings:manage'), systemController.getAllSettings);
+router.put('/settings', requirePermission('settings:manage'), systemController.updateSettings);
 
 module.exports = router;
\ No newline at end of file
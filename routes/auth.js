@@ -6,13 +6,15 @@ const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const privacyController = require('../controllers/privacyController');
+const { authenticate, authenticateTwoFactorSetup, denyWhileImpersonating } = require('../middleware/auth');
 const {
   registerValidation,
   loginValidation,
   validate,
 } = require('../middleware/validation');
 const { body } = require('express-validator');
+const { upload } = require('../services/videoService');
 
 // SECURITY: Strict rate limiting for auth endpoints
 const authLimiter = rateLimit({
@@ -40,11 +42,38 @@ router.post('/forgot-password', passwordResetLimiter, authController.forgotPassw
 router.post('/reset-password/:token', passwordResetLimiter, authController.resetPassword);
 router.post('/refresh-token', authController.refreshToken);
 
+// Two-factor authentication (TOTP)
+const twoFactorCodeValidation = [
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim(),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('A verification code or recovery code is required');
+    }
+    return true;
+  }),
+  validate,
+];
+router.post('/2fa/verify', authLimiter, [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+], twoFactorCodeValidation, authController.verifyTwoFactorLogin);
+router.post('/2fa/setup', authLimiter, authenticateTwoFactorSetup, denyWhileImpersonating, authController.setupTwoFactor);
+router.post('/2fa/enable', authLimiter, authenticateTwoFactorSetup, denyWhileImpersonating, [
+  body('code').notEmpty().withMessage('Verification code is required'),
+  validate,
+], authController.enableTwoFactor);
+router.post('/2fa/disable', authLimiter, authenticate, denyWhileImpersonating, [
+  body('password').notEmpty().withMessage('Password is required'),
+], twoFactorCodeValidation, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authLimiter, authenticate, denyWhileImpersonating, [
+  body('code').notEmpty().withMessage('Verification code is required'),
+  validate,
+], authController.regenerateRecoveryCodes);
+
 // Protected routes
 router.get('/me', authenticate, authController.getProfile);
-const { upload } = require('../services/videoService');
 router.put('/profile', authenticate, upload.single('profile_picture'), authController.updateProfile);
-router.put('/change-password', authenticate, [
+router.put('/change-password', authenticate, denyWhileImpersonating, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword')
     .isLength({ min: 8 })
@@ -55,4 +84,27 @@ router.put('/change-password', authenticate, [
 ], authController.changePassword);
 router.post('/logout', authenticate, authController.logout);
 
+// Social login (OAuth2 / OpenID Connect)
+router.get('/oauth/providers', authController.getOAuthProviders);
+router.post('/oauth/complete', authLimiter, [
+  body('token').notEmpty().withMessage('Sign-in token is required'),
+  validate,
+], authController.completeOAuthLogin);
+router.get('/oauth/:provider', authController.startOAuth);
+router.get('/oauth/:provider/callback', authController.oauthCallback);
+router.post('/oauth/:provider/connect', authenticate, denyWhileImpersonating, authController.connectOAuthProvider);
+router.get('/identities', authenticate, authController.getIdentities);
+router.delete('/identities/:identityId', authenticate, denyWhileImpersonating, authController.disconnectIdentity);
+
+// Device sessions
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions', authenticate, denyWhileImpersonating, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticate, denyWhileImpersonating, authController.revokeSession);
+
+// Personal data export & account deletion
+router.post('/data-exports', authenticate, denyWhileImpersonating, privacyController.requestDataExport);
+router.get('/data-exports', authenticate, privacyController.getDataExports);
+router.get('/data-exports/:exportId/download', authenticate, denyWhileImpersonating, privacyController.downloadDataExport);
+router.delete('/account', authLimiter, authenticate, denyWhileImpersonating, privacyController.deleteAccount);
+
 module.exports = router;
@@ -0,0 +1,14 @@
+// ============================================================================
+// ROUTES/BUNDLES.JS - Public Bundle (Learning Track) Routes
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const bundleController = require('../controllers/bundleController');
+const { optionalAuth } = require('../middleware/auth');
+
+// Public bundle catalogue
+router.get('/', bundleController.getBundles);
+router.get('/:slug', optionalAuth, bundleController.getBundleBySlug);
+
+module.exports = router;
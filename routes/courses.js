@@ -17,8 +17,9 @@ router.get('/slug/:slug', optionalAuth, courseController.getCourseBySlug);
 // Protected routes
 router.get('/:courseId/curriculum', authenticate, courseController.getCourseCurriculum);
 router.get('/video/:lessonId', optionalAuth, courseController.streamLessonVideo);
-router.get('/video/key/:lessonId', optionalAuth, courseController.getLessonVideoKey);
-router.get('/video/segment/:lessonId/:segmentName', optionalAuth, courseController.streamHLSSegment);
+// Keys and segments are authorized by the playback token embedded in the playlist
+router.get('/video/key/:lessonId/:keyIndex?', courseController.getLessonVideoKey);
+router.get('/video/segment/:lessonId/:segmentName', courseController.streamHLSSegment);
 
 // Quiz routes (For students) - authenticated
 router.get('/lesson/:lessonId/quiz', authenticate, quizController.getQuizForStudent);
@@ -6,19 +6,21 @@ const express = require('express');
 const router = express.Router();
 const instructorController = require('../controllers/instructorController');
 const quizController = require('../controllers/quizController');
-const { authenticate } = require('../middleware/auth');
-const { isInstructorOrAdmin } = require('../middleware/roleCheck');
-const { courseCreateValidation, sectionValidation, lessonValidation } = require('../middleware/validation');
+const couponController = require('../controllers/couponController');
+const earningsController = require('../controllers/earningsController');
+const { authenticate, denyWhileImpersonating } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { courseCreateValidation, sectionValidation, lessonValidation, coursePriceValidation } = require('../middleware/validation');
 const { upload } = require('../services/videoService');
 
 // Quiz management routes (for instructors)
-router.get('/lesson/:lessonId/quiz', authenticate, isInstructorOrAdmin, quizController.getQuizForInstructor);
-router.post('/lesson/:lessonId/quiz', authenticate, isInstructorOrAdmin, quizController.saveQuiz);
-router.get('/lesson/:lessonId/quiz/results', authenticate, isInstructorOrAdmin, quizController.getQuizResults);
+router.get('/lesson/:lessonId/quiz', authenticate, requirePermission('courses:author', 'courses:manage_all'), quizController.getQuizForInstructor);
+router.post('/lesson/:lessonId/quiz', authenticate, requirePermission('courses:author', 'courses:manage_all'), quizController.saveQuiz);
+router.get('/lesson/:lessonId/quiz/results', authenticate, requirePermission('quiz_results:view'), quizController.getQuizResults);
 
 // All instructor routes require authentication
 router.use(authenticate);
-router.use(isInstructorOrAdmin);
+router.use(requirePermission('courses:author', 'courses:manage_all'));
 
 // Dashboard
 router.get('/dashboard', instructorController.getDashboard);
@@ -36,6 +38,10 @@ router.put('/courses/:courseId', upload.fields([
 router.delete('/courses/:courseId', instructorController.deleteCourse);
 router.patch('/courses/:courseId/publish', instructorController.togglePublish);
 
+// Per-currency price lists
+router.get('/courses/:courseId/prices', instructorController.getCoursePrices);
+router.put('/courses/:courseId/prices', coursePriceValidation, instructorController.setCoursePrices);
+
 // Section management
 router.post('/courses/:courseId/sections', sectionValidation, instructorController.addSection);
 router.put('/sections/:sectionId', sectionValidation, instructorController.updateSection);
@@ -55,5 +61,15 @@ router.get('/courses/:courseId/students', instructorController.getCourseStudents
 // Analytics
 router.get('/courses/:courseId/analytics', instructorController.getCourseAnalytics);
 
+// Earnings & payout details
+router.get('/earnings', earningsController.getMyEarnings);
+router.put('/earnings/payout-details', denyWhileImpersonating, earningsController.updatePayoutDetails);
+
+// Coupons (scoped to the instructor's own courses)
+router.get('/coupons', couponController.getCoupons);
+router.post('/coupons', couponController.createCoupon);
+router.put('/coupons/:couponId', couponController.updateCoupon);
+router.delete('/coupons/:couponId', couponController.deleteCoupon);
+
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+// ============================================================================
+// ROUTES/ORGANIZATIONS.JS - Organization (B2B) Routes
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const paymentController = require('../controllers/paymentController');
+const { authenticate } = require('../middleware/auth');
+const { isOrgAdmin } = require('../middleware/roleCheck');
+const { organizationInviteValidation, codeBatchValidation } = require('../middleware/validation');
+
+// All organization routes require authentication
+router.use(authenticate);
+
+// Current user's organizations / joining one
+router.get('/mine', organizationController.getMyOrganizations);
+router.post('/invites/accept', organizationController.acceptInvite);
+
+// Org admin: members, seats and reporting
+router.get('/:orgId', isOrgAdmin, organizationController.getOrganization);
+router.post('/:orgId/invites', isOrgAdmin, organizationInviteValidation, organizationController.inviteMember);
+router.delete('/:orgId/members/:memberId', isOrgAdmin, organizationController.removeMember);
+router.post('/:orgId/seats/checkout', isOrgAdmin, codeBatchValidation, paymentController.initiateSeatPayment);
+router.post('/:orgId/seats/assign', isOrgAdmin, organizationController.assignSeat);
+router.get('/:orgId/report', isOrgAdmin, organizationController.getProgressReport);
+
+module.exports = router;
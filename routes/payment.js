@@ -5,32 +5,74 @@
 const express = require('express');
 const router = express.Router();
 const { Transaction, Enrollment, Course, User } = require('../models');
-const { authenticate } = require('../middleware/auth');
-const { isAdmin, isInstructorOrAdmin } = require('../middleware/roleCheck');
+const { authenticate, denyWhileImpersonating } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
 const { successResponse, errorResponse } = require('../utils/responseFormatter');
 const { sendEmail } = require('../services/emailService');
 const { upload } = require('../services/videoService');
+const { refundRequestValidation, giftPurchaseValidation, codeBatchValidation } = require('../middleware/validation');
 const logger = require('../utils/logger');
 
 const paymentController = require('../controllers/paymentController');
+const couponController = require('../controllers/couponController');
+const redemptionController = require('../controllers/redemptionController');
 
-// Stripe webhook handler (Placeholder)
-router.post('/webhook/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-  res.sendStatus(200);
-});
+// Provider webhooks (/webhook/stripe, /webhook/paymob, ...); each adapter verifies its own signature
+router.post('/webhook/:provider', paymentController.handleWebhook);
 
-// Paymob webhook handler (Placeholder)
-router.post('/webhook/paymob', async (req, res) => {
-  res.sendStatus(200);
-});
+// Initiate a payment with any registered provider
+router.post('/checkout', authenticate, denyWhileImpersonating, upload.single('receipt'), paymentController.initiatePayment);
+
+// Initiate a bundle purchase (body.provider, defaults to manual)
+router.post('/bundles/checkout', authenticate, denyWhileImpersonating, upload.single('receipt'), paymentController.initiateBundlePayment);
+
+// Start or renew a membership (body.provider, defaults to stripe)
+router.post('/subscriptions/checkout', authenticate, denyWhileImpersonating, paymentController.initiateSubscriptionPayment);
+
+// Buy a course as a gift for an email address, or a batch of enrollment codes
+router.post('/gifts/checkout', authenticate, denyWhileImpersonating, giftPurchaseValidation, paymentController.initiateGiftPayment);
+router.post('/codes/checkout', authenticate, denyWhileImpersonating, codeBatchValidation, paymentController.initiateCodeBatchPayment);
+
+// Gift and code purchases with redemption status
+router.get('/codes', authenticate, denyWhileImpersonating, redemptionController.getMyCodePurchases);
 
 // Initiate manual payment request
-router.post('/initiate-manual', authenticate, upload.single('receipt'), paymentController.initiateManualPayment);
+router.post('/initiate-manual', authenticate, denyWhileImpersonating, upload.single('receipt'), paymentController.initiateManualPayment);
+
+// Create Stripe Checkout session
+router.post('/stripe/checkout', authenticate, denyWhileImpersonating, paymentController.createStripeCheckout);
+
+// Start Paymob card or mobile wallet payment
+router.post('/paymob/initiate', authenticate, denyWhileImpersonating, paymentController.createPaymobPayment);
+
+// Preview a coupon's discount before checkout
+router.post('/coupons/preview', authenticate, denyWhileImpersonating, couponController.previewCoupon);
+
+// Student: Request a refund / list own refund requests
+router.post('/refunds', authenticate, denyWhileImpersonating, refundRequestValidation, paymentController.requestRefund);
+router.get('/refunds', authenticate, denyWhileImpersonating, paymentController.getMyRefundRequests);
 
 // Admin: Get all pending enrollments
-router.get('/admin/pending', authenticate, isInstructorOrAdmin, paymentController.getPendingEnrollments);
+router.get('/admin/pending', authenticate, denyWhileImpersonating, requirePermission('payments:review'), paymentController.getPendingEnrollments);
 
 // Admin: Approve/Reject enrollment
-router.patch('/admin/verify/:enrollmentId', authenticate, isAdmin, paymentController.verifyEnrollment);
+router.patch('/admin/verify/:enrollmentId', authenticate, denyWhileImpersonating, requirePermission('payments:approve'), paymentController.verifyEnrollment);
+
+// Admin: Approve/reject many pending enrollments in one DB transaction
+router.post('/admin/verify/bulk', authenticate, denyWhileImpersonating, requirePermission('payments:approve'), paymentController.bulkVerifyEnrollments);
+
+// Admin: Preview an uploaded receipt and sender details
+router.get('/admin/pending/:enrollmentId/receipt', authenticate, denyWhileImpersonating, requirePermission('payments:review'), paymentController.getReceiptPreview);
+
+// Admin: Other enrollments sharing the same receipt hash or sender number
+router.get('/admin/enrollments/:enrollmentId/related', authenticate, denyWhileImpersonating, requirePermission('payments:approve'), paymentController.getRelatedEnrollments);
+
+// Admin: Reconcile a transaction with its provider
+router.post('/admin/transactions/:transactionId/sync', authenticate, denyWhileImpersonating, requirePermission('payments:approve'), paymentController.syncTransactionStatus);
+
+// Admin: Review refund requests
+router.get('/admin/refunds', authenticate, denyWhileImpersonating, requirePermission('refunds:manage'), paymentController.getRefundRequests);
+router.post('/admin/refunds/:refundId/approve', authenticate, denyWhileImpersonating, requirePermission('refunds:manage'), paymentController.approveRefund);
+router.post('/admin/refunds/:refundId/deny', authenticate, denyWhileImpersonating, requirePermission('refunds:manage'), paymentController.denyRefund);
 
 module.exports = router;
\ No newline at end of file
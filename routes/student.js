@@ -5,14 +5,19 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/studentController');
+const bundleController = require('../controllers/bundleController');
+const invoiceController = require('../controllers/invoiceController');
+const redemptionController = require('../controllers/redemptionController');
+const instructorApplicationController = require('../controllers/instructorApplicationController');
 const { authenticate } = require('../middleware/auth');
-const { checkRole } = require('../middleware/roleCheck');
-const { reviewValidation, validate } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/roleCheck');
+const { reviewValidation, redeemCodeValidation, validate } = require('../middleware/validation');
 const { body } = require('express-validator');
+const { applicationUpload } = require('../services/videoService');
 
 // All student routes require authentication
 router.use(authenticate);
-router.use(checkRole('student'));
+router.use(requirePermission('learning:access'));
 
 // Dashboard
 router.get('/dashboard', studentController.getDashboard);
@@ -26,15 +31,32 @@ router.post('/lessons/:lessonId/complete', [
   validate,
 ], studentController.markLessonComplete);
 
+// Bundles / learning tracks
+router.get('/bundles', bundleController.getMyBundles);
+router.get('/bundles/:bundleId/progress', bundleController.getBundleProgress);
+
+// Redeem a gift or enrollment code
+router.post('/redeem', redeemCodeValidation, redemptionController.redeem);
+
 // Get all certificates
 router.get('/certificates', studentController.getCertificates);
 
 // Get all transactions
 router.get('/transactions', studentController.getTransactions);
 
+// Download invoice PDF
+router.get('/transactions/:transactionId/invoice', invoiceController.downloadInvoice);
+
 // Submit review
 router.post('/courses/:courseId/reviews', reviewValidation, studentController.submitReview);
 
+// Apply to become an instructor
+router.get('/instructor-application', instructorApplicationController.getMyApplication);
+router.post('/instructor-application', applicationUpload.fields([
+  { name: 'sampleVideo', maxCount: 1 },
+  { name: 'idDocument', maxCount: 1 }
+]), instructorApplicationController.submitApplication);
+
 // External Exam Callback
 router.get('/exams/callback', studentController.handleExamCallback);
 
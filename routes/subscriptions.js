@@ -0,0 +1,17 @@
+// ============================================================================
+// ROUTES/SUBSCRIPTIONS.JS - Membership Plan & Subscription Routes
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { authenticate, denyWhileImpersonating } = require('../middleware/auth');
+
+// Public plan catalogue
+router.get('/plans', subscriptionController.getPlans);
+
+// Current user's membership
+router.get('/me', authenticate, subscriptionController.getMySubscription);
+router.post('/me/cancel', authenticate, denyWhileImpersonating, subscriptionController.cancelMySubscription);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const systemController = require('../controllers/systemController');
 const { authenticate } = require('../middleware/auth');
-const { checkRole } = require('../middleware/roleCheck');
+const { requirePermission } = require('../middleware/roleCheck');
 
 const router = express.Router();
 
@@ -10,7 +10,7 @@ router.get('/public', systemController.getPublicSettings);
 
 // Protected Admin routes
 router.use(authenticate);
-router.use(checkRole('admin'));
+router.use(requirePermission('settings:manage'));
 
 router.get('/', systemController.getAllSettings);
 router.put('/', systemController.updateSettings);
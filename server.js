@@ -26,11 +26,18 @@ const instructorRoutes = require('./routes/instructor');
 const adminRoutes = require('./routes/admin');
 const paymentRoutes = require('./routes/payment');
 const systemRoutes = require('./routes/system');
+const bundleRoutes = require('./routes/bundles');
+const subscriptionRoutes = require('./routes/subscriptions');
+const organizationRoutes = require('./routes/organizations');
 const systemController = require('./controllers/systemController');
+const { scheduleSubscriptionExpiry } = require('./services/queueService');
+const { seedRolesAndPermissions } = require('./services/permissionService');
 const maintenanceMode = require('./middleware/maintenance');
 
 // Initialize Background Workers
 require('./workers/videoWorker');
+require('./workers/subscriptionWorker');
+require('./workers/dataExportWorker');
 
 // Initialize Express app
 const app = express();
@@ -108,7 +115,13 @@ app.use('/api/', limiter);
 
 // Body parsing middleware
 app.use(cookieParser());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes for payment webhooks that sign the exact request body
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
@@ -172,6 +185,9 @@ app.use(`${API_PREFIX}/instructor`, instructorRoutes);
 app.use(`${API_PREFIX}/admin`, adminRoutes);
 app.use(`${API_PREFIX}/payment`, paymentRoutes);
 app.use(`${API_PREFIX}/system`, systemRoutes);
+app.use(`${API_PREFIX}/bundles`, bundleRoutes);
+app.use(`${API_PREFIX}/subscriptions`, subscriptionRoutes);
+app.use(`${API_PREFIX}/organizations`, organizationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -208,6 +224,12 @@ if (require.main === module) {
       // Initialize default system settings
       await systemController.initializeDefaultSettings();
 
+      // Permission catalogue and the built-in student/instructor/admin roles
+      await seedRolesAndPermissions();
+
+      // Redis may be down in development; the app still runs without the expiry job
+      scheduleSubscriptionExpiry().catch(() => {});
+
       server = app.listen(PORT, () => {
         const currentBackendUrl = process.env.BACKEND_URL || `http://localhost:${PORT}`;
         logger.info(`✓ Server running on port ${PORT}`);
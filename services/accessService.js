@@ -0,0 +1,37 @@
+// ============================================================================
+// SERVICES/ACCESS_SERVICE.JS - Course Access (Enrollment or Subscription)
+// ============================================================================
+
+const { Enrollment, Course } = require('../models');
+const { getActiveSubscription } = require('./subscriptionService');
+
+/**
+ * Work out whether a user may access a course's paid content.
+ * A completed enrollment grants access; otherwise an active membership
+ * grants access to any published course.
+ * @param {string} userId - User ID
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object|null>} { enrollment, subscription } or null without access
+ */
+async function findCourseAccess(userId, courseId) {
+  const enrollment = await Enrollment.findOne({
+    where: { user_id: userId, course_id: courseId, payment_status: 'completed' },
+  });
+  if (enrollment) {
+    return { enrollment, subscription: null };
+  }
+
+  const subscription = await getActiveSubscription(userId);
+  if (subscription) {
+    const course = await Course.findByPk(courseId, { attributes: ['id', 'is_published'] });
+    if (course && course.is_published) {
+      return { enrollment: null, subscription };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  findCourseAccess,
+};
@@ -14,7 +14,8 @@ const logger = require('../utils/logger');
  * @param {string} params.entityId - ID of the entity affected
  * @param {Object} [params.oldValues] - State before the change
  * @param {Object} [params.newValues] - State after the change
- * @param {Object} [params.req] - Express request object to extract IP and UA
+ * @param {Object} [params.req] - Express request object to extract IP, UA and any impersonating admin
+ * @param {Object} [params.transaction] - Sequelize transaction to write the row in
  */
 const logAction = async ({
     userId,
@@ -23,11 +24,13 @@ const logAction = async ({
     entityId,
     oldValues,
     newValues,
-    req
+    req,
+    transaction
 }) => {
     try {
         await AuditLog.create({
             user_id: userId,
+            impersonator_id: req?.impersonation?.adminId || null,
             action,
             entity_type: entityType,
             entity_id: entityId,
@@ -35,7 +38,7 @@ const logAction = async ({
             new_values: newValues,
             ip_address: req?.ip || 'unknown',
             user_agent: req?.get('User-Agent') || 'unknown'
-        });
+        }, { transaction });
     } catch (error) {
         // We log the error but don't throw to avoid breaking the main operation
         logger.error(`Failed to create audit log for action ${action}:`, error);
@@ -0,0 +1,186 @@
+// ============================================================================
+// SERVICES/BUNDLE_SERVICE.JS - Bundle Pricing, Progress & Track Completion
+// ============================================================================
+
+const { BundleCourse, BundleEnrollment, Course, Enrollment } = require('../models');
+const { generateTrackCertificate } = require('./certificateService');
+const logger = require('../utils/logger');
+
+/**
+ * Load a bundle's courses in track order
+ * @param {string} bundleId - Bundle ID
+ * @returns {Promise<Object[]>} Courses, each with `order_index`
+ */
+async function getBundleCourses(bundleId) {
+  const items = await BundleCourse.findAll({
+    where: { bundle_id: bundleId },
+    include: [{
+      model: Course,
+      as: 'course',
+      attributes: ['id', 'title', 'slug', 'thumbnail_url', 'price', 'currency', 'is_published'],
+    }],
+    order: [['order_index', 'ASC']],
+  });
+
+  return items.map(item => Object.assign(item.course, { order_index: item.order_index }));
+}
+
+/**
+ * Load the courses a bundle enrollment covers. This is the course list stored when the bundle
+ * was bought, so courses added to or removed from the bundle later do not change the track.
+ * @param {Object} bundleEnrollment - BundleEnrollment instance
+ * @returns {Promise<Object[]>} Courses, each with `order_index`
+ */
+async function getPurchasedCourses(bundleEnrollment) {
+  const courseIds = bundleEnrollment.metadata?.courseIds;
+  if (!Array.isArray(courseIds)) {
+    return getBundleCourses(bundleEnrollment.bundle_id);
+  }
+
+  const courses = await Course.findAll({
+    where: { id: courseIds },
+    attributes: ['id', 'title', 'slug', 'thumbnail_url', 'price', 'currency', 'is_published'],
+  });
+  const byId = new Map(courses.map(course => [course.id, course]));
+
+  return courseIds
+    .filter(id => byId.has(id))
+    .map((id, index) => Object.assign(byId.get(id), { order_index: index }));
+}
+
+/**
+ * Split a bundle price across its courses, proportionally to their list prices,
+ * so per-course revenue and refunds stay meaningful
+ * @param {Object[]} courses - Courses being granted
+ * @param {number|string} total - Bundle price paid
+ * @returns {Object} Map of course ID -> allocated price
+ */
+function allocateBundlePrice(courses, total) {
+  const totalCents = Math.round(parseFloat(total) * 100);
+  const listCents = courses.map(course => Math.round(parseFloat(course.price) * 100));
+  const listTotal = listCents.reduce((sum, cents) => sum + cents, 0);
+
+  const allocation = {};
+  let allocated = 0;
+  courses.forEach((course, index) => {
+    let cents;
+    if (index === courses.length - 1) {
+      // The last course takes the rounding remainder
+      cents = totalCents - allocated;
+    } else if (listTotal > 0) {
+      cents = Math.floor(totalCents * listCents[index] / listTotal);
+    } else {
+      cents = Math.floor(totalCents / courses.length);
+    }
+    allocated += cents;
+    allocation[course.id] = cents / 100;
+  });
+
+  return allocation;
+}
+
+/**
+ * Aggregate a student's progress across every course their bundle purchase covers
+ * @param {Object} bundleEnrollment - BundleEnrollment instance
+ * @returns {Promise<Object>} { courses, overallProgress, completedCourses, totalCourses, completed }
+ */
+async function getBundleProgress(bundleEnrollment) {
+  const courses = await getPurchasedCourses(bundleEnrollment);
+  const enrollments = await Enrollment.findAll({
+    where: {
+      user_id: bundleEnrollment.user_id,
+      course_id: courses.map(course => course.id),
+      payment_status: 'completed',
+    },
+  });
+  const byCourse = new Map(enrollments.map(enrollment => [enrollment.course_id, enrollment]));
+
+  const items = courses.map(course => {
+    const enrollment = byCourse.get(course.id);
+    return {
+      courseId: course.id,
+      title: course.title,
+      slug: course.slug,
+      thumbnailUrl: course.thumbnail_url,
+      orderIndex: course.order_index,
+      enrolled: Boolean(enrollment),
+      progress: enrollment ? parseFloat(enrollment.progress_percentage) : 0,
+      completed: enrollment ? enrollment.completed : false,
+      completionDate: enrollment ? enrollment.completion_date : null,
+    };
+  });
+
+  const totalCourses = items.length;
+  const completedCourses = items.filter(item => item.completed).length;
+  const overallProgress = totalCourses > 0
+    ? parseFloat((items.reduce((sum, item) => sum + item.progress, 0) / totalCourses).toFixed(2))
+    : 0;
+
+  return {
+    courses: items,
+    overallProgress,
+    completedCourses,
+    totalCourses,
+    completed: totalCourses > 0 && completedCourses === totalCourses,
+  };
+}
+
+/**
+ * Mark a bundle enrollment complete and issue the track certificate once every course is done
+ * @param {Object} bundleEnrollment - BundleEnrollment instance
+ * @returns {Promise<boolean>} Whether the track certificate was issued now
+ */
+async function completeBundleIfFinished(bundleEnrollment) {
+  if (bundleEnrollment.payment_status !== 'completed' || bundleEnrollment.certificate_url) {
+    return false;
+  }
+
+  const progress = await getBundleProgress(bundleEnrollment);
+  if (!progress.completed) {
+    return false;
+  }
+
+  if (!bundleEnrollment.completed) {
+    const lastCompletion = progress.courses
+      .map(item => new Date(item.completionDate || Date.now()))
+      .reduce((latest, date) => (date > latest ? date : latest));
+    await bundleEnrollment.update({ completed: true, completion_date: lastCompletion });
+  }
+
+  await generateTrackCertificate(bundleEnrollment.id);
+  return true;
+}
+
+/**
+ * After a course is completed, check every bundle the student owns that contains it
+ * @param {string} userId - Student ID
+ * @param {string} courseId - Course that was just completed
+ * @returns {Promise<number>} Number of track certificates issued
+ */
+async function checkBundleCompletion(userId, courseId) {
+  const bundleEnrollments = await BundleEnrollment.findAll({
+    where: { user_id: userId, payment_status: 'completed', completed: false },
+  });
+
+  let issued = 0;
+  for (const bundleEnrollment of bundleEnrollments) {
+    const courseIds = bundleEnrollment.metadata?.courseIds;
+    if (Array.isArray(courseIds) && !courseIds.includes(courseId)) continue;
+
+    try {
+      if (await completeBundleIfFinished(bundleEnrollment)) issued += 1;
+    } catch (error) {
+      logger.error(`Track completion check failed for bundle enrollment ${bundleEnrollment.id}:`, error);
+    }
+  }
+  return issued;
+}
+
+module.exports = {
+  getBundleCourses,
+  getPurchasedCourses,
+  allocateBundlePrice,
+  getBundleProgress,
+  completeBundleIfFinished,
+  checkBundleCompletion,
+};
@@ -5,7 +5,7 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
-const { Enrollment, User, Course, Certificate } = require('../models');
+const { Enrollment, User, Course, Certificate, Bundle, BundleEnrollment } = require('../models');
 const logger = require('../utils/logger');
 const { sendEmail } = require('./emailService');
 
@@ -90,7 +90,7 @@ async function generateCertificatePDF(data) {
       .fontSize(16)
       .font('Helvetica')
       .fillColor('#666666')
-      .text('has successfully completed the course', 0, 280, {
+      .text(data.achievement || 'has successfully completed the course', 0, 280, {
         align: 'center',
         width: pageWidth,
       });
@@ -144,7 +144,7 @@ async function generateCertificatePDF(data) {
       .fontSize(12)
       .font('Helvetica')
       .fillColor('#666666')
-      .text('Course Instructor', 0, 525, {
+      .text(data.signatureLabel || 'Course Instructor', 0, 525, {
         align: 'center',
         width: pageWidth,
       });
@@ -285,6 +285,79 @@ async function generateCertificate(enrollmentId) {
   }
 }
 
+/**
+ * Generate the track certificate for a completed bundle
+ * @param {string} bundleEnrollmentId - BundleEnrollment ID
+ * @returns {Object} BundleEnrollment with certificate details
+ */
+async function generateTrackCertificate(bundleEnrollmentId) {
+  try {
+    const bundleEnrollment = await BundleEnrollment.findByPk(bundleEnrollmentId, {
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email'],
+        },
+        {
+          model: Bundle,
+          as: 'bundle',
+          attributes: ['id', 'title', 'slug'],
+        },
+      ],
+    });
+
+    if (!bundleEnrollment) {
+      throw new Error('Bundle enrollment not found');
+    }
+
+    if (!bundleEnrollment.completed) {
+      throw new Error('Track not completed yet');
+    }
+
+    if (bundleEnrollment.certificate_url) {
+      return bundleEnrollment;
+    }
+
+    const certificateId = generateCertificateId();
+    const pdfBuffer = await generateCertificatePDF({
+      studentName: bundleEnrollment.user.name,
+      courseName: bundleEnrollment.bundle.title,
+      achievement: 'has successfully completed the learning track',
+      completionDate: bundleEnrollment.completion_date,
+      certificateId,
+      instructorName: 'ITSLab Academy',
+      signatureLabel: 'Track Certification',
+    });
+
+    const certificateUrl = await saveCertificateLocally(pdfBuffer, `${certificateId}.pdf`);
+
+    await bundleEnrollment.update({
+      certificate_url: certificateUrl,
+      certificate_id: certificateId,
+    });
+
+    await sendEmail({
+      to: bundleEnrollment.user.email,
+      subject: 'Your Track Certificate is Ready!',
+      template: 'course-completion',
+      data: {
+        studentName: bundleEnrollment.user.name,
+        courseName: bundleEnrollment.bundle.title,
+        certificateUrl,
+      },
+    });
+
+    logger.info(`Track certificate generated: ${certificateId} for bundle enrollment ${bundleEnrollmentId}`);
+
+    return bundleEnrollment;
+  } catch (error) {
+    logger.error('Track certificate generation failed:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   generateCertificate,
+  generateTrackCertificate,
 };
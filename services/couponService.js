@@ -0,0 +1,142 @@
+// ============================================================================
+// SERVICES/COUPON_SERVICE.JS - Coupon Validation & Discount Calculation
+// ============================================================================
+
+const { Op } = require('sequelize');
+const { Coupon, Transaction } = require('../models');
+const httpError = require('../utils/httpError');
+
+// Transactions in these states hold a coupon use; failed and refunded ones give it back
+const USAGE_STATUSES = ['pending', 'completed'];
+
+/**
+ * Normalize a code as typed by a student
+ * @param {string} code - Raw coupon code
+ * @returns {string} Upper-cased, trimmed code
+ */
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Calculate the price after applying a coupon
+ * @param {Object} coupon - Coupon instance
+ * @param {number|string} price - Original price
+ * @returns {Object} { originalPrice, discountAmount, finalPrice }
+ */
+function calculateDiscount(coupon, price) {
+  const originalPrice = parseFloat(price);
+  const value = parseFloat(coupon.discount_value);
+
+  const rawDiscount = coupon.discount_type === 'percentage'
+    ? originalPrice * Math.min(value, 100) / 100
+    : value;
+  const discountAmount = Math.round(Math.min(rawDiscount, originalPrice) * 100) / 100;
+
+  return {
+    originalPrice,
+    discountAmount,
+    finalPrice: Math.round((originalPrice - discountAmount) * 100) / 100,
+  };
+}
+
+/**
+ * Count how many times a coupon is in use, optionally for a single user
+ * @param {Object} coupon - Coupon instance
+ * @param {string} [userId] - Limit the count to one user
+ * @param {Object} [dbTransaction] - Sequelize transaction to count in
+ * @returns {Promise<number>} Number of uses
+ */
+async function countUses(coupon, userId, dbTransaction) {
+  const where = {
+    status: { [Op.in]: USAGE_STATUSES },
+    metadata: { couponId: coupon.id },
+  };
+  if (userId) where.user_id = userId;
+
+  return await Transaction.count({ where, transaction: dbTransaction });
+}
+
+/**
+ * Look up a coupon code and check it can be used by this user on this course.
+ * Throws an error with statusCode 400/404 when it cannot.
+ * @param {Object} params
+ * @param {string} params.code - Coupon code entered at checkout
+ * @param {Object} params.course - Course being purchased
+ * @param {Object} params.user - Purchasing user
+ * @param {number} [params.price] - Price being charged (defaults to the course's base price)
+ * @param {string} [params.currency] - Currency being charged (defaults to the course's base currency)
+ * @param {Object} [params.dbTransaction] - Transaction that will record the use. The coupon row stays
+ *   locked until it ends, so concurrent checkouts cannot both take a coupon's last use.
+ * @returns {Promise<Object>} { coupon, originalPrice, discountAmount, finalPrice }
+ */
+async function applyCoupon({ code, course, user, price = course.price, currency = course.currency, dbTransaction }) {
+  const coupon = await Coupon.findOne({
+    where: { code: normalizeCode(code) },
+    ...(dbTransaction && { transaction: dbTransaction, lock: dbTransaction.LOCK.UPDATE }),
+  });
+  if (!coupon || !coupon.is_active) {
+    throw httpError(404, 'Invalid coupon code');
+  }
+
+  const now = new Date();
+  if (coupon.starts_at && coupon.starts_at > now) {
+    throw httpError(400, 'This coupon is not active yet');
+  }
+  if (coupon.expires_at && coupon.expires_at < now) {
+    throw httpError(400, 'This coupon has expired');
+  }
+  if (coupon.course_id && coupon.course_id !== course.id) {
+    throw httpError(400, 'This coupon does not apply to this course');
+  }
+  // Fixed discounts are amounts in the course's base currency
+  if (coupon.discount_type === 'fixed' && currency && course.currency && currency !== course.currency) {
+    throw httpError(400, `This coupon can only be used when paying in ${course.currency}`);
+  }
+
+  if (coupon.max_uses !== null && coupon.max_uses !== undefined) {
+    if (await countUses(coupon, null, dbTransaction) >= coupon.max_uses) {
+      throw httpError(400, 'This coupon has reached its usage limit');
+    }
+  }
+  if (coupon.max_uses_per_user !== null && coupon.max_uses_per_user !== undefined) {
+    if (await countUses(coupon, user.id, dbTransaction) >= coupon.max_uses_per_user) {
+      throw httpError(400, 'You have already used this coupon');
+    }
+  }
+
+  return { coupon, ...calculateDiscount(coupon, price) };
+}
+
+/**
+ * Work out what a user pays for a course, with or without a coupon
+ * @param {Object} params
+ * @param {Object} params.course - Course being purchased
+ * @param {Object} params.user - Purchasing user
+ * @param {string} [params.couponCode] - Optional coupon code
+ * @param {number} [params.price] - Price being charged (defaults to the course's base price)
+ * @param {string} [params.currency] - Currency being charged (defaults to the course's base currency)
+ * @param {Object} [params.dbTransaction] - Transaction that will record the coupon use (see applyCoupon)
+ * @returns {Promise<Object>} { amount, coupon, originalPrice, discountAmount }
+ */
+async function resolvePrice({ course, user, couponCode, price = course.price, currency = course.currency, dbTransaction }) {
+  if (!couponCode) {
+    return {
+      amount: parseFloat(price),
+      coupon: null,
+      originalPrice: parseFloat(price),
+      discountAmount: 0,
+    };
+  }
+
+  const { coupon, originalPrice, discountAmount, finalPrice } = await applyCoupon({ code: couponCode, course, user, price, currency, dbTransaction });
+  return { amount: finalPrice, coupon, originalPrice, discountAmount };
+}
+
+module.exports = {
+  normalizeCode,
+  calculateDiscount,
+  countUses,
+  applyCoupon,
+  resolvePrice,
+};
@@ -0,0 +1,173 @@
+// ============================================================================
+// SERVICES/CURRENCY_SERVICE.JS - Currency Selection, Price Lists & EGP Normalization
+// ============================================================================
+
+const { CoursePrice } = require('../models');
+const { getSetting } = require('./settingsService');
+const { getRequestCountry } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const BASE_CURRENCY = 'EGP';
+
+// Default rates (1 unit = N EGP); admins keep the exchange_rates_to_egp setting current
+const DEFAULT_EXCHANGE_RATES = {
+  EGP: 1,
+  USD: 48.5,
+  EUR: 52.5,
+  GBP: 61.5,
+  SAR: 12.9,
+  AED: 13.2,
+  KWD: 158,
+  QAR: 13.3,
+  BHD: 128.7,
+  OMR: 126,
+};
+
+// Country (ISO 3166-1 alpha-2) -> local currency, for visitors without a preference
+const COUNTRY_CURRENCIES = {
+  EG: 'EGP',
+  SA: 'SAR',
+  AE: 'AED',
+  KW: 'KWD',
+  QA: 'QAR',
+  BH: 'BHD',
+  OM: 'OMR',
+  GB: 'GBP',
+  US: 'USD',
+};
+['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK']
+  .forEach(country => { COUNTRY_CURRENCIES[country] = 'EUR'; });
+
+/**
+ * Current exchange rates to EGP
+ * @returns {Promise<Object>} Map of currency code -> EGP per unit
+ */
+async function getExchangeRates() {
+  const rates = await getSetting('exchange_rates_to_egp', DEFAULT_EXCHANGE_RATES);
+  return { ...rates, [BASE_CURRENCY]: 1 };
+}
+
+/**
+ * Normalize a currency code, returning null for anything malformed
+ */
+function normalizeCurrency(code) {
+  const currency = String(code || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(currency) ? currency : null;
+}
+
+/**
+ * Pick the currency to show prices in: explicit request, then the user's preference,
+ * then the visitor's country (set by the CDN / reverse proxy). Unsupported choices are skipped.
+ * @param {Object} req - Express request
+ * @param {string} [requested] - Currency asked for explicitly (query or body)
+ * @returns {Promise<string|null>} Currency code, or null to use each course's base currency
+ */
+async function resolveCurrency(req, requested) {
+  const rates = await getExchangeRates();
+  const country = getRequestCountry(req);
+
+  const candidates = [
+    requested,
+    req.user?.preferred_currency,
+    COUNTRY_CURRENCIES[country],
+  ];
+
+  for (const candidate of candidates) {
+    const currency = normalizeCurrency(candidate);
+    if (currency && rates[currency]) return currency;
+  }
+  return null;
+}
+
+/**
+ * Load the price lists of several courses
+ * @param {string[]} courseIds - Course IDs
+ * @returns {Promise<Map>} Course ID -> { currency: amount }
+ */
+async function getPriceLists(courseIds) {
+  const lists = new Map(courseIds.map(id => [id, {}]));
+  if (courseIds.length === 0) return lists;
+
+  const prices = await CoursePrice.findAll({ where: { course_id: courseIds } });
+  prices.forEach(price => {
+    lists.get(price.course_id)[price.currency] = parseFloat(price.amount);
+  });
+  return lists;
+}
+
+/**
+ * Price of a course in a currency: its price-list entry, or the base price when there is none
+ * @param {Object} course - Course (needs price and currency)
+ * @param {Object} priceList - { currency: amount } from getPriceLists
+ * @param {string|null} currency - Wanted currency
+ * @returns {Object} { price, currency }
+ */
+function selectPrice(course, priceList, currency) {
+  const baseCurrency = course.currency || BASE_CURRENCY;
+  if (currency && currency !== baseCurrency && priceList && priceList[currency] !== undefined) {
+    return { price: priceList[currency], currency };
+  }
+  return { price: parseFloat(course.price), currency: baseCurrency };
+}
+
+/**
+ * Price of a single course in a currency (loads its price list)
+ * @param {Object} course - Course instance
+ * @param {string|null} currency - Wanted currency
+ * @returns {Promise<Object>} { price, currency }
+ */
+async function getCoursePrice(course, currency) {
+  const lists = await getPriceLists([course.id]);
+  return selectPrice(course, lists.get(course.id), currency);
+}
+
+/**
+ * Replace a serialized course's price with the one for the selected currency,
+ * keeping the base price alongside it
+ * @param {Object} courseJson - course.toJSON()
+ * @param {Object} priceList - { currency: amount }
+ * @param {string|null} currency - Selected currency
+ * @returns {Object} The same object, localized
+ */
+function localizeCourse(courseJson, priceList, currency) {
+  const selected = selectPrice(courseJson, priceList, currency);
+  courseJson.base_price = courseJson.price;
+  courseJson.base_currency = courseJson.currency;
+  courseJson.price = selected.price.toFixed(2);
+  courseJson.currency = selected.currency;
+  return courseJson;
+}
+
+/**
+ * Convert an amount to EGP for reporting
+ * @param {number|string} amount - Amount in `currency`
+ * @param {string} currency - Currency code
+ * @returns {Promise<Object>} { amount_egp, exchange_rate } (both null if the rate is unknown)
+ */
+async function normalizeToEGP(amount, currency = BASE_CURRENCY) {
+  const rates = await getExchangeRates();
+  const rate = parseFloat(rates[currency]);
+
+  if (!Number.isFinite(rate) || rate <= 0) {
+    logger.warn(`No exchange rate configured for ${currency}; EGP amount left empty`);
+    return { amount_egp: null, exchange_rate: null };
+  }
+
+  return {
+    amount_egp: Math.round(parseFloat(amount) * rate * 100) / 100,
+    exchange_rate: rate,
+  };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_EXCHANGE_RATES,
+  getExchangeRates,
+  normalizeCurrency,
+  resolveCurrency,
+  getPriceLists,
+  selectPrice,
+  getCoursePrice,
+  localizeCourse,
+  normalizeToEGP,
+};
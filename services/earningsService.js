@@ -0,0 +1,299 @@
+// ============================================================================
+// SERVICES/EARNINGS_SERVICE.JS - Instructor Revenue Share, Ledger & Payouts
+// ============================================================================
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { EarningEntry, Payout, Enrollment, Course, User } = require('../models');
+const { getNumberSetting } = require('./settingsService');
+const { logAction } = require('./auditService');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const DEFAULT_SHARE_PERCENTAGE = 70;
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Revenue share that applies to a course: the course's own, then the instructor's, then the platform default
+ * @param {Object} course - Course with instructor loaded (or instructor passed separately)
+ * @param {Object} [instructor] - Instructor user
+ * @returns {Promise<number>} Percentage of the sale the instructor earns
+ */
+async function getSharePercentage(course, instructor = course.instructor) {
+  if (course.revenue_share_percentage !== null && course.revenue_share_percentage !== undefined) {
+    return parseFloat(course.revenue_share_percentage);
+  }
+  if (instructor && instructor.revenue_share_percentage !== null && instructor.revenue_share_percentage !== undefined) {
+    return parseFloat(instructor.revenue_share_percentage);
+  }
+  return await getNumberSetting('instructor_revenue_share_percentage', DEFAULT_SHARE_PERCENTAGE);
+}
+
+/**
+ * Split a transaction into the EGP amount each course brought in.
+ * Bundles use the per-course prices allocated at checkout; memberships are not attributed to courses.
+ * @param {Object} transaction - Transaction instance
+ * @param {Object} [dbTransaction] - Sequelize transaction to read in
+ * @returns {Promise<Object[]>} [{ courseId, gross }]
+ */
+async function getCourseAllocations(transaction, dbTransaction) {
+  if (transaction.bundle_id) {
+    const enrollments = await Enrollment.findAll({
+      where: { id: transaction.metadata?.enrollmentIds || [] },
+      attributes: ['course_id', 'price_paid'],
+      transaction: dbTransaction,
+    });
+    return enrollments.map(enrollment => ({ courseId: enrollment.course_id, gross: parseFloat(enrollment.price_paid) }));
+  }
+
+  if (transaction.course_id) {
+    return [{ courseId: transaction.course_id, gross: parseFloat(transaction.amount_egp ?? transaction.amount) }];
+  }
+
+  return [];
+}
+
+/**
+ * Write the ledger rows for a settled transaction. Completed payments add a sale row per course;
+ * refunds add a reversing row for each sale (already paid-out sales are recovered from the next payout).
+ * Safe to call more than once for the same settlement.
+ * @param {Object} transaction - The settled transaction
+ * @param {string} status - Transaction status: 'completed', 'failed' or 'refunded'
+ * @param {Object} [dbTransaction] - Sequelize transaction to write in
+ * @returns {Promise<Object[]>} Ledger rows created
+ */
+async function recordEarnings(transaction, status, dbTransaction) {
+  const dbOptions = { transaction: dbTransaction };
+  const created = [];
+
+  if (status === 'completed') {
+    const allocations = await getCourseAllocations(transaction, dbTransaction);
+
+    for (const { courseId, gross } of allocations) {
+      if (!(gross > 0)) continue;
+
+      const existing = await EarningEntry.findOne({
+        where: { transaction_id: transaction.id, course_id: courseId, entry_type: 'sale' },
+        ...dbOptions,
+      });
+      if (existing) continue;
+
+      const course = await Course.findByPk(courseId, {
+        include: [{ model: User, as: 'instructor', attributes: ['id', 'revenue_share_percentage'] }],
+        ...dbOptions,
+      });
+      if (!course) continue;
+
+      const sharePercentage = await getSharePercentage(course);
+      created.push(await EarningEntry.create({
+        instructor_id: course.instructor_id,
+        course_id: courseId,
+        transaction_id: transaction.id,
+        entry_type: 'sale',
+        gross_amount: gross,
+        share_percentage: sharePercentage,
+        amount: roundMoney(gross * sharePercentage / 100),
+      }, dbOptions));
+    }
+  } else if (status === 'refunded') {
+    const sales = await EarningEntry.findAll({
+      where: { transaction_id: transaction.id, entry_type: 'sale' },
+      ...dbOptions,
+    });
+
+    for (const sale of sales) {
+      const existing = await EarningEntry.findOne({
+        where: { transaction_id: transaction.id, course_id: sale.course_id, entry_type: 'refund' },
+        ...dbOptions,
+      });
+      if (existing) continue;
+
+      created.push(await EarningEntry.create({
+        instructor_id: sale.instructor_id,
+        course_id: sale.course_id,
+        transaction_id: transaction.id,
+        entry_type: 'refund',
+        gross_amount: -parseFloat(sale.gross_amount),
+        share_percentage: sale.share_percentage,
+        amount: -parseFloat(sale.amount),
+      }, dbOptions));
+    }
+  }
+
+  if (created.length > 0) {
+    logger.info(`Recorded ${created.length} earning entr${created.length === 1 ? 'y' : 'ies'} for transaction ${transaction.id} (${status})`);
+  }
+  return created;
+}
+
+/**
+ * Sum an instructor's ledger by status
+ * @param {string} instructorId - Instructor user ID
+ * @param {Object} [where] - Extra filter (e.g. { course_id })
+ * @returns {Promise<Object>} { pending, paid, total } in EGP
+ */
+async function getBalances(instructorId, where = {}) {
+  const rows = await EarningEntry.findAll({
+    where: { instructor_id: instructorId, ...where },
+    attributes: ['status', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    group: ['status'],
+    raw: true,
+  });
+
+  const balances = { pending: 0, paid: 0, total: 0 };
+  rows.forEach(row => {
+    balances[row.status] = roundMoney(parseFloat(row.total || 0));
+  });
+  balances.total = roundMoney(balances.pending + balances.paid);
+  return balances;
+}
+
+/**
+ * Pending balance per instructor, for the payout screen
+ * @param {string[]} [instructorIds] - Limit to these instructors
+ * @param {Object} [dbTransaction] - Sequelize transaction (rows are locked when given)
+ * @returns {Promise<Object[]>} [{ instructor, amount, entryIds }]
+ */
+async function getPendingBalances(instructorIds, dbTransaction) {
+  const where = { status: 'pending' };
+  if (Array.isArray(instructorIds) && instructorIds.length > 0) where.instructor_id = instructorIds;
+
+  const entries = await EarningEntry.findAll({
+    where,
+    attributes: ['id', 'instructor_id', 'amount'],
+    order: [['created_at', 'ASC']],
+    transaction: dbTransaction,
+    lock: dbTransaction ? dbTransaction.LOCK.UPDATE : undefined,
+  });
+
+  const byInstructor = new Map();
+  entries.forEach(entry => {
+    const balance = byInstructor.get(entry.instructor_id) || { amount: 0, entryIds: [] };
+    balance.amount += parseFloat(entry.amount);
+    balance.entryIds.push(entry.id);
+    byInstructor.set(entry.instructor_id, balance);
+  });
+
+  const instructors = await User.findAll({
+    where: { id: [...byInstructor.keys()] },
+    attributes: ['id', 'name', 'email', 'payout_details'],
+    transaction: dbTransaction,
+  });
+
+  return instructors.map(instructor => ({
+    instructor,
+    amount: roundMoney(byInstructor.get(instructor.id).amount),
+    entryIds: byInstructor.get(instructor.id).entryIds,
+  })).sort((a, b) => b.amount - a.amount);
+}
+
+/**
+ * Pay out every positive pending balance in one batch: marks the ledger rows as paid and
+ * snapshots the transfer lines (with bank details) for the CSV export.
+ * Instructors whose refunds outweigh their sales are left for a later batch.
+ * @param {Object} params
+ * @param {string} params.actorId - Admin creating the batch
+ * @param {string[]} [params.instructorIds] - Only pay these instructors
+ * @param {string} [params.notes] - Notes stored on the batch
+ * @param {Object} [params.req] - Express request, for the audit log
+ * @returns {Promise<Object>} Payout
+ */
+async function createPayoutBatch({ actorId, instructorIds, notes, req }) {
+  const dbTransaction = await sequelize.transaction();
+  try {
+    const balances = (await getPendingBalances(instructorIds, dbTransaction)).filter(balance => balance.amount > 0);
+    if (balances.length === 0) {
+      throw httpError(400, 'There are no pending earnings to pay out');
+    }
+
+    const now = new Date();
+    const date = now.toISOString().slice(0, 10).replace(/-/g, '');
+    const entryIds = balances.flatMap(balance => balance.entryIds);
+
+    const payout = await Payout.create({
+      reference: `PAYOUT-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      total_amount: roundMoney(balances.reduce((sum, balance) => sum + balance.amount, 0)),
+      currency: 'EGP',
+      instructor_count: balances.length,
+      entry_count: entryIds.length,
+      lines: balances.map(balance => ({
+        instructorId: balance.instructor.id,
+        name: balance.instructor.name,
+        email: balance.instructor.email,
+        amount: balance.amount,
+        entryCount: balance.entryIds.length,
+        payoutDetails: balance.instructor.payout_details || null,
+      })),
+      notes: notes || null,
+      created_by: actorId,
+    }, { transaction: dbTransaction });
+
+    await EarningEntry.update(
+      { status: 'paid', payout_id: payout.id, paid_at: now },
+      { where: { id: entryIds }, transaction: dbTransaction }
+    );
+
+    await logAction({
+      userId: actorId,
+      action: 'PAYOUT_CREATED',
+      entityType: 'Payout',
+      entityId: payout.id,
+      newValues: { reference: payout.reference, totalAmount: payout.total_amount, instructorCount: payout.instructor_count },
+      req,
+      transaction: dbTransaction,
+    });
+
+    await dbTransaction.commit();
+    logger.info(`Payout ${payout.reference} created: ${payout.total_amount} EGP to ${payout.instructor_count} instructor(s)`);
+    return payout;
+  } catch (error) {
+    if (!dbTransaction.finished) await dbTransaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Quote a CSV cell; cells that a spreadsheet would run as a formula are prefixed with '
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a payout batch as a bank-transfer CSV (one row per instructor)
+ * @param {Object} payout - Payout instance
+ * @returns {string} CSV text
+ */
+function buildPayoutCSV(payout) {
+  const header = ['Reference', 'Instructor ID', 'Name', 'Email', 'Account Name', 'Bank Name', 'IBAN', 'SWIFT', 'Amount', 'Currency', 'Entries'];
+  const rows = payout.lines.map(line => {
+    const details = line.payoutDetails || {};
+    return [
+      payout.reference,
+      line.instructorId,
+      line.name,
+      line.email,
+      details.accountName,
+      details.bankName,
+      details.iban,
+      details.swift,
+      parseFloat(line.amount).toFixed(2),
+      payout.currency,
+      line.entryCount,
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  getSharePercentage,
+  recordEarnings,
+  getBalances,
+  getPendingBalances,
+  createPayoutBatch,
+  buildPayoutCSV,
+};
@@ -91,6 +91,7 @@ const templates = {
       <div style="margin: 30px 0;">
         <a href="${data.courseUrl}" class="btn">Go to Course</a>
       </div>
+      ${data.invoiceNumber ? `<p class="text" style="color: #666; font-size: 13px;">Your invoice ${data.invoiceNumber} is attached to this email.</p>` : ''}
     </div>
   `, 'Enrollment confirmation'),
 
@@ -105,6 +106,186 @@ const templates = {
       </div>
     </div>
   `, 'Your certificate is ready'),
+
+  'refund-approved': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Refund Approved</h1>
+      <p class="text">Hello ${data.studentName},</p>
+      <p class="text">Your refund request for the following course has been approved:</p>
+      <div class="highlight">
+        <p class="highlight-text">${data.courseName}</p>
+      </div>
+      <p class="text">An amount of <strong>${data.amount} ${data.currency}</strong> will be returned to your original payment method. Your access to the course has ended.</p>
+      ${data.notes ? `<p class="text" style="color: #666; font-size: 13px;">${data.notes}</p>` : ''}
+    </div>
+  `, 'Your refund has been approved'),
+
+  'refund-denied': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Refund Request Update</h1>
+      <p class="text">Hello ${data.studentName},</p>
+      <p class="text">We reviewed your refund request for <strong>${data.courseName}</strong> and are unable to approve it.</p>
+      ${data.notes ? `<div class="highlight"><p class="highlight-text">${data.notes}</p></div>` : ''}
+      <p class="text">You keep full access to the course.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.courseUrl}" class="btn">Go to Course</a>
+      </div>
+    </div>
+  `, 'Update on your refund request'),
+
+  'subscription-expired': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Your Membership Has Ended</h1>
+      <p class="text">Hello ${data.name},</p>
+      <p class="text">Your <strong>${data.planName}</strong> membership has expired, so you no longer have access to courses included in it. Courses you bought individually are not affected.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.renewUrl}" class="btn">Renew Membership</a>
+      </div>
+    </div>
+  `, 'Your membership has ended'),
+
+  'course-gift': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">You've Received a Course</h1>
+      <p class="text">${data.senderName} has given you access to the following course on ITSLab:</p>
+      <div class="highlight">
+        <p class="highlight-text">${data.courseName}</p>
+      </div>
+      ${data.message ? `<p class="text" style="font-style: italic;">"${data.message}"</p>` : ''}
+      <p class="text">Your gift code is <strong>${data.code}</strong>. Sign in or create a free account, then redeem it to start learning.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.redeemUrl}" class="btn">Redeem Gift</a>
+      </div>
+    </div>
+  `, 'You have received a course'),
+
+  'redemption-codes': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Your Purchase Is Complete</h1>
+      <p class="text">Hello ${data.name},</p>
+      ${data.recipientEmail
+        ? `<p class="text">Your gift of <strong>${data.courseName}</strong> has been sent to ${data.recipientEmail}. For your records, the gift code is:</p>`
+        : `<p class="text">Here are your enrollment codes for <strong>${data.courseName}</strong>. Each code can be redeemed once:</p>`}
+      <div class="highlight">
+        ${data.codes.map(code => `<p class="highlight-text" style="font-family: monospace;">${code}</p>`).join('')}
+      </div>
+      <p class="text" style="color: #666; font-size: 13px;">You can see which codes have been used at any time from your account.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.redeemUrl}" class="btn">Redeem Page</a>
+      </div>
+    </div>
+  `, 'Your enrollment codes'),
+
+  'organization-invite': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Join ${data.organizationName}</h1>
+      <p class="text">${data.inviterName} has invited you to join <strong>${data.organizationName}</strong> on ITSLab${data.role === 'admin' ? ' as an administrator' : ''}.</p>
+      <p class="text">Sign in or create an account with this email address, then accept the invitation. Any courses your organization has assigned to you will be unlocked straight away.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.inviteUrl}" class="btn">Accept Invitation</a>
+      </div>
+      <p class="text" style="color: #666; font-size: 13px;">This invitation expires in ${data.expiresInDays} days.</p>
+    </div>
+  `, 'You have been invited to an organization'),
+
+  'account-locked': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Your Account Has Been Locked</h1>
+      <p class="text">Hello ${data.name},</p>
+      <p class="text">We locked your account for <strong>${data.minutes} minutes</strong> after several failed sign-in attempts.</p>
+      <p class="text">If this was you, wait for the lock to expire and try again. If it was not, someone may be trying to guess your password. Resetting it will also unlock your account.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.resetUrl}" class="btn">Reset Password</a>
+      </div>
+    </div>
+  `, 'Your account has been temporarily locked'),
+
+  'new-login-alert': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">New Sign-in Detected</h1>
+      <p class="text">Hello ${data.name},</p>
+      <p class="text">Your account was just signed in to from ${data.newDevice && data.newCountry ? 'a new device and a new country' : data.newDevice ? 'a new device' : 'a new country'}:</p>
+      <div class="highlight">
+        <p class="highlight-text">${data.device}</p>
+        ${data.country ? `<p class="text" style="margin: 5px 0 0 0;">Country: ${data.country}</p>` : ''}
+        ${data.ipAddress ? `<p class="text" style="margin: 5px 0 0 0;">IP address: ${data.ipAddress}</p>` : ''}
+        <p class="text" style="margin: 5px 0 0 0;">Time: ${data.time}</p>
+      </div>
+      <p class="text">If this was you, no action is needed. If not, sign out the device and change your password right away.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.sessionsUrl}" class="btn">Review Devices</a>
+      </div>
+    </div>
+  `, 'New sign-in to your account'),
+
+  'instructor-application-received': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Application Received</h1>
+      <p class="text">Hello ${data.name},</p>
+      <p class="text">Thank you for applying to teach on ITSLab. Our team will review your bio, sample video and ID document, usually within a few working days.</p>
+      <p class="text">We will email you as soon as a decision has been made.</p>
+    </div>
+  `, 'We received your instructor application'),
+
+  'instructor-application-submitted': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">New Instructor Application</h1>
+      <p class="text">Hello ${data.adminName},</p>
+      <p class="text"><strong>${data.applicantName}</strong> (${data.applicantEmail}) has applied to become an instructor.</p>
+      <div class="highlight">
+        <p class="highlight-text">${data.expertise.join(', ')}</p>
+      </div>
+      <div style="margin: 30px 0;">
+        <a href="${data.reviewUrl}" class="btn">Review Application</a>
+      </div>
+    </div>
+  `, 'A new instructor application is waiting for review'),
+
+  'instructor-application-approved': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Welcome, Instructor!</h1>
+      <p class="text">Hello ${data.name},</p>
+      <p class="text">Your instructor application has been approved. Sign in again to open your instructor dashboard and start building your first course.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.dashboardUrl}" class="btn">Go to Dashboard</a>
+      </div>
+    </div>
+  `, 'Your instructor application has been approved'),
+
+  'instructor-application-rejected': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Instructor Application Update</h1>
+      <p class="text">Hello ${data.name},</p>
+      <p class="text">We reviewed your instructor application and are unable to approve it at this time.</p>
+      <div class="highlight"><p class="highlight-text">${data.reason}</p></div>
+      <p class="text">You are welcome to address the points above and apply again.</p>
+      <div style="margin: 30px 0;">
+        <a href="${data.applyUrl}" class="btn">Apply Again</a>
+      </div>
+    </div>
+  `, 'Update on your instructor application'),
+
+  'data-export-ready': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Your Data Export Is Ready</h1>
+      <p class="text">Hello ${data.name},</p>
+      <p class="text">The copy of your personal data you requested is ready to download from your privacy settings.</p>
+      <div class="highlight"><p class="highlight-text">The download link expires on ${data.expiresAt}.</p></div>
+      <div style="margin: 30px 0;">
+        <a href="${data.downloadUrl}" class="btn">Download My Data</a>
+      </div>
+      <p class="text">If you did not request this export, change your password and contact support.</p>
+    </div>
+  `, 'Your data export is ready'),
+
+  'account-deleted': (data) => baseTemplate(`
+    <div class="content">
+      <h1 class="greeting">Account Deleted</h1>
+      <p class="text">Hello ${data.name},</p>
+      <p class="text">Your ITSLab account has been deleted and your personal information removed. Purchase records are kept in anonymized form as required for accounting.</p>
+      <p class="text">If you did not request this, contact support immediately.</p>
+    </div>
+  `, 'Your account has been deleted'),
 };
 
 /**
@@ -115,7 +296,7 @@ const templates = {
  * @param {string} options.template - Template name
  * @param {Object} options.data - Template data
  */
-async function sendEmail({ to, subject, template, data }) {
+async function sendEmail({ to, subject, template, data, attachments }) {
   try {
     if (process.env.NODE_ENV === 'test') {
       logger.info(`[TEST MODE] Email suppressed: ${template} to ${to}`);
@@ -130,6 +311,9 @@ async function sendEmail({ to, subject, template, data }) {
       subject,
       html,
     };
+    if (attachments && attachments.length > 0) {
+      mailOptions.attachments = attachments;
+    }
 
     const info = await transporter.sendMail(mailOptions);
     logger.info(`Email sent: ${info.messageId} to ${to}`);
@@ -0,0 +1,332 @@
+// ============================================================================
+// SERVICES/INSTRUCTOR_APPLICATION_SERVICE.JS - Instructor Onboarding Workflow
+// ============================================================================
+
+const fs = require('fs');
+const { sequelize } = require('../config/database');
+const { User, InstructorApplication } = require('../models');
+const { getSetting } = require('./settingsService');
+const { sendEmail } = require('./emailService');
+const { logAction } = require('./auditService');
+const { invalidateUserTokens } = require('./sessionService');
+const { getApplicationFilePath } = require('./videoService');
+const { sanitizeContent } = require('../utils/sanitization');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const MIN_BIO_LENGTH = 50;
+const MAX_BIO_LENGTH = 5000;
+const MAX_EXPERTISE_ITEMS = 10;
+const MAX_EXPERTISE_LENGTH = 50;
+
+/**
+ * Remove files multer stored for a request that was then rejected
+ * @param {Object} files - req.files from multer fields()
+ */
+function removeUploadedFiles(files) {
+  Object.values(files || {}).flat().forEach((file) => {
+    fs.unlink(file.path, (error) => {
+      if (error) logger.warn(`Could not remove uploaded file ${file.path}: ${error.message}`);
+    });
+  });
+}
+
+/**
+ * Expertise arrives as an array (JSON body) or a comma-separated string (multipart form)
+ */
+function parseExpertise(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Email without letting a mail failure undo the workflow step
+ */
+async function notify(options) {
+  try {
+    await sendEmail(options);
+  } catch (error) {
+    logger.error(`Failed to send ${options.template} email:`, error);
+  }
+}
+
+/**
+ * Submit an application to become an instructor
+ * @param {Object} user - Applicant (a student)
+ * @param {Object} body - { bio, expertise }
+ * @param {Object} files - multer fields: sampleVideo, idDocument
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Created application
+ */
+async function submitApplication(user, body, files, req) {
+  // Values saved from the admin UI may be strings
+  const enabled = await getSetting('instructor_registration_enabled', true);
+  if (enabled === false || enabled === 'false') {
+    throw httpError(403, 'Instructor applications are currently closed');
+  }
+  if (user.role !== 'student') {
+    throw httpError(400, 'Only students can apply to become instructors');
+  }
+
+  const bio = sanitizeContent(String(body.bio || '').trim());
+  if (bio.length < MIN_BIO_LENGTH || bio.length > MAX_BIO_LENGTH) {
+    throw httpError(400, `Bio must be between ${MIN_BIO_LENGTH} and ${MAX_BIO_LENGTH} characters`);
+  }
+
+  const expertise = parseExpertise(body.expertise);
+  if (expertise.length === 0 || expertise.length > MAX_EXPERTISE_ITEMS || expertise.some(item => item.length > MAX_EXPERTISE_LENGTH)) {
+    throw httpError(400, `List 1-${MAX_EXPERTISE_ITEMS} areas of expertise of up to ${MAX_EXPERTISE_LENGTH} characters each`);
+  }
+
+  const sampleVideo = files?.sampleVideo?.[0];
+  const idDocument = files?.idDocument?.[0];
+  if (!sampleVideo || !idDocument) {
+    throw httpError(400, 'A sample video and an ID document are required');
+  }
+
+  const pending = await InstructorApplication.findOne({ where: { user_id: user.id, status: 'pending' } });
+  if (pending) {
+    throw httpError(409, 'You already have an application under review');
+  }
+
+  const application = await InstructorApplication.create({
+    user_id: user.id,
+    bio,
+    expertise,
+    sample_video_file: sampleVideo.filename,
+    id_document_file: idDocument.filename,
+  });
+
+  await logAction({
+    userId: user.id,
+    action: 'INSTRUCTOR_APPLICATION_SUBMITTED',
+    entityType: 'InstructorApplication',
+    entityId: application.id,
+    newValues: { expertise },
+    req,
+  });
+
+  await notify({
+    to: user.email,
+    subject: 'We received your instructor application',
+    template: 'instructor-application-received',
+    data: { name: user.name },
+  });
+
+  const admins = await User.findAll({ where: { role: 'admin', is_active: true }, attributes: ['email', 'name'] });
+  for (const admin of admins) {
+    await notify({
+      to: admin.email,
+      subject: 'New instructor application',
+      template: 'instructor-application-submitted',
+      data: {
+        adminName: admin.name,
+        applicantName: user.name,
+        applicantEmail: user.email,
+        expertise,
+        reviewUrl: `${process.env.FRONTEND_URL}/admin/instructor-applications/${application.id}`,
+      },
+    });
+  }
+
+  logger.info(`Instructor application ${application.id} submitted by ${user.id}`);
+  return application;
+}
+
+/**
+ * The applicant's most recent application
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Application
+ */
+async function getLatestApplication(userId) {
+  return InstructorApplication.findOne({
+    where: { user_id: userId },
+    attributes: { exclude: ['sample_video_file', 'id_document_file', 'reviewed_by'] },
+    order: [['created_at', 'DESC']],
+  });
+}
+
+/**
+ * Review queue, oldest first so applicants are handled in order
+ * @param {Object} params - { status, page, limit }
+ * @returns {Promise<Object>} { rows, count }
+ */
+async function listApplications({ status = 'pending', page = 1, limit = 20 }) {
+  if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+    throw httpError(400, 'Invalid status filter');
+  }
+
+  return InstructorApplication.findAndCountAll({
+    where: status === 'all' ? {} : { status },
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'name', 'email', 'role', 'created_at'] },
+      { model: User, as: 'reviewer', attributes: ['id', 'name'] },
+    ],
+    order: [['created_at', 'ASC']],
+    limit,
+    offset: (page - 1) * limit,
+  });
+}
+
+/**
+ * Find an application or throw 404
+ */
+async function findApplication(applicationId, options = {}) {
+  const application = await InstructorApplication.findByPk(applicationId, {
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email', 'role', 'created_at'] }],
+    ...options,
+  });
+  if (!application) {
+    throw httpError(404, 'Application not found');
+  }
+  return application;
+}
+
+/**
+ * Path of an application's sample video or ID document for a reviewer
+ * @param {Object} application - Application instance
+ * @param {string} kind - 'sample-video' or 'id-document'
+ * @returns {string} Absolute file path
+ */
+function getApplicationFile(application, kind) {
+  const fileName = { 'sample-video': application.sample_video_file, 'id-document': application.id_document_file }[kind];
+  if (!fileName) {
+    throw httpError(400, 'File must be sample-video or id-document');
+  }
+
+  const filePath = getApplicationFilePath(fileName);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw httpError(404, 'File not found');
+  }
+  return filePath;
+}
+
+/**
+ * Approve a pending application: the applicant becomes an instructor
+ * @param {string} applicationId - Application ID
+ * @param {Object} reviewer - Reviewing user
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Application
+ */
+async function approveApplication(applicationId, reviewer, req) {
+  const { application, applicant } = await sequelize.transaction(async (t) => {
+    const pending = await InstructorApplication.findByPk(applicationId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!pending) {
+      throw httpError(404, 'Application not found');
+    }
+    if (pending.status !== 'pending') {
+      throw httpError(400, 'This application has already been reviewed');
+    }
+
+    const applicant = await User.findByPk(pending.user_id, { transaction: t });
+    if (!applicant || !applicant.is_active) {
+      throw httpError(400, 'The applicant account is no longer active');
+    }
+
+    const previousRole = applicant.role;
+    await pending.update({ status: 'approved', reviewed_by: reviewer.id, reviewed_at: new Date() }, { transaction: t });
+    if (applicant.role === 'student') {
+      await applicant.update({ role: 'instructor', bio: applicant.bio || pending.bio }, { transaction: t });
+    }
+
+    await logAction({
+      userId: reviewer.id,
+      action: 'INSTRUCTOR_APPLICATION_APPROVED',
+      entityType: 'InstructorApplication',
+      entityId: pending.id,
+      oldValues: { status: 'pending', role: previousRole },
+      newValues: { status: 'approved', role: applicant.role },
+      req,
+      transaction: t,
+    });
+
+    return { application: pending, applicant };
+  });
+
+  // Tokens carry the role, so the new instructor signs in again to pick it up
+  await invalidateUserTokens(applicant, 'admin_revoked');
+
+  await notify({
+    to: applicant.email,
+    subject: 'Welcome to the ITSLab instructor team',
+    template: 'instructor-application-approved',
+    data: {
+      name: applicant.name,
+      dashboardUrl: `${process.env.FRONTEND_URL}/instructor/dashboard`,
+    },
+  });
+
+  logger.info(`Instructor application ${application.id} approved by ${reviewer.id}`);
+  return application;
+}
+
+/**
+ * Reject a pending application with a reason the applicant will see
+ * @param {string} applicationId - Application ID
+ * @param {Object} reviewer - Reviewing user
+ * @param {string} reason - Explanation for the applicant
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Application
+ */
+async function rejectApplication(applicationId, reviewer, reason, req) {
+  const notes = String(reason || '').trim();
+  if (!notes) {
+    throw httpError(400, 'A reason is required to reject an application');
+  }
+
+  const { application, applicant } = await sequelize.transaction(async (t) => {
+    const pending = await InstructorApplication.findByPk(applicationId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!pending) {
+      throw httpError(404, 'Application not found');
+    }
+    if (pending.status !== 'pending') {
+      throw httpError(400, 'This application has already been reviewed');
+    }
+
+    await pending.update({
+      status: 'rejected',
+      review_notes: notes,
+      reviewed_by: reviewer.id,
+      reviewed_at: new Date(),
+    }, { transaction: t });
+
+    await logAction({
+      userId: reviewer.id,
+      action: 'INSTRUCTOR_APPLICATION_REJECTED',
+      entityType: 'InstructorApplication',
+      entityId: pending.id,
+      oldValues: { status: 'pending' },
+      newValues: { status: 'rejected', reason: notes },
+      req,
+      transaction: t,
+    });
+
+    const applicant = await User.findByPk(pending.user_id, { attributes: ['id', 'name', 'email'], transaction: t });
+    return { application: pending, applicant };
+  });
+
+  await notify({
+    to: applicant.email,
+    subject: 'Update on your instructor application',
+    template: 'instructor-application-rejected',
+    data: {
+      name: applicant.name,
+      reason: notes,
+      applyUrl: `${process.env.FRONTEND_URL}/become-instructor`,
+    },
+  });
+
+  logger.info(`Instructor application ${application.id} rejected by ${reviewer.id}`);
+  return application;
+}
+
+module.exports = {
+  removeUploadedFiles,
+  submitApplication,
+  getLatestApplication,
+  listApplications,
+  findApplication,
+  getApplicationFile,
+  approveApplication,
+  rejectApplication,
+};
@@ -0,0 +1,272 @@
+// ============================================================================
+// SERVICES/INVOICE_SERVICE.JS - Invoice Numbering & PDF Generation
+// ============================================================================
+
+const PDFDocument = require('pdfkit');
+const { sequelize } = require('../config/database');
+const { Invoice, User, Course, Bundle, Plan } = require('../models');
+const { getSetting } = require('./settingsService');
+const logger = require('../utils/logger');
+
+/**
+ * Format an invoice number from its running sequence
+ * @param {string} prefix - Configured prefix (invoice_number_prefix)
+ * @param {number} sequenceNumber - Running number
+ * @param {Date} issuedAt - Issue date (its year is part of the number)
+ * @returns {string} e.g. INV-2026-000042
+ */
+function formatInvoiceNumber(prefix, sequenceNumber, issuedAt) {
+  return `${prefix}-${issuedAt.getFullYear()}-${String(sequenceNumber).padStart(6, '0')}`;
+}
+
+/**
+ * Read the seller block printed on invoices from system settings
+ * @returns {Promise<Object>} { name, address, taxId, email }
+ */
+async function getSellerDetails() {
+  return {
+    name: await getSetting('invoice_seller_name', await getSetting('site_name', 'ITSLab')),
+    address: await getSetting('invoice_seller_address', ''),
+    taxId: await getSetting('invoice_seller_tax_id', ''),
+    email: await getSetting('invoice_seller_email', ''),
+  };
+}
+
+/**
+ * Describe what a transaction paid for, including any coupon discount
+ * @param {Object} transaction - Transaction instance
+ * @returns {Promise<Object[]>} Line items { description, unitPrice, discount, total }
+ */
+async function buildLineItems(transaction) {
+  const metadata = transaction.metadata || {};
+  let description = 'ITSLab purchase';
+
+  if (transaction.bundle_id) {
+    const bundle = await Bundle.findByPk(transaction.bundle_id, { attributes: ['title'] });
+    description = `Learning track: ${bundle ? bundle.title : 'Bundle'}`;
+  } else if (transaction.course_id) {
+    const course = await Course.findByPk(transaction.course_id, { attributes: ['title'] });
+    description = `Course: ${course ? course.title : 'Course'}`;
+    if (metadata.codePurchase === 'gift') {
+      description += ` (gift for ${metadata.recipientEmail})`;
+    } else if (metadata.codePurchase === 'batch') {
+      description += ` (${metadata.quantity} enrollment codes)`;
+    } else if (metadata.seatPurchase) {
+      description += ` (${metadata.seatPurchase.quantity} organization seats)`;
+    }
+  } else if (metadata.planId) {
+    const plan = await Plan.findByPk(metadata.planId, { attributes: ['name', 'interval'] });
+    description = plan ? `${plan.name} membership (1 ${plan.interval})` : 'Membership';
+  }
+
+  const total = parseFloat(transaction.amount);
+  const discount = parseFloat(metadata.discountAmount || 0);
+
+  return [{
+    description,
+    unitPrice: metadata.originalPrice !== undefined ? parseFloat(metadata.originalPrice) : total + discount,
+    discount,
+    total,
+  }];
+}
+
+/**
+ * Issue the invoice for a completed transaction. Idempotent: returns the existing
+ * invoice if one was already issued. Numbers are gap-free because issuing holds a
+ * table lock until the new row is committed.
+ * @param {Object} transaction - Completed transaction
+ * @returns {Promise<Object|null>} Invoice, or null for free or unpaid transactions
+ */
+async function issueInvoice(transaction) {
+  if (!['completed', 'refunded'].includes(transaction.status) || !(parseFloat(transaction.amount) > 0)) {
+    return null;
+  }
+
+  const existing = await Invoice.findOne({ where: { transaction_id: transaction.id } });
+  if (existing) return existing;
+
+  const user = await User.findByPk(transaction.user_id, { attributes: ['id', 'name', 'email'] });
+  const seller = await getSellerDetails();
+  const prefix = await getSetting('invoice_number_prefix', 'INV');
+  const lineItems = await buildLineItems(transaction);
+
+  const dbTransaction = await sequelize.transaction();
+  try {
+    await sequelize.query('LOCK TABLE invoices IN SHARE ROW EXCLUSIVE MODE', { transaction: dbTransaction });
+
+    // Re-check under the lock so concurrent settlements can't issue twice
+    const issued = await Invoice.findOne({ where: { transaction_id: transaction.id }, transaction: dbTransaction });
+    if (issued) {
+      await dbTransaction.commit();
+      return issued;
+    }
+
+    const lastSequence = await Invoice.max('sequence_number', { transaction: dbTransaction });
+    const sequenceNumber = (lastSequence || 0) + 1;
+    const issuedAt = new Date();
+
+    const invoice = await Invoice.create({
+      sequence_number: sequenceNumber,
+      invoice_number: formatInvoiceNumber(prefix, sequenceNumber, issuedAt),
+      transaction_id: transaction.id,
+      user_id: transaction.user_id,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      seller,
+      buyer: {
+        name: user ? user.name : null,
+        email: user ? user.email : null,
+      },
+      line_items: lineItems,
+      issued_at: issuedAt,
+    }, { transaction: dbTransaction });
+
+    await dbTransaction.commit();
+    logger.info(`Invoice ${invoice.invoice_number} issued for transaction ${transaction.id}`);
+    return invoice;
+  } catch (error) {
+    if (!dbTransaction.finished) await dbTransaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Issue an invoice without letting a failure break the payment flow (never throws)
+ * @param {Object} transaction - Completed transaction
+ * @returns {Promise<Object|null>} Invoice, or null
+ */
+async function issueInvoiceSafely(transaction) {
+  try {
+    return await issueInvoice(transaction);
+  } catch (error) {
+    logger.error(`Failed to issue invoice for transaction ${transaction.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Render an invoice as PDF from its stored snapshot
+ * @param {Object} invoice - Invoice instance
+ * @param {Object} [options]
+ * @param {boolean} [options.refunded] - Stamp the invoice as refunded
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateInvoicePDF(invoice, { refunded = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    const { seller, buyer } = invoice;
+    const lineItems = invoice.line_items || [];
+    const currency = invoice.currency || 'EGP';
+    const money = value => `${parseFloat(value).toFixed(2)} ${currency}`;
+    const left = 50;
+    const right = doc.page.width - 50;
+    const width = right - left;
+
+    // Seller block
+    doc.fontSize(20).font('Helvetica-Bold').fillColor('#2196F3').text(seller.name || 'ITSLab', left, 50);
+    doc.fontSize(10).font('Helvetica').fillColor('#666666');
+    if (seller.address) doc.text(seller.address);
+    if (seller.email) doc.text(seller.email);
+    if (seller.taxId) doc.text(`Tax ID: ${seller.taxId}`);
+
+    // Invoice meta
+    doc.fontSize(24).font('Helvetica-Bold').fillColor('#000000').text('INVOICE', left, 50, { width, align: 'right' });
+    doc.fontSize(10).font('Helvetica').fillColor('#666666')
+      .text(`Invoice No: ${invoice.invoice_number}`, left, 82, { width, align: 'right' })
+      .text(`Date: ${new Date(invoice.issued_at).toLocaleDateString('en-GB')}`, { width, align: 'right' })
+      .text(`Transaction: ${invoice.transaction_id}`, { width, align: 'right' });
+
+    // Buyer block
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000').text('Bill To', left, 170);
+    doc.fontSize(10).font('Helvetica').fillColor('#333333');
+    if (buyer.name) doc.text(buyer.name);
+    if (buyer.email) doc.text(buyer.email);
+
+    // Line items
+    const columns = [
+      { label: 'Description', x: left, width: 245, align: 'left' },
+      { label: 'Price', x: left + 250, width: 80, align: 'right' },
+      { label: 'Discount', x: left + 335, width: 80, align: 'right' },
+      { label: 'Total', x: left + 420, width: width - 420, align: 'right' },
+    ];
+    let y = 250;
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000');
+    columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width, align: column.align }));
+    y += 18;
+    doc.moveTo(left, y).lineTo(right, y).lineWidth(1).stroke('#DDDDDD');
+    y += 8;
+
+    doc.font('Helvetica').fillColor('#333333');
+    lineItems.forEach(item => {
+      const values = [item.description, money(item.unitPrice), money(item.discount), money(item.total)];
+      const rowHeight = doc.heightOfString(item.description, { width: columns[0].width });
+      values.forEach((value, index) => {
+        doc.text(value, columns[index].x, y, { width: columns[index].width, align: columns[index].align });
+      });
+      y += rowHeight + 10;
+    });
+
+    doc.moveTo(left, y).lineTo(right, y).lineWidth(1).stroke('#DDDDDD');
+    y += 12;
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000')
+      .text(`Total Paid: ${money(invoice.amount)}`, left, y, { width, align: 'right' });
+
+    if (refunded) {
+      doc.fontSize(14).font('Helvetica-Bold').fillColor('#F44336')
+        .text('REFUNDED', left, y + 30, { width, align: 'right' });
+    }
+
+    // Footer
+    doc.fontSize(9).font('Helvetica').fillColor('#999999')
+      .text('Thank you for learning with us.', left, doc.page.height - 80, { width, align: 'center' });
+
+    doc.end();
+  });
+}
+
+/**
+ * Find (or issue, for older transactions) the invoice for a transaction and render it
+ * @param {Object} transaction - Transaction instance
+ * @returns {Promise<Object|null>} { invoice, pdf } or null when no invoice applies
+ */
+async function getInvoicePDF(transaction) {
+  const invoice = await Invoice.findOne({ where: { transaction_id: transaction.id } })
+    || (transaction.status === 'completed' ? await issueInvoice(transaction) : null);
+  if (!invoice) return null;
+
+  const pdf = await generateInvoicePDF(invoice, { refunded: transaction.status === 'refunded' });
+  return { invoice, pdf };
+}
+
+/**
+ * Build a nodemailer attachment for an invoice (never throws)
+ * @param {Object} invoice - Invoice instance
+ * @returns {Promise<Object|null>} Attachment, or null if rendering failed
+ */
+async function buildInvoiceAttachment(invoice) {
+  try {
+    return {
+      filename: `${invoice.invoice_number}.pdf`,
+      content: await generateInvoicePDF(invoice),
+      contentType: 'application/pdf',
+    };
+  } catch (error) {
+    logger.error(`Failed to render invoice ${invoice.invoice_number}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  formatInvoiceNumber,
+  issueInvoice,
+  issueInvoiceSafely,
+  generateInvoicePDF,
+  getInvoicePDF,
+  buildInvoiceAttachment,
+};
@@ -0,0 +1,207 @@
+// ============================================================================
+// SERVICES/LOGIN_SECURITY_SERVICE.JS - Account Lockout & Suspicious Login Alerts
+// ============================================================================
+
+const { Op } = require('sequelize');
+const { Session } = require('../models');
+const { getSetting, getNumberSetting } = require('./settingsService');
+const { sendEmail } = require('./emailService');
+const { logAction } = require('./auditService');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// Progressive lockout never locks an account for longer than a day
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+/**
+ * Build the 423 error returned while an account is locked
+ */
+function lockoutError(lockedUntil) {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+  return httpError(423, `Too many failed login attempts. Your account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}.`);
+}
+
+/**
+ * Whether the account is currently locked
+ * @param {Object} user - User instance
+ * @returns {boolean}
+ */
+function isLocked(user) {
+  return Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+}
+
+/**
+ * Throw a 423 error while the account is locked
+ * @param {Object} user - User instance
+ */
+function assertNotLocked(user) {
+  if (isLocked(user)) {
+    throw lockoutError(user.locked_until);
+  }
+}
+
+/**
+ * Count a failed password or two-factor code. Reaching the limit locks the account; every lock
+ * since the last successful login doubles the duration of the next one.
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request
+ * @param {string} reason - 'password' or 'two_factor'
+ * @returns {Promise<boolean>} True when this attempt locked the account
+ */
+async function recordFailedLogin(user, req, reason) {
+  const [maxAttempts, baseMinutes] = await Promise.all([
+    getNumberSetting('login_max_failed_attempts', 5),
+    getNumberSetting('login_lockout_minutes', 15),
+  ]);
+
+  await user.increment('failed_login_attempts');
+  await user.reload({ attributes: ['id', 'failed_login_attempts', 'lockout_count'] });
+  await user.update({ last_failed_login_at: new Date() });
+
+  if (user.failed_login_attempts < maxAttempts) {
+    return false;
+  }
+
+  const minutes = Math.min(baseMinutes * 2 ** user.lockout_count, MAX_LOCKOUT_MINUTES);
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await user.update({
+    locked_until: lockedUntil,
+    lockout_count: user.lockout_count + 1,
+    failed_login_attempts: 0,
+  });
+
+  await logAction({
+    userId: user.id,
+    action: 'ACCOUNT_LOCKED',
+    entityType: 'User',
+    entityId: user.id,
+    newValues: { reason, attempts: maxAttempts, minutes, lockedUntil, lockoutCount: user.lockout_count },
+    req,
+  });
+
+  logger.warn(`Account locked for ${minutes} minutes after failed logins: ${user.id}`);
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Your ITSLab account has been locked',
+      template: 'account-locked',
+      data: {
+        name: user.name,
+        minutes,
+        resetUrl: `${process.env.FRONTEND_URL}/forgot-password`,
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to send account locked email:', error);
+  }
+
+  return true;
+}
+
+/**
+ * Reset the failure counters after a successful login
+ * @param {Object} user - User instance
+ */
+async function recordSuccessfulLogin(user) {
+  if (user.failed_login_attempts || user.lockout_count || user.locked_until) {
+    await user.update({ failed_login_attempts: 0, lockout_count: 0, locked_until: null });
+  }
+}
+
+/**
+ * Clear a lock and its counters (admin action or password reset)
+ * @param {Object} user - User instance
+ * @param {Object} params - { actorId, reason, req }
+ */
+async function unlockAccount(user, { actorId, reason, req }) {
+  const oldValues = {
+    lockedUntil: user.locked_until,
+    failedLoginAttempts: user.failed_login_attempts,
+    lockoutCount: user.lockout_count,
+  };
+
+  await user.update({ failed_login_attempts: 0, lockout_count: 0, locked_until: null });
+
+  await logAction({
+    userId: actorId,
+    action: 'ACCOUNT_UNLOCKED',
+    entityType: 'User',
+    entityId: user.id,
+    oldValues,
+    newValues: { reason },
+    req,
+  });
+}
+
+/**
+ * After a login, email the user when it came from a device or country none of their earlier
+ * sessions used. The first login of an account never alerts.
+ * @param {Object} user - User instance
+ * @param {Object} session - The session just created
+ * @param {Object} req - Express request
+ */
+async function checkNewLoginLocation(user, session, req) {
+  try {
+    // Values saved from the admin UI may be strings
+    const alertsEnabled = await getSetting('login_alerts_enabled', true);
+    if (alertsEnabled === false || alertsEnabled === 'false') {
+      return;
+    }
+
+    const previous = await Session.findAll({
+      where: { user_id: user.id, id: { [Op.ne]: session.id } },
+      attributes: ['device', 'country'],
+      raw: true,
+    });
+    if (previous.length === 0) {
+      return;
+    }
+
+    const newDevice = Boolean(session.device) && !previous.some(row => row.device === session.device);
+    // Only compare countries once we have seen one; older sessions may predate country tracking
+    const knownCountries = previous.map(row => row.country).filter(Boolean);
+    const newCountry = Boolean(session.country) && knownCountries.length > 0 && !knownCountries.includes(session.country);
+    if (!newDevice && !newCountry) {
+      return;
+    }
+
+    await logAction({
+      userId: user.id,
+      action: 'SUSPICIOUS_LOGIN',
+      entityType: 'Session',
+      entityId: session.id,
+      newValues: { newDevice, newCountry, device: session.device, country: session.country },
+      req,
+    });
+
+    await sendEmail({
+      to: user.email,
+      subject: 'New sign-in to your ITSLab account',
+      template: 'new-login-alert',
+      data: {
+        name: user.name,
+        device: session.device,
+        country: session.country,
+        ipAddress: session.ip_address,
+        time: new Date().toUTCString(),
+        newDevice,
+        newCountry,
+        sessionsUrl: `${process.env.FRONTEND_URL}/settings/security`,
+      },
+    });
+  } catch (error) {
+    // An alert must never block the login itself
+    logger.error('Failed to check login location:', error);
+  }
+}
+
+module.exports = {
+  isLocked,
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  checkNewLoginLocation,
+};
@@ -0,0 +1,350 @@
+// ============================================================================
+// SERVICES/OAUTH_SERVICE.JS - Social Login (OAuth2 / OpenID Connect)
+// ============================================================================
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { sequelize } = require('../config/database');
+const { User, UserIdentity } = require('../models');
+const { getProviders, getCallbackUrl } = require('../config/oauth');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const HTTP_TIMEOUT_MS = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+// Discovery documents and signing keys, cached per issuer / JWKS URI
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Look up an enabled provider
+ * @param {string} providerId - Provider id (google, github, ...)
+ * @returns {Object} Provider definition with its id
+ */
+function getProvider(providerId) {
+  const provider = getProviders()[providerId];
+  if (!provider) {
+    throw httpError(404, 'Unknown login provider');
+  }
+  return { id: providerId, ...provider };
+}
+
+/**
+ * Enabled providers for the login page
+ * @returns {Array} [{ id, name }]
+ */
+function listProviders() {
+  return Object.entries(getProviders()).map(([id, provider]) => ({ id, name: provider.name }));
+}
+
+/**
+ * Random values for one authorization request: state (CSRF), nonce (ID token replay) and a PKCE verifier
+ */
+function createAuthorizationParams() {
+  return {
+    state: crypto.randomBytes(16).toString('hex'),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    codeVerifier: crypto.randomBytes(32).toString('base64url'),
+  };
+}
+
+/**
+ * Fetch (and cache) the OpenID Connect discovery document of an issuer
+ */
+async function getDiscoveryDocument(issuer) {
+  if (!discoveryCache.has(issuer)) {
+    const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const { data } = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+    discoveryCache.set(issuer, data);
+  }
+  return discoveryCache.get(issuer);
+}
+
+/**
+ * Find the key that signed an ID token, refreshing the JWKS once if the key id is unknown (key rotation)
+ */
+async function getSigningKey(jwksUri, kid) {
+  const findKey = keys => keys.find(key => (!kid || key.kid === kid) && key.use !== 'enc');
+
+  let key = jwksCache.has(jwksUri) ? findKey(jwksCache.get(jwksUri)) : null;
+  if (!key) {
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    jwksCache.set(jwksUri, data.keys || []);
+    key = findKey(jwksCache.get(jwksUri));
+  }
+  if (!key) {
+    throw httpError(401, 'Unable to verify the identity token');
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Authorization endpoint URL to send the browser to
+ * @param {Object} provider - Provider from getProvider
+ * @param {Object} params - { state, nonce, codeVerifier }
+ * @returns {Promise<string>} Authorization URL
+ */
+async function buildAuthorizationUrl(provider, { state, nonce, codeVerifier }) {
+  const endpoint = provider.type === 'oidc'
+    ? (await getDiscoveryDocument(provider.issuer)).authorization_endpoint
+    : provider.authorizationEndpoint;
+
+  const params = new URLSearchParams({
+    client_id: provider.clientId,
+    redirect_uri: getCallbackUrl(provider.id),
+    response_type: 'code',
+    scope: provider.scope,
+    state,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  });
+  if (provider.type === 'oidc') {
+    params.set('nonce', nonce);
+  }
+
+  return `${endpoint}?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for the provider's tokens
+ */
+async function exchangeCode(provider, tokenEndpoint, code, codeVerifier) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getCallbackUrl(provider.id),
+    client_id: provider.clientId,
+    client_secret: provider.clientSecret || '',
+    code_verifier: codeVerifier,
+  });
+
+  try {
+    const { data } = await axios.post(tokenEndpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      timeout: HTTP_TIMEOUT_MS,
+    });
+    if (data.error) {
+      throw new Error(data.error_description || data.error);
+    }
+    return data;
+  } catch (error) {
+    logger.warn(`OAuth code exchange failed for ${provider.id}: ${error.message}`);
+    throw httpError(401, `Could not sign in with ${provider.name}`);
+  }
+}
+
+/**
+ * Identity from an OpenID Connect provider, taken from the verified ID token
+ */
+async function fetchOidcProfile(provider, code, { nonce, codeVerifier }) {
+  const discovery = await getDiscoveryDocument(provider.issuer);
+  const tokens = await exchangeCode(provider, discovery.token_endpoint, code, codeVerifier);
+  if (!tokens.id_token) {
+    throw httpError(401, `Could not sign in with ${provider.name}`);
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw httpError(401, 'Unable to verify the identity token');
+  }
+
+  let claims;
+  try {
+    const key = await getSigningKey(discovery.jwks_uri, decoded.header.kid);
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: discovery.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw httpError(401, 'Unable to verify the identity token');
+  }
+  if (claims.nonce !== nonce) {
+    throw httpError(401, 'Unable to verify the identity token');
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? claims.email.toLowerCase() : null,
+    // Some providers send "true" as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null,
+    picture: claims.picture || null,
+  };
+}
+
+/**
+ * Identity from GitHub (plain OAuth2): the account plus its primary verified email
+ */
+async function fetchGithubProfile(provider, code, { codeVerifier }) {
+  const tokens = await exchangeCode(provider, provider.tokenEndpoint, code, codeVerifier);
+  const headers = { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/vnd.github+json' };
+
+  const [{ data: account }, { data: emails }] = await Promise.all([
+    axios.get(`${provider.apiBaseUrl}/user`, { headers, timeout: HTTP_TIMEOUT_MS }),
+    axios.get(`${provider.apiBaseUrl}/user/emails`, { headers, timeout: HTTP_TIMEOUT_MS }),
+  ]);
+  const primary = (emails || []).find(entry => entry.primary && entry.verified);
+
+  return {
+    subject: String(account.id),
+    email: primary ? primary.email.toLowerCase() : null,
+    emailVerified: Boolean(primary),
+    name: account.name || account.login,
+    picture: account.avatar_url || null,
+  };
+}
+
+/**
+ * Complete the provider side of the flow and return the signed-in identity
+ * @param {Object} provider - Provider from getProvider
+ * @param {string} code - Authorization code from the callback
+ * @param {Object} params - { nonce, codeVerifier } saved when the flow started
+ * @returns {Promise<Object>} { subject, email, emailVerified, name, picture }
+ */
+async function fetchProfile(provider, code, params) {
+  return provider.type === 'oidc'
+    ? fetchOidcProfile(provider, code, params)
+    : fetchGithubProfile(provider, code, params);
+}
+
+/**
+ * Find or create the user for a social login. An existing identity wins; otherwise the
+ * account with the same verified email is linked, or a new student account is created.
+ * @param {Object} provider - Provider from getProvider
+ * @param {Object} profile - Profile from fetchProfile
+ * @returns {Promise<Object>} { user, created, linked }
+ */
+async function resolveLoginUser(provider, profile) {
+  return sequelize.transaction(async (t) => {
+    const identity = await UserIdentity.findOne({
+      where: { provider: provider.id, provider_user_id: profile.subject },
+      include: [{ model: User, as: 'user' }],
+      transaction: t,
+    });
+
+    if (identity) {
+      await identity.update({
+        email: profile.email,
+        email_verified: profile.emailVerified,
+        name: profile.name,
+        last_login_at: new Date(),
+      }, { transaction: t });
+      return { user: identity.user, created: false, linked: false };
+    }
+
+    // Only a verified email proves ownership of an existing account (or of the address for a new one)
+    if (!profile.email || !profile.emailVerified) {
+      throw httpError(403, `Your ${provider.name} account has no verified email address`);
+    }
+
+    let user = await User.findOne({
+      where: sequelize.where(sequelize.fn('LOWER', sequelize.col('email')), profile.email),
+      transaction: t,
+    });
+    const created = !user;
+
+    if (!user) {
+      user = await User.create({
+        email: profile.email,
+        // Unusable random password; the user can set a real one through password reset
+        password_hash: crypto.randomBytes(32).toString('hex'),
+        has_password: false,
+        name: profile.name || profile.email.split('@')[0],
+        role: 'student',
+        email_verified: true,
+        profile_picture: profile.picture,
+      }, { transaction: t });
+    } else {
+      const existing = await UserIdentity.findOne({
+        where: { user_id: user.id, provider: provider.id },
+        transaction: t,
+      });
+      if (existing) {
+        throw httpError(409, `This account is already connected to a different ${provider.name} account`);
+      }
+      if (!user.email_verified) {
+        await user.update({ email_verified: true }, { transaction: t });
+      }
+    }
+
+    await UserIdentity.create({
+      user_id: user.id,
+      provider: provider.id,
+      provider_user_id: profile.subject,
+      email: profile.email,
+      email_verified: profile.emailVerified,
+      name: profile.name,
+      last_login_at: new Date(),
+    }, { transaction: t });
+
+    return { user, created, linked: !created };
+  });
+}
+
+/**
+ * Connect a provider account to a signed-in user
+ * @param {Object} user - User instance
+ * @param {Object} provider - Provider from getProvider
+ * @param {Object} profile - Profile from fetchProfile
+ * @returns {Promise<Object>} Created identity
+ */
+async function connectIdentity(user, provider, profile) {
+  const taken = await UserIdentity.findOne({ where: { provider: provider.id, provider_user_id: profile.subject } });
+  if (taken) {
+    throw httpError(409, taken.user_id === user.id
+      ? `${provider.name} is already connected to your account`
+      : `This ${provider.name} account is connected to another user`);
+  }
+
+  const existing = await UserIdentity.findOne({ where: { user_id: user.id, provider: provider.id } });
+  if (existing) {
+    throw httpError(409, `Disconnect your current ${provider.name} account first`);
+  }
+
+  return UserIdentity.create({
+    user_id: user.id,
+    provider: provider.id,
+    provider_user_id: profile.subject,
+    email: profile.email,
+    email_verified: profile.emailVerified,
+    name: profile.name,
+  });
+}
+
+/**
+ * Disconnect a provider from a user, keeping at least one way to sign in
+ * @param {Object} user - User instance (with has_password)
+ * @param {string} identityId - UserIdentity ID
+ * @returns {Promise<Object>} Removed identity
+ */
+async function disconnectIdentity(user, identityId) {
+  const identity = await UserIdentity.findOne({ where: { id: identityId, user_id: user.id } });
+  if (!identity) {
+    throw httpError(404, 'Connected account not found');
+  }
+
+  if (!user.has_password) {
+    const remaining = await UserIdentity.count({ where: { user_id: user.id } });
+    if (remaining <= 1) {
+      throw httpError(400, 'Set a password before disconnecting your last sign-in provider');
+    }
+  }
+
+  await identity.destroy();
+  return identity;
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  fetchProfile,
+  resolveLoginUser,
+  connectIdentity,
+  disconnectIdentity,
+};
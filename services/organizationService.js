@@ -0,0 +1,389 @@
+// ============================================================================
+// SERVICES/ORGANIZATION_SERVICE.JS - Organization Seats, Invites & Progress Reports
+// ============================================================================
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  Organization,
+  OrganizationMember,
+  OrganizationSeatPool,
+  Enrollment,
+  Certificate,
+  Course,
+  User,
+} = require('../models');
+const { sendEmail } = require('./emailService');
+const { logAction } = require('./auditService');
+const { generateToken } = require('../utils/helpers');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const INVITE_TTL_DAYS = 7;
+
+/**
+ * Count the seats in use per course (enrollments that took one of the organization's seats)
+ * @param {string} organizationId - Organization ID
+ * @param {Object} [dbTransaction] - Sequelize transaction to read in
+ * @returns {Promise<Map>} Course ID -> seats used
+ */
+async function getSeatUsage(organizationId, dbTransaction) {
+  const rows = await Enrollment.findAll({
+    where: { organization_id: organizationId, payment_status: 'completed' },
+    attributes: ['course_id', [sequelize.fn('COUNT', sequelize.col('id')), 'used']],
+    group: ['course_id'],
+    raw: true,
+    transaction: dbTransaction,
+  });
+  return new Map(rows.map(row => [row.course_id, parseInt(row.used, 10)]));
+}
+
+/**
+ * An organization's seat pools with how many seats are used and left
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object[]>} [{ course, totalSeats, usedSeats, availableSeats }]
+ */
+async function getSeatPools(organizationId) {
+  const [pools, usage] = await Promise.all([
+    OrganizationSeatPool.findAll({
+      where: { organization_id: organizationId },
+      include: [{ model: Course, as: 'course', attributes: ['id', 'title', 'slug', 'thumbnail_url'] }],
+      order: [['created_at', 'ASC']],
+    }),
+    getSeatUsage(organizationId),
+  ]);
+
+  return pools.map(pool => {
+    const usedSeats = usage.get(pool.course_id) || 0;
+    return {
+      course: pool.course,
+      totalSeats: pool.total_seats,
+      usedSeats,
+      availableSeats: Math.max(pool.total_seats - usedSeats, 0),
+    };
+  });
+}
+
+/**
+ * Apply a settled seat purchase to the organization's pool for the course.
+ * Completed payments add seats; refunds take back the seats that are still unassigned.
+ * @param {Object} transaction - The settled transaction (metadata.seatPurchase = { organizationId, quantity })
+ * @param {string} status - Transaction status: 'completed', 'failed' or 'refunded'
+ * @param {Object} [dbTransaction] - Sequelize transaction to run the update in
+ * @returns {Promise<Object|null>} Updated pool
+ */
+async function applySeatPayment(transaction, status, dbTransaction) {
+  if (!['completed', 'refunded'].includes(status)) return null;
+
+  const { organizationId, quantity } = transaction.metadata.seatPurchase;
+  const amountEgp = parseFloat(transaction.amount_egp ?? transaction.amount);
+
+  const [pool] = await OrganizationSeatPool.findOrCreate({
+    where: { organization_id: organizationId, course_id: transaction.course_id },
+    defaults: { total_seats: 0, amount_paid_egp: 0 },
+    transaction: dbTransaction,
+  });
+
+  if (status === 'completed') {
+    await pool.update({
+      total_seats: pool.total_seats + quantity,
+      amount_paid_egp: parseFloat(pool.amount_paid_egp) + amountEgp,
+    }, { transaction: dbTransaction });
+  } else {
+    // Assigned seats stay with their learners
+    const used = (await getSeatUsage(organizationId, dbTransaction)).get(transaction.course_id) || 0;
+    await pool.update({
+      total_seats: Math.max(pool.total_seats - quantity, used),
+      amount_paid_egp: Math.max(parseFloat(pool.amount_paid_egp) - amountEgp, 0),
+    }, { transaction: dbTransaction });
+  }
+
+  return pool;
+}
+
+/**
+ * Give an active member a seat: creates (or reactivates) a completed enrollment for them.
+ * The enrollment carries the average price the organization paid per seat, in EGP.
+ * @param {Object} params
+ * @param {Object} params.organization - Organization instance
+ * @param {Object} params.member - Active OrganizationMember
+ * @param {string} params.courseId - Course to enroll into
+ * @param {string} params.actorId - Org admin assigning the seat
+ * @param {Object} [params.req] - Express request, for the audit log
+ * @returns {Promise<Object>} Enrollment with user and course loaded
+ */
+async function assignSeat({ organization, member, courseId, actorId, req }) {
+  if (member.status !== 'active' || !member.user_id) {
+    throw httpError(400, 'Seats can only be assigned to members who have joined');
+  }
+
+  const dbTransaction = await sequelize.transaction();
+  try {
+    const pool = await OrganizationSeatPool.findOne({
+      where: { organization_id: organization.id, course_id: courseId },
+      lock: dbTransaction.LOCK.UPDATE,
+      transaction: dbTransaction,
+    });
+    if (!pool || pool.total_seats === 0) {
+      throw httpError(404, 'Your organization has no seats for this course');
+    }
+
+    const used = (await getSeatUsage(organization.id, dbTransaction)).get(courseId) || 0;
+    if (used >= pool.total_seats) {
+      throw httpError(400, 'All seats for this course are in use');
+    }
+
+    const existingEnrollment = await Enrollment.findOne({
+      where: { user_id: member.user_id, course_id: courseId },
+      transaction: dbTransaction,
+    });
+    if (existingEnrollment && existingEnrollment.payment_status === 'completed') {
+      throw httpError(400, `${member.email} is already enrolled in this course`);
+    }
+    if (existingEnrollment && existingEnrollment.payment_status === 'pending') {
+      throw httpError(400, `${member.email} has a pending payment for this course`);
+    }
+
+    const now = new Date();
+    const attributes = {
+      user_id: member.user_id,
+      course_id: courseId,
+      bundle_id: null,
+      organization_id: organization.id,
+      price_paid: Math.round(parseFloat(pool.amount_paid_egp) / pool.total_seats * 100) / 100,
+      payment_status: 'completed',
+      payment_transaction_id: null,
+      payment_notes: null,
+      purchase_date: now,
+      metadata: {
+        paymentMethod: 'organization_seat',
+        organizationId: organization.id,
+        assignedBy: actorId,
+        activatedAt: now,
+      },
+    };
+
+    const enrollment = existingEnrollment
+      ? await existingEnrollment.update(attributes, { transaction: dbTransaction })
+      : await Enrollment.create(attributes, { transaction: dbTransaction });
+
+    await logAction({
+      userId: actorId,
+      action: 'ORG_SEAT_ASSIGNED',
+      entityType: 'Organization',
+      entityId: organization.id,
+      newValues: { memberId: member.id, userId: member.user_id, courseId, enrollmentId: enrollment.id },
+      req,
+      transaction: dbTransaction,
+    });
+
+    await dbTransaction.commit();
+    logger.info(`Organization ${organization.id} assigned a seat in course ${courseId} to user ${member.user_id}`);
+
+    return await Enrollment.findByPk(enrollment.id, {
+      include: [
+        { model: User, as: 'user' },
+        { model: Course, as: 'course' },
+      ],
+    });
+  } catch (error) {
+    if (!dbTransaction.finished) await dbTransaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Invite someone to an organization by email (re-inviting refreshes the link)
+ * @param {Object} params
+ * @param {Object} params.organization - Organization instance
+ * @param {string} params.email - Invitee email
+ * @param {string} [params.role] - 'admin' or 'member'
+ * @param {string[]} [params.courseIds] - Courses to assign seats in once they join
+ * @param {Object} params.inviter - User sending the invite
+ * @returns {Promise<Object>} OrganizationMember
+ */
+async function inviteMember({ organization, email, role = 'member', courseIds = [], inviter }) {
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  const existing = await OrganizationMember.findOne({
+    where: { organization_id: organization.id, email: normalizedEmail },
+  });
+  if (existing && existing.status === 'active') {
+    throw httpError(400, `${normalizedEmail} is already a member of this organization`);
+  }
+
+  if (courseIds.length > 0) {
+    const pools = await OrganizationSeatPool.count({
+      where: { organization_id: organization.id, course_id: courseIds },
+    });
+    if (pools !== new Set(courseIds).size) {
+      throw httpError(400, 'Your organization has no seats for one or more of these courses');
+    }
+  }
+
+  const attributes = {
+    organization_id: organization.id,
+    email: normalizedEmail,
+    role,
+    status: 'invited',
+    user_id: null,
+    invite_token: generateToken(),
+    invite_expires_at: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    invited_by: inviter.id,
+    joined_at: null,
+    pending_course_ids: [...new Set(courseIds)],
+  };
+  const member = existing
+    ? await existing.update(attributes)
+    : await OrganizationMember.create(attributes);
+
+  await sendEmail({
+    to: normalizedEmail,
+    subject: `You've been invited to join ${organization.name} on ITSLab`,
+    template: 'organization-invite',
+    data: {
+      organizationName: organization.name,
+      inviterName: inviter.name,
+      role,
+      inviteUrl: `${process.env.FRONTEND_URL}/organizations/join/${member.invite_token}`,
+      expiresInDays: INVITE_TTL_DAYS,
+    },
+  }).catch(err => logger.error('Failed to send organization invite:', err));
+
+  return member;
+}
+
+/**
+ * Accept an invite: links the member to the user and assigns the seats chosen at invite time.
+ * Seats that can no longer be assigned (pool exhausted, already enrolled) are reported, not fatal.
+ * @param {Object} user - Accepting user (must own the invited email address)
+ * @param {string} token - Invite token
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<Object>} { member, organization, enrollments, skipped }
+ */
+async function acceptInvite(user, token, req) {
+  const member = await OrganizationMember.findOne({
+    where: { invite_token: token, status: 'invited', invite_expires_at: { [Op.gt]: new Date() } },
+    include: [{ model: Organization, as: 'organization' }],
+  });
+  if (!member || !member.organization.is_active) {
+    throw httpError(400, 'Invalid or expired invitation');
+  }
+  if (member.email !== user.email.toLowerCase()) {
+    throw httpError(403, `This invitation was sent to ${member.email}; sign in with that account to accept it`);
+  }
+
+  await member.update({
+    user_id: user.id,
+    status: 'active',
+    invite_token: null,
+    invite_expires_at: null,
+    joined_at: new Date(),
+  });
+
+  await logAction({
+    userId: user.id,
+    action: 'ORG_INVITE_ACCEPTED',
+    entityType: 'Organization',
+    entityId: member.organization_id,
+    newValues: { memberId: member.id, role: member.role },
+    req,
+  });
+
+  const enrollments = [];
+  const skipped = [];
+  for (const courseId of member.pending_course_ids || []) {
+    try {
+      enrollments.push(await assignSeat({
+        organization: member.organization,
+        member,
+        courseId,
+        actorId: member.invited_by,
+        req,
+      }));
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      skipped.push({ courseId, reason: error.message });
+    }
+  }
+  await member.update({ pending_course_ids: [] });
+
+  return { member, organization: member.organization, enrollments, skipped };
+}
+
+/**
+ * Progress of every seat the organization has assigned, per course and per learner,
+ * with the certificates earned
+ * @param {Object} organization - Organization instance
+ * @returns {Promise<Object>} { courses, learners }
+ */
+async function getProgressReport(organization) {
+  const enrollments = await Enrollment.findAll({
+    where: { organization_id: organization.id, payment_status: 'completed' },
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+      { model: Course, as: 'course', attributes: ['id', 'title', 'slug'] },
+    ],
+    order: [['purchase_date', 'ASC']],
+  });
+
+  const certificates = await Certificate.findAll({
+    where: { enrollment_id: enrollments.map(enrollment => enrollment.id) },
+    attributes: ['enrollment_id', 'certificate_id', 'certificate_url', 'issued_date'],
+  });
+  const certificateByEnrollment = new Map(certificates.map(certificate => [certificate.enrollment_id, certificate]));
+
+  const courses = new Map();
+  const learners = new Map();
+
+  enrollments.forEach(enrollment => {
+    const progress = parseFloat(enrollment.progress_percentage);
+    const certificate = certificateByEnrollment.get(enrollment.id) || null;
+
+    const course = courses.get(enrollment.course_id) || {
+      course: enrollment.course,
+      assigned: 0,
+      completed: 0,
+      certificates: 0,
+      totalProgress: 0,
+    };
+    course.assigned += 1;
+    course.totalProgress += progress;
+    if (enrollment.completed) course.completed += 1;
+    if (certificate) course.certificates += 1;
+    courses.set(enrollment.course_id, course);
+
+    const learner = learners.get(enrollment.user_id) || { user: enrollment.user, courses: [] };
+    learner.courses.push({
+      course: enrollment.course,
+      progressPercentage: progress,
+      completed: enrollment.completed,
+      completionDate: enrollment.completion_date,
+      lastAccessedAt: enrollment.last_accessed_at,
+      certificate: certificate ? {
+        certificateId: certificate.certificate_id,
+        certificateUrl: certificate.certificate_url,
+        issuedDate: certificate.issued_date,
+      } : null,
+    });
+    learners.set(enrollment.user_id, learner);
+  });
+
+  return {
+    courses: [...courses.values()].map(({ totalProgress, ...course }) => ({
+      ...course,
+      averageProgress: course.assigned > 0 ? parseFloat((totalProgress / course.assigned).toFixed(2)) : 0,
+      completionRate: course.assigned > 0 ? parseFloat((course.completed / course.assigned * 100).toFixed(2)) : 0,
+    })),
+    learners: [...learners.values()],
+  };
+}
+
+module.exports = {
+  getSeatPools,
+  applySeatPayment,
+  assignSeat,
+  inviteMember,
+  acceptInvite,
+  getProgressReport,
+};
@@ -0,0 +1,371 @@
+// ============================================================================
+// SERVICES/PAYMENT_SERVICE.JS - Transaction & Enrollment Settlement
+// ============================================================================
+
+const { Enrollment, Course, User, Bundle, BundleEnrollment } = require('../models');
+const { sendEmail } = require('./emailService');
+const { logAction } = require('./auditService');
+const { getNumberSetting } = require('./settingsService');
+const { getProvider } = require('./payments');
+const { applySubscriptionPayment } = require('./subscriptionService');
+const { applyCodePayment, notifyCodePurchase } = require('./redemptionService');
+const { recordEarnings } = require('./earningsService');
+const { applySeatPayment } = require('./organizationService');
+const { issueInvoiceSafely, buildInvoiceAttachment } = require('./invoiceService');
+const logger = require('../utils/logger');
+
+// Allowed status transitions for a transaction (target status -> allowed current statuses)
+const ALLOWED_TRANSITIONS = {
+  completed: ['pending', 'failed'],
+  failed: ['pending'],
+  refunded: ['completed'],
+};
+
+/**
+ * Find the enrollment a transaction pays for
+ * @param {Object} transaction - Transaction instance
+ * @param {Object} [dbTransaction] - Sequelize transaction to read in
+ * @returns {Promise<Object|null>} Enrollment with user and course
+ */
+async function findEnrollmentForTransaction(transaction, dbTransaction) {
+  const include = [
+    { model: User, as: 'user' },
+    { model: Course, as: 'course' },
+  ];
+
+  const enrollmentId = transaction.metadata?.enrollmentId;
+  if (enrollmentId) {
+    const enrollment = await Enrollment.findByPk(enrollmentId, { include, transaction: dbTransaction });
+    if (enrollment) return enrollment;
+  }
+
+  return await Enrollment.findOne({
+    where: { user_id: transaction.user_id, course_id: transaction.course_id },
+    include,
+    transaction: dbTransaction,
+  });
+}
+
+/**
+ * Find every enrollment a transaction pays for (bundle purchases cover several courses)
+ * @param {Object} transaction - Transaction instance
+ * @param {Object} [dbTransaction] - Sequelize transaction to read in
+ * @returns {Promise<Object[]>} Enrollments with user and course
+ */
+async function findEnrollmentsForTransaction(transaction, dbTransaction) {
+  const enrollmentIds = transaction.metadata?.enrollmentIds;
+  if (Array.isArray(enrollmentIds)) {
+    return await Enrollment.findAll({
+      where: { id: enrollmentIds },
+      include: [
+        { model: User, as: 'user' },
+        { model: Course, as: 'course' },
+      ],
+      transaction: dbTransaction,
+    });
+  }
+
+  const enrollment = await findEnrollmentForTransaction(transaction, dbTransaction);
+  return enrollment ? [enrollment] : [];
+}
+
+/**
+ * Send the enrollment confirmation email (never throws)
+ * @param {Object} enrollment - Enrollment with user and course loaded
+ * @param {Object} [invoice] - Invoice to attach as PDF
+ */
+async function sendEnrollmentConfirmation(enrollment, invoice = null) {
+  const attachment = invoice ? await buildInvoiceAttachment(invoice) : null;
+
+  await sendEmail({
+    to: enrollment.user.email,
+    subject: 'Enrollment Confirmed - ITSLab',
+    template: 'enrollment-confirmation',
+    data: {
+      studentName: enrollment.user.name,
+      courseName: enrollment.course.title,
+      courseUrl: `${process.env.FRONTEND_URL}/courses/${enrollment.course.slug}`,
+      invoiceNumber: attachment ? invoice.invoice_number : null,
+    },
+    attachments: attachment ? [attachment] : [],
+  }).catch(err => logger.error('Failed to send confirmation email:', err));
+}
+
+/**
+ * Send the bundle enrollment confirmation email (never throws)
+ * @param {Object} bundleEnrollment - BundleEnrollment with user and bundle loaded
+ * @param {Object} [invoice] - Invoice to attach as PDF
+ */
+async function sendBundleConfirmation(bundleEnrollment, invoice = null) {
+  const attachment = invoice ? await buildInvoiceAttachment(invoice) : null;
+
+  await sendEmail({
+    to: bundleEnrollment.user.email,
+    subject: 'Enrollment Confirmed - ITSLab',
+    template: 'enrollment-confirmation',
+    data: {
+      studentName: bundleEnrollment.user.name,
+      courseName: bundleEnrollment.bundle.title,
+      courseUrl: `${process.env.FRONTEND_URL}/bundles/${bundleEnrollment.bundle.slug}`,
+      invoiceNumber: attachment ? invoice.invoice_number : null,
+    },
+    attachments: attachment ? [attachment] : [],
+  }).catch(err => logger.error('Failed to send bundle confirmation email:', err));
+}
+
+/**
+ * Apply the database side of a settlement: the transaction, its enrollment(s), the bundle
+ * enrollment, any subscription, gift/batch codes or organization seats, the instructor earnings ledger,
+ * and the audit row. Sends nothing, so it can run inside a
+ * caller's DB transaction; pass the result to notifySettlement once that is committed.
+ * Transitions that are not allowed (e.g. a replayed webhook) are ignored.
+ * @param {Object} transaction - Transaction instance
+ * @param {string} status - 'completed', 'failed' or 'refunded'
+ * @param {Object} [options]
+ * @param {string} [options.providerTransactionId] - Provider's own payment reference
+ * @param {string} [options.notes] - Notes stored on the enrollment
+ * @param {string} [options.refundReason] - Reason stored when refunding
+ * @param {Object} [options.metadata] - Extra metadata merged into the transaction
+ * @param {string} [options.actorId] - User who triggered the change (null for provider callbacks)
+ * @param {Object} [options.req] - Express request, for the audit log
+ * @param {Object} [options.dbTransaction] - Sequelize transaction to run the updates in
+ * @returns {Promise<Object>} { changed, status, transaction, enrollment, enrollments, bundleEnrollment }
+ */
+async function applySettlement(transaction, status, options = {}) {
+  const allowedFrom = ALLOWED_TRANSITIONS[status];
+  if (!allowedFrom) {
+    throw new Error(`Unsupported settlement status: ${status}`);
+  }
+
+  if (!allowedFrom.includes(transaction.status)) {
+    logger.info(`Skipping transaction ${transaction.id} settlement: ${transaction.status} -> ${status} not allowed`);
+    return { changed: false, status, transaction, enrollment: null, enrollments: [], bundleEnrollment: null };
+  }
+
+  const dbOptions = { transaction: options.dbTransaction };
+  const oldStatus = transaction.status;
+  const updates = {
+    status,
+    metadata: { ...transaction.metadata, ...options.metadata },
+  };
+  if (options.providerTransactionId) {
+    updates.provider_transaction_id = options.providerTransactionId;
+  }
+  if (status === 'refunded') {
+    updates.refunded_at = new Date();
+    updates.refund_reason = options.refundReason || null;
+  }
+
+  await transaction.update(updates, dbOptions);
+
+  // Gift, batch and seat purchases pay for access handed out later (codes redeemed, seats assigned)
+  const isCodePurchase = Boolean(transaction.metadata?.codePurchase);
+  const isSeatPurchase = Boolean(transaction.metadata?.seatPurchase);
+  const grantsLater = isCodePurchase || isSeatPurchase;
+
+  const enrollments = grantsLater ? [] : await findEnrollmentsForTransaction(transaction, options.dbTransaction);
+  for (const item of enrollments) {
+    if (!ALLOWED_TRANSITIONS[status].includes(item.payment_status)) continue;
+
+    const enrollmentUpdates = { payment_status: status };
+    if (options.notes !== undefined) enrollmentUpdates.payment_notes = options.notes;
+    if (status === 'completed') {
+      enrollmentUpdates.metadata = { ...item.metadata, activatedAt: new Date() };
+    }
+    await item.update(enrollmentUpdates, dbOptions);
+  }
+
+  let enrollment = enrollments[0] || null;
+  if (!enrollment && status === 'completed' && transaction.course_id && !grantsLater) {
+    // A confirmed payment always grants access, even if the pending enrollment is gone
+    const created = await Enrollment.create({
+      user_id: transaction.user_id,
+      course_id: transaction.course_id,
+      price_paid: transaction.amount_egp ?? transaction.amount,
+      payment_status: 'completed',
+      payment_transaction_id: transaction.provider_transaction_id || transaction.transaction_id,
+      payment_notes: options.notes,
+      metadata: {
+        paymentMethod: transaction.payment_method,
+        provider: transaction.payment_provider,
+        activatedAt: new Date(),
+      },
+    }, dbOptions);
+    await transaction.update({ metadata: { ...transaction.metadata, enrollmentId: created.id } }, dbOptions);
+    enrollment = await findEnrollmentForTransaction(transaction, options.dbTransaction);
+  }
+
+  logger.info(`Transaction ${transaction.id} settled: ${oldStatus} -> ${status}`);
+
+  await logAction({
+    userId: options.actorId || null,
+    action: `PAYMENT_${status.toUpperCase()}`,
+    entityType: 'Transaction',
+    entityId: transaction.id,
+    oldValues: { status: oldStatus },
+    newValues: { status, provider: transaction.payment_provider },
+    req: options.req,
+    transaction: options.dbTransaction,
+  });
+
+  let bundleEnrollment = null;
+  if (transaction.bundle_id) {
+    bundleEnrollment = await BundleEnrollment.findOne({
+      where: { transaction_id: transaction.id },
+      include: [
+        { model: User, as: 'user' },
+        { model: Bundle, as: 'bundle' },
+      ],
+      ...dbOptions,
+    });
+    if (bundleEnrollment && ALLOWED_TRANSITIONS[status].includes(bundleEnrollment.payment_status)) {
+      await bundleEnrollment.update({ payment_status: status }, dbOptions);
+    } else {
+      bundleEnrollment = null;
+    }
+  }
+
+  if (transaction.metadata?.subscriptionId) {
+    await applySubscriptionPayment(transaction.metadata.subscriptionId, status, transaction, options.dbTransaction);
+  }
+
+  if (isCodePurchase) {
+    await applyCodePayment(transaction, status, options.dbTransaction);
+  }
+
+  if (isSeatPurchase) {
+    await applySeatPayment(transaction, status, options.dbTransaction);
+  }
+
+  await recordEarnings(transaction, status, options.dbTransaction);
+
+  return { changed: true, status, transaction, enrollment, enrollments, bundleEnrollment };
+}
+
+/**
+ * Issue the invoice and send confirmation emails for an applied settlement (never throws)
+ * @param {Object} settlement - Result of applySettlement
+ * @returns {Promise<Object|null>} Invoice, if one was issued
+ */
+async function notifySettlement({ changed, status, transaction, enrollment, bundleEnrollment }) {
+  if (!changed || status !== 'completed') return null;
+
+  const invoice = await issueInvoiceSafely(transaction);
+
+  if (transaction.metadata?.codePurchase) {
+    await notifyCodePurchase(transaction);
+  } else if (transaction.bundle_id) {
+    if (bundleEnrollment) {
+      await sendBundleConfirmation(bundleEnrollment, invoice);
+    }
+  } else if (enrollment) {
+    await sendEnrollmentConfirmation(enrollment, invoice);
+  }
+
+  return invoice;
+}
+
+/**
+ * Move a transaction and its enrollment(s) to a new payment status, then issue
+ * the invoice and send the confirmation emails.
+ * Transitions that are not allowed (e.g. a replayed webhook) are ignored.
+ * @param {Object} transaction - Transaction instance
+ * @param {string} status - 'completed', 'failed' or 'refunded'
+ * @param {Object} [options] - See applySettlement
+ * @returns {Promise<Object>} { changed, transaction, enrollment, enrollments, invoice }
+ */
+async function settleTransaction(transaction, status, options = {}) {
+  const settlement = await applySettlement(transaction, status, options);
+  const invoice = await notifySettlement(settlement);
+
+  const { changed, enrollment, enrollments } = settlement;
+  return { changed, transaction, enrollment, enrollments, invoice };
+}
+
+/**
+ * Check whether an enrollment can still be refunded, using the
+ * refund_window_days and refund_max_progress_percentage settings
+ * @param {Object} enrollment - Enrollment instance
+ * @returns {Promise<Object>} { eligible, reason, windowDays, maxProgress }
+ */
+async function checkRefundEligibility(enrollment) {
+  const windowDays = await getNumberSetting('refund_window_days', 14);
+  const maxProgress = await getNumberSetting('refund_max_progress_percentage', 20);
+  const result = { eligible: false, reason: null, windowDays, maxProgress };
+
+  if (enrollment.payment_status !== 'completed') {
+    result.reason = 'Only paid, active enrollments can be refunded';
+    return result;
+  }
+  if (parseFloat(enrollment.price_paid) === 0) {
+    result.reason = 'Free enrollments cannot be refunded';
+    return result;
+  }
+
+  // The window starts when access was granted, not when a manual payment was first submitted
+  const startedAt = new Date(enrollment.metadata?.activatedAt || enrollment.purchase_date);
+  const windowEndsAt = new Date(startedAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+  if (new Date() > windowEndsAt) {
+    result.reason = `Refunds can only be requested within ${windowDays} days of purchase`;
+    return result;
+  }
+
+  if (parseFloat(enrollment.progress_percentage) > maxProgress) {
+    result.reason = `Refunds are not available after completing more than ${maxProgress}% of the course`;
+    return result;
+  }
+
+  result.eligible = true;
+  return result;
+}
+
+/**
+ * Return a transaction's money through its provider and revoke course access.
+ * The caller's DB transaction must hold the transaction row lock, so a concurrent approval
+ * or refund webhook cannot refund it twice; pass `settlement` to notifySettlement once committed.
+ * @param {Object} transaction - Completed transaction, locked
+ * @param {Object} options
+ * @param {string} options.reason - Refund reason stored on the transaction
+ * @param {string} options.actorId - Admin approving the refund
+ * @param {Object} [options.req] - Express request, for the audit log
+ * @param {Object} options.dbTransaction - Sequelize transaction holding the lock
+ * @returns {Promise<Object>} { providerRefundId, providerStatus, enrollment, settlement }
+ */
+async function refundTransaction(transaction, { reason, actorId, req, dbTransaction }) {
+  const provider = getProvider(transaction.payment_provider || 'manual');
+  if (!provider) {
+    throw new Error(`Unsupported payment provider: ${transaction.payment_provider}`);
+  }
+
+  const refund = await provider.refund(transaction, { reason });
+
+  // Access is revoked as soon as the provider accepts the refund, even if it settles later
+  const settlement = await applySettlement(transaction, 'refunded', {
+    refundReason: reason,
+    actorId,
+    req,
+    metadata: {
+      providerRefundId: refund.providerRefundId,
+      providerRefundStatus: refund.status,
+    },
+    dbTransaction,
+  });
+
+  return {
+    providerRefundId: refund.providerRefundId,
+    providerStatus: refund.status,
+    enrollment: settlement.enrollment,
+    settlement,
+  };
+}
+
+module.exports = {
+  findEnrollmentForTransaction,
+  findEnrollmentsForTransaction,
+  sendEnrollmentConfirmation,
+  applySettlement,
+  notifySettlement,
+  settleTransaction,
+  checkRefundEligibility,
+  refundTransaction,
+};
@@ -0,0 +1,82 @@
+// ============================================================================
+// SERVICES/PAYMENTS/FAKE_PROVIDER.JS - Local Fake Provider (Development & Tests)
+// ============================================================================
+
+const crypto = require('crypto');
+
+// Provider-side view of each payment, as a real gateway would keep it
+const ledger = new Map();
+
+/**
+ * Secret used to sign fake callbacks (required; the registry refuses to enable the provider without it)
+ */
+function getSecret() {
+  return process.env.FAKE_PAYMENT_SECRET;
+}
+
+/**
+ * Sign a callback body the way the fake gateway would
+ * @param {string|Buffer} rawBody - Exact JSON body that will be posted
+ * @returns {string} Hex HMAC-SHA256 for the X-Fake-Signature header
+ */
+function signCallback(rawBody) {
+  return crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+}
+
+module.exports = {
+  name: 'fake',
+
+  async initiate({ transactionId }) {
+    const reference = `FAKE-${transactionId}`;
+    ledger.set(transactionId, 'pending');
+
+    return {
+      status: 'pending',
+      paymentMethod: 'fake',
+      reference,
+      transactionRef: reference,
+      providerTransactionId: null,
+      enrollmentMetadata: {},
+      transactionMetadata: {},
+      response: { reference },
+      message: 'Payment initiated',
+    };
+  },
+
+  /**
+   * Callback body: { eventId, transactionId, status }, signed in the X-Fake-Signature header
+   */
+  async verifyCallback(req) {
+    const signature = req.get('x-fake-signature') || '';
+    const expected = Buffer.from(signCallback(req.rawBody || ''), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid fake provider signature');
+    }
+
+    const { eventId, transactionId, status } = req.body;
+    ledger.set(transactionId, status);
+
+    return {
+      eventId,
+      eventType: `payment.${status}`,
+      status,
+      match: { transactionId },
+      providerTransactionId: `FAKE-PAY-${transactionId}`,
+      refundReason: status === 'refunded' ? 'Refunded via fake provider' : undefined,
+      metadata: {},
+    };
+  },
+
+  async refund(transaction) {
+    ledger.set(transaction.id, 'refunded');
+    return { status: 'refunded', providerRefundId: `FAKE-REFUND-${transaction.id}` };
+  },
+
+  async fetchStatus(transaction) {
+    return ledger.get(transaction.id) || transaction.status;
+  },
+
+  signCallback,
+};
@@ -0,0 +1,39 @@
+// ============================================================================
+// SERVICES/PAYMENTS/FREE_PROVIDER.JS - Free Course Access
+// ============================================================================
+
+module.exports = {
+  name: 'free',
+
+  /**
+   * Free courses are granted immediately
+   */
+  async initiate() {
+    return {
+      status: 'completed',
+      paymentMethod: 'free',
+      reference: 'FREE_ACCESS',
+      transactionRef: null,
+      providerTransactionId: 'FREE_ACCESS',
+      enrollmentMetadata: { senderInfo: 'N/A', receiptUrl: null },
+      transactionMetadata: { receiptUrl: null, isFree: true },
+      response: {},
+      message: 'Payment request submitted successfully',
+    };
+  },
+
+  async verifyCallback() {
+    throw new Error('Free access does not accept callbacks');
+  },
+
+  /**
+   * Nothing was charged, so there is nothing to return
+   */
+  async refund() {
+    return { status: 'refunded', providerRefundId: null };
+  },
+
+  async fetchStatus(transaction) {
+    return transaction.status;
+  },
+};
@@ -0,0 +1,82 @@
+// ============================================================================
+// SERVICES/PAYMENTS/INDEX.JS - Payment Provider Registry
+// ============================================================================
+
+/**
+ * Every payment provider adapter implements this contract.
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Registry key, stored in Transaction.payment_provider
+ * @property {string[]} [currencies] - Currencies the provider can charge in (omit for any)
+ * @property {Function} initiate - async ({ course, user, transactionId, enrollmentId, amount, currency, returnPath, input, file })
+ *   => { status, paymentMethod, reference, transactionRef, providerTransactionId,
+ *        enrollmentMetadata, transactionMetadata, response, message }
+ *   `course` is the product being sold (a Course, or a Bundle with the same title/price/currency/slug shape);
+ *   `amount` is what the user pays after discounts, in `currency` (defaults to course.currency);
+ *   `status` is 'pending' or 'completed';
+ *   `response` is returned to the client as-is.
+ * @property {Function} verifyCallback - async (req) => event | null. Throws if the callback is not authentic.
+ *   event: { eventId, eventType, status, match: { transactionId, where }, providerTransactionId, refundReason, metadata }
+ *   `status` is the transaction status the event settles to, or null if it needs no action.
+ * @property {Function} refund - async (transaction, { reason }) => { status, providerRefundId }
+ *   `status` is 'refunded' once the money is returned, or 'pending' if the provider confirms later.
+ * @property {Function} fetchStatus - async (transaction) => 'pending' | 'completed' | 'failed' | 'refunded'
+ */
+
+const manualProvider = require('./manualProvider');
+const freeProvider = require('./freeProvider');
+const stripeProvider = require('./stripeProvider');
+const paymobProvider = require('./paymobProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter under its name
+ * @param {PaymentProvider} provider - Adapter implementing the contract above
+ */
+function registerProvider(provider) {
+  ['initiate', 'verifyCallback', 'refund', 'fetchStatus'].forEach(operation => {
+    if (typeof provider[operation] !== 'function') {
+      throw new Error(`Payment provider "${provider.name}" is missing ${operation}()`);
+    }
+  });
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Look up a provider adapter
+ * @param {string} name - Provider name
+ * @returns {PaymentProvider|null} Adapter, or null if none is registered
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Names of all registered providers
+ * @returns {string[]} Provider names
+ */
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+registerProvider(manualProvider);
+registerProvider(freeProvider);
+registerProvider(stripeProvider);
+registerProvider(paymobProvider);
+
+// The fake provider settles payments without money changing hands: only tests or an explicit opt-in get it,
+// and never with a guessable signing secret
+if (process.env.NODE_ENV === 'test' || process.env.ENABLE_FAKE_PAYMENT_PROVIDER === 'true') {
+  if (!process.env.FAKE_PAYMENT_SECRET) {
+    throw new Error('FATAL: FAKE_PAYMENT_SECRET environment variable is required to enable the fake payment provider');
+  }
+  registerProvider(fakeProvider);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,61 @@
+// ============================================================================
+// SERVICES/PAYMENTS/MANUAL_PROVIDER.JS - Manual Receipt (Vodafone Cash / InstaPay)
+// ============================================================================
+
+const httpError = require('../../utils/httpError');
+const { inspectReceipt } = require('../receiptService');
+
+module.exports = {
+  name: 'manual',
+
+  // Vodafone Cash and InstaPay transfers are in Egyptian pounds
+  currencies: ['EGP'],
+
+  /**
+   * Record a receipt upload; an admin approves it from the pending queue.
+   * Reused receipts and sender numbers shared between accounts are flagged for the reviewer.
+   */
+  async initiate({ user, input, file }) {
+    if (!file) {
+      throw httpError(400, 'Payment receipt screenshot is required');
+    }
+
+    const receiptUrl = `/uploads/receipts/${file.filename}`;
+    const { metadata: receiptCheck, counterpartFlags } = await inspectReceipt({ user, file, senderInfo: input.senderInfo });
+
+    return {
+      status: 'pending',
+      paymentMethod: input.paymentMethod,
+      reference: input.senderInfo,
+      transactionRef: null,
+      providerTransactionId: input.senderInfo,
+      enrollmentMetadata: { senderInfo: input.senderInfo, receiptUrl, ...receiptCheck },
+      transactionMetadata: { receiptUrl, isFree: false, ...receiptCheck },
+      // Earlier payments this one matched, flagged when the submission is recorded
+      matchedPayments: counterpartFlags,
+      response: {},
+      message: 'Payment request submitted successfully',
+    };
+  },
+
+  /**
+   * Manual payments have no provider callbacks; admins verify them instead
+   */
+  async verifyCallback() {
+    throw new Error('Manual payments do not accept callbacks');
+  },
+
+  /**
+   * The money is returned outside the platform, so the refund is final immediately
+   */
+  async refund() {
+    return { status: 'refunded', providerRefundId: null };
+  },
+
+  /**
+   * The admin decision stored on the transaction is the source of truth
+   */
+  async fetchStatus(transaction) {
+    return transaction.status;
+  },
+};
@@ -0,0 +1,107 @@
+// ============================================================================
+// SERVICES/PAYMENTS/PAYMOB_PROVIDER.JS - Paymob Card & Wallet Adapter
+// ============================================================================
+
+const paymobService = require('../paymobService');
+const httpError = require('../../utils/httpError');
+
+// Egyptian mobile wallet numbers (Vodafone, Etisalat, Orange, WE)
+const WALLET_PHONE_PATTERN = /^01[0125]\d{8}$/;
+
+module.exports = {
+  name: 'paymob',
+
+  currencies: ['EGP'],
+
+  async initiate({ course, user, transactionId, amount, currency, input }) {
+    const { paymentMethod = 'card', walletPhone } = input;
+
+    if (!['card', 'wallet'].includes(paymentMethod)) {
+      throw httpError(400, 'Payment method must be card or wallet');
+    }
+    if (paymentMethod === 'wallet' && !WALLET_PHONE_PATTERN.test(walletPhone || '')) {
+      throw httpError(400, 'A valid Egyptian mobile wallet number is required');
+    }
+
+    // Our transaction ID travels to Paymob as merchant_order_id and comes back in the callback
+    const payment = await paymobService.initiatePayment({
+      course,
+      user,
+      transactionId,
+      method: paymentMethod,
+      walletPhone,
+      amount,
+      currency,
+    });
+    const reference = `PAYMOB-${payment.orderId}`;
+
+    return {
+      status: 'pending',
+      paymentMethod,
+      reference,
+      transactionRef: reference,
+      providerTransactionId: null,
+      enrollmentMetadata: { paymobOrderId: payment.orderId, senderInfo: walletPhone || null },
+      transactionMetadata: { paymobOrderId: payment.orderId },
+      response: {
+        orderId: payment.orderId,
+        iframeUrl: payment.iframeUrl,
+        redirectUrl: payment.redirectUrl,
+      },
+      message: 'Payment initiated',
+    };
+  },
+
+  async verifyCallback(req) {
+    const { type, obj } = req.body || {};
+
+    if (!paymobService.verifyCallbackHmac(obj, req.query.hmac)) {
+      throw new Error('Invalid Paymob HMAC');
+    }
+
+    if (type !== 'TRANSACTION') {
+      return null;
+    }
+
+    const status = paymobService.resolveCallbackStatus(obj);
+    if (!status) {
+      return null;
+    }
+
+    return {
+      // One Paymob transaction can report success and later a refund, so the state is part of the key
+      eventId: `${obj.id}:${status}`,
+      eventType: `transaction.${status}`,
+      status,
+      match: {
+        transactionId: obj.order?.merchant_order_id,
+        where: obj.order?.id ? { transaction_id: `PAYMOB-${obj.order.id}` } : null,
+      },
+      providerTransactionId: String(obj.id),
+      refundReason: status === 'refunded' ? 'Refunded via Paymob' : undefined,
+      metadata: {
+        paymobTransactionId: obj.id,
+        sourceType: obj.source_data?.type,
+        sourceSubType: obj.source_data?.sub_type,
+      },
+    };
+  },
+
+  async refund(transaction) {
+    const paymobTransactionId = transaction.metadata?.paymobTransactionId || transaction.provider_transaction_id;
+    const refund = await paymobService.refundTransaction(
+      paymobTransactionId,
+      paymobService.toCents(transaction.amount)
+    );
+
+    return {
+      status: refund.success && !refund.pending ? 'refunded' : 'pending',
+      providerRefundId: refund.id ? String(refund.id) : null,
+    };
+  },
+
+  async fetchStatus(transaction) {
+    const obj = await paymobService.inquireTransaction(transaction.id);
+    return paymobService.resolveCallbackStatus(obj) || 'pending';
+  },
+};
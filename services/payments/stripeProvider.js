@@ -0,0 +1,117 @@
+// ============================================================================
+// SERVICES/PAYMENTS/STRIPE_PROVIDER.JS - Stripe Checkout Adapter
+// ============================================================================
+
+const stripeService = require('../stripeService');
+
+// Stripe event type -> transaction status it settles to
+const EVENT_STATUS = {
+  'checkout.session.completed': 'completed',
+  'checkout.session.async_payment_succeeded': 'completed',
+  'checkout.session.async_payment_failed': 'failed',
+  'checkout.session.expired': 'failed',
+  'charge.refunded': 'refunded',
+};
+
+/**
+ * Work out which transaction a Stripe object belongs to, and whether it settles it
+ */
+function describeEventObject(eventType, object) {
+  if (object.object === 'checkout.session') {
+    // Delayed payment methods complete the session before the money arrives
+    const awaitingFunds = eventType === 'checkout.session.completed' && object.payment_status !== 'paid';
+    return {
+      settles: !awaitingFunds,
+      match: {
+        transactionId: object.metadata?.transactionId,
+        where: { transaction_id: object.id },
+      },
+      providerTransactionId: object.payment_intent || undefined,
+    };
+  }
+
+  if (object.object === 'charge') {
+    // Partial refunds keep the enrollment active
+    return {
+      settles: object.refunded === true,
+      match: { where: { provider_transaction_id: object.payment_intent } },
+      providerTransactionId: object.payment_intent,
+    };
+  }
+
+  return { settles: false, match: {} };
+}
+
+module.exports = {
+  name: 'stripe',
+
+  async initiate({ course, user, transactionId, enrollmentId, amount, currency, returnPath }) {
+    const session = await stripeService.createCheckoutSession({
+      course,
+      user,
+      transactionId,
+      enrollmentId,
+      amount,
+      currency,
+      returnPath,
+    });
+
+    return {
+      status: 'pending',
+      paymentMethod: 'card',
+      reference: session.id,
+      transactionRef: session.id,
+      providerTransactionId: null,
+      enrollmentMetadata: { checkoutSessionId: session.id },
+      transactionMetadata: { checkoutSessionId: session.id },
+      response: { sessionId: session.id, checkoutUrl: session.url },
+      message: 'Checkout session created',
+    };
+  },
+
+  async verifyCallback(req) {
+    const event = stripeService.constructWebhookEvent(req.rawBody, req.get('stripe-signature'));
+    const described = describeEventObject(event.type, event.data.object);
+    const status = EVENT_STATUS[event.type] && described.settles ? EVENT_STATUS[event.type] : null;
+
+    return {
+      eventId: event.id,
+      eventType: event.type,
+      status,
+      match: described.match,
+      providerTransactionId: described.providerTransactionId,
+      refundReason: status === 'refunded' ? 'Refunded via Stripe' : undefined,
+      metadata: { lastStripeEvent: event.type },
+    };
+  },
+
+  async refund(transaction, { reason } = {}) {
+    const stripe = stripeService.getStripeClient();
+    const refund = await stripe.refunds.create({
+      payment_intent: transaction.provider_transaction_id,
+      reason: 'requested_by_customer',
+      metadata: { transactionId: transaction.id, reason: reason || '' },
+    });
+
+    return {
+      status: refund.status === 'succeeded' ? 'refunded' : 'pending',
+      providerRefundId: refund.id,
+    };
+  },
+
+  async fetchStatus(transaction) {
+    const stripe = stripeService.getStripeClient();
+    const session = await stripe.checkout.sessions.retrieve(transaction.transaction_id, {
+      expand: ['payment_intent.latest_charge'],
+    });
+
+    if (session.payment_status === 'paid') {
+      const charge = session.payment_intent?.latest_charge;
+      return charge && charge.refunded ? 'refunded' : 'completed';
+    }
+    if (session.status === 'expired') {
+      return 'failed';
+    }
+    return 'pending';
+  },
+};
@@ -0,0 +1,244 @@
+// ============================================================================
+// SERVICES/PAYMOB_SERVICE.JS - Paymob (Accept) Card & Wallet Payments
+// ============================================================================
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const PAYMOB_BASE_URL = process.env.PAYMOB_BASE_URL || 'https://accept.paymob.com/api';
+
+// Field order Paymob uses to build the HMAC of a processed-transaction callback
+const CALLBACK_HMAC_FIELDS = [
+  'amount_cents',
+  'created_at',
+  'currency',
+  'error_occured',
+  'has_parent_transaction',
+  'id',
+  'integration_id',
+  'is_3d_secure',
+  'is_auth',
+  'is_capture',
+  'is_refunded',
+  'is_standalone_payment',
+  'is_voided',
+  'order.id',
+  'owner',
+  'pending',
+  'source_data.pan',
+  'source_data.sub_type',
+  'source_data.type',
+  'success',
+];
+
+/**
+ * Read a required Paymob setting from the environment
+ * @param {string} name - Environment variable name
+ * @returns {string} Value
+ */
+function requireSetting(name) {
+  const value = process.env[name];
+  if (!value) {
+    const error = new Error('Paymob payments are not configured');
+    error.statusCode = 503;
+    throw error;
+  }
+  return value;
+}
+
+/**
+ * Convert a decimal price to cents/piasters
+ * @param {number|string} amount - Decimal amount
+ * @returns {number} Integer amount in cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Obtain a short-lived auth token from Paymob
+ * @returns {Promise<string>} Auth token
+ */
+async function getAuthToken() {
+  const { data } = await axios.post(`${PAYMOB_BASE_URL}/auth/tokens`, {
+    api_key: requireSetting('PAYMOB_API_KEY'),
+  });
+  return data.token;
+}
+
+/**
+ * Start a Paymob payment for a course
+ * Card payments return an iframe URL; wallet payments (Vodafone Cash etc.) return a redirect URL.
+ * @param {Object} params
+ * @param {Object} params.course - Course instance
+ * @param {Object} params.user - Purchasing user
+ * @param {string} params.transactionId - Our Transaction ID (sent as merchant_order_id)
+ * @param {string} params.method - 'card' or 'wallet'
+ * @param {string} [params.walletPhone] - Mobile wallet number (wallet payments only)
+ * @param {number} [params.amount] - Amount to charge after discounts (defaults to the course price)
+ * @param {string} [params.currency] - Currency of `amount` (defaults to the course's base currency)
+ * @returns {Promise<Object>} { orderId, paymentToken, iframeUrl, redirectUrl }
+ */
+async function initiatePayment({ course, user, transactionId, method, walletPhone, amount = course.price, currency = course.currency || 'EGP' }) {
+  const integrationId = method === 'wallet'
+    ? requireSetting('PAYMOB_WALLET_INTEGRATION_ID')
+    : requireSetting('PAYMOB_CARD_INTEGRATION_ID');
+  const amountCents = toCents(amount);
+
+  const authToken = await getAuthToken();
+
+  // 1. Register the order
+  const { data: order } = await axios.post(`${PAYMOB_BASE_URL}/ecommerce/orders`, {
+    auth_token: authToken,
+    delivery_needed: false,
+    amount_cents: amountCents,
+    currency,
+    merchant_order_id: transactionId,
+    items: [
+      {
+        name: course.title.slice(0, 255),
+        amount_cents: amountCents,
+        quantity: 1,
+      },
+    ],
+  });
+
+  // 2. Request a payment key for the order
+  const [firstName, ...rest] = (user.name || 'ITSLab Student').split(' ');
+  const { data: paymentKey } = await axios.post(`${PAYMOB_BASE_URL}/acceptance/payment_keys`, {
+    auth_token: authToken,
+    amount_cents: amountCents,
+    expiration: 3600,
+    order_id: order.id,
+    currency,
+    integration_id: parseInt(integrationId),
+    lock_order_when_paid: true,
+    billing_data: {
+      first_name: firstName,
+      last_name: rest.join(' ') || 'NA',
+      email: user.email,
+      phone_number: walletPhone || 'NA',
+      apartment: 'NA',
+      floor: 'NA',
+      street: 'NA',
+      building: 'NA',
+      shipping_method: 'NA',
+      postal_code: 'NA',
+      city: 'NA',
+      country: 'EG',
+      state: 'NA',
+    },
+  });
+
+  const result = {
+    orderId: order.id,
+    paymentToken: paymentKey.token,
+    iframeUrl: null,
+    redirectUrl: null,
+  };
+
+  // 3. Card payments use the hosted iframe; wallets need a pay request for the redirect URL
+  if (method === 'wallet') {
+    const { data: walletPayment } = await axios.post(`${PAYMOB_BASE_URL}/acceptance/payments/pay`, {
+      source: { identifier: walletPhone, subtype: 'WALLET' },
+      payment_token: paymentKey.token,
+    });
+    result.redirectUrl = walletPayment.redirect_url || walletPayment.iframe_redirection_url;
+  } else {
+    result.iframeUrl = `${PAYMOB_BASE_URL}/acceptance/iframes/${requireSetting('PAYMOB_IFRAME_ID')}?payment_token=${paymentKey.token}`;
+  }
+
+  return result;
+}
+
+/**
+ * Read a dotted path (e.g. 'source_data.pan') from the callback object
+ */
+function readField(obj, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? value : value[key]), obj);
+}
+
+/**
+ * Calculate the HMAC Paymob sends with a processed-transaction callback
+ * @param {Object} obj - The callback's `obj` payload
+ * @returns {string} Hex HMAC-SHA512
+ */
+function calculateCallbackHmac(obj) {
+  const concatenated = CALLBACK_HMAC_FIELDS
+    .map(field => {
+      const value = readField(obj, field);
+      return value === undefined || value === null ? '' : String(value);
+    })
+    .join('');
+
+  return crypto
+    .createHmac('sha512', requireSetting('PAYMOB_HMAC_SECRET'))
+    .update(concatenated)
+    .digest('hex');
+}
+
+/**
+ * Verify a processed-transaction callback
+ * @param {Object} obj - The callback's `obj` payload
+ * @param {string} receivedHmac - HMAC from the callback query string
+ * @returns {boolean} Whether the callback is authentic
+ */
+function verifyCallbackHmac(obj, receivedHmac) {
+  if (!obj || !receivedHmac) return false;
+
+  const expected = Buffer.from(calculateCallbackHmac(obj), 'hex');
+  const received = Buffer.from(String(receivedHmac), 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Map a Paymob transaction to our transaction status
+ * @param {Object} obj - The callback's `obj` payload
+ * @returns {string|null} 'completed', 'failed', 'refunded' or null while still pending
+ */
+function resolveCallbackStatus(obj) {
+  if (obj.pending) return null;
+  if (obj.is_refunded || obj.is_voided) return 'refunded';
+  return obj.success ? 'completed' : 'failed';
+}
+
+/**
+ * Refund a settled Paymob transaction
+ * @param {string|number} paymobTransactionId - Paymob's transaction ID
+ * @param {number} amountCents - Amount to refund in cents
+ * @returns {Promise<Object>} Paymob refund transaction
+ */
+async function refundTransaction(paymobTransactionId, amountCents) {
+  const authToken = await getAuthToken();
+  const { data } = await axios.post(`${PAYMOB_BASE_URL}/acceptance/void_refund/refund`, {
+    auth_token: authToken,
+    transaction_id: paymobTransactionId,
+    amount_cents: amountCents,
+  });
+  return data;
+}
+
+/**
+ * Look up the latest Paymob transaction for one of our orders
+ * @param {string} merchantOrderId - Our Transaction ID sent when the order was registered
+ * @returns {Promise<Object>} Paymob transaction object
+ */
+async function inquireTransaction(merchantOrderId) {
+  const authToken = await getAuthToken();
+  const { data } = await axios.post(`${PAYMOB_BASE_URL}/ecommerce/orders/transaction_inquiry`, {
+    auth_token: authToken,
+    merchant_order_id: merchantOrderId,
+  });
+  return data;
+}
+
+module.exports = {
+  initiatePayment,
+  refundTransaction,
+  inquireTransaction,
+  calculateCallbackHmac,
+  verifyCallbackHmac,
+  resolveCallbackStatus,
+  toCents,
+};
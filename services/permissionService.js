@@ -0,0 +1,324 @@
+// ============================================================================
+// SERVICES/PERMISSION_SERVICE.JS - Roles, Permissions & Custom Role Assignment
+// ============================================================================
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Role, Permission, UserRole, User } = require('../models');
+const { PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+const { slugify } = require('../utils/helpers');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+/**
+ * Insert missing permissions and built-in roles. Existing student/instructor roles keep
+ * any edits made by admins; the admin role is topped up with every permission.
+ */
+async function seedRolesAndPermissions() {
+  for (const [key, description] of Object.entries(PERMISSIONS)) {
+    await Permission.findOrCreate({ where: { key }, defaults: { description } });
+  }
+  const allPermissions = await Permission.findAll({ where: { key: Object.keys(PERMISSIONS) } });
+
+  for (const [slug, definition] of Object.entries(SYSTEM_ROLES)) {
+    const [role, created] = await Role.findOrCreate({
+      where: { slug },
+      defaults: { name: definition.name, description: definition.description, is_system: true },
+    });
+
+    if (created || slug === 'admin') {
+      await role.setPermissions(allPermissions.filter(permission => definition.permissions.includes(permission.key)));
+    }
+  }
+
+  logger.info('Roles and permissions initialized');
+}
+
+/**
+ * Effective permissions of a user: their built-in role (falling back to the default set when
+ * roles have not been seeded yet) plus every custom role assigned to them
+ * @param {Object} user - User instance
+ * @returns {Promise<Set<string>>} Permission keys
+ */
+async function getUserPermissions(user) {
+  if (user.role === 'admin') {
+    return new Set(Object.keys(PERMISSIONS));
+  }
+
+  const assignments = await UserRole.findAll({ where: { user_id: user.id }, attributes: ['role_id'], raw: true });
+  const roles = await Role.findAll({
+    where: {
+      [Op.or]: [
+        { slug: user.role, is_system: true },
+        { id: assignments.map(assignment => assignment.role_id) },
+      ],
+    },
+    include: [{ model: Permission, as: 'permissions', attributes: ['key'], through: { attributes: [] } }],
+  });
+
+  const keys = new Set();
+  if (!roles.some(role => role.is_system) && SYSTEM_ROLES[user.role]) {
+    SYSTEM_ROLES[user.role].permissions.forEach(key => keys.add(key));
+  }
+  roles.forEach(role => role.permissions.forEach(permission => keys.add(permission.key)));
+  return keys;
+}
+
+/**
+ * Check a list of permission keys against the catalogue
+ */
+function assertKnownPermissions(keys) {
+  if (!Array.isArray(keys)) {
+    throw httpError(400, 'Permissions must be an array of permission keys');
+  }
+  const unknown = keys.filter(key => !PERMISSIONS[key]);
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown permission(s): ${unknown.join(', ')}`);
+  }
+}
+
+/**
+ * roles:manage would otherwise be every permission: a holder could build a role with anything
+ * in it and assign it to themselves. Only admins may grant permissions they do not hold.
+ * @param {Object} actor - User granting the permissions
+ * @param {string[]} keys - Permission keys being granted
+ */
+async function assertCanGrant(actor, keys) {
+  if (actor.role === 'admin') return;
+
+  const held = await getUserPermissions(actor);
+  const missing = keys.filter(key => !held.has(key));
+  if (missing.length > 0) {
+    throw httpError(403, `You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Permission catalogue
+ * @returns {Promise<Array>} Permissions ordered by key
+ */
+async function listPermissions() {
+  return Permission.findAll({ attributes: ['id', 'key', 'description'], order: [['key', 'ASC']] });
+}
+
+/**
+ * All roles with their permission keys and the number of users holding them
+ * @returns {Promise<Array>} Roles, built-in first
+ */
+async function listRoles() {
+  const roles = await Role.findAll({
+    include: [{ model: Permission, as: 'permissions', attributes: ['key'], through: { attributes: [] } }],
+    order: [['is_system', 'DESC'], ['name', 'ASC']],
+  });
+
+  const [assignedCounts, baseCounts] = await Promise.all([
+    UserRole.findAll({
+      attributes: ['role_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['role_id'],
+      raw: true,
+    }),
+    User.findAll({
+      attributes: ['role', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['role'],
+      raw: true,
+    }),
+  ]);
+
+  return roles.map((role) => {
+    const counts = role.is_system ? baseCounts.find(row => row.role === role.slug) : assignedCounts.find(row => row.role_id === role.id);
+    return {
+      id: role.id,
+      slug: role.slug,
+      name: role.name,
+      description: role.description,
+      isSystem: role.is_system,
+      permissions: role.permissions.map(permission => permission.key).sort(),
+      userCount: counts ? parseInt(counts.count, 10) : 0,
+    };
+  });
+}
+
+/**
+ * Find a role or throw 404
+ */
+async function findRole(roleId, options = {}) {
+  const role = await Role.findByPk(roleId, options);
+  if (!role) {
+    throw httpError(404, 'Role not found');
+  }
+  return role;
+}
+
+/**
+ * Create a custom role
+ * @param {Object} params - { name, description, permissions: [keys] }
+ * @param {Object} actor - User creating the role
+ * @returns {Promise<Object>} Created role
+ */
+async function createRole({ name, description, permissions = [] }, actor) {
+  if (!name || !String(name).trim()) {
+    throw httpError(400, 'Role name is required');
+  }
+  assertKnownPermissions(permissions);
+  await assertCanGrant(actor, permissions);
+
+  const slug = slugify(name);
+  if (!slug) {
+    throw httpError(400, 'Role name must contain letters or digits');
+  }
+  if (SYSTEM_ROLES[slug] || await Role.findOne({ where: { slug } })) {
+    throw httpError(409, 'A role with this name already exists');
+  }
+
+  return sequelize.transaction(async (t) => {
+    const role = await Role.create({ slug, name: String(name).trim(), description, is_system: false }, { transaction: t });
+    const rows = await Permission.findAll({ where: { key: permissions }, transaction: t });
+    if (rows.length !== new Set(permissions).size) {
+      throw httpError(503, 'Permissions have not been initialized yet');
+    }
+    await role.setPermissions(rows, { transaction: t });
+    return role;
+  });
+}
+
+/**
+ * Update a role's name, description or permission set. Built-in roles keep their name,
+ * and the admin role always holds every permission.
+ * @param {string} roleId - Role ID
+ * @param {Object} params - { name, description, permissions }
+ * @param {Object} actor - User editing the role
+ * @returns {Promise<Object>} { role, oldValues }
+ */
+async function updateRole(roleId, { name, description, permissions }, actor) {
+  const role = await findRole(roleId, {
+    include: [{ model: Permission, as: 'permissions', attributes: ['id', 'key'], through: { attributes: [] } }],
+  });
+  if (role.slug === 'admin') {
+    throw httpError(400, 'The admin role always has every permission');
+  }
+
+  const oldValues = {
+    name: role.name,
+    description: role.description,
+    permissions: role.permissions.map(permission => permission.key).sort(),
+  };
+  const updates = {};
+
+  if (name !== undefined && name !== role.name) {
+    if (role.is_system) {
+      throw httpError(400, 'Built-in roles cannot be renamed');
+    }
+    const slug = slugify(name || '');
+    if (!slug) {
+      throw httpError(400, 'Role name must contain letters or digits');
+    }
+    if (SYSTEM_ROLES[slug] || await Role.findOne({ where: { slug, id: { [Op.ne]: role.id } } })) {
+      throw httpError(409, 'A role with this name already exists');
+    }
+    updates.name = String(name).trim();
+    updates.slug = slug;
+  }
+  if (description !== undefined) updates.description = description;
+  if (permissions !== undefined) {
+    assertKnownPermissions(permissions);
+    await assertCanGrant(actor, permissions.filter(key => !oldValues.permissions.includes(key)));
+  }
+
+  await sequelize.transaction(async (t) => {
+    if (Object.keys(updates).length > 0) {
+      await role.update(updates, { transaction: t });
+    }
+    if (permissions !== undefined) {
+      const rows = await Permission.findAll({ where: { key: permissions }, transaction: t });
+      await role.setPermissions(rows, { transaction: t });
+    }
+  });
+
+  return { role, oldValues };
+}
+
+/**
+ * Delete a custom role; its assignments go with it
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object>} Deleted role
+ */
+async function deleteRole(roleId) {
+  const role = await findRole(roleId);
+  if (role.is_system) {
+    throw httpError(400, 'Built-in roles cannot be deleted');
+  }
+
+  await sequelize.transaction(async (t) => {
+    await UserRole.destroy({ where: { role_id: role.id }, transaction: t });
+    await role.destroy({ transaction: t });
+  });
+  return role;
+}
+
+/**
+ * Custom roles assigned to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Roles
+ */
+async function getUserRoles(userId) {
+  const assignments = await UserRole.findAll({ where: { user_id: userId }, attributes: ['role_id'], raw: true });
+  return Role.findAll({
+    where: { id: assignments.map(assignment => assignment.role_id) },
+    attributes: ['id', 'slug', 'name', 'description'],
+    order: [['name', 'ASC']],
+  });
+}
+
+/**
+ * Give a user a custom role
+ * @param {Object} user - User instance
+ * @param {string} roleId - Role ID
+ * @param {Object} actor - User assigning the role
+ * @returns {Promise<Object>} The role
+ */
+async function assignRole(user, roleId, actor) {
+  const role = await findRole(roleId, {
+    include: [{ model: Permission, as: 'permissions', attributes: ['key'], through: { attributes: [] } }],
+  });
+  if (role.is_system) {
+    throw httpError(400, 'Built-in roles are set through the user\'s role, not assigned');
+  }
+  await assertCanGrant(actor, role.permissions.map(permission => permission.key));
+
+  const [, created] = await UserRole.findOrCreate({
+    where: { user_id: user.id, role_id: role.id },
+    defaults: { assigned_by: actor.id },
+  });
+  if (!created) {
+    throw httpError(409, 'The user already has this role');
+  }
+  return role;
+}
+
+/**
+ * Take a custom role away from a user
+ * @param {Object} user - User instance
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object>} The role
+ */
+async function unassignRole(user, roleId) {
+  const role = await findRole(roleId);
+  const removed = await UserRole.destroy({ where: { user_id: user.id, role_id: role.id } });
+  if (!removed) {
+    throw httpError(404, 'The user does not have this role');
+  }
+  return role;
+}
+
+module.exports = {
+  seedRolesAndPermissions,
+  getUserPermissions,
+  listPermissions,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserRoles,
+  assignRole,
+  unassignRole,
+};
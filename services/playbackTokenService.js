@@ -0,0 +1,67 @@
+// ============================================================================
+// SERVICES/PLAYBACK_TOKEN_SERVICE.JS - Signed, Expiring HLS Playback Tokens
+// ============================================================================
+
+const crypto = require('crypto');
+
+// Separate secret so a playback token can never be confused with an access token
+const PLAYBACK_TOKEN_SECRET = process.env.VIDEO_TOKEN_SECRET || process.env.JWT_SECRET + '_video_playback';
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+const sign = encodedPayload => crypto
+  .createHmac('sha256', PLAYBACK_TOKEN_SECRET)
+  .update(encodedPayload)
+  .digest('base64url');
+
+/**
+ * Sign a token granting playback of one lesson's HLS keys and segments until it expires.
+ * Checking it needs no database query, which keeps per-segment requests cheap.
+ * @param {Object} params - { lessonId, userId, expiresInSeconds }
+ * @returns {string} Token for the ?token= query parameter
+ */
+function signPlaybackToken({ lessonId, userId = null, expiresInSeconds }) {
+  const payload = base64url(JSON.stringify({
+    l: lessonId,
+    u: userId,
+    e: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  }));
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a playback token for a lesson
+ * @param {string} token - Token from the query string
+ * @param {string} lessonId - Lesson the request is for
+ * @returns {Object|null} { lessonId, userId, expiresAt } or null if invalid, expired or for another lesson
+ */
+function verifyPlaybackToken(token, lessonId) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (claims.l !== lessonId || !Number.isFinite(claims.e) || claims.e * 1000 <= Date.now()) {
+    return null;
+  }
+
+  return { lessonId: claims.l, userId: claims.u, expiresAt: new Date(claims.e * 1000) };
+}
+
+module.exports = {
+  signPlaybackToken,
+  verifyPlaybackToken,
+};
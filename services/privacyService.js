@@ -0,0 +1,537 @@
+// ============================================================================
+// SERVICES/PRIVACY_SERVICE.JS - Personal Data Export & Account Deletion
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  User,
+  Session,
+  UserIdentity,
+  UserRole,
+  Enrollment,
+  BundleEnrollment,
+  Progress,
+  Course,
+  Lesson,
+  Quiz,
+  QuizAttempt,
+  Review,
+  Transaction,
+  Invoice,
+  Certificate,
+  Notification,
+  Subscription,
+  OrganizationMember,
+  InstructorApplication,
+  DataExport,
+  AuditLog,
+} = require('../models');
+const { addDataExportJob } = require('./queueService');
+const { sendEmail } = require('./emailService');
+const { logAction } = require('./auditService');
+const { invalidateUserTokens } = require('./sessionService');
+const { verifyUserCode } = require('./twoFactorService');
+const { getApplicationFilePath } = require('./videoService');
+const { comparePassword, generateToken } = require('../utils/helpers');
+const { createZip } = require('../utils/zip');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// Archives live outside the public upload directory and are only served to their owner
+const EXPORT_DIR = path.join(process.cwd(), 'private/exports');
+const EXPORT_RETENTION_DAYS = 7;
+const EXPORT_COOLDOWN_HOURS = 24;
+// Personal values audit entries capture (OAuth emails, sign-in devices and countries)
+const PERSONAL_AUDIT_FIELDS = ['email', 'device', 'country'];
+// Profile changes to the account itself also record its name and bio
+const PROFILE_AUDIT_FIELDS = [...PERSONAL_AUDIT_FIELDS, 'name', 'bio'];
+
+// Credentials and internal state that never leave the server, not even to the account owner
+const USER_SECRET_FIELDS = [
+  'password_hash',
+  'email_verification_token',
+  'email_verification_expires',
+  'password_reset_token',
+  'password_reset_expires',
+  'two_factor_secret',
+  'two_factor_recovery_codes',
+  'two_factor_last_step',
+  'token_version',
+];
+
+/**
+ * Delete a file if it exists, logging instead of failing
+ */
+function removeFile(filePath) {
+  if (!filePath) return;
+  fs.unlink(filePath, (error) => {
+    if (error && error.code !== 'ENOENT') {
+      logger.warn(`Could not remove file ${filePath}: ${error.message}`);
+    }
+  });
+}
+
+function getExportFilePath(fileName) {
+  return path.join(EXPORT_DIR, path.basename(fileName));
+}
+
+/**
+ * Local PDF behind a certificate URL such as /uploads/certificates/<id>.pdf
+ */
+function getCertificateFilePath(certificateUrl) {
+  if (!certificateUrl || !certificateUrl.startsWith('/uploads/certificates/')) return null;
+  return path.join(process.cwd(), 'public/uploads/certificates', path.basename(certificateUrl));
+}
+
+/**
+ * Receipt screenshot behind a URL such as /uploads/receipts/<file>
+ */
+function getReceiptFilePath(receiptUrl) {
+  if (!receiptUrl || !receiptUrl.startsWith('/uploads/receipts/')) return null;
+  return path.join(process.cwd(), 'public/uploads/receipts', path.basename(receiptUrl));
+}
+
+/**
+ * Strip the sender's name or phone number and the receipt screenshot from a manual payment
+ * record, keeping amounts and statuses. Receipt files are added to `files` for removal after commit.
+ * @param {Object} record - Transaction or Enrollment instance
+ * @param {string} referenceField - Column holding the payment reference, which manual payments set to the sender info
+ * @param {string[]} files - Paths to remove once the deletion is committed
+ * @param {Object} t - Sequelize transaction
+ */
+async function scrubPaymentDetails(record, referenceField, files, t) {
+  const { senderInfo, senderReference, receiptUrl, ...metadata } = record.metadata || {};
+  const isManual = (record.payment_provider || metadata.provider) === 'manual';
+  if (!isManual && senderInfo === undefined && senderReference === undefined && receiptUrl === undefined) return;
+
+  files.push(getReceiptFilePath(receiptUrl));
+
+  await record.update({ metadata, [referenceField]: null }, { transaction: t });
+}
+
+/**
+ * Replace personal values in an audit log payload, keeping the keys so the entry stays readable
+ * @param {Object|null} values - old_values or new_values
+ * @param {string[]} fields - Keys to redact
+ * @returns {Object|null} Redacted copy
+ */
+function redactAuditValues(values, fields) {
+  if (!values || typeof values !== 'object') return values;
+  const redacted = { ...values };
+  fields.forEach((field) => {
+    if (redacted[field] !== undefined && redacted[field] !== null) redacted[field] = '[redacted]';
+  });
+  return redacted;
+}
+
+/**
+ * Request a new export of the user's personal data; the archive is built in the background
+ * @param {Object} user - Requesting user
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} DataExport record
+ */
+async function requestExport(user, req) {
+  const inProgress = await DataExport.findOne({
+    where: { user_id: user.id, status: { [Op.in]: ['pending', 'processing'] } },
+  });
+  if (inProgress) {
+    throw httpError(409, 'An export is already being prepared');
+  }
+
+  const recent = await DataExport.findOne({
+    where: {
+      user_id: user.id,
+      status: 'completed',
+      created_at: { [Op.gt]: new Date(Date.now() - EXPORT_COOLDOWN_HOURS * 60 * 60 * 1000) },
+    },
+  });
+  if (recent) {
+    throw httpError(429, `You can request one export every ${EXPORT_COOLDOWN_HOURS} hours`);
+  }
+
+  const dataExport = await DataExport.create({ user_id: user.id });
+
+  try {
+    await addDataExportJob(dataExport.id);
+  } catch (error) {
+    await dataExport.update({ status: 'failed', error: 'Could not queue the export job' });
+    throw httpError(503, 'Data exports are temporarily unavailable, please try again later');
+  }
+
+  await logAction({
+    userId: user.id,
+    action: 'DATA_EXPORT_REQUESTED',
+    entityType: 'DataExport',
+    entityId: dataExport.id,
+    req,
+  });
+
+  return dataExport;
+}
+
+/**
+ * Everything stored about a user, one JSON document per area
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { 'file.json': data }
+ */
+async function collectUserData(userId) {
+  const profile = await User.findByPk(userId, { attributes: { exclude: USER_SECRET_FIELDS } });
+
+  const [identities, sessions, enrollments, quizAttempts, reviews, transactions, invoices, certificates, notifications] = await Promise.all([
+    UserIdentity.findAll({ where: { user_id: userId }, attributes: ['provider', 'email', 'created_at'] }),
+    Session.findAll({
+      where: { user_id: userId },
+      attributes: ['ip_address', 'country', 'device', 'user_agent', 'created_at', 'last_used_at', 'revoked_at'],
+      order: [['created_at', 'DESC']],
+    }),
+    Enrollment.findAll({
+      where: { user_id: userId },
+      include: [{ model: Course, as: 'course', attributes: ['id', 'title'] }],
+      order: [['created_at', 'ASC']],
+    }),
+    QuizAttempt.findAll({
+      where: { user_id: userId },
+      include: [{ model: Quiz, as: 'quiz', attributes: ['id', 'lesson_id'] }],
+      order: [['created_at', 'ASC']],
+    }),
+    Review.findAll({
+      where: { user_id: userId },
+      include: [{ model: Course, as: 'course', attributes: ['id', 'title'] }],
+    }),
+    Transaction.findAll({ where: { user_id: userId }, order: [['created_at', 'ASC']] }),
+    Invoice.findAll({ where: { user_id: userId }, order: [['created_at', 'ASC']] }),
+    Certificate.findAll({
+      where: { user_id: userId },
+      include: [{ model: Course, as: 'course', attributes: ['id', 'title'] }],
+    }),
+    Notification.findAll({ where: { user_id: userId }, order: [['created_at', 'ASC']] }),
+  ]);
+
+  const progress = await Progress.findAll({
+    where: { enrollment_id: enrollments.map(enrollment => enrollment.id) },
+    include: [{ model: Lesson, as: 'lesson', attributes: ['id', 'title'] }],
+  });
+
+  return {
+    'profile.json': { user: profile, identities, sessions },
+    'enrollments.json': enrollments,
+    'progress.json': progress,
+    'quiz-attempts.json': quizAttempts,
+    'reviews.json': reviews,
+    'transactions.json': { transactions, invoices },
+    'certificates.json': certificates,
+    'notifications.json': notifications,
+  };
+}
+
+/**
+ * Build the ZIP archive for an export (run by the data export worker)
+ * @param {string} exportId - DataExport ID
+ * @returns {Promise<Object|null>} Updated DataExport record
+ */
+async function buildExport(exportId) {
+  const dataExport = await DataExport.findByPk(exportId, {
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email', 'deleted_at'] }],
+  });
+  if (!dataExport || dataExport.status === 'completed') {
+    return dataExport;
+  }
+  if (!dataExport.user || dataExport.user.deleted_at) {
+    await dataExport.update({ status: 'failed', error: 'Account no longer exists' });
+    return dataExport;
+  }
+
+  await dataExport.update({ status: 'processing', error: null });
+
+  try {
+    const generatedAt = new Date();
+    const documents = await collectUserData(dataExport.user_id);
+
+    const entries = Object.entries(documents).map(([name, data]) => ({
+      name,
+      data: JSON.stringify(data, null, 2),
+    }));
+    entries.unshift({
+      name: 'README.txt',
+      data: `Personal data export for ${dataExport.user.email}\nGenerated: ${generatedAt.toISOString()}\n\n`
+        + 'Each JSON file holds one area of your account. Amounts are in the currency recorded on each transaction.\n',
+    });
+
+    const archive = createZip(entries, generatedAt);
+    const fileName = `export-${dataExport.id}-${generateToken(8)}.zip`;
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.promises.writeFile(getExportFilePath(fileName), archive);
+
+    // Only the newest archive is kept per user
+    const previous = await DataExport.findAll({
+      where: { user_id: dataExport.user_id, id: { [Op.ne]: dataExport.id }, file_name: { [Op.ne]: null } },
+    });
+    for (const old of previous) {
+      removeFile(getExportFilePath(old.file_name));
+      await old.update({ file_name: null, expires_at: old.expires_at || generatedAt });
+    }
+
+    await dataExport.update({
+      status: 'completed',
+      file_name: fileName,
+      file_size: archive.length,
+      completed_at: generatedAt,
+      expires_at: new Date(generatedAt.getTime() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    logger.error(`Data export ${exportId} failed:`, error);
+    await dataExport.update({ status: 'failed', error: error.message });
+    throw error;
+  }
+
+  try {
+    await sendEmail({
+      to: dataExport.user.email,
+      subject: 'Your data export is ready',
+      template: 'data-export-ready',
+      data: {
+        name: dataExport.user.name,
+        expiresAt: dataExport.expires_at.toDateString(),
+        downloadUrl: `${process.env.FRONTEND_URL}/settings/privacy`,
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to send data export email:', error);
+  }
+
+  logger.info(`Data export ${exportId} completed (${dataExport.file_size} bytes)`);
+  return dataExport;
+}
+
+/**
+ * A user's export requests, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} DataExport records
+ */
+async function listExports(userId) {
+  return DataExport.findAll({
+    where: { user_id: userId },
+    attributes: ['id', 'status', 'file_size', 'completed_at', 'expires_at', 'created_at'],
+    order: [['created_at', 'DESC']],
+    limit: 10,
+  });
+}
+
+/**
+ * Path of a completed, unexpired export archive owned by the user
+ * @param {string} userId - User ID
+ * @param {string} exportId - DataExport ID
+ * @returns {Promise<Object>} { filePath, downloadName }
+ */
+async function getExportFile(userId, exportId) {
+  const dataExport = await DataExport.findOne({ where: { id: exportId, user_id: userId } });
+  if (!dataExport) {
+    throw httpError(404, 'Export not found');
+  }
+  if (dataExport.status !== 'completed') {
+    throw httpError(400, 'This export is not ready yet');
+  }
+  if (!dataExport.file_name || dataExport.expires_at < new Date()) {
+    throw httpError(410, 'This export has expired, please request a new one');
+  }
+
+  const filePath = getExportFilePath(dataExport.file_name);
+  if (!fs.existsSync(filePath)) {
+    throw httpError(410, 'This export has expired, please request a new one');
+  }
+
+  const date = dataExport.completed_at.toISOString().slice(0, 10);
+  return { filePath, downloadName: `itslab-data-${date}.zip` };
+}
+
+/**
+ * Delete an account. The users row is kept but anonymized: enrollments, transactions,
+ * invoices and earnings reference it with ON DELETE RESTRICT and must stay for accounting.
+ * @param {string} userId - Account to delete
+ * @param {Object} options - { actor, req, reason }; actor is the admin when not self-service
+ * @returns {Promise<Object>} Anonymized user
+ */
+async function anonymizeUser(userId, { actor, req, reason } = {}) {
+  const files = [];
+
+  const user = await sequelize.transaction(async (t) => {
+    const account = await User.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!account || account.deleted_at) {
+      throw httpError(404, 'User not found');
+    }
+    if (account.role === 'admin') {
+      throw httpError(400, 'Admin accounts cannot be deleted');
+    }
+    const courseCount = await Course.count({ where: { instructor_id: account.id }, transaction: t });
+    if (courseCount > 0) {
+      throw httpError(400, 'Instructors with courses cannot be deleted; transfer or remove the courses first');
+    }
+
+    const anonymizedEmail = `deleted-${account.id}@deleted.invalid`;
+
+    const applications = await InstructorApplication.findAll({ where: { user_id: account.id }, transaction: t });
+    applications.forEach((application) => {
+      files.push(getApplicationFilePath(application.sample_video_file), getApplicationFilePath(application.id_document_file));
+    });
+    const dataExports = await DataExport.findAll({ where: { user_id: account.id }, transaction: t });
+    dataExports.forEach((dataExport) => {
+      if (dataExport.file_name) files.push(getExportFilePath(dataExport.file_name));
+    });
+    // Certificate PDFs print the learner's name
+    const certificates = await Certificate.findAll({ where: { user_id: account.id }, transaction: t });
+    const bundleEnrollments = await BundleEnrollment.findAll({ where: { user_id: account.id }, transaction: t });
+    [...certificates, ...bundleEnrollments].forEach((record) => files.push(getCertificateFilePath(record.certificate_url)));
+
+    await InstructorApplication.destroy({ where: { user_id: account.id }, transaction: t });
+    await DataExport.destroy({ where: { user_id: account.id }, transaction: t });
+    await UserIdentity.destroy({ where: { user_id: account.id }, transaction: t });
+    await UserRole.destroy({ where: { user_id: account.id }, transaction: t });
+    await Notification.destroy({ where: { user_id: account.id }, transaction: t });
+    await Certificate.destroy({ where: { user_id: account.id }, transaction: t });
+    await Enrollment.update(
+      { certificate_url: null, certificate_id: null },
+      { where: { user_id: account.id }, transaction: t }
+    );
+    await BundleEnrollment.update(
+      { certificate_url: null, certificate_id: null },
+      { where: { user_id: account.id }, transaction: t }
+    );
+    const transactions = await Transaction.findAll({ where: { user_id: account.id }, transaction: t });
+    for (const record of transactions) {
+      await scrubPaymentDetails(record, 'provider_transaction_id', files, t);
+    }
+    const enrollments = await Enrollment.findAll({ where: { user_id: account.id }, transaction: t });
+    for (const record of enrollments) {
+      await scrubPaymentDetails(record, 'payment_transaction_id', files, t);
+    }
+    await Session.update(
+      { ip_address: null, user_agent: null, device: null, country: null },
+      { where: { user_id: account.id }, transaction: t }
+    );
+    await OrganizationMember.update(
+      { status: 'removed', email: anonymizedEmail, invite_token: null },
+      { where: { user_id: account.id }, transaction: t }
+    );
+    // Paid time is forfeited; cancelling stops renewal reminders to the dead address
+    await Subscription.update(
+      { status: 'cancelled', cancelled_at: new Date() },
+      { where: { user_id: account.id, status: { [Op.in]: ['pending', 'active'] } }, transaction: t }
+    );
+
+    // Audit rows stay for accountability but lose the addresses, devices and locations they captured
+    const auditLogs = await AuditLog.findAll({
+      where: { [Op.or]: [{ user_id: account.id }, { entity_type: 'User', entity_id: account.id }] },
+      transaction: t,
+    });
+    for (const entry of auditLogs) {
+      const fields = entry.entity_type === 'User' && entry.entity_id === account.id ? PROFILE_AUDIT_FIELDS : PERSONAL_AUDIT_FIELDS;
+      const changes = {
+        old_values: redactAuditValues(entry.old_values, fields),
+        new_values: redactAuditValues(entry.new_values, fields),
+      };
+      if (entry.user_id === account.id) {
+        changes.ip_address = null;
+        changes.user_agent = null;
+      }
+      await entry.update(changes, { transaction: t });
+    }
+
+    await account.update({
+      email: anonymizedEmail,
+      name: 'Deleted User',
+      password_hash: generateToken(32),
+      has_password: false,
+      profile_picture: null,
+      bio: null,
+      preferred_currency: null,
+      payout_details: null,
+      is_active: false,
+      email_verified: false,
+      email_verification_token: null,
+      email_verification_expires: null,
+      password_reset_token: null,
+      password_reset_expires: null,
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_recovery_codes: [],
+      two_factor_last_step: null,
+      two_factor_enabled_at: null,
+      last_login: null,
+      deleted_at: new Date(),
+    }, { transaction: t });
+
+    await logAction({
+      userId: actor ? actor.id : account.id,
+      action: 'ACCOUNT_DELETED',
+      entityType: 'User',
+      entityId: account.id,
+      newValues: { deletedBy: actor ? 'admin' : 'self', reason: reason || null },
+      // Only an admin's own address is worth keeping; the leaving user's was just scrubbed
+      req: actor ? req : undefined,
+      transaction: t,
+    });
+
+    return account;
+  });
+
+  files.forEach(removeFile);
+  await invalidateUserTokens(user, 'account_deleted');
+
+  logger.info(`Account ${user.id} deleted and anonymized${actor ? ` by ${actor.id}` : ''}`);
+  return user;
+}
+
+/**
+ * Self-service account deletion after re-confirming identity
+ * @param {Object} user - Authenticated user
+ * @param {Object} body - { password, confirm, code, recoveryCode }
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Anonymized user
+ */
+async function deleteOwnAccount(user, body, req) {
+  const account = await User.findByPk(user.id);
+
+  if (account.has_password) {
+    if (!(await comparePassword(body.password || '', account.password_hash))) {
+      throw httpError(401, 'Password is incorrect');
+    }
+  } else if (body.confirm !== 'DELETE') {
+    // Social-login accounts have no password to re-enter
+    throw httpError(400, 'Type DELETE to confirm');
+  }
+
+  if (account.two_factor_enabled && !(await verifyUserCode(account, { code: body.code, recoveryCode: body.recoveryCode }))) {
+    throw httpError(401, 'Invalid verification code');
+  }
+
+  const email = account.email;
+  const name = account.name;
+  const deleted = await anonymizeUser(account.id, { req, reason: body.reason });
+
+  try {
+    await sendEmail({
+      to: email,
+      subject: 'Your account has been deleted',
+      template: 'account-deleted',
+      data: { name },
+    });
+  } catch (error) {
+    logger.error('Failed to send account deletion email:', error);
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  requestExport,
+  collectUserData,
+  buildExport,
+  listExports,
+  getExportFile,
+  anonymizeUser,
+  deleteOwnAccount,
+};
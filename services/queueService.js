@@ -65,8 +65,69 @@ const addVideoJob = async (lessonId, inputPath) => {
     }
 };
 
+// Maintenance queue for periodic subscription expiry
+const subscriptionQueue = new Queue('subscription-maintenance', {
+    connection: redisConnection,
+    defaultJobOptions: {
+        removeOnComplete: true,
+        removeOnFail: 50,
+    },
+});
+
+/**
+ * Schedule the hourly job that expires lapsed subscriptions.
+ * Uses a fixed job ID so restarts don't stack duplicate schedules.
+ * @returns {Promise}
+ */
+const scheduleSubscriptionExpiry = async () => {
+    try {
+        await subscriptionQueue.add('expire-lapsed', {}, {
+            repeat: { pattern: '0 * * * *' },
+            jobId: 'expire-lapsed-subscriptions',
+        });
+        logger.info('Subscription expiry job scheduled (hourly)');
+    } catch (error) {
+        logger.error('Failed to schedule subscription expiry job:', error);
+        throw error;
+    }
+};
+
+// Personal data export archives (GDPR requests)
+const dataExportQueue = new Queue('data-export', {
+    connection: redisConnection,
+    defaultJobOptions: {
+        attempts: 2,
+        backoff: {
+            type: 'exponential',
+            delay: 5000,
+        },
+        removeOnComplete: true,
+        removeOnFail: 50,
+    },
+});
+
+/**
+ * Queue the build of a personal data export archive
+ * @param {string} exportId - ID of the DataExport record
+ * @returns {Promise}
+ */
+const addDataExportJob = async (exportId) => {
+    try {
+        const job = await dataExportQueue.add('build-export', { exportId });
+        logger.info(`Data export job added: ${job.id} for export ${exportId}`);
+        return job;
+    } catch (error) {
+        logger.error('Failed to add data export job to queue:', error);
+        throw error;
+    }
+};
+
 module.exports = {
     videoQueue,
     addVideoJob,
+    subscriptionQueue,
+    scheduleSubscriptionExpiry,
+    dataExportQueue,
+    addDataExportJob,
     redisConnection,
 };
@@ -0,0 +1,205 @@
+// ============================================================================
+// SERVICES/RECEIPT_SERVICE.JS - Manual Receipt Fingerprinting & Duplicate Checks
+// ============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Op } = require('sequelize');
+const { Transaction, Enrollment } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * SHA-256 of an uploaded receipt file, so the same screenshot is recognised
+ * whatever it was renamed to
+ * @param {string} filePath - Path of the stored upload
+ * @returns {Promise<string>} Hex digest
+ */
+function hashReceiptFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Reduce free-text sender info to a comparable reference.
+ * Phone numbers lose spaces and punctuation and the Egyptian country code (+20 / 0020).
+ * @param {string} senderInfo - Sender number or InstaPay address as typed by the student
+ * @returns {string|null} Normalized reference
+ */
+function normalizeSenderReference(senderInfo) {
+  if (!senderInfo) return null;
+
+  const compact = String(senderInfo).trim().toLowerCase().replace(/[\s\-().]/g, '');
+  if (/^(\+|00)?\d+$/.test(compact)) {
+    return compact.replace(/^(\+20|0020)/, '0').replace(/^\+/, '');
+  }
+  return compact || null;
+}
+
+/**
+ * Find earlier manual payments that reuse this receipt, or this sender from another account
+ * @param {Object} params
+ * @param {string} params.userId - Student submitting the payment
+ * @param {string} [params.receiptHash] - Hash of the uploaded receipt
+ * @param {string} [params.senderReference] - Normalized sender reference
+ * @returns {Promise<Object>} { byReceipt, bySender } arrays of Transactions
+ */
+async function findReceiptMatches({ userId, receiptHash, senderReference }) {
+  const [byReceipt, bySender] = await Promise.all([
+    receiptHash
+      ? Transaction.findAll({ where: { metadata: { receiptHash } } })
+      : [],
+    senderReference
+      ? Transaction.findAll({ where: { metadata: { senderReference }, user_id: { [Op.ne]: userId } } })
+      : [],
+  ]);
+
+  return { byReceipt, bySender };
+}
+
+/**
+ * Turn matches into the flags shown in the pending queue
+ * @param {Object} matches - Result of findReceiptMatches
+ * @returns {Object[]} Flags { type, reason, transactionIds, detectedAt }
+ */
+function buildReceiptFlags({ byReceipt, bySender }) {
+  const flags = [];
+  const detectedAt = new Date();
+
+  if (byReceipt.length > 0) {
+    flags.push({
+      type: 'duplicate_receipt',
+      reason: `The same receipt image was already submitted with ${byReceipt.length} other payment(s)`,
+      transactionIds: byReceipt.map(transaction => transaction.id),
+      detectedAt,
+    });
+  }
+
+  if (bySender.length > 0) {
+    const accounts = new Set(bySender.map(transaction => transaction.user_id)).size;
+    flags.push({
+      type: 'shared_sender',
+      reason: `The sender reference was also used by ${accounts} other account(s)`,
+      transactionIds: bySender.map(transaction => transaction.id),
+      detectedAt,
+    });
+  }
+
+  return flags;
+}
+
+/**
+ * Add flags to a metadata object without duplicating ones of the same type
+ */
+function mergeFlags(metadata, flags) {
+  const existing = (metadata && metadata.receiptFlags) || [];
+  const types = new Set(existing.map(flag => flag.type));
+  const receiptFlags = [...existing, ...flags.filter(flag => !types.has(flag.type))];
+  return { ...metadata, flagged: receiptFlags.length > 0, receiptFlags };
+}
+
+/**
+ * Work out the flags to add to the earlier payments a new submission matched while they are
+ * still awaiting review, so both sides of a duplicate show up in the queue
+ * @param {Object} matches - Result of findReceiptMatches
+ * @param {Object[]} flags - Flags raised on the new submission
+ * @returns {Object[]} Updates { transactionId, flags }, in transaction ID order
+ */
+function buildCounterpartFlags(matches, flags) {
+  const byTransaction = new Map();
+
+  for (const flag of flags) {
+    const matched = flag.type === 'duplicate_receipt' ? matches.byReceipt : matches.bySender;
+
+    for (const transaction of matched.filter(item => item.status === 'pending')) {
+      const counterpartFlag = {
+        type: flag.type,
+        reason: flag.type === 'duplicate_receipt'
+          ? 'The same receipt image was submitted again with another payment'
+          : 'The sender reference was later used by another account',
+        detectedAt: flag.detectedAt,
+      };
+      const pending = byTransaction.get(transaction.id) || [];
+      byTransaction.set(transaction.id, [...pending, counterpartFlag]);
+    }
+  }
+
+  // A fixed order keeps concurrent submissions from locking the same rows in opposite orders
+  return [...byTransaction.keys()].sort().map(transactionId => ({
+    transactionId,
+    flags: byTransaction.get(transactionId),
+  }));
+}
+
+/**
+ * Apply counterpart flags inside the transaction that records the new submission.
+ * Rows are locked and re-checked, so a payment reviewed in the meantime is left alone.
+ * @param {Object[]} updates - Result of buildCounterpartFlags
+ * @param {Object} dbTransaction - Sequelize transaction of the new submission
+ */
+async function flagMatchedPayments(updates, dbTransaction) {
+  for (const { transactionId, flags } of updates) {
+    const transaction = await Transaction.findByPk(transactionId, {
+      transaction: dbTransaction,
+      lock: dbTransaction.LOCK.UPDATE,
+    });
+    if (!transaction || transaction.status !== 'pending') continue;
+
+    await transaction.update({ metadata: mergeFlags(transaction.metadata, flags) }, { transaction: dbTransaction });
+
+    const enrollmentIds = transaction.metadata.enrollmentIds || [transaction.metadata.enrollmentId].filter(Boolean);
+    const enrollments = await Enrollment.findAll({
+      where: { id: enrollmentIds, payment_status: 'pending' },
+      transaction: dbTransaction,
+      lock: dbTransaction.LOCK.UPDATE,
+    });
+    for (const enrollment of enrollments) {
+      await enrollment.update({ metadata: mergeFlags(enrollment.metadata, flags) }, { transaction: dbTransaction });
+    }
+  }
+}
+
+/**
+ * Fingerprint a manual payment submission and check it for reuse
+ * @param {Object} params
+ * @param {Object} params.user - Student submitting the payment
+ * @param {Object} params.file - Multer file of the receipt
+ * @param {string} params.senderInfo - Sender info as typed
+ * @returns {Promise<Object>} { metadata, counterpartFlags }: metadata to store on the submission
+ * ({ receiptHash, senderReference, flagged, receiptFlags }) and the flags for flagMatchedPayments
+ */
+async function inspectReceipt({ user, file, senderInfo }) {
+  const receiptHash = file.path ? await hashReceiptFile(file.path) : null;
+  const senderReference = normalizeSenderReference(senderInfo);
+
+  const matches = await findReceiptMatches({ userId: user.id, receiptHash, senderReference });
+  const receiptFlags = buildReceiptFlags(matches);
+
+  if (receiptFlags.length > 0) {
+    logger.warn(`Suspicious manual payment from user ${user.id}: ${receiptFlags.map(flag => flag.type).join(', ')}`);
+  }
+
+  return {
+    metadata: {
+      receiptHash,
+      senderReference,
+      flagged: receiptFlags.length > 0,
+      receiptFlags,
+    },
+    counterpartFlags: buildCounterpartFlags(matches, receiptFlags),
+  };
+}
+
+module.exports = {
+  hashReceiptFile,
+  normalizeSenderReference,
+  findReceiptMatches,
+  buildReceiptFlags,
+  buildCounterpartFlags,
+  flagMatchedPayments,
+  inspectReceipt,
+};
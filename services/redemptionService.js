@@ -0,0 +1,254 @@
+// ============================================================================
+// SERVICES/REDEMPTION_SERVICE.JS - Gift Purchases & Redeemable Enrollment Codes
+// ============================================================================
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { RedemptionCode, Enrollment, Transaction, Course, User } = require('../models');
+const { sendEmail } = require('./emailService');
+const { logAction } = require('./auditService');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// No 0/O or 1/I, so codes survive being read out or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+/**
+ * Generate a random code such as 7KQD-M2XP-HT9A
+ * @returns {string} Code
+ */
+function generateCode() {
+  const groups = [];
+  for (let group = 0; group < CODE_GROUPS; group++) {
+    let chars = '';
+    for (let i = 0; i < CODE_GROUP_LENGTH; i++) {
+      chars += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(chars);
+  }
+  return groups.join('-');
+}
+
+/**
+ * Normalize a code as typed by the redeemer (case, spaces and dashes don't matter)
+ * @param {string} code - Raw code
+ * @returns {string} Code in stored form
+ */
+function normalizeCode(code) {
+  const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return compact.match(new RegExp(`.{1,${CODE_GROUP_LENGTH}}`, 'g'))?.join('-') || '';
+}
+
+/**
+ * Create the codes for a gift or batch purchase; they stay pending until the payment completes
+ * @param {Object} params
+ * @param {string} params.courseId - Course the codes enroll into
+ * @param {string} params.transactionId - Transaction paying for them
+ * @param {string} params.purchaserId - Buyer
+ * @param {string} params.kind - 'gift' or 'batch'
+ * @param {number} params.quantity - Number of codes
+ * @param {string} [params.recipientEmail] - Gift recipient
+ * @param {string} [params.message] - Personal message for the gift email
+ * @param {Object} [params.dbTransaction] - Sequelize transaction
+ * @returns {Promise<Object[]>} Created codes
+ */
+async function createCodes({ courseId, transactionId, purchaserId, kind, quantity, recipientEmail, message, dbTransaction }) {
+  const codes = new Set();
+  while (codes.size < quantity) {
+    codes.add(generateCode());
+  }
+
+  return await RedemptionCode.bulkCreate([...codes].map(code => ({
+    code,
+    course_id: courseId,
+    transaction_id: transactionId,
+    purchaser_id: purchaserId,
+    kind,
+    recipient_email: recipientEmail || null,
+    message: message || null,
+    status: 'pending',
+  })), { transaction: dbTransaction });
+}
+
+/**
+ * Apply a settled payment to the codes it paid for. Completed payments make them redeemable;
+ * failed or refunded ones revoke every code that has not been used yet (redeemed seats are kept).
+ * @param {Object} transaction - The settled transaction
+ * @param {string} status - Transaction status: 'completed', 'failed' or 'refunded'
+ * @param {Object} [dbTransaction] - Sequelize transaction to run the update in
+ * @returns {Promise<number>} Number of codes changed
+ */
+async function applyCodePayment(transaction, status, dbTransaction) {
+  const [from, to] = status === 'completed'
+    ? [['pending'], 'active']
+    : [['pending', 'active'], 'revoked'];
+
+  const [count] = await RedemptionCode.update(
+    { status: to },
+    { where: { transaction_id: transaction.id, status: from }, transaction: dbTransaction }
+  );
+  return count;
+}
+
+/**
+ * Email the codes of a completed gift or batch purchase (never throws).
+ * Gifts go to the recipient; the purchaser always gets a copy of what they bought.
+ * @param {Object} transaction - Completed transaction
+ */
+async function notifyCodePurchase(transaction) {
+  try {
+    const codes = await RedemptionCode.findAll({
+      where: { transaction_id: transaction.id, status: 'active' },
+      include: [
+        { model: Course, as: 'course', attributes: ['title', 'slug'] },
+        { model: User, as: 'purchaser', attributes: ['name', 'email'] },
+      ],
+      order: [['code', 'ASC']],
+    });
+    if (codes.length === 0) return;
+
+    const { course, purchaser } = codes[0];
+    const redeemUrl = `${process.env.FRONTEND_URL}/redeem`;
+
+    if (transaction.metadata?.codePurchase === 'gift') {
+      const gift = codes[0];
+      await sendEmail({
+        to: gift.recipient_email,
+        subject: `${purchaser.name} sent you a course on ITSLab`,
+        template: 'course-gift',
+        data: {
+          senderName: purchaser.name,
+          courseName: course.title,
+          message: gift.message,
+          code: gift.code,
+          redeemUrl: `${redeemUrl}?code=${encodeURIComponent(gift.code)}`,
+        },
+      });
+    }
+
+    await sendEmail({
+      to: purchaser.email,
+      subject: 'Your ITSLab Enrollment Codes',
+      template: 'redemption-codes',
+      data: {
+        name: purchaser.name,
+        courseName: course.title,
+        codes: codes.map(code => code.code),
+        recipientEmail: transaction.metadata?.codePurchase === 'gift' ? codes[0].recipient_email : null,
+        redeemUrl,
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to send codes for transaction ${transaction.id}:`, error);
+  }
+}
+
+/**
+ * Redeem a code: creates (or reactivates) a completed enrollment for the redeemer.
+ * The enrollment carries the per-seat share of the purchase in EGP and points back at
+ * the purchase transaction, so revenue still reconciles against it.
+ * @param {Object} user - Redeeming user
+ * @param {string} rawCode - Code as typed
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<Object>} { code, enrollment } (enrollment with user and course loaded)
+ */
+async function redeemCode(user, rawCode, req) {
+  const dbTransaction = await sequelize.transaction();
+  try {
+    const code = await RedemptionCode.findOne({
+      where: { code: normalizeCode(rawCode) },
+      lock: dbTransaction.LOCK.UPDATE,
+      transaction: dbTransaction,
+    });
+
+    if (!code) {
+      throw httpError(404, 'Invalid code');
+    }
+    if (code.status === 'redeemed') {
+      throw httpError(400, 'This code has already been used');
+    }
+    if (code.status !== 'active') {
+      throw httpError(400, 'This code is not valid anymore');
+    }
+
+    const existingEnrollment = await Enrollment.findOne({
+      where: { user_id: user.id, course_id: code.course_id },
+      transaction: dbTransaction,
+    });
+    if (existingEnrollment && existingEnrollment.payment_status === 'completed') {
+      throw httpError(400, 'You are already enrolled in this course');
+    }
+    if (existingEnrollment && existingEnrollment.payment_status === 'pending') {
+      throw httpError(400, 'You have a pending payment for this course; wait for it to be reviewed before redeeming a code');
+    }
+
+    const purchase = await Transaction.findByPk(code.transaction_id, { transaction: dbTransaction });
+    const quantity = purchase.metadata?.quantity || 1;
+    const seatPrice = Math.round(parseFloat(purchase.amount_egp ?? purchase.amount) / quantity * 100) / 100;
+
+    const now = new Date();
+    const attributes = {
+      user_id: user.id,
+      course_id: code.course_id,
+      bundle_id: null,
+      price_paid: seatPrice,
+      payment_status: 'completed',
+      payment_transaction_id: purchase.transaction_id || purchase.id,
+      payment_notes: null,
+      purchase_date: now,
+      metadata: {
+        paymentMethod: 'redemption_code',
+        redemptionCodeId: code.id,
+        purchaseTransactionId: purchase.id,
+        purchasedBy: code.purchaser_id,
+        activatedAt: now,
+      },
+    };
+
+    const enrollment = existingEnrollment
+      ? await existingEnrollment.update(attributes, { transaction: dbTransaction })
+      : await Enrollment.create(attributes, { transaction: dbTransaction });
+
+    await code.update({
+      status: 'redeemed',
+      redeemed_by: user.id,
+      redeemed_at: now,
+      enrollment_id: enrollment.id,
+    }, { transaction: dbTransaction });
+
+    await logAction({
+      userId: user.id,
+      action: 'CODE_REDEEMED',
+      entityType: 'RedemptionCode',
+      entityId: code.id,
+      newValues: { courseId: code.course_id, enrollmentId: enrollment.id, transactionId: purchase.id },
+      req,
+      transaction: dbTransaction,
+    });
+
+    await dbTransaction.commit();
+    logger.info(`Code ${code.id} redeemed by user ${user.id} for course ${code.course_id}`);
+
+    const loaded = await Enrollment.findByPk(enrollment.id, {
+      include: [
+        { model: User, as: 'user' },
+        { model: Course, as: 'course' },
+      ],
+    });
+    return { code, enrollment: loaded };
+  } catch (error) {
+    if (!dbTransaction.finished) await dbTransaction.rollback();
+    throw error;
+  }
+}
+
+module.exports = {
+  generateCode,
+  normalizeCode,
+  createCodes,
+  applyCodePayment,
+  notifyCodePurchase,
+  redeemCode,
+};
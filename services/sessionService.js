@@ -0,0 +1,227 @@
+// ============================================================================
+// SERVICES/SESSION_SERVICE.JS - Device Sessions & Refresh Token Rotation
+// ============================================================================
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Session, User } = require('../models');
+const { generateRefreshToken, verifyToken } = require('../config/jwt');
+const { logAction } = require('./auditService');
+const { getRequestCountry } = require('../utils/helpers');
+const httpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+/**
+ * Hash a refresh token for storage and comparison
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a refresh token for a session. The random jti makes every rotated token distinct.
+ * @returns {Object} { refreshToken, expiresAt }
+ */
+function signRefreshToken(userId, sessionId) {
+  const refreshToken = generateRefreshToken({
+    id: userId,
+    sid: sessionId,
+    jti: crypto.randomBytes(16).toString('hex'),
+  });
+  const { exp } = verifyToken(refreshToken, true);
+  return { refreshToken, expiresAt: new Date(exp * 1000) };
+}
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Safari', /Safari\//],
+];
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Browser and OS family of a user agent, e.g. "Chrome on Windows".
+ * Versions are left out so browser updates do not look like a new device.
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device description
+ */
+function describeDevice(userAgent = '') {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !os) {
+    return 'Unknown device';
+  }
+  return `${browser ? browser[0] : 'Unknown browser'} on ${os ? os[0] : 'unknown OS'}`;
+}
+
+/**
+ * Client details recorded on the session
+ */
+function clientDetails(req) {
+  const userAgent = req.get('User-Agent') || 'unknown';
+  return {
+    user_agent: userAgent.slice(0, 500),
+    ip_address: req.ip || null,
+    device: describeDevice(userAgent),
+    country: getRequestCountry(req),
+  };
+}
+
+/**
+ * Start a session for a user who just logged in
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, expiresAt } = signRefreshToken(user.id, sessionId);
+
+  const session = await Session.create({
+    id: sessionId,
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    ...clientDetails(req),
+    last_used_at: new Date(),
+    expires_at: expiresAt,
+  });
+
+  return { session, refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new one. Presenting a token that has already been
+ * rotated means it was copied, so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, session, refreshToken }
+ */
+async function rotateSession(refreshToken, req) {
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken, true);
+  } catch (error) {
+    throw httpError(401, 'Invalid or expired refresh token');
+  }
+  if (!decoded.sid) {
+    throw httpError(401, 'Invalid or expired refresh token');
+  }
+
+  let reusedSession = null;
+  const result = await sequelize.transaction(async (t) => {
+    const session = await Session.findByPk(decoded.sid, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!session || session.user_id !== decoded.id || !session.isActive()) {
+      throw httpError(401, 'Session has ended. Please login again.');
+    }
+
+    if (session.refresh_token_hash !== hashToken(refreshToken)) {
+      await session.update({ revoked_at: new Date(), revoked_reason: 'token_reuse' }, { transaction: t });
+      reusedSession = session;
+      return null;
+    }
+
+    const user = await User.findByPk(session.user_id, { transaction: t });
+    if (!user || !user.is_active) {
+      throw httpError(401, 'Session has ended. Please login again.');
+    }
+
+    const rotated = signRefreshToken(user.id, session.id);
+    await session.update({
+      refresh_token_hash: hashToken(rotated.refreshToken),
+      ...clientDetails(req),
+      last_used_at: new Date(),
+      expires_at: rotated.expiresAt,
+    }, { transaction: t });
+
+    return { user, session, refreshToken: rotated.refreshToken };
+  });
+
+  if (reusedSession) {
+    logger.warn(`Refresh token reuse detected for user ${reusedSession.user_id}; session ${reusedSession.id} revoked`);
+    await logAction({
+      userId: reusedSession.user_id,
+      action: 'SESSION_TOKEN_REUSE',
+      entityType: 'Session',
+      entityId: reusedSession.id,
+      req,
+    });
+    throw httpError(401, 'Session has ended. Please login again.');
+  }
+
+  return result;
+}
+
+/**
+ * Revoke a single session
+ * @param {Object} session - Session instance
+ * @param {string} reason - Revocation reason (see Session.revoked_reason)
+ */
+async function revokeSession(session, reason) {
+  if (session.revoked_at) return session;
+  return session.update({ revoked_at: new Date(), revoked_reason: reason });
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} [options] - { exceptSessionId } keeps the caller's own session
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, reason, { exceptSessionId } = {}) {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [count] = await Session.update({ revoked_at: new Date(), revoked_reason: reason }, { where });
+  return count;
+}
+
+/**
+ * Invalidate every token already issued to a user: bumps the token version checked by the
+ * auth middleware and revokes their sessions so refresh tokens stop working too
+ * @param {Object} user - User instance
+ * @param {string} reason - Revocation reason recorded on the sessions
+ * @param {Object} [options] - { exceptSessionId } keeps one session (re-issue its access token)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function invalidateUserTokens(user, reason, { exceptSessionId } = {}) {
+  await user.increment('token_version');
+  await user.reload({ attributes: ['id', 'token_version'] });
+  return revokeUserSessions(user.id, reason, { exceptSessionId });
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions (without token hashes)
+ */
+async function getActiveSessions(userId) {
+  return Session.findAll({
+    where: { user_id: userId, revoked_at: null, expires_at: { [Op.gt]: new Date() } },
+    attributes: { exclude: ['refresh_token_hash'] },
+    order: [['last_used_at', 'DESC']],
+  });
+}
+
+module.exports = {
+  describeDevice,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  invalidateUserTokens,
+  getActiveSessions,
+};
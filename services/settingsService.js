@@ -0,0 +1,32 @@
+// ============================================================================
+// SERVICES/SETTINGS_SERVICE.JS - Typed Access to System Settings
+// ============================================================================
+
+const { SystemSetting } = require('../models');
+
+/**
+ * Read a system setting, falling back to a default when it is not set
+ * @param {string} key - Setting key
+ * @param {*} fallback - Value used when the setting does not exist
+ * @returns {Promise<*>} Setting value
+ */
+async function getSetting(key, fallback) {
+  const setting = await SystemSetting.findOne({ where: { key } });
+  return setting && setting.value !== null && setting.value !== undefined ? setting.value : fallback;
+}
+
+/**
+ * Read a numeric system setting (values saved from the admin UI may be strings)
+ * @param {string} key - Setting key
+ * @param {number} fallback - Value used when the setting is missing or not a number
+ * @returns {Promise<number>} Setting value
+ */
+async function getNumberSetting(key, fallback) {
+  const value = parseFloat(await getSetting(key, fallback));
+  return Number.isFinite(value) ? value : fallback;
+}
+
+module.exports = {
+  getSetting,
+  getNumberSetting,
+};
@@ -0,0 +1,116 @@
+// ============================================================================
+// SERVICES/STRIPE_SERVICE.JS - Stripe Checkout & Webhook Verification
+// ============================================================================
+
+const Stripe = require('stripe');
+
+let stripeClient = null;
+
+/**
+ * Get (and lazily create) the Stripe API client
+ * @returns {Object} Stripe client
+ */
+function getStripeClient() {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    const error = new Error('Stripe payments are not configured');
+    error.statusCode = 503;
+    throw error;
+  }
+
+  if (!stripeClient) {
+    stripeClient = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+}
+
+// Stripe counts these in thousandths, and the last digit must be 0
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+/**
+ * Convert a decimal price to the smallest currency unit (e.g. piasters)
+ * @param {number|string} amount - Decimal amount
+ * @param {string} [currency] - Currency code
+ * @returns {number} Integer amount in minor units
+ */
+function toMinorUnits(amount, currency = 'EGP') {
+  const cents = Math.round(parseFloat(amount) * 100);
+  return THREE_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? cents * 10 : cents;
+}
+
+/**
+ * Create a Stripe Checkout session for a single course
+ * @param {Object} params
+ * @param {Object} params.course - Course instance
+ * @param {Object} params.user - Purchasing user
+ * @param {string} params.transactionId - Our Transaction ID (stored in session metadata)
+ * @param {string} params.enrollmentId - Our Enrollment ID (stored in session metadata)
+ * @param {number} [params.amount] - Amount to charge after discounts (defaults to the course price)
+ * @param {string} [params.currency] - Currency of the amount (defaults to the course currency)
+ * @param {string} [params.returnPath] - Frontend path to return to (defaults to the course page)
+ * @returns {Promise<Object>} Stripe checkout session
+ */
+async function createCheckoutSession({
+  course,
+  user,
+  transactionId,
+  enrollmentId,
+  amount = course.price,
+  currency = course.currency || 'EGP',
+  returnPath = `/courses/${course.slug}`,
+}) {
+  const stripe = getStripeClient();
+  const frontendUrl = process.env.FRONTEND_URL;
+
+  return await stripe.checkout.sessions.create({
+    mode: 'payment',
+    customer_email: user.email,
+    client_reference_id: user.id,
+    line_items: [
+      {
+        quantity: 1,
+        price_data: {
+          currency: currency.toLowerCase(),
+          unit_amount: toMinorUnits(amount, currency),
+          product_data: {
+            name: course.title,
+            description: course.short_description || undefined,
+          },
+        },
+      },
+    ],
+    metadata: {
+      transactionId,
+      enrollmentId,
+      courseId: course.id,
+      userId: user.id,
+    },
+    payment_intent_data: {
+      metadata: { transactionId },
+    },
+    // Stripe's minimum; an abandoned session frees the pending enrollment when it expires
+    expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
+    success_url: `${frontendUrl}${returnPath}?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${frontendUrl}${returnPath}?checkout=cancelled`,
+  });
+}
+
+/**
+ * Verify a webhook signature and parse the event
+ * @param {Buffer|string} rawBody - Raw request body exactly as sent by Stripe
+ * @param {string} signature - Value of the Stripe-Signature header
+ * @returns {Object} Verified Stripe event
+ * @throws {Error} If the signature is missing or invalid
+ */
+function constructWebhookEvent(rawBody, signature) {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+  }
+  return Stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+}
+
+module.exports = {
+  getStripeClient,
+  createCheckoutSession,
+  constructWebhookEvent,
+  toMinorUnits,
+};
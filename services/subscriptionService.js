@@ -0,0 +1,189 @@
+// ============================================================================
+// SERVICES/SUBSCRIPTION_SERVICE.JS - Membership Periods, Access & Expiry
+// ============================================================================
+
+const { Op } = require('sequelize');
+const { Subscription, Plan, User, Notification } = require('../models');
+const { sendEmail } = require('./emailService');
+const { logAction } = require('./auditService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add one billing interval to a date
+ * @param {Date} date - Period start
+ * @param {string} interval - 'month' or 'year'
+ * @returns {Date} Period end
+ */
+function addInterval(date, interval) {
+  const end = new Date(date);
+  if (interval === 'year') {
+    end.setFullYear(end.getFullYear() + 1);
+  } else {
+    end.setMonth(end.getMonth() + 1);
+  }
+  return end;
+}
+
+/**
+ * Where clause matching subscriptions that currently grant access:
+ * active ones until their grace period ends, cancelled ones until the paid period ends
+ */
+function accessWhere(now = new Date()) {
+  return {
+    [Op.or]: [
+      { status: 'active', grace_ends_at: { [Op.gt]: now } },
+      { status: 'cancelled', expires_at: { [Op.gt]: now } },
+    ],
+  };
+}
+
+/**
+ * Find the subscription currently granting a user access, if any
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Subscription with plan
+ */
+async function getActiveSubscription(userId) {
+  return await Subscription.findOne({
+    where: { user_id: userId, ...accessWhere() },
+    include: [{ model: Plan, as: 'plan' }],
+    order: [['expires_at', 'DESC']],
+  });
+}
+
+/**
+ * Apply a settled payment to the subscription it pays for.
+ * Completed payments start or extend the period; refunds end access immediately.
+ * @param {string} subscriptionId - Subscription ID from the transaction metadata
+ * @param {string} status - Transaction status: 'completed', 'failed' or 'refunded'
+ * @param {Object} transaction - The settled transaction
+ * @param {Object} [dbTransaction] - Sequelize transaction to run the update in
+ * @returns {Promise<Object|null>} Updated subscription
+ */
+async function applySubscriptionPayment(subscriptionId, status, transaction, dbTransaction) {
+  const dbOptions = { transaction: dbTransaction };
+  const subscription = await Subscription.findByPk(subscriptionId, {
+    include: [{ model: Plan, as: 'plan' }],
+    ...dbOptions,
+  });
+  if (!subscription) {
+    logger.warn(`Transaction ${transaction.id} references missing subscription ${subscriptionId}`);
+    return null;
+  }
+
+  const now = new Date();
+
+  if (status === 'completed') {
+    // Renewals paid before the period ends extend it; otherwise a new period starts now
+    const stillRunning = subscription.expires_at && subscription.expires_at > now
+      && ['active', 'cancelled'].includes(subscription.status);
+    const periodStart = stillRunning ? subscription.expires_at : now;
+    const expiresAt = addInterval(periodStart, subscription.plan.interval);
+
+    await subscription.update({
+      status: 'active',
+      started_at: subscription.started_at && stillRunning ? subscription.started_at : now,
+      expires_at: expiresAt,
+      grace_ends_at: new Date(expiresAt.getTime() + subscription.plan.grace_period_days * DAY_MS),
+      cancelled_at: null,
+      transaction_id: transaction.id,
+    }, dbOptions);
+  } else if (status === 'failed') {
+    // A failed renewal leaves the running period alone
+    if (subscription.status === 'pending') {
+      await subscription.update({ status: 'failed' }, dbOptions);
+    }
+  } else if (status === 'refunded') {
+    await subscription.update({ status: 'expired', expires_at: now, grace_ends_at: now }, dbOptions);
+  }
+
+  return subscription;
+}
+
+/**
+ * Cancel a subscription; access continues until the paid period ends
+ * @param {Object} subscription - Subscription instance
+ * @returns {Promise<Object>} Updated subscription
+ */
+async function cancelSubscription(subscription) {
+  return await subscription.update({ status: 'cancelled', cancelled_at: new Date() });
+}
+
+/**
+ * Tell a user their membership has ended (in-app notification + email, never throws)
+ */
+async function notifyExpired(subscription) {
+  try {
+    await Notification.create({
+      user_id: subscription.user_id,
+      type: 'subscription_expired',
+      title: 'Your membership has ended',
+      message: `Your ${subscription.plan.name} membership has expired. Renew to keep access to all courses.`,
+      link: '/pricing',
+    });
+
+    await sendEmail({
+      to: subscription.user.email,
+      subject: 'Your ITSLab Membership Has Ended',
+      template: 'subscription-expired',
+      data: {
+        name: subscription.user.name,
+        planName: subscription.plan.name,
+        renewUrl: `${process.env.FRONTEND_URL}/pricing`,
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to notify user ${subscription.user_id} of subscription expiry:`, error);
+  }
+}
+
+/**
+ * Expire every subscription whose access has lapsed and notify the users.
+ * Run periodically by the subscription worker.
+ * @returns {Promise<number>} Number of subscriptions expired
+ */
+async function expireLapsedSubscriptions() {
+  const now = new Date();
+  const lapsed = await Subscription.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'active', grace_ends_at: { [Op.lte]: now } },
+        { status: 'cancelled', expires_at: { [Op.lte]: now } },
+      ],
+    },
+    include: [
+      { model: Plan, as: 'plan' },
+      { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+    ],
+  });
+
+  for (const subscription of lapsed) {
+    const oldStatus = subscription.status;
+    await subscription.update({ status: 'expired' });
+
+    await logAction({
+      userId: null,
+      action: 'SUBSCRIPTION_EXPIRED',
+      entityType: 'Subscription',
+      entityId: subscription.id,
+      oldValues: { status: oldStatus },
+      newValues: { status: 'expired' },
+    });
+
+    await notifyExpired(subscription);
+  }
+
+  if (lapsed.length > 0) {
+    logger.info(`Expired ${lapsed.length} lapsed subscription(s)`);
+  }
+  return lapsed.length;
+}
+
+module.exports = {
+  addInterval,
+  getActiveSubscription,
+  applySubscriptionPayment,
+  cancelSubscription,
+  expireLapsedSubscriptions,
+};
@@ -0,0 +1,248 @@
+// ============================================================================
+// SERVICES/TWO_FACTOR_SERVICE.JS - TOTP Two-Factor Authentication (RFC 6238)
+// ============================================================================
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { JWT_ACCESS_SECRET } = require('../config/jwt');
+const { getSetting } = require('./settingsService');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'ITSLab';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept the previous and next 30s step to tolerate clock drift on the phone
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_ATTRIBUTES = ['two_factor_enabled', 'two_factor_secret', 'two_factor_recovery_codes', 'two_factor_last_step'];
+
+// Secrets are encrypted at rest; a dedicated key can be set, otherwise one is derived from the JWT secret
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${JWT_ACCESS_SECRET}_2fa`)
+  .digest();
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding (the format authenticator apps expect)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case, spaces and padding are ignored)
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM, stored as iv:tag:ciphertext)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate a new base32 TOTP secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code
+ * @param {string} email - Account label shown in the app
+ * @param {string} secret - Base32 secret
+ * @returns {string} Provisioning URI
+ */
+function buildProvisioningUri(email, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226 dynamic truncation)
+ */
+function generateHotp(secretBuffer, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', secretBuffer).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Current TOTP time step
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Check a TOTP code against a base32 secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastUsedStep - Step of the last accepted code; it and older steps are rejected (no replay)
+ * @returns {number|null} The matched time step, or null when the code is invalid
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const secretBuffer = base32Decode(secret);
+  const step = currentStep();
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && candidate <= Number(lastUsedStep)) {
+      continue;
+    }
+    const expected = generateHotp(secretBuffer, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize and hash a recovery code. Codes are random and high-entropy, so a plain SHA-256 is enough.
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes: plain codes to show once, hashes: values to store }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check a code against the user's stored two-factor state: a TOTP code or an unused recovery code.
+ * Updates the user (last used step / remaining recovery codes) when it matches. The state is
+ * re-read with the row locked, so concurrent requests cannot both spend the same code.
+ * @param {Object} user - User instance; its two-factor fields are refreshed
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Promise<string|null>} 'totp', 'recovery_code' or null when nothing matched
+ */
+async function verifyUserCode(user, { code, recoveryCode }) {
+  return sequelize.transaction(async (t) => {
+    await user.reload({ attributes: TWO_FACTOR_ATTRIBUTES, transaction: t, lock: t.LOCK.UPDATE });
+    if (!user.two_factor_secret) {
+      return null;
+    }
+
+    if (recoveryCode) {
+      if (!user.two_factor_enabled) {
+        return null;
+      }
+      const hash = hashRecoveryCode(recoveryCode);
+      const remaining = user.two_factor_recovery_codes || [];
+      if (!remaining.includes(hash)) {
+        return null;
+      }
+      await user.update({ two_factor_recovery_codes: remaining.filter(stored => stored !== hash) }, { transaction: t });
+      return 'recovery_code';
+    }
+
+    const step = verifyTotp(decryptSecret(user.two_factor_secret), code, user.two_factor_last_step);
+    if (step === null) {
+      return null;
+    }
+    await user.update({ two_factor_last_step: step }, { transaction: t });
+    return 'totp';
+  });
+}
+
+/**
+ * Whether the platform requires two-factor authentication for a role
+ * (SystemSetting two_factor_required_roles, e.g. ["admin", "instructor"])
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(role) {
+  const roles = await getSetting('two_factor_required_roles', []);
+  return Array.isArray(roles) && roles.includes(role);
+}
+
+module.exports = {
+  generateSecret,
+  buildProvisioningUri,
+  encryptSecret,
+  decryptSecret,
+  generateHotp,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifyUserCode,
+  isTwoFactorRequired,
+};
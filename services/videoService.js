@@ -5,16 +5,25 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
 const logger = require('../utils/logger');
 const { sanitizeFilename } = require('../utils/helpers');
+const { getSetting, getNumberSetting } = require('./settingsService');
 
 // Ensure upload directories exist
 const BASE_UPLOAD_DIR = path.join(process.cwd(), 'public/uploads');
 const VIDEO_DIR = path.join(BASE_UPLOAD_DIR, 'videos');
 const THUMBNAIL_DIR = path.join(BASE_UPLOAD_DIR, 'thumbnails');
 const RECEIPT_DIR = path.join(BASE_UPLOAD_DIR, 'receipts');
+// Instructor applications hold ID documents, so they live outside public/ and are only sent to reviewers
+const APPLICATION_DIR = path.join(process.cwd(), 'private/uploads/instructor-applications');
+// HLS keys are only handed out by the key route, never by the static uploads handler
+const VIDEO_KEY_DIR = path.join(process.cwd(), 'private/video-keys');
+// Encodes are built here and only published once every segment is encrypted
+const VIDEO_STAGING_DIR = path.join(process.cwd(), 'private/video-staging');
 
-[BASE_UPLOAD_DIR, VIDEO_DIR, THUMBNAIL_DIR, RECEIPT_DIR].forEach(dir => {
+[BASE_UPLOAD_DIR, VIDEO_DIR, THUMBNAIL_DIR, RECEIPT_DIR, APPLICATION_DIR, VIDEO_KEY_DIR, VIDEO_STAGING_DIR].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -55,6 +64,48 @@ const upload = multer({
   },
 });
 
+// Instructor application files: a sample teaching video and an ID document (image or PDF)
+const APPLICATION_FILE_TYPES = {
+  sampleVideo: ['video/mp4', 'video/webm', 'video/ogg'],
+  idDocument: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+};
+
+const applicationUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, APPLICATION_DIR),
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}-${sanitizeFilename(file.originalname)}`);
+    },
+  }),
+  limits: {
+    fileSize: 500 * 1024 * 1024, // 500MB limit (sample video)
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = APPLICATION_FILE_TYPES[file.fieldname];
+    if (allowedTypes && allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Invalid file type. The sample must be a video and the ID document an image or PDF.');
+      error.statusCode = 400;
+      cb(error);
+    }
+  },
+});
+
+/**
+ * Absolute path of a stored instructor application file, or null if the name escapes the directory
+ * @param {string} fileName - Stored file name
+ * @returns {string|null} Absolute path
+ */
+function getApplicationFilePath(fileName) {
+  const filePath = path.join(APPLICATION_DIR, fileName || '');
+  const relative = path.relative(APPLICATION_DIR, filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return filePath;
+}
+
 /**
  * Handle local upload response
  * @param {Object} file - Multer file object
@@ -101,75 +152,134 @@ async function deleteFromLocal(fileUrl) {
 }
 
 
+const { execFile } = require('child_process');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
 const ffmpeg = require('fluent-ffmpeg');
-const crypto = require('crypto');
 ffmpeg.setFfmpegPath(ffmpegPath);
 
+// Adaptive bitrate ladder; admins can override it with the video_renditions setting
+const DEFAULT_VIDEO_RENDITIONS = [
+  { name: '240p', height: 240, videoBitrate: '400k', audioBitrate: '64k' },
+  { name: '360p', height: 360, videoBitrate: '800k', audioBitrate: '96k' },
+  { name: '720p', height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+  { name: '1080p', height: 1080, videoBitrate: '5000k', audioBitrate: '192k' },
+];
+
 /**
- * Process MP4 to Encrypted HLS
- * @param {string} inputPath - Path to MP4 file
- * @param {string} lessonId - ID of the lesson for naming
- * @returns {Promise<string>} Relative path to m3u8 playlist
+ * Validate a rendition list from settings, dropping malformed entries
+ * @param {Array} value - [{ name, height, videoBitrate, audioBitrate }]
+ * @returns {Array} Renditions sorted from lowest to highest quality
  */
-async function processToHLS(inputPath, lessonId) {
-  return new Promise((resolve, reject) => {
-    const outputFolder = path.join(VIDEO_DIR, lessonId);
-    if (!fs.existsSync(outputFolder)) {
-      fs.mkdirSync(outputFolder, { recursive: true });
-    }
+function normalizeRenditions(value) {
+  if (!Array.isArray(value)) return DEFAULT_VIDEO_RENDITIONS;
+
+  const seen = new Set();
+  const renditions = value
+    .map(item => ({
+      name: String(item?.name || '').trim(),
+      height: parseInt(item?.height, 10),
+      videoBitrate: String(item?.videoBitrate || '').trim(),
+      audioBitrate: String(item?.audioBitrate || '128k').trim(),
+    }))
+    .filter((item) => {
+      const valid = /^[a-z0-9]+$/i.test(item.name)
+        && item.height >= 144 && item.height <= 2160 && item.height % 2 === 0
+        && /^\d+k$/.test(item.videoBitrate) && /^\d+k$/.test(item.audioBitrate)
+        && !seen.has(item.name);
+      seen.add(item.name);
+      return valid;
+    })
+    .sort((a, b) => a.height - b.height);
 
-    const hlsPath = path.join(outputFolder, 'playlist.m3u8');
-    const keyFileName = 'enc.key';
-    const keyPath = path.join(outputFolder, keyFileName);
-    const keyInfoPath = path.join(outputFolder, 'enc.keyinfo');
-
-    // 1. Generate AES-128 Key
-    const key = crypto.randomBytes(16);
-    const iv = crypto.randomBytes(16).toString('hex');
-    fs.writeFileSync(keyPath, key);
-
-    // 2. Create Key Info File for FFmpeg
-    // Format:
-    // key_uri
-    // key_file_path
-    // iv (optional)
-    const keyUri = `${process.env.BACKEND_URL}/api/v1/courses/video/key/${lessonId}`;
-    const keyInfoContent = `${keyUri}\n${keyPath}\n${iv}`;
-    fs.writeFileSync(keyInfoPath, keyInfoContent);
-
-    // 3. Run FFmpeg
+  return renditions.length ? renditions : DEFAULT_VIDEO_RENDITIONS;
+}
+
+/**
+ * Configured rendition ladder
+ * @returns {Promise<Array>} Renditions sorted from lowest to highest quality
+ */
+async function getVideoRenditions() {
+  return normalizeRenditions(await getSetting('video_renditions', DEFAULT_VIDEO_RENDITIONS));
+}
+
+/**
+ * Renditions worth encoding for a source: never upscale. A source smaller than the
+ * lowest rendition still gets that rendition at its own height.
+ * @param {Array} renditions - Configured ladder
+ * @param {number|null} sourceHeight - Height of the source video, if known
+ * @returns {Array} Renditions to encode
+ */
+function selectRenditions(renditions, sourceHeight) {
+  if (!sourceHeight) return renditions;
+
+  const fitting = renditions.filter(rendition => rendition.height <= sourceHeight);
+  if (fitting.length) return fitting;
+
+  return [{ ...renditions[0], height: sourceHeight - (sourceHeight % 2) }];
+}
+
+/**
+ * Read the video size and whether there is an audio track from FFmpeg's stream info
+ * @param {string} inputPath - Path to the source video
+ * @returns {Promise<Object>} { width, height, hasAudio }; the size is null if it could not be read
+ */
+function probeVideo(inputPath) {
+  return new Promise((resolve) => {
+    // Without an output FFmpeg exits with an error after printing the input streams
+    execFile(ffmpegPath, ['-hide_banner', '-i', inputPath], (error, stdout, stderr) => {
+      const info = String(stderr || '');
+      const video = info.match(/Stream #.*Video:.*?\s(\d{2,5})x(\d{2,5})[\s,]/);
+      resolve({
+        width: video ? parseInt(video[1], 10) : null,
+        height: video ? parseInt(video[2], 10) : null,
+        hasAudio: /Stream #.*Audio:/.test(info),
+      });
+    });
+  });
+}
+
+/**
+ * Encode one rendition as an HLS variant playlist (<name>.m3u8, <name>_000.ts, ...).
+ * Segments are written unencrypted and encrypted afterwards by encryptRendition.
+ * @param {string} inputPath - Path to the source video
+ * @param {string} outputFolder - Folder the rendition was encoded to
+ * @param {Object} rendition - { name, height, videoBitrate, audioBitrate }
+ * @param {Object} options - { lessonId, hasAudio }
+ * @returns {Promise}
+ */
+function encodeRendition(inputPath, outputFolder, rendition, { lessonId, hasAudio }) {
+  const bitrate = parseInt(rendition.videoBitrate, 10);
+
+  return new Promise((resolve, reject) => {
     ffmpeg(inputPath)
-      .outputOptions([
-        '-hls_time 10',            // Segment length
-        '-hls_list_size 0',         // Include all segments
-        '-hls_segment_filename', path.join(outputFolder, 'segment_%03d.ts'),
-        `-hls_key_info_file ${keyInfoPath}`,
-        '-hls_playlist_type event',
-        `-hls_base_url ${process.env.BACKEND_URL}/api/v1/courses/video/segment/${lessonId}/`
-      ])
-      .output(hlsPath)
+      .outputOptions(
+        '-vf', `scale=-2:${rendition.height}`,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-pix_fmt', 'yuv420p',
+        '-b:v', rendition.videoBitrate,
+        '-maxrate', `${Math.round(bitrate * 1.07)}k`,
+        '-bufsize', `${bitrate * 2}k`,
+        // Keyframes at the same timestamps in every rendition so players can switch between segments
+        '-force_key_frames', 'expr:gte(t,n_forced*2)',
+        '-sc_threshold', '0',
+        ...(hasAudio ? ['-c:a', 'aac', '-b:a', rendition.audioBitrate, '-ac', '2'] : ['-an']),
+        '-hls_time', '10',            // Segment length
+        '-hls_list_size', '0',         // Include all segments
+        '-hls_segment_filename', path.join(outputFolder, `${rendition.name}_%03d.ts`),
+        '-hls_playlist_type', 'event',
+        '-hls_base_url', `${process.env.BACKEND_URL}/api/v1/courses/video/segment/${lessonId}/`
+      )
+      .output(path.join(outputFolder, `${rendition.name}.m3u8`))
       .on('start', (commandLine) => {
         logger.info('FFmpeg started: ' + commandLine);
       })
       .on('progress', (progress) => {
-        logger.info(`Processing: ${progress.percent}% done`);
-      })
-      .on('end', () => {
-        logger.info('FFmpeg processing finished');
-        // Clean up keyinfo after processing
-        if (fs.existsSync(keyInfoPath)) fs.unlinkSync(keyInfoPath);
-
-        // 4. Delete original MP4 after successful conversion
-        if (fs.existsSync(inputPath)) {
-          fs.unlinkSync(inputPath);
-          logger.info(`Original MP4 deleted after HLS conversion: ${inputPath}`);
-        }
-
-        resolve(`/uploads/videos/${lessonId}/playlist.m3u8`);
+        logger.info(`Processing ${rendition.name}: ${progress.percent}% done`);
       })
+      .on('end', () => resolve())
       .on('error', (err) => {
-        logger.error('FFmpeg error: ' + err.message);
+        logger.error(`FFmpeg error (${rendition.name}): ` + err.message);
         reject(err);
       })
       .run();
@@ -177,12 +287,182 @@ async function processToHLS(inputPath, lessonId) {
 }
 
 /**
- * Get the encryption key for a lesson
+ * Master playlist listing every rendition, lowest bandwidth first
+ * @param {Array} renditions - Encoded renditions
+ * @param {Object} source - { width, height } of the source video, used for RESOLUTION
+ * @returns {string} Playlist contents
+ */
+function buildMasterPlaylist(renditions, { width, height }) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  renditions.forEach((rendition) => {
+    // Peak bandwidth in bits per second, including the audio track and container overhead
+    const bandwidth = Math.round((parseInt(rendition.videoBitrate, 10) * 1.07 + parseInt(rendition.audioBitrate, 10)) * 1100);
+    const attributes = [`BANDWIDTH=${bandwidth}`];
+    if (width && height) {
+      // Same rounding as scale=-2:<height>
+      const scaledWidth = Math.round((width * rendition.height) / height / 2) * 2;
+      attributes.push(`RESOLUTION=${scaledWidth}x${rendition.height}`);
+    }
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, `${rendition.name}.m3u8`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Key store for one encode: key N protects segments [N * rotation, (N + 1) * rotation)
+ * of every rendition. Keys are created on first use.
+ * @param {string} keyFolder - Folder the keys of this encode are written to
+ * @returns {Function} (keyIndex) => Buffer
+ */
+function createKeyStore(keyFolder) {
+  fs.mkdirSync(keyFolder, { recursive: true });
+
+  const keys = [];
+  return (keyIndex) => {
+    if (!keys[keyIndex]) {
+      keys[keyIndex] = crypto.randomBytes(16);
+      fs.writeFileSync(path.join(keyFolder, `${keyIndex}.key`), keys[keyIndex], { mode: 0o600 });
+    }
+    return keys[keyIndex];
+  };
+}
+
+/**
+ * Encrypt a rendition's segments in place (AES-128-CBC, PKCS7) and add an EXT-X-KEY tag
+ * wherever the key changes. No IV attribute is written, so each segment uses its media
+ * sequence number as IV as the HLS spec defines.
+ * FFmpeg can only rotate keys by having its key info file rewritten while it runs, so the
+ * encryption happens here after encoding instead.
+ * @param {string} outputFolder - Folder the rendition was encoded to
+ * @param {Object} rendition - Encoded rendition
+ * @param {Object} options - { lessonId, keyRotation, getKey }
+ * @returns {Promise<number>} Number of segments encrypted
+ */
+async function encryptRendition(outputFolder, rendition, { lessonId, keyRotation, getKey }) {
+  const playlistPath = path.join(outputFolder, `${rendition.name}.m3u8`);
+  const lines = (await fs.promises.readFile(playlistPath, 'utf8')).split(/\r?\n/);
+
+  const sequenceLine = lines.find(line => line.startsWith('#EXT-X-MEDIA-SEQUENCE:'));
+  const firstSequence = sequenceLine ? parseInt(sequenceLine.split(':')[1], 10) || 0 : 0;
+
+  const output = [];
+  let segmentIndex = 0;
+  let currentKeyIndex = null;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      output.push(line);
+      continue;
+    }
+
+    const keyIndex = Math.floor(segmentIndex / keyRotation);
+    if (keyIndex !== currentKeyIndex) {
+      // The tag belongs before the segment's #EXTINF line
+      const extinf = output.pop();
+      output.push(`#EXT-X-KEY:METHOD=AES-128,URI="${process.env.BACKEND_URL}/api/v1/courses/video/key/${lessonId}/${keyIndex}"`, extinf);
+      currentKeyIndex = keyIndex;
+    }
+
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32BE(firstSequence + segmentIndex, 12);
+
+    const segmentPath = path.join(outputFolder, path.basename(trimmed));
+    const encryptedPath = `${segmentPath}.enc`;
+    await pipeline(
+      fs.createReadStream(segmentPath),
+      crypto.createCipheriv('aes-128-cbc', getKey(keyIndex), iv),
+      fs.createWriteStream(encryptedPath)
+    );
+    await fs.promises.rename(encryptedPath, segmentPath);
+
+    output.push(line);
+    segmentIndex++;
+  }
+
+  await fs.promises.writeFile(playlistPath, output.join('\n'));
+  return segmentIndex;
+}
+
+/**
+ * Move a finished folder into place with renames, so readers see either the old or the new contents
+ * @param {string} source - Finished folder
+ * @param {string} target - Published location
+ * @param {string} backup - Where the previous contents are moved (removed with the staging folder)
+ */
+function publishFolder(source, target, backup) {
+  if (fs.existsSync(target)) {
+    fs.renameSync(target, backup);
+  }
+  fs.renameSync(source, target);
+}
+
+/**
+ * Process a source video to encrypted adaptive bitrate HLS: one variant playlist per
+ * ladder step up to the source resolution plus a master playlist. The AES-128 key
+ * rotates every video_key_rotation_segments segments.
+ * @param {string} inputPath - Path to MP4 file
+ * @param {string} lessonId - ID of the lesson for naming
+ * @returns {Promise<string>} Relative path to the master m3u8 playlist
+ */
+async function processToHLS(inputPath, lessonId) {
+  const source = await probeVideo(inputPath);
+  const renditions = selectRenditions(await getVideoRenditions(), source.height);
+  if (!source.height) {
+    logger.warn(`Could not read the resolution of ${inputPath}; encoding the full rendition ladder`);
+  }
+  const keyRotation = Math.max(1, Math.floor(await getNumberSetting('video_key_rotation_segments', 6)));
+
+  // FFmpeg writes plaintext segments, so nothing is encoded inside public/
+  const stagingFolder = path.join(VIDEO_STAGING_DIR, `${lessonId}-${Date.now()}`);
+  const outputFolder = path.join(stagingFolder, 'video');
+  const keyFolder = path.join(stagingFolder, 'keys');
+  fs.mkdirSync(outputFolder, { recursive: true });
+
+  try {
+    // 1. Encode each rendition in its own pass. The bundled FFmpeg build crashes on
+    // multi-variant output (-var_stream_map) when a variant has a single segment.
+    for (const rendition of renditions) {
+      await encodeRendition(inputPath, outputFolder, rendition, { lessonId, hasAudio: source.hasAudio });
+    }
+
+    // 2. Encrypt the segments with rotating keys, shared by renditions for the same time range
+    const getKey = createKeyStore(keyFolder);
+    for (const rendition of renditions) {
+      await encryptRendition(outputFolder, rendition, { lessonId, keyRotation, getKey });
+    }
+
+    // 3. Master playlist pointing players at every rendition
+    fs.writeFileSync(path.join(outputFolder, 'master.m3u8'), buildMasterPlaylist(renditions, source));
+
+    // 4. Publish: swap the finished keys and video folders in, replacing an earlier encode
+    publishFolder(keyFolder, path.join(VIDEO_KEY_DIR, lessonId), path.join(stagingFolder, 'old-keys'));
+    publishFolder(outputFolder, path.join(VIDEO_DIR, lessonId), path.join(stagingFolder, 'old-video'));
+  } finally {
+    fs.rmSync(stagingFolder, { recursive: true, force: true });
+  }
+
+  logger.info(`FFmpeg processing finished (${renditions.map(rendition => rendition.name).join(', ')}; key rotates every ${keyRotation} segments)`);
+
+  // 5. Delete original MP4 after successful conversion
+  if (fs.existsSync(inputPath)) {
+    fs.unlinkSync(inputPath);
+    logger.info(`Original MP4 deleted after HLS conversion: ${inputPath}`);
+  }
+
+  return `/uploads/videos/${lessonId}/master.m3u8`;
+}
+
+/**
+ * Get an encryption key for a lesson
  * @param {string} lessonId - ID of the lesson
+ * @param {number} [keyIndex] - Rotating key number; omitted for videos encoded with a single enc.key
  * @returns {Buffer | null} The key buffer
  */
-function getLessonKey(lessonId) {
-  const keyPath = path.join(VIDEO_DIR, lessonId, 'enc.key');
+function getLessonKey(lessonId, keyIndex) {
+  const keyPath = keyIndex === undefined
+    ? path.join(VIDEO_DIR, lessonId, 'enc.key')
+    : path.join(VIDEO_KEY_DIR, lessonId, `${keyIndex}.key`);
   if (fs.existsSync(keyPath)) {
     return fs.readFileSync(keyPath);
   }
@@ -191,8 +471,15 @@ function getLessonKey(lessonId) {
 
 module.exports = {
   upload,
+  applicationUpload,
+  getApplicationFilePath,
   uploadToLocal,
   deleteFromLocal,
+  DEFAULT_VIDEO_RENDITIONS,
+  normalizeRenditions,
+  getVideoRenditions,
+  selectRenditions,
+  buildMasterPlaylist,
   processToHLS,
   getLessonKey,
 };
@@ -105,6 +105,23 @@ const sanitizeFilename = (filename) => {
   return filename.replace(/[^a-z0-9.-]/gi, '_').toLowerCase();
 };
 
+/**
+ * Visitor's country as set by the CDN / reverse proxy.
+ * Clients can send these headers themselves, so they are only read when
+ * TRUST_COUNTRY_HEADERS=true says the edge in front of the API sets them.
+ * @param {Object} req - Express request
+ * @returns {String|null} ISO 3166-1 alpha-2 code, or null when unknown
+ */
+const getRequestCountry = (req) => {
+  if (process.env.TRUST_COUNTRY_HEADERS !== 'true') {
+    return null;
+  }
+
+  const country = String(req.get('CF-IPCountry') || req.get('X-Country-Code') || '').trim().toUpperCase();
+  // Cloudflare uses XX for unknown and T1 for Tor
+  return /^[A-Z]{2}$/.test(country) && !['XX', 'T1'].includes(country) ? country : null;
+};
+
 module.exports = {
   generateToken,
   hashPassword,
@@ -114,6 +131,7 @@ module.exports = {
   minutesDifference,
   formatCurrency,
   sanitizeFilename,
+  getRequestCountry,
 };
 
 // ============================================================================
@@ -0,0 +1,18 @@
+// ============================================================================
+// UTILS/HTTP_ERROR.JS - Errors Surfaced to the Client
+// ============================================================================
+
+/**
+ * Build an error carrying an HTTP status, which controllers and the global error handler
+ * turn into a response with that status
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Client-facing message
+ * @returns {Error} Error with statusCode set
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = httpError;
@@ -0,0 +1,102 @@
+// ============================================================================
+// UTILS/ZIP.JS - Minimal ZIP Archive Writer (deflate, no external dependencies)
+// ============================================================================
+
+const zlib = require('zlib');
+
+// CRC-32 (IEEE 802.3) lookup table required by the ZIP format
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned checksum
+ */
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Date in MS-DOS time/date format used by ZIP headers
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a ZIP archive in memory. Meant for small generated files such as JSON exports.
+ * @param {Array} entries - [{ name, data }] where data is a Buffer or string
+ * @param {Date} [modifiedAt] - Timestamp recorded for every entry
+ * @returns {Buffer} ZIP file contents
+ */
+const createZip = (entries, modifiedAt = new Date()) => {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0); // local file header signature
+    local.writeUInt16LE(20, 4); // version needed to extract
+    local.writeUInt16LE(0x0800, 6); // flags: UTF-8 file names
+    local.writeUInt16LE(8, 8); // compression: deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0); // central directory header signature
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed to extract
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // extra field, comment, disk number, internal and external attributes stay zero
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0); // end of central directory signature
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = {
+  createZip,
+  crc32,
+};
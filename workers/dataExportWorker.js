@@ -0,0 +1,28 @@
+// ============================================================================
+// WORKERS/DATA_EXPORT_WORKER.JS - BullMQ Worker for Personal Data Exports
+// ============================================================================
+
+const { Worker } = require('bullmq');
+const { redisConnection } = require('../services/queueService');
+const { buildExport } = require('../services/privacyService');
+const logger = require('../utils/logger');
+
+const dataExportWorker = new Worker(
+    'data-export',
+    async (job) => {
+        const dataExport = await buildExport(job.data.exportId);
+        return { status: dataExport?.status };
+    },
+    {
+        connection: redisConnection,
+        concurrency: 1,
+    }
+);
+
+dataExportWorker.on('failed', (job, err) => {
+    logger.error(`Data export job ${job?.id} failed:`, err);
+});
+
+logger.info('Data export worker initialized');
+
+module.exports = dataExportWorker;
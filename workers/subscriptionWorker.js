@@ -0,0 +1,28 @@
+// ============================================================================
+// WORKERS/SUBSCRIPTION_WORKER.JS - BullMQ Worker for Subscription Expiry
+// ============================================================================
+
+const { Worker } = require('bullmq');
+const { redisConnection } = require('../services/queueService');
+const { expireLapsedSubscriptions } = require('../services/subscriptionService');
+const logger = require('../utils/logger');
+
+const subscriptionWorker = new Worker(
+    'subscription-maintenance',
+    async () => {
+        const expired = await expireLapsedSubscriptions();
+        return { expired };
+    },
+    {
+        connection: redisConnection,
+        concurrency: 1,
+    }
+);
+
+subscriptionWorker.on('failed', (job, err) => {
+    logger.error(`Subscription job ${job?.id} failed:`, err);
+});
+
+logger.info('Subscription maintenance worker initialized');
+
+module.exports = subscriptionWorker;